@@ -1,795 +1,2003 @@
-// SVG to VectorDrawable Converter - Main Application
-class SVGConverter {
-    constructor() {
-        this.files = [];
-        this.activeFileIndex = 0;
-        this.recentFiles = JSON.parse(localStorage.getItem('recentFiles') || '[]');
-        this.preferences = JSON.parse(localStorage.getItem('preferences') || '{}');
-        this.zoomLevel = 1;
-        this.showGrid = false;
-        
-        // Default data
-        this.defaultSizes = [
-            {name: "Small", width: 24, height: 24},
-            {name: "Medium", width: 32, height: 32},
-            {name: "Large", width: 48, height: 48},
-            {name: "Extra Large", width: 64, height: 64}
-        ];
-        
-        this.supportedElements = [
-            "path", "circle", "rect", "polygon", "polyline", "ellipse", "line"
-        ];
-        
-        this.defaultColors = [
-            "#000000", "#333333", "#666666", "#999999", "#CCCCCC", "#FFFFFF",
-            "#FF0000", "#00FF00", "#0000FF", "#FFFF00", "#FF00FF", "#00FFFF",
-            "#FF6B6B", "#4ECDC4", "#45B7D1", "#96CEB4", "#FFEAA7", "#DDA0DD"
-        ];
-
-        this.init();
-    }
-
-    init() {
-        this.setupEventListeners();
-        this.setupTheme();
-        this.setupColorPresets();
-        this.loadRecentFiles();
-        this.applyPreferences();
-    }
-
-    setupEventListeners() {
-        // Theme toggle
-        document.getElementById('themeToggle').addEventListener('click', () => this.toggleTheme());
-
-        // File upload
-        const uploadArea = document.getElementById('uploadArea');
-        const fileInput = document.getElementById('fileInput');
-        const browseBtn = document.getElementById('browseBtn');
-
-        browseBtn.addEventListener('click', () => fileInput.click());
-        fileInput.addEventListener('change', (e) => this.handleFiles(e.target.files));
-
-        // Drag and drop
-        uploadArea.addEventListener('dragover', (e) => this.handleDragOver(e));
-        uploadArea.addEventListener('dragleave', (e) => this.handleDragLeave(e));
-        uploadArea.addEventListener('drop', (e) => this.handleDrop(e));
-
-        // Options
-        document.getElementById('sizePreset').addEventListener('change', (e) => this.handleSizePreset(e));
-        document.getElementById('widthInput').addEventListener('input', () => this.updateConversion());
-        document.getElementById('heightInput').addEventListener('input', () => this.updateConversion());
-        document.getElementById('fillColorPicker').addEventListener('change', () => this.updateConversion());
-        document.getElementById('formatXml').addEventListener('change', () => this.updateConversion());
-
-        // Preview controls
-        document.getElementById('zoomIn').addEventListener('click', () => this.zoomPreview(1.2));
-        document.getElementById('zoomOut').addEventListener('click', () => this.zoomPreview(0.8));
-        document.getElementById('toggleGrid').addEventListener('click', () => this.toggleGrid());
-
-        // Output actions
-        document.getElementById('copyBtn').addEventListener('click', () => this.copyXML());
-        document.getElementById('downloadBtn').addEventListener('click', () => this.downloadXML());
-        document.getElementById('downloadAllBtn').addEventListener('click', () => this.downloadAll());
-    }
-
-    setupTheme() {
-        const savedTheme = localStorage.getItem('theme') || 'light';
-        this.setTheme(savedTheme);
-    }
-
-    toggleTheme() {
-        const currentTheme = document.documentElement.getAttribute('data-color-scheme') || 'light';
-        const newTheme = currentTheme === 'light' ? 'dark' : 'light';
-        this.setTheme(newTheme);
-    }
-
-    setTheme(theme) {
-        document.documentElement.setAttribute('data-color-scheme', theme);
-        const themeIcon = document.querySelector('.theme-icon');
-        themeIcon.textContent = theme === 'light' ? '🌙' : '☀️';
-        localStorage.setItem('theme', theme);
-    }
-
-    setupColorPresets() {
-        const colorPresets = document.getElementById('colorPresets');
-        this.defaultColors.forEach(color => {
-            const preset = document.createElement('div');
-            preset.className = 'color-preset';
-            preset.style.backgroundColor = color;
-            preset.title = color;
-            preset.addEventListener('click', () => {
-                document.getElementById('fillColorPicker').value = color;
-                this.updateColorPresetSelection(color);
-                this.updateConversion();
-            });
-            colorPresets.appendChild(preset);
-        });
-    }
-
-    updateColorPresetSelection(selectedColor) {
-        document.querySelectorAll('.color-preset').forEach(preset => {
-            preset.classList.toggle('active', preset.style.backgroundColor === selectedColor);
-        });
-    }
-
-    handleDragOver(e) {
-        e.preventDefault();
-        document.getElementById('uploadArea').classList.add('drag-over');
-    }
-
-    handleDragLeave(e) {
-        e.preventDefault();
-        document.getElementById('uploadArea').classList.remove('drag-over');
-    }
-
-    handleDrop(e) {
-        e.preventDefault();
-        document.getElementById('uploadArea').classList.remove('drag-over');
-        this.handleFiles(e.dataTransfer.files);
-    }
-
-    async handleFiles(fileList) {
-        const files = Array.from(fileList).filter(file => 
-            file.type === 'image/svg+xml' || file.name.toLowerCase().endsWith('.svg')
-        );
-
-        if (files.length === 0) {
-            this.showNotification('Please select valid SVG files', 'error');
-            return;
-        }
-
-        if (files.length > 10) {
-            this.showNotification('Maximum 10 files allowed at once', 'warning');
-            return;
-        }
-
-        this.showLoading(true);
-
-        try {
-            this.files = [];
-            
-            for (let file of files) {
-                if (file.size > 5 * 1024 * 1024) { // 5MB limit
-                    this.showNotification(`File ${file.name} is too large (max 5MB)`, 'warning');
-                    continue;
-                }
-
-                const content = await this.readFile(file);
-                const fileData = {
-                    name: file.name,
-                    size: file.size,
-                    content: content,
-                    xml: null,
-                    lastModified: file.lastModified
-                };
-
-                this.files.push(fileData);
-            }
-
-            if (this.files.length > 0) {
-                this.activeFileIndex = 0;
-                this.showProcessingSection();
-                this.updateFileList();
-                this.updatePreview();
-                this.updateConversion();
-                this.saveToRecent();
-            }
-
-        } catch (error) {
-            this.showNotification('Error processing files: ' + error.message, 'error');
-        } finally {
-            this.showLoading(false);
-        }
-    }
-
-    readFile(file) {
-        return new Promise((resolve, reject) => {
-            const reader = new FileReader();
-            reader.onload = e => resolve(e.target.result);
-            reader.onerror = reject;
-            reader.readAsText(file);
-        });
-    }
-
-    showProcessingSection() {
-        document.getElementById('processingSection').classList.remove('hidden');
-        document.getElementById('processingSection').classList.add('fade-in');
-    }
-
-    updateFileList() {
-        const fileList = document.getElementById('fileList');
-        fileList.innerHTML = '';
-
-        this.files.forEach((file, index) => {
-            const fileItem = document.createElement('div');
-            fileItem.className = `file-item ${index === this.activeFileIndex ? 'active' : ''}`;
-            fileItem.innerHTML = `
-                <div class="file-info">
-                    <div class="file-name">${file.name}</div>
-                    <div class="file-size">${this.formatFileSize(file.size)}</div>
-                </div>
-                <div class="file-actions">
-                    <button class="file-remove" data-index="${index}">✕</button>
-                </div>
-            `;
-
-            fileItem.addEventListener('click', (e) => {
-                if (!e.target.classList.contains('file-remove')) {
-                    this.selectFile(index);
-                }
-            });
-
-            fileItem.querySelector('.file-remove').addEventListener('click', (e) => {
-                e.stopPropagation();
-                this.removeFile(index);
-            });
-
-            fileList.appendChild(fileItem);
-        });
-
-        // Update download all button
-        document.getElementById('downloadAllBtn').disabled = this.files.length <= 1;
-    }
-
-    selectFile(index) {
-        this.activeFileIndex = index;
-        this.updateFileList();
-        this.updatePreview();
-        this.updateOutput();
-    }
-
-    removeFile(index) {
-        this.files.splice(index, 1);
-        
-        if (this.files.length === 0) {
-            document.getElementById('processingSection').classList.add('hidden');
-            return;
-        }
-
-        if (this.activeFileIndex >= this.files.length) {
-            this.activeFileIndex = this.files.length - 1;
-        }
-
-        this.updateFileList();
-        this.updatePreview();
-        this.updateOutput();
-    }
-
-    updatePreview() {
-        if (this.files.length === 0) return;
-
-        const activeFile = this.files[this.activeFileIndex];
-        const originalPreview = document.getElementById('originalPreview');
-        const vectorPreview = document.getElementById('vectorPreview');
-
-        // Show original SVG
-        try {
-            const parser = new DOMParser();
-            const svgDoc = parser.parseFromString(activeFile.content, 'image/svg+xml');
-            const svgElement = svgDoc.documentElement.cloneNode(true);
-            
-            originalPreview.innerHTML = '';
-            originalPreview.appendChild(svgElement);
-            this.applyPreviewTransform(originalPreview);
-        } catch (error) {
-            originalPreview.innerHTML = '<div class="preview-placeholder">Invalid SVG</div>';
-        }
-
-        // Show converted vector (if available)
-        if (activeFile.xml) {
-            try {
-                const vectorSvg = this.vectorXmlToSvg(activeFile.xml);
-                vectorPreview.innerHTML = vectorSvg;
-                this.applyPreviewTransform(vectorPreview);
-            } catch (error) {
-                vectorPreview.innerHTML = '<div class="preview-placeholder">Conversion error</div>';
-            }
-        } else {
-            vectorPreview.innerHTML = '<div class="preview-placeholder">Converting...</div>';
-        }
-    }
-
-    applyPreviewTransform(container) {
-        const svg = container.querySelector('svg');
-        if (svg) {
-            svg.style.transform = `scale(${this.zoomLevel})`;
-            container.classList.toggle('grid-bg', this.showGrid);
-        }
-    }
-
-    zoomPreview(factor) {
-        this.zoomLevel *= factor;
-        this.zoomLevel = Math.max(0.1, Math.min(3, this.zoomLevel));
-        this.updatePreview();
-    }
-
-    toggleGrid() {
-        this.showGrid = !this.showGrid;
-        this.updatePreview();
-    }
-
-    handleSizePreset(e) {
-        const preset = e.target.value;
-        if (preset === 'custom') return;
-
-        const size = parseInt(preset);
-        document.getElementById('widthInput').value = size;
-        document.getElementById('heightInput').value = size;
-        this.updateConversion();
-    }
-
-    updateConversion() {
-        if (this.files.length === 0) return;
-
-        const activeFile = this.files[this.activeFileIndex];
-        try {
-            const xml = this.convertSvgToVectorDrawable(activeFile.content);
-            activeFile.xml = xml;
-            this.updatePreview();
-            this.updateOutput();
-        } catch (error) {
-            this.showNotification('Conversion error: ' + error.message, 'error');
-        }
-    }
-
-    convertSvgToVectorDrawable(svgContent) {
-        const parser = new DOMParser();
-        const svgDoc = parser.parseFromString(svgContent, 'image/svg+xml');
-        const svgElement = svgDoc.documentElement;
-
-        if (svgElement.nodeName !== 'svg') {
-            throw new Error('Invalid SVG file');
-        }
-
-        // Get dimensions
-        const width = document.getElementById('widthInput').value || '24';
-        const height = document.getElementById('heightInput').value || '24';
-        const defaultFill = document.getElementById('fillColorPicker').value;
-        
-        // Get viewBox
-        let viewBox = svgElement.getAttribute('viewBox');
-        if (!viewBox) {
-            const svgWidth = svgElement.getAttribute('width') || width;
-            const svgHeight = svgElement.getAttribute('height') || height;
-            viewBox = `0 0 ${parseFloat(svgWidth)} ${parseFloat(svgHeight)}`;
-        }
-
-        const [, , viewportWidth, viewportHeight] = viewBox.split(' ').map(Number);
-
-        // Start building the vector XML
-        let xml = `<vector xmlns:android="http://schemas.android.com/apk/res/android"\n`;
-        xml += `    android:width="${width}dp"\n`;
-        xml += `    android:height="${height}dp"\n`;
-        xml += `    android:viewportWidth="${viewportWidth}"\n`;
-        xml += `    android:viewportHeight="${viewportHeight}">\n`;
-
-        // Process all supported elements
-        this.processElements(svgElement, xml, defaultFill, (result) => {
-            xml = result;
-        });
-
-        xml += `</vector>`;
-
-        // Format if requested
-        if (document.getElementById('formatXml').checked) {
-            xml = this.formatXml(xml);
-        }
-
-        return xml;
-    }
-
-    processElements(parent, xml, defaultFill, callback) {
-        const children = parent.children;
-        
-        for (let element of children) {
-            const tagName = element.tagName.toLowerCase();
-            
-            if (this.supportedElements.includes(tagName)) {
-                xml += this.convertElement(element, defaultFill);
-            } else if (tagName === 'g' || tagName === 'svg') {
-                // Recursively process groups
-                this.processElements(element, xml, defaultFill, (result) => {
-                    xml = result;
-                });
-            }
-        }
-        
-        callback(xml);
-    }
-
-    convertElement(element, defaultFill) {
-        const tagName = element.tagName.toLowerCase();
-        let pathData = '';
-        let fill = element.getAttribute('fill') || element.getAttribute('style')?.match(/fill:\s*([^;]+)/)?.[1] || defaultFill;
-        let stroke = element.getAttribute('stroke') || element.getAttribute('style')?.match(/stroke:\s*([^;]+)/)?.[1];
-        let strokeWidth = element.getAttribute('stroke-width') || element.getAttribute('style')?.match(/stroke-width:\s*([^;]+)/)?.[1];
-
-        // Clean up color values
-        if (fill === 'none') fill = null;
-        if (stroke === 'none') stroke = null;
-
-        switch (tagName) {
-            case 'path':
-                pathData = element.getAttribute('d');
-                break;
-            case 'rect':
-                pathData = this.rectToPath(element);
-                break;
-            case 'circle':
-                pathData = this.circleToPath(element);
-                break;
-            case 'ellipse':
-                pathData = this.ellipseToPath(element);
-                break;
-            case 'line':
-                pathData = this.lineToPath(element);
-                break;
-            case 'polygon':
-                pathData = this.polygonToPath(element);
-                break;
-            case 'polyline':
-                pathData = this.polylineToPath(element);
-                break;
-        }
-
-        if (!pathData) return '';
-
-        let pathXml = `    <path android:pathData="${pathData}"`;
-        
-        if (fill && fill !== 'transparent') {
-            pathXml += `\n        android:fillColor="${fill}"`;
-        }
-        
-        if (stroke && stroke !== 'transparent') {
-            pathXml += `\n        android:strokeColor="${stroke}"`;
-            if (strokeWidth) {
-                pathXml += `\n        android:strokeWidth="${strokeWidth}"`;
-            }
-        }
-        
-        pathXml += '/>\n';
-        return pathXml;
-    }
-
-    rectToPath(rect) {
-        const x = parseFloat(rect.getAttribute('x') || '0');
-        const y = parseFloat(rect.getAttribute('y') || '0');
-        const width = parseFloat(rect.getAttribute('width') || '0');
-        const height = parseFloat(rect.getAttribute('height') || '0');
-        const rx = parseFloat(rect.getAttribute('rx') || '0');
-        const ry = parseFloat(rect.getAttribute('ry') || rx || '0');
-
-        if (rx === 0 && ry === 0) {
-            return `M${x},${y} L${x + width},${y} L${x + width},${y + height} L${x},${y + height} Z`;
-        } else {
-            // Rounded rectangle - simplified version
-            return `M${x + rx},${y} L${x + width - rx},${y} Q${x + width},${y} ${x + width},${y + ry} L${x + width},${y + height - ry} Q${x + width},${y + height} ${x + width - rx},${y + height} L${x + rx},${y + height} Q${x},${y + height} ${x},${y + height - ry} L${x},${y + ry} Q${x},${y} ${x + rx},${y} Z`;
-        }
-    }
-
-    circleToPath(circle) {
-        const cx = parseFloat(circle.getAttribute('cx') || '0');
-        const cy = parseFloat(circle.getAttribute('cy') || '0');
-        const r = parseFloat(circle.getAttribute('r') || '0');
-        
-        return `M${cx - r},${cy} A${r},${r} 0 1,0 ${cx + r},${cy} A${r},${r} 0 1,0 ${cx - r},${cy}`;
-    }
-
-    ellipseToPath(ellipse) {
-        const cx = parseFloat(ellipse.getAttribute('cx') || '0');
-        const cy = parseFloat(ellipse.getAttribute('cy') || '0');
-        const rx = parseFloat(ellipse.getAttribute('rx') || '0');
-        const ry = parseFloat(ellipse.getAttribute('ry') || '0');
-        
-        return `M${cx - rx},${cy} A${rx},${ry} 0 1,0 ${cx + rx},${cy} A${rx},${ry} 0 1,0 ${cx - rx},${cy}`;
-    }
-
-    lineToPath(line) {
-        const x1 = parseFloat(line.getAttribute('x1') || '0');
-        const y1 = parseFloat(line.getAttribute('y1') || '0');
-        const x2 = parseFloat(line.getAttribute('x2') || '0');
-        const y2 = parseFloat(line.getAttribute('y2') || '0');
-        
-        return `M${x1},${y1} L${x2},${y2}`;
-    }
-
-    polygonToPath(polygon) {
-        const points = polygon.getAttribute('points')?.trim();
-        if (!points) return '';
-        
-        const coords = points.split(/[\s,]+/).filter(Boolean);
-        if (coords.length < 4) return '';
-        
-        let path = `M${coords[0]},${coords[1]}`;
-        for (let i = 2; i < coords.length; i += 2) {
-            path += ` L${coords[i]},${coords[i + 1]}`;
-        }
-        path += ' Z';
-        
-        return path;
-    }
-
-    polylineToPath(polyline) {
-        const points = polyline.getAttribute('points')?.trim();
-        if (!points) return '';
-        
-        const coords = points.split(/[\s,]+/).filter(Boolean);
-        if (coords.length < 4) return '';
-        
-        let path = `M${coords[0]},${coords[1]}`;
-        for (let i = 2; i < coords.length; i += 2) {
-            path += ` L${coords[i]},${coords[i + 1]}`;
-        }
-        
-        return path;
-    }
-
-    vectorXmlToSvg(xml) {
-        // Convert vector XML back to SVG for preview
-        const match = xml.match(/android:viewportWidth="([^"]+)"/);
-        const viewportWidth = match ? match[1] : '24';
-        const viewportHeightMatch = xml.match(/android:viewportHeight="([^"]+)"/);
-        const viewportHeight = viewportHeightMatch ? viewportHeightMatch[1] : '24';
-
-        let svg = `<svg viewBox="0 0 ${viewportWidth} ${viewportHeight}" xmlns="http://www.w3.org/2000/svg">`;
-        
-        const pathMatches = xml.matchAll(/<path[^>]*android:pathData="([^"]+)"[^>]*(?:android:fillColor="([^"]+)")?[^>]*(?:android:strokeColor="([^"]+)")?[^>]*(?:android:strokeWidth="([^"]+)")?[^>]*\/>/g);
-        
-        for (let match of pathMatches) {
-            const [, pathData, fillColor, strokeColor, strokeWidth] = match;
-            svg += `<path d="${pathData}"`;
-            if (fillColor) svg += ` fill="${fillColor}"`;
-            if (strokeColor) svg += ` stroke="${strokeColor}"`;
-            if (strokeWidth) svg += ` stroke-width="${strokeWidth}"`;
-            svg += '/>';
-        }
-        
-        svg += '</svg>';
-        return svg;
-    }
-
-    formatXml(xml) {
-        // Simple XML formatting
-        return xml.replace(/></g, '>\n<')
-                  .replace(/\n\s*\n/g, '\n')
-                  .split('\n')
-                  .map((line, index) => {
-                      if (index === 0) return line;
-                      const depth = (line.match(/^\s*<\//) ? -1 : 0) + (line.match(/<[^\/][^>]*[^\/]>/g) || []).length;
-                      return '    '.repeat(Math.max(0, depth)) + line.trim();
-                  })
-                  .join('\n');
-    }
-
-    updateOutput() {
-        if (this.files.length === 0 || !this.files[this.activeFileIndex].xml) {
-            document.getElementById('xmlOutput').value = '';
-            document.getElementById('copyBtn').disabled = true;
-            document.getElementById('downloadBtn').disabled = true;
-            return;
-        }
-
-        const activeFile = this.files[this.activeFileIndex];
-        document.getElementById('xmlOutput').value = activeFile.xml;
-        document.getElementById('copyBtn').disabled = false;
-        document.getElementById('downloadBtn').disabled = false;
-
-        // Update stats
-        const originalSize = new Blob([activeFile.content]).size;
-        const xmlSize = new Blob([activeFile.xml]).size;
-        const compression = ((1 - xmlSize / originalSize) * 100).toFixed(1);
-        
-        document.getElementById('outputStats').textContent = 
-            `${this.formatFileSize(xmlSize)} • ${compression}% smaller`;
-    }
-
-    async copyXML() {
-        const xml = document.getElementById('xmlOutput').value;
-        try {
-            await navigator.clipboard.writeText(xml);
-            const copyBtn = document.getElementById('copyBtn');
-            const originalText = copyBtn.textContent;
-            copyBtn.textContent = '✓ Copied!';
-            setTimeout(() => {
-                copyBtn.textContent = originalText;
-            }, 2000);
-            this.showNotification('XML copied to clipboard', 'success');
-        } catch (error) {
-            this.showNotification('Failed to copy to clipboard', 'error');
-        }
-    }
-
-    downloadXML() {
-        if (this.files.length === 0) return;
-        
-        const activeFile = this.files[this.activeFileIndex];
-        const filename = activeFile.name.replace(/\.svg$/i, '.xml');
-        this.downloadFile(activeFile.xml, filename, 'application/xml');
-        this.showNotification('File downloaded', 'success');
-    }
-
-    downloadAll() {
-        if (this.files.length <= 1) return;
-
-        this.showLoading(true);
-        
-        // Create a zip-like structure (simple approach)
-        const files = this.files.map(file => ({
-            name: file.name.replace(/\.svg$/i, '.xml'),
-            content: file.xml
-        }));
-
-        // For simplicity, download as separate files
-        files.forEach((file, index) => {
-            setTimeout(() => {
-                this.downloadFile(file.content, file.name, 'application/xml');
-                if (index === files.length - 1) {
-                    this.showLoading(false);
-                    this.showNotification('All files downloaded', 'success');
-                }
-            }, index * 100);
-        });
-    }
-
-    downloadFile(content, filename, mimeType) {
-        const blob = new Blob([content], { type: mimeType });
-        const url = URL.createObjectURL(blob);
-        const a = document.createElement('a');
-        a.href = url;
-        a.download = filename;
-        document.body.appendChild(a);
-        a.click();
-        document.body.removeChild(a);
-        URL.revokeObjectURL(url);
-    }
-
-    saveToRecent() {
-        if (this.files.length === 0) return;
-
-        const recentFile = {
-            name: this.files[0].name,
-            date: new Date().toISOString(),
-            content: this.files[0].content
-        };
-
-        this.recentFiles = this.recentFiles.filter(file => file.name !== recentFile.name);
-        this.recentFiles.unshift(recentFile);
-        this.recentFiles = this.recentFiles.slice(0, 10); // Keep only 10 recent files
-
-        localStorage.setItem('recentFiles', JSON.stringify(this.recentFiles));
-        this.loadRecentFiles();
-    }
-
-    loadRecentFiles() {
-        const recentSection = document.getElementById('recentSection');
-        const recentFiles = document.getElementById('recentFiles');
-        
-        if (this.recentFiles.length === 0) {
-            recentSection.style.display = 'none';
-            return;
-        }
-
-        recentSection.style.display = 'block';
-        recentFiles.innerHTML = '';
-
-        this.recentFiles.forEach(file => {
-            const recentFile = document.createElement('div');
-            recentFile.className = 'recent-file';
-            recentFile.innerHTML = `
-                <div class="recent-file-name">${file.name}</div>
-                <div class="recent-file-date">${new Date(file.date).toLocaleDateString()}</div>
-            `;
-            
-            recentFile.addEventListener('click', () => {
-                this.loadRecentFile(file);
-            });
-            
-            recentFiles.appendChild(recentFile);
-        });
-    }
-
-    async loadRecentFile(file) {
-        const fakeFile = new File([file.content], file.name, { type: 'image/svg+xml' });
-        await this.handleFiles([fakeFile]);
-    }
-
-    applyPreferences() {
-        if (this.preferences.defaultSize) {
-            document.getElementById('sizePreset').value = this.preferences.defaultSize;
-        }
-        if (this.preferences.defaultColor) {
-            document.getElementById('fillColorPicker').value = this.preferences.defaultColor;
-        }
-    }
-
-    savePreferences() {
-        this.preferences = {
-            defaultSize: document.getElementById('sizePreset').value,
-            defaultColor: document.getElementById('fillColorPicker').value
-        };
-        localStorage.setItem('preferences', JSON.stringify(this.preferences));
-    }
-
-    showNotification(message, type = 'info') {
-        const notification = document.createElement('div');
-        notification.className = `notification ${type}`;
-        
-        const icon = type === 'success' ? '✓' : type === 'error' ? '✕' : type === 'warning' ? '⚠' : 'ℹ';
-        
-        notification.innerHTML = `
-            <div class="notification-content">
-                <div class="notification-icon">${icon}</div>
-                <div class="notification-text">
-                    <div class="notification-message">${message}</div>
-                </div>
-            </div>
-        `;
-
-        document.getElementById('notifications').appendChild(notification);
-
-        setTimeout(() => {
-            notification.style.animation = 'slideOut 0.3s ease-in forwards';
-            setTimeout(() => {
-                if (notification.parentNode) {
-                    notification.parentNode.removeChild(notification);
-                }
-            }, 300);
-        }, 3000);
-    }
-
-    showLoading(show) {
-        const overlay = document.getElementById('loadingOverlay');
-        if (show) {
-            overlay.classList.remove('hidden');
-        } else {
-            overlay.classList.add('hidden');
-        }
-    }
-
-    formatFileSize(bytes) {
-        if (bytes === 0) return '0 B';
-        const k = 1024;
-        const sizes = ['B', 'KB', 'MB', 'GB'];
-        const i = Math.floor(Math.log(bytes) / Math.log(k));
-        return parseFloat((bytes / Math.pow(k, i)).toFixed(1)) + ' ' + sizes[i];
-    }
-}
-
-// Add slide out animation
-const styleSheet = document.createElement('style');
-styleSheet.textContent = `
-    @keyframes slideOut {
-        to {
-            transform: translateX(100%);
-            opacity: 0;
-        }
-    }
-`;
-document.head.appendChild(styleSheet);
-
-// Initialize the application
-document.addEventListener('DOMContentLoaded', () => {
-    new SVGConverter();
-});
-
-// Keyboard shortcuts
-document.addEventListener('keydown', (e) => {
-    if (e.ctrlKey || e.metaKey) {
-        switch (e.key) {
-            case 'o':
-                e.preventDefault();
-                document.getElementById('fileInput').click();
-                break;
-            case 'c':
-                if (e.target.tagName !== 'INPUT' && e.target.tagName !== 'TEXTAREA') {
-                    e.preventDefault();
-                    document.getElementById('copyBtn').click();
-                }
-                break;
-            case 's':
-                e.preventDefault();
-                document.getElementById('downloadBtn').click();
-                break;
-        }
-    }
+// SVG to VectorDrawable Converter - Main Application
+// The page UI; conversion itself lives in lib/converter.js
+class SVGConverter {
+    constructor() {
+        this.files = [];
+        this.activeFileIndex = 0;
+        this.selectedFiles = new Set();
+        this.conversionTimer = null;
+        this.preferences = JSON.parse(localStorage.getItem('preferences') || '{}');
+        this.colorMap = { ...this.preferences.colorProfiles?.[this.preferences.colorProfile] };
+        this.zoomLevel = 1;
+        this.showGrid = false;
+        this.showDiff = false;
+        this.fidelityRun = 0;
+        this.animationTime = 0;
+        this.animationFrame = null;
+        this.showOutputDiff = false;
+        this.converter = new Svg2Vector.VectorDrawableConverter();
+        // Fonts text is outlined with: the bundled ones, fetched on first need, and uploads
+        this.fonts = new Svg2Vector.FontLibrary();
+        this.bundledFonts = null;
+        this.workspace = new Svg2Vector.Workspace();
+        this.projects = [];
+        this.project = null;
+        
+        // Default data
+        this.defaultSizes = [
+            {name: "Small", width: 24, height: 24},
+            {name: "Medium", width: 32, height: 32},
+            {name: "Large", width: 48, height: 48},
+            {name: "Extra Large", width: 64, height: 64}
+        ];
+
+        // Density buckets for PNG fallbacks and their scale relative to mdpi
+        this.densities = [
+            ["mdpi", 1], ["hdpi", 1.5], ["xhdpi", 2], ["xxhdpi", 3], ["xxxhdpi", 4]
+        ];
+        
+        this.defaultColors = [
+            "#000000", "#333333", "#666666", "#999999", "#CCCCCC", "#FFFFFF",
+            "#FF0000", "#00FF00", "#0000FF", "#FFFF00", "#FF00FF", "#00FFFF",
+            "#FF6B6B", "#4ECDC4", "#45B7D1", "#96CEB4", "#FFEAA7", "#DDA0DD"
+        ];
+
+        this.init();
+    }
+
+    init() {
+        this.setupEventListeners();
+        this.setupTheme();
+        this.setupColorPresets();
+        this.loadProjects();
+        this.applyPreferences();
+    }
+
+    setupEventListeners() {
+        // Theme toggle
+        document.getElementById('themeToggle').addEventListener('click', () => this.toggleTheme());
+
+        // File upload
+        const uploadArea = document.getElementById('uploadArea');
+        const fileInput = document.getElementById('fileInput');
+        const browseBtn = document.getElementById('browseBtn');
+
+        browseBtn.addEventListener('click', () => fileInput.click());
+        fileInput.addEventListener('change', (e) => this.handleFiles(e.target.files));
+
+        // Drag and drop
+        uploadArea.addEventListener('dragover', (e) => this.handleDragOver(e));
+        uploadArea.addEventListener('dragleave', (e) => this.handleDragLeave(e));
+        uploadArea.addEventListener('drop', (e) => this.handleDrop(e));
+
+        // Options
+        document.getElementById('sizePreset').addEventListener('change', (e) => this.handleSizePreset(e));
+        document.getElementById('widthInput').addEventListener('input', () => this.updateConversion());
+        document.getElementById('heightInput').addEventListener('input', () => this.updateConversion());
+        document.getElementById('fillColorPicker').addEventListener('change', () => this.updateConversion());
+        document.getElementById('formatXml').addEventListener('change', () => this.updateConversion());
+        document.getElementById('exportAnimations').addEventListener('change', () => this.updateConversion());
+        document.getElementById('outlineStrokes').addEventListener('change', () => this.updateConversion());
+        document.getElementById('minSdkVersion').addEventListener('input', () => this.updateConversion());
+        document.getElementById('fallbackFont').addEventListener('change', () => this.updateConversion());
+        document.getElementById('addFontsBtn').addEventListener('click', () => document.getElementById('fontInput').click());
+        document.getElementById('selectAllFiles').addEventListener('change', (e) => this.selectAllFiles(e.target.checked));
+        document.getElementById('applyOptionsBtn').addEventListener('click', () => this.applyOptionsToSelected());
+        document.getElementById('fontInput').addEventListener('change', (e) => {
+            this.addFonts(e.target.files);
+            e.target.value = '';
+        });
+        document.getElementById('precisionInput').addEventListener('input', () => this.updateConversion());
+        document.getElementById('pathFormat').addEventListener('change', () => this.updateConversion());
+        document.getElementById('tintInput').addEventListener('input', () => this.updateConversion());
+        document.getElementById('tintMode').addEventListener('change', () => this.updateConversion());
+        document.querySelectorAll('.optimize-step').forEach(input => {
+            input.addEventListener('change', () => this.updateConversion());
+        });
+
+        // Color mapping
+        document.getElementById('colorProfile').addEventListener('change', (e) => this.selectColorProfile(e.target.value));
+        document.getElementById('saveColorProfile').addEventListener('click', () => this.saveColorProfile());
+        document.getElementById('deleteColorProfile').addEventListener('click', () => this.deleteColorProfile());
+
+        // Preview controls
+        document.getElementById('zoomIn').addEventListener('click', () => this.zoomPreview(1.2));
+        document.getElementById('zoomOut').addEventListener('click', () => this.zoomPreview(0.8));
+        document.getElementById('toggleGrid').addEventListener('click', () => this.toggleGrid());
+        document.getElementById('toggleDiff').addEventListener('click', () => this.toggleDiff());
+        document.getElementById('playAnimation').addEventListener('click', () => this.toggleAnimation());
+        document.getElementById('animationScrub').addEventListener('input', (e) => {
+            this.pauseAnimation();
+            this.animationTime = Number(e.target.value);
+            this.renderVectorPreview();
+        });
+        document.getElementById('fidelityThreshold').addEventListener('input', () => this.updateFileList());
+
+        // Projects
+        document.getElementById('projectName').addEventListener('input', (e) => this.renameProject(e.target.value));
+        document.getElementById('recentSearch').addEventListener('input', () => this.renderProjects());
+        document.getElementById('recentFilter').addEventListener('change', () => this.renderProjects());
+        document.getElementById('importProjectBtn').addEventListener('click', () => document.getElementById('importProjectInput').click());
+        document.getElementById('importProjectInput').addEventListener('change', (e) => {
+            this.importProject(e.target.files[0]);
+            e.target.value = '';
+        });
+        document.getElementById('outputHistory').addEventListener('change', (e) => this.restoreHistory(e.target));
+
+        // Output actions
+        document.getElementById('outputFormat').addEventListener('change', () => this.saveComposePreferences());
+        ['composePackage', 'composeReceiver', 'resourcePrefix'].forEach(id => {
+            document.getElementById(id).addEventListener('input', () => this.saveComposePreferences());
+        });
+        document.getElementById('composeNaming').addEventListener('change', () => this.saveComposePreferences());
+        const xmlOutput = document.getElementById('xmlOutput');
+        xmlOutput.addEventListener('input', () => this.editOutput(xmlOutput.value));
+        xmlOutput.addEventListener('scroll', () => {
+            const highlight = document.getElementById('xmlHighlight');
+            highlight.scrollTop = xmlOutput.scrollTop;
+            highlight.scrollLeft = xmlOutput.scrollLeft;
+        });
+        document.getElementById('outputDiffBtn').addEventListener('click', () => {
+            this.showOutputDiff = !this.showOutputDiff;
+            this.updateOutput();
+        });
+        document.getElementById('resetOutputBtn').addEventListener('click', () => this.resetOutput());
+        document.getElementById('copyBtn').addEventListener('click', () => this.copyXML());
+        document.getElementById('downloadBtn').addEventListener('click', () => this.downloadXML());
+        document.getElementById('downloadAllBtn').addEventListener('click', () => this.downloadAll());
+    }
+
+    setupTheme() {
+        const savedTheme = localStorage.getItem('theme') || 'light';
+        this.setTheme(savedTheme);
+    }
+
+    toggleTheme() {
+        const currentTheme = document.documentElement.getAttribute('data-color-scheme') || 'light';
+        const newTheme = currentTheme === 'light' ? 'dark' : 'light';
+        this.setTheme(newTheme);
+    }
+
+    setTheme(theme) {
+        document.documentElement.setAttribute('data-color-scheme', theme);
+        const themeIcon = document.querySelector('.theme-icon');
+        themeIcon.textContent = theme === 'light' ? '🌙' : '☀️';
+        localStorage.setItem('theme', theme);
+    }
+
+    setupColorPresets() {
+        const colorPresets = document.getElementById('colorPresets');
+        this.defaultColors.forEach(color => {
+            const preset = document.createElement('div');
+            preset.className = 'color-preset';
+            preset.style.backgroundColor = color;
+            preset.title = color;
+            preset.addEventListener('click', () => {
+                document.getElementById('fillColorPicker').value = color;
+                this.updateColorPresetSelection(color);
+                this.updateConversion();
+            });
+            colorPresets.appendChild(preset);
+        });
+    }
+
+    updateColorPresetSelection(selectedColor) {
+        document.querySelectorAll('.color-preset').forEach(preset => {
+            preset.classList.toggle('active', preset.style.backgroundColor === selectedColor);
+        });
+    }
+
+    handleDragOver(e) {
+        e.preventDefault();
+        document.getElementById('uploadArea').classList.add('drag-over');
+    }
+
+    handleDragLeave(e) {
+        e.preventDefault();
+        document.getElementById('uploadArea').classList.remove('drag-over');
+    }
+
+    handleDrop(e) {
+        e.preventDefault();
+        document.getElementById('uploadArea').classList.remove('drag-over');
+        this.handleFiles(e.dataTransfer.files);
+    }
+
+    async handleFiles(fileList) {
+        // Fonts dropped along with SVGs are loaded for their text
+        const fontFiles = Array.from(fileList).filter(file => this.isFontFile(file));
+        if (fontFiles.length > 0) await this.addFonts(fontFiles);
+
+        const files = Array.from(fileList).filter(file => 
+            file.type === 'image/svg+xml' || /\.(svg|xml)$/i.test(file.name)
+        );
+
+        if (files.length === 0) {
+            if (fontFiles.length === 0) this.showNotification('Please select valid SVG or VectorDrawable XML files', 'error');
+            return;
+        }
+
+        if (files.length > 10) {
+            this.showNotification('Maximum 10 files allowed at once', 'warning');
+            return;
+        }
+
+        this.showLoading(true);
+
+        try {
+            const added = [];
+            
+            for (let file of files) {
+                if (file.size > 5 * 1024 * 1024) { // 5MB limit
+                    this.showNotification(`File ${file.name} is too large (max 5MB)`, 'warning');
+                    continue;
+                }
+
+                // A file that cannot be read is listed as failed; the rest of the batch still loads
+                let content;
+                try {
+                    content = await this.readFile(file);
+                } catch (error) {
+                    added.push({
+                        name: file.name,
+                        size: file.size,
+                        content: '',
+                        kind: /\.xml$/i.test(file.name) ? 'vector' : 'svg',
+                        xml: null,
+                        readError: `Cannot read file: ${error.message}`,
+                        error: `Cannot read file: ${error.message}`,
+                        lastModified: file.lastModified
+                    });
+                    continue;
+                }
+
+                // Sprite sheets become one entry per symbol, named after the symbol id.
+                // Malformed files are left whole, so their conversion reports the error.
+                let symbols = null;
+                try {
+                    symbols = document.getElementById('splitSprites').checked ? this.converter.splitSpriteSheet(content) : null;
+                } catch (error) {
+                    symbols = null;
+                }
+                if (symbols) {
+                    symbols.forEach(symbol => added.push({
+                        name: symbol.name,
+                        size: new Blob([symbol.content]).size,
+                        content: symbol.content,
+                        kind: 'svg',
+                        xml: null,
+                        lastModified: file.lastModified
+                    }));
+                    continue;
+                }
+
+                // VectorDrawable XML goes the other way and is exported as SVG
+                const fileData = {
+                    name: file.name,
+                    size: file.size,
+                    content: content,
+                    kind: /\.xml$/i.test(file.name) ? 'vector' : 'svg',
+                    xml: null,
+                    lastModified: file.lastModified
+                };
+
+                added.push(fileData);
+            }
+
+            if (added.length > 0) {
+                this.files = added;
+                this.selectedFiles.clear();
+                // New files start with the options in the panel
+                const options = this.getConversionOptions();
+                this.files.filter(file => file.kind !== 'vector').forEach(file => file.options = { ...options, colors: { ...this.colorMap } });
+                const more = this.files.length > 1 ? ` and ${this.files.length - 1} more` : '';
+                this.project = { id: Svg2Vector.createProjectId(), name: `${this.files[0].name.replace(/\.[^.]*$/, '')}${more}`, created: new Date().toISOString() };
+                document.getElementById('projectName').value = this.project.name;
+                this.activeFileIndex = 0;
+                await this.prepareFonts();
+                this.showProcessingSection();
+                this.updateFileList();
+                this.updatePreview();
+                this.updateConversion();
+                this.queueConversions(this.files.filter(file => !file.xml && !file.error));
+                this.saveProject();
+            }
+
+        } catch (error) {
+            this.showNotification('Error processing files: ' + error.message, 'error');
+        } finally {
+            this.showLoading(false);
+        }
+    }
+
+    isFontFile(file) {
+        return /\.(ttf|otf|ttc|woff2?)$/i.test(file.name) || /^font\//.test(file.type);
+    }
+
+    /**
+     * Loads uploaded font files for outlining text. Files that are not fonts the
+     * parser reads are reported and skipped.
+     */
+    async addFonts(fileList) {
+        const added = [];
+        for (let file of fileList) {
+            try {
+                const font = await Svg2Vector.loadFont(new Uint8Array(await file.arrayBuffer()));
+                this.fonts.add(font);
+                added.push(font.name);
+            } catch (error) {
+                this.showNotification(`${file.name}: ${error.message}`, 'error');
+            }
+        }
+        if (added.length === 0) return;
+
+        this.renderFonts();
+        this.showNotification(`Loaded ${added.join(', ')}`, 'success');
+        this.updateConversion();
+        this.queueConversions(this.files.filter(file => file !== this.files[this.activeFileIndex] && this.hasText(file)));
+    }
+
+    hasText(file) {
+        return file.kind !== 'vector' && /<text[\s>]/.test(file.content);
+    }
+
+    /**
+     * Fetches the bundled fonts the first time a file has text to outline.
+     */
+    async prepareFonts() {
+        if (!this.files.some(file => this.hasText(file))) return;
+
+        this.bundledFonts = this.bundledFonts || Promise.all(Svg2Vector.bundledFonts.map(async ({ file, generic }) => {
+            const response = await fetch(`fonts/${file}`);
+            if (!response.ok) throw new Error(`${file} could not be fetched`);
+            this.fonts.add(await Svg2Vector.loadFont(new Uint8Array(await response.arrayBuffer())), [generic]);
+        })).catch(error => {
+            this.showNotification(`The bundled fonts could not be loaded (${error.message}); upload fonts to outline text`, 'warning');
+        });
+        await this.bundledFonts;
+        this.renderFonts();
+    }
+
+    /**
+     * Lists the loaded fonts and offers their families as the fallback for text
+     * in fonts that are not loaded. A fallback saved with a file stays selectable
+     * even before its font is loaded again.
+     */
+    renderFonts(selected = document.getElementById('fallbackFont').value) {
+        const select = document.getElementById('fallbackFont');
+        const families = this.fonts.families();
+        const choices = [
+            ['sans-serif', 'Sans-serif'], ['serif', 'Serif'], ['monospace', 'Monospace'],
+            ...families.map(family => [family, family]),
+            ['', 'None (drop the text)']
+        ];
+        if (!choices.some(([value]) => value === selected)) choices.splice(choices.length - 1, 0, [selected, selected]);
+
+        select.innerHTML = '';
+        for (let [value, label] of choices) {
+            const option = document.createElement('option');
+            option.value = value;
+            option.textContent = label;
+            select.appendChild(option);
+        }
+        select.value = selected;
+
+        document.getElementById('fontList').textContent = this.fonts.fonts.length > 0
+            ? this.fonts.fonts.map(font => font.name).join(', ')
+            : 'Bundled fonts load when a file has text';
+    }
+
+    /**
+     * Converts SVG markup with the loaded fonts for its text.
+     */
+    convertContent(content, options) {
+        return this.converter.convert(content, { ...options, fonts: this.fonts });
+    }
+
+    readFile(file) {
+        return new Promise((resolve, reject) => {
+            const reader = new FileReader();
+            reader.onload = e => resolve(e.target.result);
+            reader.onerror = reject;
+            reader.readAsText(file);
+        });
+    }
+
+    showProcessingSection() {
+        document.getElementById('processingSection').classList.remove('hidden');
+        document.getElementById('processingSection').classList.add('fade-in');
+    }
+
+    updateFileList() {
+        const fileList = document.getElementById('fileList');
+        fileList.innerHTML = '';
+
+        this.files.forEach((file, index) => {
+            // The badge shows where the file's conversion stands; issues are counted and
+            // colored by the most severe one
+            const warnings = file.warnings || [];
+            const severity = ['error', 'warning', 'info'].find(level => warnings.some(warning => warning.severity === level));
+            const badge = {
+                pending: '<span class="status status--info file-badge" title="Waiting to be converted">pending</span>',
+                failed: `<span class="status status--error file-badge" title="${Svg2Vector.escapeXml(file.error || "")}">failed</span>`,
+                warnings: `<span class="status status--${severity} file-badge" title="Converted with ${warnings.length} issue(s)">${warnings.length}</span>`,
+                converted: '<span class="status status--success file-badge" title="Converted">✓</span>'
+            }[this.fileStatus(file)];
+
+            const edited = file.override !== undefined
+                ? '<span class="status status--info file-badge" title="The XML was edited by hand">edited</span>'
+                : '';
+
+            // Files rendering less like the original than the threshold allows are flagged
+            let score = '';
+            if (file.fidelity) {
+                const similarity = file.fidelity.similarity * 100;
+                const below = similarity < this.getFidelityThreshold();
+                score = `<span class="status status--${below ? 'error' : 'success'} file-badge" title="Pixel similarity to the original${below ? ', below the threshold' : ''}">${similarity.toFixed(1)}%</span>`;
+            }
+
+            const fileItem = document.createElement('div');
+            fileItem.className = `file-item ${index === this.activeFileIndex ? 'active' : ''}`;
+            fileItem.innerHTML = `
+                <input type="checkbox" class="file-select" title="Select for Apply Options" ${this.selectedFiles.has(file) ? 'checked' : ''}>
+                <div class="file-info">
+                    <div class="file-name">${Svg2Vector.escapeXml(file.name)}${badge}${edited}${score}</div>
+                    <div class="file-size">${this.formatFileSize(file.size)}</div>
+                </div>
+                <div class="file-actions">
+                    <button class="file-remove" data-index="${index}">✕</button>
+                </div>
+            `;
+
+            fileItem.addEventListener('click', (e) => {
+                if (!e.target.classList.contains('file-remove') && !e.target.classList.contains('file-select')) {
+                    this.selectFile(index);
+                }
+            });
+
+            fileItem.querySelector('.file-select').addEventListener('change', (e) => {
+                if (e.target.checked) this.selectedFiles.add(file);
+                else this.selectedFiles.delete(file);
+                this.updateSelectionControls();
+            });
+
+            fileItem.querySelector('.file-remove').addEventListener('click', (e) => {
+                e.stopPropagation();
+                this.removeFile(index);
+            });
+
+            fileList.appendChild(fileItem);
+        });
+
+        // Update download all button
+        document.getElementById('downloadAllBtn').disabled = this.files.length <= 1;
+        this.updateSelectionControls();
+    }
+
+    /**
+     * Where a file's conversion stands: "pending" until it is converted with its
+     * current options, then "failed", "warnings" or "converted".
+     */
+    fileStatus(file) {
+        if (file.pending || (!file.xml && !file.error)) return 'pending';
+        if (file.error) return 'failed';
+        return file.warnings?.length > 0 ? 'warnings' : 'converted';
+    }
+
+    updateSelectionControls() {
+        const selected = this.files.filter(file => this.selectedFiles.has(file)).length;
+        const selectAll = document.getElementById('selectAllFiles');
+        selectAll.checked = selected > 0 && selected === this.files.length;
+        selectAll.indeterminate = selected > 0 && selected < this.files.length;
+        const apply = document.getElementById('applyOptionsBtn');
+        apply.disabled = selected === 0;
+        apply.textContent = selected > 0 ? `Apply Options to ${selected} Selected` : 'Apply Options to Selected';
+    }
+
+    selectAllFiles(selected) {
+        this.selectedFiles = new Set(selected ? this.files : []);
+        this.updateFileList();
+    }
+
+    /**
+     * Gives the selected files the options shown in the panel and reconverts them
+     * in the background. VectorDrawable files have no conversion options.
+     */
+    applyOptionsToSelected() {
+        const options = { ...this.getConversionOptions(), colors: { ...this.colorMap } };
+        const files = this.files.filter(file => this.selectedFiles.has(file) && file.kind !== 'vector');
+        if (files.length === 0) {
+            this.showNotification('None of the selected files is an SVG with options to apply', 'info');
+            return;
+        }
+
+        files.forEach(file => file.options = { ...options, colors: { ...options.colors } });
+        this.queueConversions(files);
+        this.showNotification(`Applying the options to ${files.length} file(s)`, 'info');
+    }
+
+    selectFile(index) {
+        this.pauseAnimation();
+        this.animationTime = 0;
+        this.activeFileIndex = index;
+        const file = this.files[index];
+        if (file.options) this.setConversionOptions(file.options);
+        this.updateFileList();
+        this.scheduleProjectSave();
+        if (!file.xml || file.pending) {
+            this.updateConversion();
+            return;
+        }
+        this.updatePreview();
+        this.updateOutput();
+    }
+
+    removeFile(index) {
+        this.selectedFiles.delete(this.files[index]);
+        this.files.splice(index, 1);
+        this.scheduleProjectSave();
+        
+        if (this.files.length === 0) {
+            document.getElementById('processingSection').classList.add('hidden');
+            return;
+        }
+
+        // Files after the removed one move up; removing the active file makes
+        // its successor active, with its own options in the panel
+        const removedActive = index === this.activeFileIndex;
+        if (index < this.activeFileIndex) this.activeFileIndex--;
+        this.activeFileIndex = Math.min(this.activeFileIndex, this.files.length - 1);
+        if (removedActive) {
+            this.selectFile(this.activeFileIndex);
+            return;
+        }
+
+        this.updateFileList();
+        this.updatePreview();
+        this.updateOutput();
+    }
+
+    updatePreview() {
+        if (this.files.length === 0) return;
+
+        const activeFile = this.files[this.activeFileIndex];
+        const originalPreview = document.getElementById('originalPreview');
+        const vectorPreview = document.getElementById('vectorPreview');
+
+        // Show original SVG
+        try {
+            const parser = new DOMParser();
+            const source = activeFile.kind === 'vector' ? activeFile.svg : activeFile.content;
+            const svgDoc = parser.parseFromString(source || '', 'image/svg+xml');
+            const svgElement = svgDoc.documentElement.cloneNode(true);
+            
+            originalPreview.innerHTML = '';
+            originalPreview.appendChild(svgElement);
+            this.applyPreviewTransform(originalPreview);
+        } catch (error) {
+            originalPreview.innerHTML = '<div class="preview-placeholder">Invalid SVG</div>';
+        }
+
+        // Show converted vector (if available)
+        this.renderVectorPreview();
+    }
+
+    renderVectorPreview() {
+        const activeFile = this.files[this.activeFileIndex];
+        const vectorPreview = document.getElementById('vectorPreview');
+        const duration = activeFile?.xml ? this.animationLength(activeFile) : 0;
+        document.getElementById('animationControls').classList.toggle('hidden', duration === 0);
+
+        if (!activeFile?.xml) {
+            vectorPreview.innerHTML = '<div class="preview-placeholder">Converting...</div>';
+            return;
+        }
+
+        // Animated vectors show the frame at the scrubbed time
+        if (this.animationTime > duration) this.animationTime = 0;
+        const scrub = document.getElementById('animationScrub');
+        scrub.max = duration;
+        scrub.value = this.animationTime;
+        document.getElementById('animationTime').textContent = `${Math.round(this.animationTime)} ms`;
+
+        try {
+            const vectorSvg = Svg2Vector.vectorToSvg(activeFile.xml, {
+                colors: this.previewColors(activeFile),
+                idPrefix: 'preview-',
+                includeSize: false,
+                pretty: false,
+                time: duration > 0 ? this.animationTime : null
+            }).svg;
+            vectorPreview.innerHTML = vectorSvg;
+            if (!this.animationFrame) this.showHeatmap(vectorPreview, activeFile);
+            this.applyPreviewTransform(vectorPreview);
+        } catch (error) {
+            vectorPreview.innerHTML = '<div class="preview-placeholder">Conversion error</div>';
+        }
+    }
+
+    animationLength(file) {
+        if (file.animation?.xml !== file.xml) {
+            let duration = 0;
+            try {
+                duration = Svg2Vector.animationDuration(file.xml);
+            } catch (error) {
+                // Hand-edited XML that does not parse has nothing to play
+            }
+            file.animation = { xml: file.xml, duration };
+        }
+        return file.animation.duration;
+    }
+
+    toggleAnimation() {
+        if (this.animationFrame) {
+            this.pauseAnimation();
+            return;
+        }
+
+        // Plays from the scrubbed time and loops over the timeline
+        const start = performance.now() - this.animationTime;
+        const step = (now) => {
+            const activeFile = this.files[this.activeFileIndex];
+            const duration = activeFile?.xml ? this.animationLength(activeFile) : 0;
+            if (duration === 0) {
+                this.pauseAnimation();
+                return;
+            }
+            this.animationTime = (now - start) % duration;
+            this.renderVectorPreview();
+            this.animationFrame = requestAnimationFrame(step);
+        };
+        this.animationFrame = requestAnimationFrame(step);
+        document.getElementById('playAnimation').textContent = '⏸';
+    }
+
+    pauseAnimation() {
+        if (this.animationFrame) cancelAnimationFrame(this.animationFrame);
+        this.animationFrame = null;
+        document.getElementById('playAnimation').textContent = '▶';
+    }
+
+    applyPreviewTransform(container) {
+        const svg = container.querySelector('svg');
+        if (svg) {
+            svg.style.transform = `scale(${this.zoomLevel})`;
+            container.classList.toggle('grid-bg', this.showGrid);
+        }
+    }
+
+    zoomPreview(factor) {
+        this.zoomLevel *= factor;
+        this.zoomLevel = Math.max(0.1, Math.min(3, this.zoomLevel));
+        this.updatePreview();
+    }
+
+    toggleGrid() {
+        this.showGrid = !this.showGrid;
+        this.updatePreview();
+    }
+
+    toggleDiff() {
+        this.showDiff = !this.showDiff;
+        this.updatePreview();
+    }
+
+    showHeatmap(container, file) {
+        // Overlays the pixels that differ from the original on the converted preview
+        const svg = container.querySelector('svg');
+        if (!this.showDiff || !svg || !file.fidelity || file.fidelity.xml !== file.xml) return;
+
+        const [x, y, width, height] = svg.getAttribute('viewBox').split(/[\s,]+/);
+        const image = document.createElementNS('http://www.w3.org/2000/svg', 'image');
+        image.setAttribute('class', 'fidelity-heatmap');
+        image.setAttribute('href', file.fidelity.heatmap);
+        image.setAttribute('x', x);
+        image.setAttribute('y', y);
+        image.setAttribute('width', width);
+        image.setAttribute('height', height);
+        image.setAttribute('preserveAspectRatio', 'none');
+        svg.appendChild(image);
+    }
+
+    handleSizePreset(e) {
+        const preset = e.target.value;
+        this.updateSizeInputs();
+        if (preset === 'auto') {
+            this.updateConversion();
+            return;
+        }
+        if (preset === 'custom') return;
+
+        const size = parseInt(preset);
+        document.getElementById('widthInput').value = size;
+        document.getElementById('heightInput').value = size;
+        this.updateConversion();
+    }
+
+    updateSizeInputs() {
+        // The auto preset derives the size per file, so the manual inputs don't apply
+        const auto = document.getElementById('sizePreset').value === 'auto';
+        document.getElementById('widthInput').disabled = auto;
+        document.getElementById('heightInput').disabled = auto;
+    }
+
+    getConversionOptions() {
+        return {
+            width: parseFloat(document.getElementById('widthInput').value) || 24,
+            height: parseFloat(document.getElementById('heightInput').value) || 24,
+            autoSize: document.getElementById('sizePreset').value === 'auto',
+            defaultFill: document.getElementById('fillColorPicker').value,
+            pretty: document.getElementById('formatXml').checked,
+            precision: parseInt(document.getElementById('precisionInput').value, 10),
+            pathFormat: document.getElementById('pathFormat').value,
+            optimize: Object.fromEntries([...document.querySelectorAll('.optimize-step')].map(input => [input.value, input.checked])),
+            colors: this.colorMap,
+            tint: document.getElementById('tintInput').value.trim() || null,
+            tintMode: document.getElementById('tintMode').value || null,
+            animations: document.getElementById('exportAnimations').checked,
+            outlineStrokes: document.getElementById('outlineStrokes').checked,
+            minSdkVersion: parseInt(document.getElementById('minSdkVersion').value, 10) || 21,
+            fallbackFont: document.getElementById('fallbackFont').value
+        };
+    }
+
+    /**
+     * Shows a set of options, as returned by getConversionOptions, in the panel.
+     */
+    setConversionOptions(options) {
+        const preset = options.autoSize ? 'auto'
+            : options.width === options.height && [24, 32, 48, 64].includes(options.width) ? String(options.width) : 'custom';
+        document.getElementById('sizePreset').value = preset;
+        this.updateSizeInputs();
+        document.getElementById('widthInput').value = options.width;
+        document.getElementById('heightInput').value = options.height;
+        document.getElementById('fillColorPicker').value = options.defaultFill;
+        document.getElementById('formatXml').checked = options.pretty;
+        document.getElementById('precisionInput').value = options.precision;
+        document.getElementById('pathFormat').value = options.pathFormat;
+        document.querySelectorAll('.optimize-step').forEach(input => {
+            input.checked = Boolean(options.optimize?.[input.value]);
+        });
+        document.getElementById('tintInput').value = options.tint || '';
+        document.getElementById('tintMode').value = options.tintMode || '';
+        document.getElementById('exportAnimations').checked = options.animations !== false;
+        document.getElementById('outlineStrokes').checked = Boolean(options.outlineStrokes);
+        document.getElementById('minSdkVersion').value = options.minSdkVersion || 21;
+        this.renderFonts(options.fallbackFont ?? 'sans-serif');
+        this.colorMap = { ...options.colors };
+        this.renderColorMap(true);
+    }
+
+    /**
+     * Converts the active file with the options in the panel, which become its own.
+     */
+    updateConversion() {
+        if (this.files.length === 0) return;
+
+        const activeFile = this.files[this.activeFileIndex];
+        if (activeFile.kind !== 'vector') activeFile.options = { ...this.getConversionOptions(), colors: { ...this.colorMap } };
+        const previous = activeFile.warnings || [];
+        this.convertFile(activeFile);
+        if (activeFile.error) {
+            this.showNotification('Conversion error: ' + activeFile.error, 'error');
+            this.updateFileList();
+            return;
+        }
+
+        // Only announce diagnostics when they change, not on every option tweak
+        const messages = list => list.map(warning => warning.message).join('\n');
+        if (activeFile.warnings.length > 0 && messages(activeFile.warnings) !== messages(previous)) {
+            this.showNotification(`${activeFile.name}: ${activeFile.warnings.length} conversion issue(s), see Diagnostics`, 'warning');
+        }
+
+        this.updateFileList();
+        this.updatePreview();
+        this.updateOutput();
+        this.renderColorMap();
+        this.scheduleFidelityCheck();
+        this.scheduleProjectSave();
+    }
+
+    /**
+     * Converts a file with its own options, or the panel's if it has none yet.
+     * A failure is kept on the file as its error instead of being thrown.
+     */
+    convertFile(file) {
+        file.pending = false;
+        if (file.readError) {
+            file.error = file.readError;
+            return;
+        }
+        try {
+            if (file.kind === 'vector') {
+                ({ svg: file.svg, warnings: file.warnings } = Svg2Vector.vectorToSvg(file.content));
+                file.xml = file.content;
+            } else {
+                const options = file.options || { ...this.getConversionOptions(), colors: { ...this.colorMap } };
+                const { xml, warnings, colors, stats } = this.convertContent(file.content, options);
+                Object.assign(file, { options, warnings, colors, stats });
+                this.recordHistory(file, xml, warnings);
+                // Hand edits outlive option changes until they are reset
+                file.generated = xml;
+                file.xml = file.override ?? xml;
+            }
+            file.error = null;
+        } catch (error) {
+            file.error = error.message;
+            file.xml = null;
+            file.warnings = [];
+        }
+    }
+
+    /**
+     * Reconverts files in the background, one per tick so the page stays
+     * responsive. Files show as pending until their turn comes.
+     */
+    queueConversions(files) {
+        if (files.length === 0) return;
+        files.forEach(file => file.pending = true);
+        this.updateFileList();
+        if (this.conversionTimer) return;
+
+        const next = () => {
+            const file = this.files.find(candidate => candidate.pending);
+            if (!file) {
+                this.conversionTimer = null;
+                this.scheduleFidelityCheck();
+                this.scheduleProjectSave();
+                return;
+            }
+
+            this.convertFile(file);
+            if (file === this.files[this.activeFileIndex]) {
+                this.updatePreview();
+                this.updateOutput();
+                this.renderColorMap();
+            }
+            this.updateFileList();
+            this.conversionTimer = setTimeout(next, 0);
+        };
+        this.conversionTimer = setTimeout(next, 0);
+    }
+
+    updateOutput() {
+        if (this.files.length === 0 || !this.files[this.activeFileIndex].xml) {
+            this.renderDiagnostics();
+            this.renderEditor('', false);
+            document.getElementById('xmlOutput').value = '';
+            document.getElementById('copyBtn').disabled = true;
+            document.getElementById('downloadBtn').disabled = true;
+            document.getElementById('outputDiffBtn').disabled = true;
+            document.getElementById('resetOutputBtn').disabled = true;
+            this.renderHistory(null, false);
+            return;
+        }
+
+        const activeFile = this.files[this.activeFileIndex];
+        const isVector = activeFile.kind === 'vector';
+        const compose = this.isComposeOutput();
+        const edited = activeFile.override !== undefined;
+        let output = isVector ? activeFile.svg : activeFile.xml;
+        let composeWarnings = [];
+        if (compose) {
+            try {
+                const resourceName = Svg2Vector.toResourceName(activeFile.name, this.getResourcePrefix());
+                const { code, warnings } = Svg2Vector.vectorToCompose(activeFile.xml, this.getComposeOptions(activeFile, resourceName));
+                output = code;
+                // Their node paths point into the drawable, not the original SVG
+                composeWarnings = warnings.map(({ nodePath, ...warning }) => warning);
+            } catch (error) {
+                output = '';
+                composeWarnings = [{ severity: 'error', message: `Kotlin export failed: ${error.message}`, path: '' }];
+            }
+        }
+        this.renderDiagnostics(composeWarnings);
+
+        // Only the drawable XML can be edited; rewriting an unchanged value would move the caret
+        const xmlOutput = document.getElementById('xmlOutput');
+        if (xmlOutput.value !== output) xmlOutput.value = output;
+        this.renderEditor(output, !isVector && !compose);
+
+        this.showOutputDiff = this.showOutputDiff && edited;
+        document.getElementById('xmlEditor').classList.toggle('hidden', this.showOutputDiff);
+        document.getElementById('xmlDiff').classList.toggle('hidden', !this.showOutputDiff);
+        if (this.showOutputDiff) this.renderOutputDiff(activeFile.generated, activeFile.override);
+
+        document.getElementById('copyBtn').disabled = false;
+        document.getElementById('copyBtn').textContent = compose ? '📋 Copy Kotlin' : isVector ? '📋 Copy SVG' : '📋 Copy XML';
+        document.getElementById('downloadBtn').disabled = false;
+        document.getElementById('downloadBtn').textContent = compose ? '📥 Download .kt' : isVector ? '📥 Download SVG' : '📥 Download';
+        document.getElementById('outputDiffBtn').disabled = !edited;
+        document.getElementById('outputDiffBtn').textContent = this.showOutputDiff ? '✎ Edit' : '± Diff';
+        document.getElementById('resetOutputBtn').disabled = !edited;
+        this.renderHistory(activeFile, !isVector && !compose);
+
+        // Update stats
+        const originalSize = new Blob([activeFile.content]).size;
+        const xmlSize = new Blob([output]).size;
+        const compression = ((1 - xmlSize / originalSize) * 100).toFixed(1);
+        const optimizing = !isVector && !compose && !edited && Object.values(this.getConversionOptions().optimize).some(Boolean);
+        const optimized = optimizing ? `optimized from ${this.formatFileSize(activeFile.stats.unoptimizedSize)} • ` : '';
+        
+        document.getElementById('outputStats').textContent = 
+            `${edited ? 'edited • ' : ''}${this.formatFileSize(xmlSize)} • ${optimized}${compression}% smaller`;
+    }
+
+    /**
+     * Keeps a hand edit of the active file's XML as its override and shows it in
+     * the preview. Typing the generated XML back drops the override.
+     */
+    editOutput(text) {
+        const activeFile = this.files[this.activeFileIndex];
+        if (!activeFile?.xml || activeFile.kind === 'vector' || this.isComposeOutput()) return;
+
+        const wasEdited = activeFile.override !== undefined;
+        activeFile.override = text === activeFile.generated ? undefined : text;
+        activeFile.xml = text;
+        this.updateOutput();
+        if (wasEdited !== (activeFile.override !== undefined)) this.updateFileList();
+
+        clearTimeout(this.editTimer);
+        this.editTimer = setTimeout(() => {
+            this.renderVectorPreview();
+            this.scheduleFidelityCheck();
+            this.scheduleProjectSave();
+        }, 150);
+    }
+
+    /**
+     * Keeps each distinct conversion result of a file, newest last, so an earlier
+     * one can be brought back.
+     */
+    recordHistory(file, xml, warnings) {
+        const history = file.history || [];
+        if (history[history.length - 1]?.xml === xml) return;
+        const entry = { date: new Date().toISOString(), xml, size: new Blob([xml]).size, warnings: warnings.length };
+        file.history = [...history, entry].slice(-20);
+    }
+
+    renderHistory(file, editable) {
+        const select = document.getElementById('outputHistory');
+        const history = editable ? file.history || [] : [];
+        select.disabled = history.length < 2;
+        select.innerHTML = `<option value="">History (${history.length})</option>`;
+        history.forEach((entry, index) => {
+            const option = document.createElement('option');
+            option.value = index;
+            option.textContent = `${new Date(entry.date).toLocaleTimeString()} • ${this.formatFileSize(entry.size)} • ${entry.warnings} issue(s)`;
+            select.insertBefore(option, select.options[1] || null);
+        });
+    }
+
+    restoreHistory(select) {
+        const entry = this.files[this.activeFileIndex]?.history?.[select.value];
+        select.value = '';
+        if (!entry) return;
+        this.editOutput(entry.xml);
+        this.showNotification(`Restored the conversion from ${new Date(entry.date).toLocaleString()}`, 'info');
+    }
+
+    resetOutput() {
+        const activeFile = this.files[this.activeFileIndex];
+        if (!activeFile || activeFile.override === undefined) return;
+
+        activeFile.override = undefined;
+        activeFile.xml = activeFile.generated;
+        this.showOutputDiff = false;
+        this.updateFileList();
+        this.updateOutput();
+        this.renderVectorPreview();
+        this.scheduleFidelityCheck();
+        this.scheduleProjectSave();
+        this.showNotification('Reverted to the generated XML', 'info');
+    }
+
+    /**
+     * Draws the highlighted copy of the output behind the textarea. Editable XML
+     * is validated against the VectorDrawable schema, with problem lines marked
+     * and listed below the editor.
+     */
+    renderEditor(text, editable) {
+        const xmlOutput = document.getElementById('xmlOutput');
+        const highlight = document.getElementById('xmlHighlight');
+        const problemList = document.getElementById('editorProblems');
+        xmlOutput.readOnly = !editable;
+        problemList.innerHTML = '';
+
+        const problems = editable ? Svg2Vector.validateVector(text) : [];
+        problemList.classList.toggle('hidden', problems.length === 0);
+        if (!editable) {
+            highlight.innerHTML = '';
+            return;
+        }
+
+        const severities = new Map();
+        problems.forEach(({ severity, line }) => {
+            if (line && severities.get(line) !== 'error') severities.set(line, severity);
+        });
+        highlight.innerHTML = this.highlightXml(text)
+            .map((html, index) => {
+                const severity = severities.get(index + 1);
+                return `<span class="code-line${severity ? ` code-line--${severity}` : ''}">${html}</span>`;
+            })
+            .join('');
+        highlight.scrollTop = xmlOutput.scrollTop;
+        highlight.scrollLeft = xmlOutput.scrollLeft;
+
+        problems.forEach(problem => {
+            const item = document.createElement('li');
+            const severity = document.createElement('span');
+            severity.className = `status status--${problem.severity}`;
+            severity.textContent = problem.severity;
+            const message = document.createElement('span');
+            message.textContent = problem.line ? `Line ${problem.line}: ${problem.message}` : problem.message;
+            item.append(severity, message);
+            if (problem.line) item.addEventListener('click', () => this.revealLine(problem.line));
+            problemList.appendChild(item);
+        });
+    }
+
+    revealLine(line) {
+        const xmlOutput = document.getElementById('xmlOutput');
+        const lines = xmlOutput.value.split('\n');
+        const start = lines.slice(0, line - 1).reduce((total, text) => total + text.length + 1, 0);
+        xmlOutput.focus();
+        xmlOutput.setSelectionRange(start, start + (lines[line - 1] || '').length);
+        const lineHeight = parseFloat(getComputedStyle(xmlOutput).lineHeight) || 20;
+        xmlOutput.scrollTop = Math.max(0, (line - 3) * lineHeight);
+    }
+
+    /**
+     * Splits XML into lines of highlighted HTML. Tokens spanning lines, such as
+     * comments, are closed at each line end and reopened on the next.
+     */
+    highlightXml(text) {
+        const pattern = /(<!--[\s\S]*?(?:-->|$))|(<\/?)([\w:.-]+)|([\w:.-]+)(\s*=\s*)("[^"]*"?|'[^']*'?)|(\/?>|<\?|\?>)/g;
+        const tokens = [];
+        let index = 0;
+        for (let match of text.matchAll(pattern)) {
+            if (match.index > index) tokens.push(['', text.slice(index, match.index)]);
+            if (match[1]) {
+                tokens.push(['xml-comment', match[1]]);
+            } else if (match[3]) {
+                tokens.push(['xml-tag', match[2] + match[3]]);
+            } else if (match[4]) {
+                tokens.push(['xml-attr', match[4]], ['', match[5]], ['xml-value', match[6]]);
+            } else {
+                tokens.push(['xml-tag', match[7]]);
+            }
+            index = match.index + match[0].length;
+        }
+        if (index < text.length) tokens.push(['', text.slice(index)]);
+
+        const lines = [''];
+        for (let [className, value] of tokens) {
+            value.split('\n').forEach((part, partIndex) => {
+                if (partIndex > 0) lines.push('');
+                if (!part) return;
+                const html = Svg2Vector.escapeXml(part);
+                lines[lines.length - 1] += className ? `<span class="${className}">${html}</span>` : html;
+            });
+        }
+        return lines;
+    }
+
+    /**
+     * Shows the edited XML against the generated XML line by line. Long unchanged
+     * stretches are folded down to a few lines of context.
+     */
+    renderOutputDiff(generated, edited) {
+        const lines = this.diffLines(generated || '', edited || '');
+        const context = 3;
+        const changed = lines.map(line => line.type !== 'same');
+        const near = index => changed.slice(Math.max(0, index - context), index + context + 1).some(Boolean);
+
+        const html = [];
+        let skipped = 0;
+        lines.forEach((line, index) => {
+            if (line.type === 'same' && !near(index)) {
+                skipped++;
+                return;
+            }
+            if (skipped > 0) html.push(`<span class="code-line diff-line--skipped">⋯ ${skipped} unchanged line(s)</span>`);
+            skipped = 0;
+            const marker = { same: ' ', added: '+', removed: '-' }[line.type];
+            html.push(`<span class="code-line diff-line--${line.type}">${marker} ${Svg2Vector.escapeXml(line.text)}</span>`);
+        });
+        if (skipped > 0) html.push(`<span class="code-line diff-line--skipped">⋯ ${skipped} unchanged line(s)</span>`);
+        document.getElementById('xmlDiff').innerHTML = html.join('');
+    }
+
+    /**
+     * Line diff of two texts as [{ type: 'same' | 'removed' | 'added', text }],
+     * following the longest common subsequence of the lines in between their
+     * common start and end.
+     */
+    diffLines(before, after) {
+        const a = before.split('\n');
+        const b = after.split('\n');
+        let start = 0;
+        while (start < a.length && start < b.length && a[start] === b[start]) start++;
+        let endA = a.length;
+        let endB = b.length;
+        while (endA > start && endB > start && a[endA - 1] === b[endB - 1]) {
+            endA--;
+            endB--;
+        }
+
+        const rows = endA - start;
+        const columns = endB - start;
+        const lines = a.slice(0, start).map(text => ({ type: 'same', text }));
+
+        // Rewrites too large to match up are shown as removed, then added
+        if (rows * columns > 4000000) {
+            lines.push(...a.slice(start, endA).map(text => ({ type: 'removed', text })));
+            lines.push(...b.slice(start, endB).map(text => ({ type: 'added', text })));
+        } else {
+            const lengths = Array.from({ length: rows + 1 }, () => new Uint32Array(columns + 1));
+            for (let i = rows - 1; i >= 0; i--) {
+                for (let j = columns - 1; j >= 0; j--) {
+                    lengths[i][j] = a[start + i] === b[start + j]
+                        ? lengths[i + 1][j + 1] + 1
+                        : Math.max(lengths[i + 1][j], lengths[i][j + 1]);
+                }
+            }
+
+            let i = 0;
+            let j = 0;
+            while (i < rows || j < columns) {
+                if (i < rows && j < columns && a[start + i] === b[start + j]) {
+                    lines.push({ type: 'same', text: a[start + i] });
+                    i++;
+                    j++;
+                } else if (i < rows && (j === columns || lengths[i + 1][j] >= lengths[i][j + 1])) {
+                    lines.push({ type: 'removed', text: a[start + i++] });
+                } else {
+                    lines.push({ type: 'added', text: b[start + j++] });
+                }
+            }
+        }
+
+        lines.push(...a.slice(endA).map(text => ({ type: 'same', text })));
+        return lines;
+    }
+
+    renderDiagnostics(extraWarnings = []) {
+        const activeFile = this.files[this.activeFileIndex];
+        const warnings = [...(activeFile?.warnings || []), ...extraWarnings];
+        const list = document.getElementById('diagnosticsList');
+        const lint = activeFile?.xml && !this.isComposeOutput()
+            ? Svg2Vector.lintVector(activeFile.xml, { minSdkVersion: this.getConversionOptions().minSdkVersion })
+            : null;
+        const shown = warnings.length > 0 || lint?.issues.length > 0;
+
+        document.getElementById('diagnosticsPanel').classList.toggle('hidden', !shown);
+        document.getElementById('outputBody').classList.toggle('has-diagnostics', shown);
+        document.getElementById('diagnosticsSection').classList.toggle('hidden', warnings.length === 0);
+        this.renderLint(lint, activeFile?.kind !== 'vector');
+        list.innerHTML = '';
+
+        warnings.forEach(warning => {
+            const item = document.createElement('li');
+            item.className = 'diagnostic';
+
+            const severity = document.createElement('span');
+            severity.className = `status status--${warning.severity}`;
+            severity.textContent = warning.severity;
+
+            const message = document.createElement('div');
+            message.textContent = warning.message;
+            const location = document.createElement('span');
+            location.className = 'diagnostic-location';
+            location.textContent = warning.line ? `${warning.path} • line ${warning.line}:${warning.column}` : warning.path;
+            message.appendChild(location);
+
+            item.append(severity, message);
+            if (warning.nodePath) item.addEventListener('click', () => {
+                list.querySelectorAll('.diagnostic.active').forEach(other => other.classList.remove('active'));
+                item.classList.add('active');
+                this.highlightElement(warning.nodePath);
+            });
+            list.appendChild(item);
+        });
+    }
+
+    /**
+     * Lists Android lint findings for the output, each with buttons for the fixes
+     * that apply. XML fixes become a hand edit of the output, so Reset undoes them.
+     */
+    renderLint(lint, editable) {
+        const list = document.getElementById('lintList');
+        document.getElementById('lintSection').classList.toggle('hidden', !lint || lint.issues.length === 0);
+        list.innerHTML = '';
+        if (!lint) return;
+
+        document.getElementById('lintScore').textContent = `${lint.score}/100 • minSdk ${this.getConversionOptions().minSdkVersion}`;
+        lint.issues.forEach(issue => {
+            const item = document.createElement('li');
+            item.className = 'diagnostic';
+
+            const severity = document.createElement('span');
+            severity.className = `status status--${issue.severity}`;
+            severity.textContent = issue.severity;
+
+            const message = document.createElement('div');
+            message.textContent = issue.message;
+            const location = document.createElement('span');
+            location.className = 'diagnostic-location';
+            location.textContent = `${issue.path} • line ${issue.line}`;
+            message.appendChild(location);
+
+            issue.fixes.filter(fix => editable || fix === 'pngFallbacks').forEach(fix => {
+                const button = document.createElement('button');
+                button.className = 'btn btn--outline btn--sm lint-fix';
+                button.textContent = Svg2Vector.lintFixes[fix];
+                button.addEventListener('click', (e) => {
+                    e.stopPropagation();
+                    this.applyLintFix(fix);
+                });
+                message.appendChild(button);
+            });
+
+            item.append(severity, message);
+            if (editable) item.addEventListener('click', () => this.revealLine(issue.line));
+            list.appendChild(item);
+        });
+    }
+
+    applyLintFix(fix) {
+        if (fix === 'pngFallbacks') {
+            document.getElementById('pngFallbacks').checked = true;
+            this.showNotification('Download All will add PNG fallbacks for older devices', 'success');
+            return;
+        }
+
+        const activeFile = this.files[this.activeFileIndex];
+        const fixed = Svg2Vector.fixVector(activeFile.xml, fix);
+        if (fixed === activeFile.xml) {
+            this.showNotification('Nothing could be fixed automatically', 'info');
+            return;
+        }
+        this.editOutput(fixed);
+        this.showNotification(`${Svg2Vector.lintFixes[fix]}: applied as an edit of the XML`, 'success');
+    }
+
+    highlightElement(nodePath) {
+        // Outlines the element a diagnostic points at in the original preview
+        const svg = document.querySelector('#originalPreview svg');
+        if (!svg || this.files[this.activeFileIndex].kind === 'vector') return;
+        svg.querySelectorAll('.diagnostic-highlight').forEach(rect => rect.remove());
+
+        let target = svg;
+        for (let index of nodePath) {
+            target = target?.children[index];
+        }
+
+        try {
+            const box = target.getBBox();
+            const matrix = svg.getScreenCTM().inverse().multiply(target.getScreenCTM());
+            const rect = document.createElementNS('http://www.w3.org/2000/svg', 'rect');
+            rect.setAttribute('class', 'diagnostic-highlight');
+            rect.setAttribute('x', box.x - 1);
+            rect.setAttribute('y', box.y - 1);
+            rect.setAttribute('width', box.width + 2);
+            rect.setAttribute('height', box.height + 2);
+            rect.setAttribute('transform', `matrix(${matrix.a} ${matrix.b} ${matrix.c} ${matrix.d} ${matrix.e} ${matrix.f})`);
+            svg.appendChild(rect);
+        } catch (error) {
+            this.showNotification('This element is not rendered in the preview', 'info');
+        }
+    }
+
+    getFidelityThreshold() {
+        const threshold = parseFloat(document.getElementById('fidelityThreshold').value);
+        return isNaN(threshold) ? 95 : threshold;
+    }
+
+    scheduleFidelityCheck() {
+        // Rendering every density takes a moment, so wait until the options settle
+        clearTimeout(this.fidelityTimer);
+        this.fidelityTimer = setTimeout(() => this.checkFidelity(), 300);
+    }
+
+    /**
+     * Compares every converted SVG file with its drawable and stores the score on
+     * the file. A newer run, started by another option change, makes older ones stop.
+     */
+    async checkFidelity() {
+        const run = ++this.fidelityRun;
+
+        for (let file of this.files) {
+            if (file.kind === 'vector' || file.pending || !file.xml) continue;
+
+            let fidelity = null;
+            try {
+                const { xml } = file;
+                if (file.fidelity?.xml === xml) continue;
+                fidelity = { xml, ...await this.measureFidelity(file, xml) };
+            } catch (error) {
+                // Files that fail to convert or render get no score
+            }
+            if (run !== this.fidelityRun) return;
+
+            file.fidelity = fidelity;
+            this.updateFileList();
+            if (file === this.files[this.activeFileIndex]) this.updatePreview();
+        }
+    }
+
+    /**
+     * Renders the file's original and its converted drawable on canvases at each
+     * density and returns the lowest similarity, with the heatmap of that density
+     * as a data URL.
+     */
+    async measureFidelity(file, xml) {
+        const { width: dpWidth, height: dpHeight } = Svg2Vector.drawableSize(xml);
+        const scales = this.densities.map(([, scale]) => scale);
+        let worst = null;
+
+        for (let { width, height } of Svg2Vector.fidelitySizes(dpWidth, dpHeight, scales)) {
+            const reference = Svg2Vector.referenceSvg(file.content, { width, height, dpWidth, dpHeight, defaultFill: file.options?.defaultFill });
+            const original = (await this.renderSvg(reference, width, height)).getContext('2d').getImageData(0, 0, width, height);
+            const { svg } = Svg2Vector.vectorToSvg(xml, { colors: this.previewColors(file), width, height, pretty: false });
+            const converted = (await this.renderSvg(svg, width, height)).getContext('2d').getImageData(0, 0, width, height);
+
+            const result = Svg2Vector.compareImages(original, converted);
+            if (!worst || result.similarity < worst.similarity) worst = result;
+        }
+
+        const { width, height, data } = worst.heatmap;
+        const canvas = document.createElement('canvas');
+        canvas.width = width;
+        canvas.height = height;
+        canvas.getContext('2d').putImageData(new ImageData(data, width, height), 0, 0);
+        return { similarity: worst.similarity, heatmap: canvas.toDataURL('image/png') };
+    }
+
+    async copyXML() {
+        const xml = document.getElementById('xmlOutput').value;
+        try {
+            await navigator.clipboard.writeText(xml);
+            const copyBtn = document.getElementById('copyBtn');
+            const originalText = copyBtn.textContent;
+            copyBtn.textContent = '✓ Copied!';
+            setTimeout(() => {
+                copyBtn.textContent = originalText;
+            }, 2000);
+            this.showNotification(`${this.isComposeOutput() ? 'Kotlin' : 'XML'} copied to clipboard`, 'success');
+        } catch (error) {
+            this.showNotification('Failed to copy to clipboard', 'error');
+        }
+    }
+
+    downloadXML() {
+        if (this.files.length === 0) return;
+        
+        const activeFile = this.files[this.activeFileIndex];
+        if (this.isComposeOutput()) {
+            const options = this.getComposeOptions(activeFile, Svg2Vector.toResourceName(activeFile.name, this.getResourcePrefix()));
+            this.downloadFile(Svg2Vector.vectorToCompose(activeFile.xml, options).code, `${options.name}.kt`, 'text/plain');
+            this.showNotification('File downloaded', 'success');
+            return;
+        }
+        if (activeFile.kind === 'vector') {
+            this.downloadFile(activeFile.svg, activeFile.name.replace(/\.xml$/i, '.svg'), 'image/svg+xml');
+            this.showNotification('File downloaded', 'success');
+            return;
+        }
+
+        const filename = `${Svg2Vector.toResourceName(activeFile.name, this.getResourcePrefix())}.xml`;
+        this.downloadFile(activeFile.xml, filename, 'application/xml');
+        const colorsXml = this.colorResourcesFor([activeFile]);
+        if (colorsXml) this.downloadFile(colorsXml, 'colors.xml', 'application/xml');
+        this.showNotification('File downloaded', 'success');
+    }
+
+    getResourcePrefix() {
+        return document.getElementById('resourcePrefix').value.trim();
+    }
+
+    isComposeOutput() {
+        return document.getElementById('outputFormat').value === 'compose';
+    }
+
+    /**
+     * Options for Kotlin export of file's drawable, named resourceName. Without the
+     * prefix naming, the resource prefix (or "ic_") is left out of the property name.
+     */
+    getComposeOptions(file, resourceName) {
+        const strip = document.getElementById('composeNaming').value === 'strip';
+        return {
+            packageName: document.getElementById('composePackage').value.trim(),
+            receiver: document.getElementById('composeReceiver').value.trim(),
+            name: Svg2Vector.toComposeName(resourceName, strip ? this.getResourcePrefix() || 'ic_' : ''),
+            colors: this.previewColors(file)
+        };
+    }
+
+    saveComposePreferences() {
+        this.preferences.compose = {
+            format: document.getElementById('outputFormat').value,
+            packageName: document.getElementById('composePackage').value,
+            receiver: document.getElementById('composeReceiver').value,
+            naming: document.getElementById('composeNaming').value
+        };
+        localStorage.setItem('preferences', JSON.stringify(this.preferences));
+        this.updateOutput();
+    }
+
+    /**
+     * The colors.xml defining the @color/ resources that colors are mapped to,
+     * or null when the option is off or none are used. Each file brings its own
+     * color mapping, the one in the panel by default.
+     */
+    colorResourcesFor(files) {
+        if (!document.getElementById('colorResources').checked) return null;
+
+        const used = {};
+        for (let { colors = [], options } of files) {
+            for (let [color, target] of Object.entries(options?.colors || this.colorMap)) {
+                if (colors.includes(color)) used[color] = target;
+            }
+        }
+        const { xml, conflicts } = Svg2Vector.colorResources(used);
+        conflicts.forEach(({ name, colors: sources }) => {
+            this.showNotification(`${sources.join(', ')} all map to @color/${name}; colors.xml uses ${sources[0]}`, 'warning');
+        });
+        return xml;
+    }
+
+    /**
+     * Downloads every file as a single ZIP laid out as an Android res directory.
+     * With PNG fallbacks the vectors go to drawable-anydpi-v21, or -v24 for those
+     * using gradients or evenOdd fills, so only older devices pick up the density
+     * PNGs rendered from the preview. With Compose output the ZIP holds one .kt
+     * file per icon in its package's directory.
+     */
+    async downloadAll() {
+        if (this.files.length === 0) return;
+
+        this.showLoading(true);
+
+        try {
+            const { names, collisions } = Svg2Vector.assignResourceNames(this.files.map(file => file.name), this.getResourcePrefix());
+            collisions.forEach(({ name, files }) => {
+                this.showNotification(`${files.join(', ')} all map to "${name}"; numbered suffixes were added`, 'warning');
+            });
+
+            const compose = this.isComposeOutput();
+            const withPngs = !compose && document.getElementById('pngFallbacks').checked;
+            const entries = [];
+            const failed = [];
+            const withoutPngs = [];
+
+            for (let [index, file] of this.files.entries()) {
+                // Files still waiting in the background queue are converted now
+                if (file.pending || (!file.xml && !file.error)) this.convertFile(file);
+                if (!file.xml) {
+                    failed.push(file.name);
+                    continue;
+                }
+                const { xml } = file;
+                if (compose) {
+                    const composeOptions = this.getComposeOptions(file, names[index]);
+                    const folder = composeOptions.packageName.split('.').filter(Boolean).map(part => `${part}/`).join('');
+                    entries.push({ name: `${folder}${composeOptions.name}.kt`, data: Svg2Vector.vectorToCompose(xml, composeOptions).code });
+                    continue;
+                }
+                // A drawable that cannot be rendered, such as a broken hand edit, goes
+                // without PNGs into drawable/ so every device still finds it
+                let pngs = [];
+                if (withPngs) {
+                    try {
+                        const { width, height } = Svg2Vector.drawableSize(xml);
+                        for (let [density, scale] of this.densities) {
+                            const png = await this.rasterizeVector(file, Math.max(1, Math.round(width * scale)), Math.max(1, Math.round(height * scale)));
+                            pngs.push({ name: `res/drawable-${density}/${names[index]}.png`, data: png });
+                        }
+                    } catch (error) {
+                        pngs = [];
+                        withoutPngs.push(file.name);
+                    }
+                }
+                const vectorFolder = pngs.length > 0 ? `drawable-anydpi-v${Svg2Vector.lintVector(xml).apiLevel}` : 'drawable';
+                entries.push({ name: `res/${vectorFolder}/${names[index]}.xml`, data: `${xml.trimEnd()}\n` }, ...pngs);
+            }
+
+            if (failed.length > 0) {
+                this.showNotification(`Skipped files that failed to convert: ${failed.join(', ')}`, 'warning');
+            }
+            if (withoutPngs.length > 0) {
+                this.showNotification(`No PNG fallbacks for files that could not be rendered: ${withoutPngs.join(', ')}`, 'warning');
+            }
+            if (entries.length === 0) return;
+
+            const colorsXml = compose ? null : this.colorResourcesFor(this.files.filter(file => file.kind !== 'vector' && file.xml));
+            if (colorsXml) entries.push({ name: 'res/values/colors.xml', data: colorsXml });
+
+            this.downloadFile(Svg2Vector.createZip(entries), compose ? 'icons.zip' : 'drawables.zip', 'application/zip');
+            this.showNotification('All files downloaded', 'success');
+        } catch (error) {
+            this.showNotification('Error creating archive: ' + error.message, 'error');
+        } finally {
+            this.showLoading(false);
+        }
+    }
+
+    async rasterizeVector(file, width, height) {
+        const { svg } = Svg2Vector.vectorToSvg(file.xml, { colors: this.previewColors(file), width, height, pretty: false });
+        const canvas = await this.renderSvg(svg, width, height);
+
+        return new Promise((resolve, reject) => {
+            canvas.toBlob(blob => {
+                if (!blob) {
+                    reject(new Error('PNG encoding failed'));
+                    return;
+                }
+                blob.arrayBuffer().then(buffer => resolve(new Uint8Array(buffer)), reject);
+            }, 'image/png');
+        });
+    }
+
+    renderSvg(svg, width, height) {
+        return new Promise((resolve, reject) => {
+            const image = new Image();
+            image.onload = () => {
+                const canvas = document.createElement('canvas');
+                canvas.width = width;
+                canvas.height = height;
+                canvas.getContext('2d').drawImage(image, 0, 0, width, height);
+                resolve(canvas);
+            };
+            image.onerror = () => reject(new Error('Could not render the preview'));
+            image.src = `data:image/svg+xml;charset=utf-8,${encodeURIComponent(svg)}`;
+        });
+    }
+
+    downloadFile(content, filename, mimeType) {
+        const blob = new Blob([content], { type: mimeType });
+        const url = URL.createObjectURL(blob);
+        const a = document.createElement('a');
+        a.href = url;
+        a.download = filename;
+        document.body.appendChild(a);
+        a.click();
+        document.body.removeChild(a);
+        URL.revokeObjectURL(url);
+    }
+
+    scheduleProjectSave() {
+        clearTimeout(this.projectTimer);
+        this.projectTimer = setTimeout(() => this.saveProject(), 500);
+    }
+
+    /**
+     * Stores the open project with every file, each with the options and color
+     * mapping it was last converted with, its hand edits and its history.
+     */
+    async saveProject() {
+        clearTimeout(this.projectTimer);
+        if (!this.project || this.files.length === 0) return;
+
+        const project = {
+            ...this.project,
+            activeFileIndex: this.activeFileIndex,
+            files: this.files.map(file => ({
+                name: file.name,
+                size: file.size,
+                kind: file.kind,
+                content: file.content,
+                lastModified: file.lastModified,
+                options: file.options,
+                override: file.override,
+                history: file.history || []
+            }))
+        };
+
+        try {
+            await this.workspace.save(project);
+            await this.loadProjects();
+        } catch (error) {
+            this.reportWorkspaceError(error);
+        }
+    }
+
+    async loadProjects() {
+        try {
+            this.migration = this.migration || this.migrateRecentFiles();
+            await this.migration;
+            this.projects = await this.workspace.list();
+        } catch (error) {
+            this.projects = [];
+            this.reportWorkspaceError(error);
+        }
+        this.renderProjects();
+    }
+
+    // Recent files kept in localStorage before projects existed become one project each
+    async migrateRecentFiles() {
+        const recentFiles = JSON.parse(localStorage.getItem('recentFiles') || '[]');
+        if (recentFiles.length === 0) return;
+
+        for (let file of recentFiles.reverse()) {
+            await this.workspace.save({
+                id: Svg2Vector.createProjectId(),
+                name: file.name.replace(/\.[^.]*$/, ''),
+                created: file.date,
+                activeFileIndex: 0,
+                files: [{
+                    name: file.name,
+                    size: new Blob([file.content]).size,
+                    kind: /\.xml$/i.test(file.name) ? 'vector' : 'svg',
+                    content: file.content,
+                    history: []
+                }]
+            });
+        }
+        localStorage.removeItem('recentFiles');
+    }
+
+    reportWorkspaceError(error) {
+        if (this.workspaceErrorShown) return;
+        this.workspaceErrorShown = true;
+        this.showNotification(`Projects cannot be saved in this browser: ${error.message}`, 'warning');
+    }
+
+    renderProjects() {
+        const recentSection = document.getElementById('recentSection');
+        const recentFiles = document.getElementById('recentFiles');
+        
+        if (this.projects.length === 0) {
+            recentSection.style.display = 'none';
+            return;
+        }
+
+        recentSection.style.display = 'block';
+        recentFiles.innerHTML = '';
+
+        const query = document.getElementById('recentSearch').value;
+        const filter = document.getElementById('recentFilter').value;
+        const results = Svg2Vector.searchProjects(this.projects, query, filter);
+        if (results.length === 0) {
+            recentFiles.innerHTML = '<div class="recent-empty">No projects match the search</div>';
+            return;
+        }
+
+        results.forEach(({ project, files }) => {
+            const card = document.createElement('div');
+            card.className = `recent-file ${project.id === this.project?.id ? 'active' : ''}`;
+            card.innerHTML = `
+                <div class="recent-file-name"></div>
+                <div class="recent-file-date">${new Date(project.updated).toLocaleDateString()} • ${project.files.length} file(s)</div>
+                <div class="recent-file-files"></div>
+                <div class="recent-file-actions">
+                    <button class="btn btn--outline btn--sm" data-action="export">Export</button>
+                    <button class="btn btn--outline btn--sm" data-action="delete">Delete</button>
+                </div>
+            `;
+            card.querySelector('.recent-file-name').textContent = project.name;
+            card.querySelector('.recent-file-files').textContent = files.map(file => file.name).join(', ');
+            card.querySelector('.recent-file-files').title = files.map(file => file.name).join('\n');
+
+            card.addEventListener('click', (e) => {
+                const action = e.target.dataset.action;
+                if (action === 'export') {
+                    this.exportProject(project.id);
+                } else if (action === 'delete') {
+                    this.deleteProject(project.id);
+                } else {
+                    this.openProject(project.id);
+                }
+            });
+            
+            recentFiles.appendChild(card);
+        });
+    }
+
+    async openProject(id) {
+        const project = this.projects.find(item => item.id === id);
+        if (!project || project.files.length === 0) return;
+
+        this.pauseAnimation();
+        this.animationTime = 0;
+        this.project = { id: project.id, name: project.name, created: project.created };
+        this.files = project.files.map(file => ({ ...file, xml: null }));
+        this.selectedFiles.clear();
+        this.activeFileIndex = Math.min(project.activeFileIndex || 0, this.files.length - 1);
+        document.getElementById('projectName').value = project.name;
+
+        const options = this.files[this.activeFileIndex].options;
+        if (options) this.setConversionOptions(options);
+        await this.prepareFonts();
+        this.showProcessingSection();
+        this.updateFileList();
+        this.updateConversion();
+        this.queueConversions(this.files.filter(file => !file.xml && !file.error));
+        this.renderProjects();
+    }
+
+    renameProject(name) {
+        if (!this.project) return;
+        this.project.name = name.trim() || 'Untitled project';
+        this.scheduleProjectSave();
+    }
+
+    async exportProject(id) {
+        if (id === this.project?.id) await this.saveProject();
+        const project = this.projects.find(item => item.id === id);
+        if (!project) return;
+
+        this.downloadFile(Svg2Vector.exportProject(project), `${Svg2Vector.toResourceName(project.name)}.svg2vector.json`, 'application/json');
+        this.showNotification('Project exported', 'success');
+    }
+
+    async deleteProject(id) {
+        const project = this.projects.find(item => item.id === id);
+        if (!project || !confirm(`Delete the project "${project.name}" and its ${project.files.length} file(s)?`)) return;
+
+        try {
+            await this.workspace.delete(id);
+            // The open files stay on screen but are no longer saved
+            if (id === this.project?.id) this.project = null;
+            await this.loadProjects();
+            this.showNotification('Project deleted', 'success');
+        } catch (error) {
+            this.showNotification('Could not delete the project: ' + error.message, 'error');
+        }
+    }
+
+    async importProject(file) {
+        if (!file) return;
+
+        try {
+            const project = Svg2Vector.importProject(await this.readFile(file));
+            await this.workspace.save(project);
+            await this.loadProjects();
+            await this.openProject(project.id);
+            this.showNotification(`Imported the project "${project.name}"`, 'success');
+        } catch (error) {
+            this.showNotification('Import failed: ' + error.message, 'error');
+        }
+    }
+
+    /**
+     * Lists a row per color of the active file, where each can be kept or mapped to
+     * a literal color, a @color/ resource or a ?attr/ reference. Rows are only
+     * rebuilt when the colors change, so typing keeps its focus.
+     */
+    renderColorMap(force = false) {
+        const activeFile = this.files[this.activeFileIndex];
+        const colors = activeFile?.kind === 'svg' ? activeFile.colors || [] : [];
+        if (!force && colors.join() === this.renderedColors) return;
+        this.renderedColors = colors.join();
+
+        const container = document.getElementById('colorMap');
+        container.innerHTML = '';
+        if (colors.length === 0) {
+            container.innerHTML = '<div class="color-map-empty">The colors of the selected SVG appear here</div>';
+            return;
+        }
+
+        colors.forEach(color => {
+            const [kind, value] = this.splitColorTarget(this.colorMap[color] || '');
+            const row = document.createElement('div');
+            row.className = 'color-map-row';
+            row.innerHTML = `
+                <span class="color-map-swatch" style="background-color: ${color}"></span>
+                <code>${color}</code>
+                <select class="form-control">
+                    <option value="">Keep</option>
+                    <option value="#">Color</option>
+                    <option value="@color/">@color/</option>
+                    <option value="?attr/">?attr/</option>
+                </select>
+                <input type="text" class="form-control" placeholder="name">
+            `;
+
+            const select = row.querySelector('select');
+            const input = row.querySelector('input');
+            select.value = kind;
+            input.value = value;
+            input.disabled = !kind;
+
+            const update = () => {
+                input.disabled = !select.value;
+                this.setColorTarget(color, select.value, input.value.trim());
+            };
+            select.addEventListener('change', update);
+            input.addEventListener('input', update);
+            container.appendChild(row);
+        });
+    }
+
+    splitColorTarget(target) {
+        if (!target) return ['', ''];
+        if (target.startsWith('#')) return ['#', target];
+        // Other forms, such as @android:color/white, stay whole in the input
+        const kind = target.startsWith('@') ? '@color/' : '?attr/';
+        return [kind, target.startsWith(kind) ? target.slice(kind.length) : target];
+    }
+
+    setColorTarget(color, kind, value) {
+        if (!kind || !value) {
+            delete this.colorMap[color];
+        } else if (/^[#@?]/.test(value)) {
+            this.colorMap[color] = value;
+        } else {
+            this.colorMap[color] = kind === '#' ? `#${value}` : kind + value;
+        }
+        this.updateConversion();
+    }
+
+    /**
+     * Maps the references the file's colors were replaced with back to those
+     * colors, so the preview and fidelity check show the icon as designed.
+     * Imported drawables have no options of their own and use the panel's map.
+     */
+    previewColors(file) {
+        const colors = {};
+        for (let [color, target] of Object.entries(file.options?.colors || this.colorMap)) {
+            if (/^[@?]/.test(target) && !colors[target]) colors[target] = color;
+        }
+        return colors;
+    }
+
+    loadColorProfiles() {
+        const select = document.getElementById('colorProfile');
+        const profiles = this.preferences.colorProfiles || {};
+        select.innerHTML = '<option value="">No saved profile</option>';
+        Object.keys(profiles).sort().forEach(name => {
+            const option = document.createElement('option');
+            option.value = name;
+            option.textContent = name;
+            select.appendChild(option);
+        });
+        select.value = profiles[this.preferences.colorProfile] ? this.preferences.colorProfile : '';
+        document.getElementById('colorProfileName').value = select.value;
+    }
+
+    selectColorProfile(name) {
+        this.colorMap = { ...this.preferences.colorProfiles?.[name] };
+        this.preferences.colorProfile = name;
+        localStorage.setItem('preferences', JSON.stringify(this.preferences));
+        document.getElementById('colorProfileName').value = name;
+        this.renderColorMap(true);
+        this.updateConversion();
+    }
+
+    saveColorProfile() {
+        const name = document.getElementById('colorProfileName').value.trim();
+        if (!name) {
+            this.showNotification('Enter a name for the color profile', 'warning');
+            return;
+        }
+
+        this.preferences.colorProfiles = { ...this.preferences.colorProfiles, [name]: { ...this.colorMap } };
+        this.preferences.colorProfile = name;
+        localStorage.setItem('preferences', JSON.stringify(this.preferences));
+        this.loadColorProfiles();
+        this.showNotification(`Color profile "${name}" saved`, 'success');
+    }
+
+    deleteColorProfile() {
+        const name = document.getElementById('colorProfile').value;
+        if (!name) return;
+
+        delete this.preferences.colorProfiles[name];
+        this.preferences.colorProfile = '';
+        localStorage.setItem('preferences', JSON.stringify(this.preferences));
+        this.loadColorProfiles();
+        this.showNotification(`Color profile "${name}" deleted`, 'info');
+    }
+
+    applyPreferences() {
+        if (this.preferences.defaultSize) {
+            document.getElementById('sizePreset').value = this.preferences.defaultSize;
+            this.updateSizeInputs();
+        }
+        if (this.preferences.defaultColor) {
+            document.getElementById('fillColorPicker').value = this.preferences.defaultColor;
+        }
+        if (this.preferences.compose) {
+            const { format, packageName, receiver, naming } = this.preferences.compose;
+            document.getElementById('outputFormat').value = format;
+            document.getElementById('composePackage').value = packageName;
+            document.getElementById('composeReceiver').value = receiver;
+            document.getElementById('composeNaming').value = naming;
+        }
+        this.loadColorProfiles();
+        this.renderColorMap(true);
+    }
+
+    savePreferences() {
+        this.preferences = {
+            ...this.preferences,
+            defaultSize: document.getElementById('sizePreset').value,
+            defaultColor: document.getElementById('fillColorPicker').value
+        };
+        localStorage.setItem('preferences', JSON.stringify(this.preferences));
+    }
+
+    showNotification(message, type = 'info') {
+        const notification = document.createElement('div');
+        notification.className = `notification ${type}`;
+        
+        const icon = type === 'success' ? '✓' : type === 'error' ? '✕' : type === 'warning' ? '⚠' : 'ℹ';
+        
+        notification.innerHTML = `
+            <div class="notification-content">
+                <div class="notification-icon">${icon}</div>
+                <div class="notification-text">
+                    <div class="notification-message">${Svg2Vector.escapeXml(message)}</div>
+                </div>
+            </div>
+        `;
+
+        document.getElementById('notifications').appendChild(notification);
+
+        setTimeout(() => {
+            notification.style.animation = 'slideOut 0.3s ease-in forwards';
+            setTimeout(() => {
+                if (notification.parentNode) {
+                    notification.parentNode.removeChild(notification);
+                }
+            }, 300);
+        }, 3000);
+    }
+
+    showLoading(show) {
+        const overlay = document.getElementById('loadingOverlay');
+        if (show) {
+            overlay.classList.remove('hidden');
+        } else {
+            overlay.classList.add('hidden');
+        }
+    }
+
+    formatFileSize(bytes) {
+        if (bytes === 0) return '0 B';
+        const k = 1024;
+        const sizes = ['B', 'KB', 'MB', 'GB'];
+        const i = Math.floor(Math.log(bytes) / Math.log(k));
+        return parseFloat((bytes / Math.pow(k, i)).toFixed(1)) + ' ' + sizes[i];
+    }
+}
+
+// Add slide out animation
+const styleSheet = document.createElement('style');
+styleSheet.textContent = `
+    @keyframes slideOut {
+        to {
+            transform: translateX(100%);
+            opacity: 0;
+        }
+    }
+`;
+document.head.appendChild(styleSheet);
+
+// Initialize the application
+document.addEventListener('DOMContentLoaded', () => {
+    new SVGConverter();
+});
+
+// Keyboard shortcuts
+document.addEventListener('keydown', (e) => {
+    if (e.ctrlKey || e.metaKey) {
+        switch (e.key) {
+            case 'o':
+                e.preventDefault();
+                document.getElementById('fileInput').click();
+                break;
+            case 'c':
+                if (e.target.tagName !== 'INPUT' && e.target.tagName !== 'TEXTAREA') {
+                    e.preventDefault();
+                    document.getElementById('copyBtn').click();
+                }
+                break;
+            case 's':
+                e.preventDefault();
+                document.getElementById('downloadBtn').click();
+                break;
+        }
+    }
 });
\ No newline at end of file
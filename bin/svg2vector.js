@@ -0,0 +1,470 @@
+#!/usr/bin/env node
+// SVG to VectorDrawable Converter - Command Line
+//
+// Batch converts SVG files, directories or glob patterns into a res/drawable
+// directory using the same engine as the web page.
+const fs = require('fs');
+const path = require('path');
+const zlib = require('zlib');
+const { convert, tintModes } = require('../lib/converter');
+const { toResourceName } = require('../lib/resources');
+const { checkFidelity } = require('../lib/rasterizer');
+const { optimizationSteps } = require('../lib/optimizer');
+const { lintVector } = require('../lib/vector-lint');
+const { bundledFonts, FontLibrary, parseFont } = require('../lib/fonts');
+
+const usage = `Usage: svg2vector <input...> --out <dir> [options]
+
+Inputs may be SVG files, directories (searched recursively) or glob patterns
+such as "icons/**/*.svg" (quote them so the shell leaves them alone).
+
+Options:
+  -o, --out <dir>          Output directory, e.g. app/src/main/res/drawable
+  -s, --size <dp>          Width and height in dp (default 24)
+      --width <dp>         Width in dp
+      --height <dp>        Height in dp
+      --auto-size          Use each SVG's own size instead
+      --fill <color>       Default fill color (default #000000)
+      --compact            Write single-line XML instead of formatted XML
+      --prefix <prefix>    Prefix for resource names, e.g. ic_
+      --precision <n>      Decimal places in path data (default 3)
+      --path-format <fmt>  absolute, relative or shortest (default absolute)
+      --optimize <steps>   Optimize the output: "all", or a comma-separated list of
+                           removeEmpty, straightenCurves, makeArcs,
+                           collapseGroups, mergePaths, shorterCommands
+      --colors <file>      JSON file mapping source colors to Android colors or
+                           references, e.g. {"#FF0000": "?attr/colorControlNormal"}
+      --tint <color>       Set android:tint on every drawable
+      --tint-mode <mode>   Set android:tintMode (src_in, src_atop, multiply, ...)
+      --static             Write plain drawables for animated SVGs instead of
+                           animated vectors
+      --outline-strokes    Turn strokes into filled outlines
+      --font <file>        Outline text with this TTF, OTF or WOFF font too; repeat
+                           for more fonts (DejaVu Sans, Serif and Mono are bundled)
+      --fallback-font <f>  Family for text in fonts that are not loaded, or "none"
+                           to drop such text (default sans-serif)
+      --check              Only verify that the output is up to date; exits 1 if not
+      --min-similarity <n> Render each SVG and its drawable and fail files whose
+                           pixel similarity is below n percent (e.g. 98). The SVG
+                           is drawn with the converter's path parser, dashing,
+                           styles, text layout and marker placement, so bugs
+                           there are not caught
+      --min-sdk <n>        Lint each drawable against this minSdkVersion
+  -w, --watch              Keep running and reconvert files as they change
+  -h, --help               Show this help`;
+
+class UsageError extends Error {}
+
+/**
+ * The bundled fonts under their generic families, followed by the given ones.
+ */
+function loadFonts(fonts) {
+    const library = new FontLibrary();
+    for (const { file, generic } of bundledFonts) {
+        library.add(parseFont(fs.readFileSync(path.join(__dirname, '..', 'fonts', file))), [generic]);
+    }
+    fonts.forEach(font => library.add(font));
+    return library;
+}
+
+function parseArguments(argv) {
+    const args = { inputs: [], out: null, prefix: '', minSimilarity: null, minSdk: null, check: false, watch: false, help: false, options: {} };
+    const fonts = [];
+    const valueOf = (index, flag) => {
+        if (index >= argv.length || argv[index].startsWith('-')) throw new UsageError(`${flag} needs a value`);
+        return argv[index];
+    };
+    const numberOf = (index, flag) => {
+        const value = Number(valueOf(index, flag));
+        if (!(value >= 0)) throw new UsageError(`${flag} must be a positive number`);
+        return value;
+    };
+
+    for (let i = 0; i < argv.length; i++) {
+        const [flag, inline] = argv[i].startsWith('--') ? argv[i].split(/=(.*)/s) : [argv[i]];
+        if (inline !== undefined) argv.splice(i + 1, 0, inline);
+
+        switch (flag) {
+            case '-o':
+            case '--out': args.out = valueOf(++i, flag); break;
+            case '-s':
+            case '--size': args.options.width = args.options.height = numberOf(++i, flag); break;
+            case '--width': args.options.width = numberOf(++i, flag); break;
+            case '--height': args.options.height = numberOf(++i, flag); break;
+            case '--auto-size': args.options.autoSize = true; break;
+            case '--fill': args.options.defaultFill = valueOf(++i, flag); break;
+            case '--compact': args.options.pretty = false; break;
+            case '--prefix': args.prefix = valueOf(++i, flag); break;
+            case '--precision': args.options.precision = Math.round(numberOf(++i, flag)); break;
+            case '--path-format': {
+                const format = valueOf(++i, flag);
+                if (!['absolute', 'relative', 'shortest'].includes(format)) {
+                    throw new UsageError('--path-format must be absolute, relative or shortest');
+                }
+                args.options.pathFormat = format;
+                break;
+            }
+            case '--optimize': {
+                const steps = valueOf(++i, flag).split(',').map(step => step.trim());
+                const unknown = steps.filter(step => step !== 'all' && !optimizationSteps.includes(step));
+                if (unknown.length > 0) throw new UsageError(`Unknown optimization step ${unknown[0]}`);
+                const all = steps.includes('all');
+                args.options.optimize = Object.fromEntries(optimizationSteps.map(step => [step, all || steps.includes(step)]));
+                break;
+            }
+            case '--colors': {
+                const file = valueOf(++i, flag);
+                try {
+                    args.options.colors = JSON.parse(fs.readFileSync(file, 'utf8'));
+                } catch (error) {
+                    throw new UsageError(`${flag}: cannot read ${file}: ${error.message}`);
+                }
+                break;
+            }
+            case '--tint': args.options.tint = valueOf(++i, flag); break;
+            case '--tint-mode':
+                args.options.tintMode = valueOf(++i, flag);
+                if (!tintModes.includes(args.options.tintMode)) throw new UsageError(`${flag} must be one of ${tintModes.join(', ')}`);
+                break;
+            case '--static': args.options.animations = false; break;
+            case '--outline-strokes': args.options.outlineStrokes = true; break;
+            case '--font': {
+                const file = valueOf(++i, flag);
+                try {
+                    fonts.push(parseFont(fs.readFileSync(file), { inflate: zlib.inflateSync }));
+                } catch (error) {
+                    throw new UsageError(`${flag}: cannot read ${file}: ${error.message}`);
+                }
+                break;
+            }
+            case '--fallback-font': {
+                const family = valueOf(++i, flag);
+                args.options.fallbackFont = family === 'none' ? '' : family;
+                break;
+            }
+            case '--min-similarity':
+                args.minSimilarity = numberOf(++i, flag);
+                if (args.minSimilarity > 100) throw new UsageError(`${flag} is a percentage from 0 to 100`);
+                break;
+            case '--min-sdk': args.minSdk = Math.round(numberOf(++i, flag)); break;
+            case '--check': args.check = true; break;
+            case '-w':
+            case '--watch': args.watch = true; break;
+            case '-h':
+            case '--help': args.help = true; break;
+            default:
+                if (flag.startsWith('-') && flag !== '-') throw new UsageError(`Unknown option ${flag}`);
+                args.inputs.push(flag);
+        }
+    }
+
+    if (!args.help) {
+        if (args.inputs.length === 0) throw new UsageError('No input files given');
+        if (!args.out) throw new UsageError('No output directory given (--out)');
+        if (args.check && args.watch) throw new UsageError('--check and --watch cannot be combined');
+        args.options.fonts = loadFonts(fonts);
+    }
+    return args;
+}
+
+/**
+ * Converts a glob pattern to a regular expression matched against paths
+ * relative to the pattern's base directory. Supports *, **, ? and {a,b}.
+ */
+function globToRegExp(pattern) {
+    let source = '';
+    for (let i = 0; i < pattern.length; i++) {
+        const char = pattern[i];
+        if (pattern.startsWith('**/', i)) {
+            source += '(?:.*/)?';
+            i += 2;
+        } else if (pattern.startsWith('**', i)) {
+            source += '.*';
+            i += 1;
+        } else if (char === '*') {
+            source += '[^/]*';
+        } else if (char === '?') {
+            source += '[^/]';
+        } else if (char === '{') {
+            const end = pattern.indexOf('}', i);
+            if (end === -1) {
+                source += '\\{';
+            } else {
+                source += `(?:${pattern.slice(i + 1, end).split(',').map(part => part.replace(/[.+^$()|[\]\\]/g, '\\$&')).join('|')})`;
+                i = end;
+            }
+        } else {
+            source += char.replace(/[.+^$()|[\]\\}]/g, '\\$&');
+        }
+    }
+    return new RegExp(`^${source}$`);
+}
+
+function walk(directory, files, directories) {
+    directories.add(directory);
+    for (const entry of fs.readdirSync(directory, { withFileTypes: true })) {
+        const fullPath = path.join(directory, entry.name);
+        if (entry.isDirectory()) {
+            if (!entry.name.startsWith('.') && entry.name !== 'node_modules') walk(fullPath, files, directories);
+        } else if (entry.isFile()) {
+            files.push(fullPath);
+        }
+    }
+}
+
+/**
+ * Expands the command line inputs to a sorted list of SVG files, along with the
+ * directories they were found in (for --watch).
+ */
+function resolveInputs(inputs) {
+    const files = new Set();
+    const directories = new Set();
+    const missing = [];
+
+    for (const input of inputs) {
+        const normalized = input.split(path.sep).join('/');
+        const wildcard = normalized.search(/[*?{]/);
+
+        if (wildcard === -1) {
+            const stats = fs.statSync(input, { throwIfNoEntry: false });
+            if (!stats) {
+                missing.push(input);
+            } else if (stats.isDirectory()) {
+                const found = [];
+                walk(input, found, directories);
+                found.filter(file => /\.svg$/i.test(file)).forEach(file => files.add(path.normalize(file)));
+            } else {
+                directories.add(path.dirname(input));
+                files.add(path.normalize(input));
+            }
+            continue;
+        }
+
+        const base = normalized.slice(0, normalized.lastIndexOf('/', wildcard) + 1) || './';
+        const matcher = globToRegExp(normalized.slice(base.length));
+        const found = [];
+        if (fs.existsSync(base)) walk(base, found, directories);
+
+        const matches = found.filter(file => matcher.test(path.relative(base, file).split(path.sep).join('/')));
+        if (matches.length === 0) missing.push(input);
+        matches.forEach(file => files.add(path.normalize(file)));
+    }
+
+    return { files: [...files].sort(), directories, missing };
+}
+
+/**
+ * Gives every input its output path. Inputs whose names collide after
+ * sanitizing lose to the first one in sorted order, which is recorded as the
+ * owner of the path.
+ */
+function assignOutputs(files, args) {
+    const owners = new Map();
+    const outputs = new Map();
+    for (const file of files) {
+        const name = toResourceName(file, args.prefix);
+        const outputPath = path.join(args.out, `${name}.xml`);
+        if (!owners.has(outputPath)) owners.set(outputPath, file);
+        outputs.set(file, { name, outputPath, owner: owners.get(outputPath) });
+    }
+    return outputs;
+}
+
+/**
+ * Converts each file and either writes the result or, in check mode, compares
+ * it with what is already in the output directory. Returns a summary per file.
+ * outputs comes from assignOutputs over every input, so converting only some
+ * of them still detects collisions with the rest.
+ */
+function processFiles(files, args, outputs = assignOutputs(files, args)) {
+    const results = [];
+
+    for (const file of files) {
+        const { name, outputPath, owner } = outputs.get(file);
+        const result = { file, outputPath, warnings: [] };
+        results.push(result);
+
+        if (owner !== file) {
+            result.status = 'failed';
+            result.error = `output ${name}.xml is also produced by ${owner}`;
+            continue;
+        }
+
+        try {
+            const source = fs.readFileSync(file, 'utf8');
+            const { xml, warnings, stats } = convert(source, args.options);
+            const content = `${xml}\n`;
+            result.warnings = warnings;
+            if (args.options.optimize) result.stats = stats;
+            if (args.minSdk !== null) result.lint = lintVector(xml, { minSdkVersion: args.minSdk });
+            if (args.minSimilarity !== null) {
+                result.similarity = checkFidelity(source, xml, {
+                    defaultFill: args.options.defaultFill,
+                    fonts: args.options.fonts,
+                    fallbackFont: args.options.fallbackFont
+                }).similarity * 100;
+            }
+
+            const existing = fs.existsSync(outputPath) ? fs.readFileSync(outputPath, 'utf8').replace(/\r\n/g, '\n') : null;
+            if (existing === content) {
+                result.status = 'unchanged';
+            } else if (args.check) {
+                result.status = existing === null ? 'missing' : 'stale';
+            } else {
+                fs.mkdirSync(args.out, { recursive: true });
+                fs.writeFileSync(outputPath, content);
+                result.status = 'converted';
+            }
+        } catch (error) {
+            result.status = 'failed';
+            result.error = error.message;
+        }
+    }
+
+    return results;
+}
+
+function report(results, args) {
+    const labels = {
+        converted: 'converted',
+        unchanged: args.check ? 'up to date' : 'unchanged',
+        stale: 'out of date',
+        missing: 'not generated',
+        failed: 'FAILED'
+    };
+
+    for (const result of results) {
+        const target = path.relative(process.cwd(), result.outputPath) || result.outputPath;
+        const line = `${labels[result.status].padEnd(13)} ${result.file} -> ${target}`;
+        if (result.status === 'failed') {
+            console.error(`${line}\n    ${result.error}`);
+        } else {
+            console.log(line);
+        }
+        result.warnings.forEach(({ severity, message, path: elementPath, line, column }) => {
+            console.log(`    ${severity}: ${message} (${elementPath}${line ? `, line ${line}:${column}` : ''})`);
+        });
+        if (result.stats) {
+            console.log(`    optimized ${result.stats.unoptimizedSize} -> ${result.stats.size} bytes`);
+        }
+        if (result.lint) {
+            console.log(`    lint score ${result.lint.score}/100 for minSdk ${args.minSdk}`);
+            result.lint.issues.forEach(({ severity, message, line }) => console.log(`    lint ${severity}: ${message} (line ${line})`));
+        }
+        if (result.similarity !== undefined) {
+            const similarity = `${result.similarity.toFixed(1)}%`;
+            if (result.similarity < args.minSimilarity) {
+                console.error(`    similarity ${similarity} is below ${args.minSimilarity}%`);
+            } else {
+                console.log(`    similarity ${similarity}`);
+            }
+        }
+    }
+
+    const count = status => results.filter(result => result.status === status).length;
+    const failed = count('failed');
+    const outdated = count('stale') + count('missing');
+    const dissimilar = results.filter(result => result.similarity < args.minSimilarity).length;
+    const parts = args.check
+        ? [`${count('unchanged')} up to date`, `${outdated} out of date`]
+        : [`${count('converted')} converted`, `${count('unchanged')} unchanged`];
+    if (args.minSimilarity !== null) parts.push(`${dissimilar} below ${args.minSimilarity}% similarity`);
+    console.log(`\n${results.length} file(s): ${[...parts, `${failed} failed`].join(', ')}`);
+
+    if (args.check && outdated > 0) {
+        console.error('Generated drawables are out of date; run svg2vector without --check to update them.');
+    }
+    return failed > 0 || dissimilar > 0 || (args.check && outdated > 0) ? 1 : 0;
+}
+
+function watch(args) {
+    const modified = new Map();
+    const owners = new Map();
+    const watchers = new Map();
+    let timer = null;
+
+    const run = (initial) => {
+        const { files: found, directories, missing } = resolveInputs(args.inputs);
+        if (initial) missing.forEach(input => console.error(`No SVG files match ${input}`));
+
+        // Files can disappear between the directory event and this run
+        const mtimes = new Map();
+        for (const file of found) {
+            const stats = fs.statSync(file, { throwIfNoEntry: false });
+            if (stats) mtimes.set(file, stats.mtimeMs);
+        }
+        const files = [...mtimes.keys()];
+        for (const file of modified.keys()) {
+            if (!mtimes.has(file)) modified.delete(file);
+        }
+
+        const changed = new Set(files.filter(file => {
+            if (modified.get(file) === mtimes.get(file)) return false;
+            modified.set(file, mtimes.get(file));
+            return true;
+        }));
+
+        // When another file takes over an output, or the file writing it goes
+        // away, every file sharing that output is converted and reported again
+        const outputs = assignOutputs(files, args);
+        for (const [file, { outputPath, owner }] of outputs) {
+            if (owners.has(outputPath) && owners.get(outputPath) !== owner) changed.add(file);
+        }
+        owners.clear();
+        outputs.forEach(({ outputPath, owner }) => owners.set(outputPath, owner));
+
+        if (changed.size > 0) {
+            if (!initial) console.log(`\n[${new Date().toLocaleTimeString()}] ${changed.size} file(s) changed`);
+            report(processFiles(files.filter(file => changed.has(file)), args, outputs), args);
+        }
+
+        for (const directory of directories) {
+            if (watchers.has(directory)) continue;
+            try {
+                watchers.set(directory, fs.watch(directory, () => {
+                    clearTimeout(timer);
+                    timer = setTimeout(() => run(false), 100);
+                }));
+            } catch (error) {
+                console.error(`Cannot watch ${directory}: ${error.message}`);
+            }
+        }
+    };
+
+    run(true);
+    console.log('\nWatching for changes. Press Ctrl+C to stop.');
+}
+
+function main(argv) {
+    let args;
+    try {
+        args = parseArguments(argv);
+    } catch (error) {
+        if (!(error instanceof UsageError)) throw error;
+        console.error(`${error.message}\n\n${usage}`);
+        return 2;
+    }
+
+    if (args.help) {
+        console.log(usage);
+        return 0;
+    }
+    if (args.watch) {
+        watch(args);
+        return null;
+    }
+
+    const { files, missing } = resolveInputs(args.inputs);
+    missing.forEach(input => console.error(`No SVG files match ${input}`));
+    if (files.length === 0) return 1;
+
+    const status = report(processFiles(files, args), args);
+    return missing.length > 0 ? 1 : status;
+}
+
+if (require.main === module) {
+    const status = main(process.argv.slice(2));
+    if (status !== null) process.exitCode = status;
+}
+
+module.exports = { main, parseArguments, resolveInputs, globToRegExp };
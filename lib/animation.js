@@ -0,0 +1,775 @@
+// SVG animations to Animated Vector Drawables
+//
+// Collects SMIL (<animate>, <animateTransform>, <set>) and CSS @keyframes
+// animations while the converter builds its tree, names the groups and paths
+// they drive and writes an <animated-vector> with the drawable and every
+// animator inlined as aapt:attr resources.
+(function (exports) {
+    const smilElements = ['animate', 'animatecolor', 'animatetransform', 'animatemotion', 'set'];
+
+    // CSS timing keywords; curves are cubic Bézier control points
+    const timingFunctions = {
+        linear: 'linear',
+        ease: [0.25, 0.1, 0.25, 1],
+        'ease-in': [0.42, 0, 1, 1],
+        'ease-out': [0, 0, 0.58, 1],
+        'ease-in-out': [0.42, 0, 0.58, 1],
+        'step-start': 'step-start',
+        'step-end': 'step-end'
+    };
+
+    // Shape attributes whose animation becomes a pathData morph
+    const geometryAttributes = ['d', 'x', 'y', 'width', 'height', 'rx', 'ry', 'r', 'cx', 'cy', 'x1', 'y1', 'x2', 'y2', 'points'];
+
+    class VectorAnimator {
+        /**
+         * converter supplies styles, path data preparation and serialization.
+         */
+        constructor(converter) {
+            this.converter = converter;
+        }
+
+        /**
+         * Collects the document's SMIL animations by the element they animate and
+         * prepares context for naming and registering targets.
+         */
+        collect(root, context) {
+            const animations = new Map();
+            const visit = (parent) => {
+                for (let element of parent.children) {
+                    if (smilElements.includes(element.tagName.toLowerCase())) {
+                        const href = element.getAttribute('href') || element.getAttribute('xlink:href');
+                        const target = href ? context.ids.get(href.replace(/^#/, '')) : parent;
+                        const animation = target ? this.parseSmil(element, context) : null;
+                        if (!target) this.converter.warn(context, element, `animation target "${href}" not found; animation dropped`);
+                        if (animation) animations.set(target, [...(animations.get(target) || []), animation]);
+                    }
+                    visit(element);
+                }
+            };
+            visit(root);
+
+            context.animations = animations;
+            context.animationTargets = new Map();
+            context.animationNames = new Set();
+        }
+
+        /**
+         * The SMIL and CSS animations of an element, each as { attribute, keyframes,
+         * duration, delay, repeatCount, repeatMode } with times in milliseconds.
+         * Keyframes are { offset, value, easing }; a null value stands for the
+         * element's static value and easing shapes the interval ending at the
+         * keyframe, the way Android keyframes do.
+         */
+        animationsOf(element, style, context) {
+            if (!context.animations) return [];
+            if (!context.animationCache) context.animationCache = new Map();
+            if (!context.animationCache.has(element)) {
+                context.animationCache.set(element, [
+                    ...(context.animations.get(element) || []),
+                    ...this.cssAnimations(element, style, context)
+                ]);
+            }
+            return context.animationCache.get(element);
+        }
+
+        parseSmil(element, context) {
+            const tag = element.tagName.toLowerCase();
+            const warn = (message, severity) => {
+                this.converter.warn(context, element, message, severity);
+                return null;
+            };
+            if (tag === 'animatemotion') return warn('animateMotion dropped; motion along a path cannot be animated');
+
+            const attribute = element.getAttribute('attributeName')?.trim();
+            if (!attribute) return warn('animation without attributeName dropped');
+            if (element.getAttribute('accumulate') === 'sum') warn('accumulate="sum" dropped; every repetition starts over', 'info');
+
+            const duration = this.parseClock(element.getAttribute('dur'));
+            if (tag !== 'set' && !(duration > 0)) return warn('animation without a duration dropped');
+
+            const begin = (element.getAttribute('begin') || '0s').split(';')[0].trim();
+            let delay = this.parseClock(begin);
+            if (isNaN(delay)) {
+                warn(`begin "${begin}" is not supported; the animation starts immediately`, 'info');
+                delay = 0;
+            }
+
+            let repeatCount = 0;
+            const count = (element.getAttribute('repeatCount') || '').trim();
+            const repeatDur = (element.getAttribute('repeatDur') || '').trim();
+            if (count === 'indefinite' || (!count && repeatDur === 'indefinite')) {
+                repeatCount = -1;
+            } else if (count) {
+                repeatCount = Math.max(0, Math.ceil(parseFloat(count) || 1) - 1);
+            } else if (repeatDur) {
+                repeatCount = Math.max(0, Math.ceil((this.parseClock(repeatDur) || 0) / duration) - 1);
+            }
+            if (repeatCount >= 0 && element.getAttribute('fill') !== 'freeze') {
+                warn('the animation keeps its final value; fill="remove" is not supported', 'info');
+            }
+
+            const timing = { source: element, attribute, duration: duration || 0, delay, repeatCount, repeatMode: 'restart' };
+            if (tag === 'animatetransform') timing.type = (element.getAttribute('type') || 'translate').trim();
+            if (tag === 'set') {
+                const to = element.getAttribute('to');
+                if (to === null) return warn('<set> without a to value dropped');
+                return { ...timing, keyframes: [{ offset: 0, value: to, easing: 'linear' }, { offset: 1, value: to, easing: 'linear' }] };
+            }
+
+            const values = this.smilValues(element, timing.type);
+            if (!values) return warn('animation without values dropped');
+
+            // Discrete animations hold each value for an equal share unless keyTimes say otherwise
+            const calcMode = element.getAttribute('calcMode') || 'linear';
+            const discrete = calcMode === 'discrete';
+            let keyTimes = (element.getAttribute('keyTimes') || '').split(';').map(parseFloat).filter(value => !isNaN(value));
+            if (keyTimes.length !== values.length) {
+                keyTimes = values.map((value, i) => discrete ? i / values.length : i / Math.max(1, values.length - 1));
+            }
+            if (calcMode === 'paced' && values.length > 2) warn('calcMode="paced" is timed evenly between values', 'info');
+
+            const splines = (element.getAttribute('keySplines') || '').split(';')
+                .map(spline => spline.trim().split(/[\s,]+/).map(Number))
+                .filter(spline => spline.length === 4 && !spline.some(isNaN));
+            const easing = i => discrete ? 'step-end'
+                : calcMode === 'spline' && splines[i - 1] ? splines[i - 1] : 'linear';
+
+            const keyframes = values.map((value, i) => ({ offset: keyTimes[i], value, easing: i > 0 ? easing(i) : 'linear' }));
+            if (keyframes[keyframes.length - 1].offset < 1) {
+                keyframes.push({ offset: 1, value: values[values.length - 1], easing: discrete ? 'step-end' : 'linear' });
+            }
+            return { ...timing, keyframes };
+        }
+
+        /**
+         * values, from/to or from/by as a list; a missing from is the static value.
+         */
+        smilValues(element, type) {
+            const values = element.getAttribute('values');
+            if (values) {
+                const list = values.split(';').map(value => value.trim()).filter(Boolean);
+                return list.length > 0 ? (list.length === 1 ? [list[0], list[0]] : list) : null;
+            }
+
+            const from = element.getAttribute('from');
+            const to = element.getAttribute('to');
+            const by = element.getAttribute('by');
+            if (to !== null) return [from, to];
+            if (by === null) return null;
+
+            // by adds to from, value by value
+            const numbers = value => (value || '').trim().split(/[\s,]+/).map(Number);
+            const base = from !== null ? numbers(from) : type === 'scale' ? [1, 1] : [0, 0];
+            const sum = numbers(by).map((value, i) => value + (base[i] || 0));
+            return sum.some(isNaN) ? null : [from, sum.join(' ')];
+        }
+
+        cssAnimations(element, style, context) {
+            const names = this.splitList(style['animation-name']);
+            if (names.every(name => name === 'none')) return [];
+
+            const animations = [];
+            names.forEach((name, i) => {
+                if (name === 'none') return;
+                const pick = property => {
+                    const list = this.splitList(style[property]);
+                    return list[i % list.length];
+                };
+                const warn = (message, severity) => this.converter.warn(context, element, message, severity);
+
+                const frames = context.keyframes?.[name];
+                if (!frames) return warn(`@keyframes ${name} not found; animation dropped`);
+                const duration = this.parseClock(pick('animation-duration'));
+                if (!(duration > 0)) return warn(`animation ${name} has no duration; dropped`, 'info');
+
+                let delay = this.parseClock(pick('animation-delay')) || 0;
+                if (delay < 0) {
+                    warn(`negative animation-delay on ${name} not supported; the animation starts from its beginning`, 'info');
+                    delay = 0;
+                }
+                const count = pick('animation-iteration-count');
+                const repeatCount = count === 'infinite' ? -1 : Math.max(0, Math.ceil(parseFloat(count) || 1) - 1);
+                const direction = pick('animation-direction');
+
+                const timing = this.parseTimingFunction(pick('animation-timing-function'), element, context);
+                const properties = [...new Set(frames.flatMap(frame => frame.declarations.map(declaration => declaration.property)))]
+                    .filter(property => property !== 'animation-timing-function');
+
+                for (let property of properties) {
+                    const entries = frames
+                        .map(frame => {
+                            const declared = frame.declarations.filter(declaration => declaration.property === property).pop();
+                            const easing = frame.declarations.filter(declaration => declaration.property === 'animation-timing-function').pop();
+                            return declared && {
+                                offset: frame.offset,
+                                value: declared.value,
+                                timing: easing ? this.parseTimingFunction(easing.value, element, context) : timing
+                            };
+                        })
+                        .filter(Boolean);
+
+                    // Missing 0% and 100% keyframes use the element's own value
+                    if (entries[0].offset > 0) entries.unshift({ offset: 0, value: null, timing });
+                    if (entries[entries.length - 1].offset < 1) entries.push({ offset: 1, value: null, timing });
+                    let keyframes = entries.map((entry, k) => ({
+                        offset: entry.offset,
+                        value: entry.value,
+                        easing: k > 0 ? entries[k - 1].timing : 'linear'
+                    }));
+
+                    if (direction === 'reverse' || direction === 'alternate-reverse') {
+                        keyframes = keyframes.map((keyframe, k) => ({
+                            offset: 1 - keyframe.offset,
+                            value: keyframe.value,
+                            easing: k < keyframes.length - 1 ? this.reverseEasing(keyframes[k + 1].easing) : 'linear'
+                        })).reverse();
+                        keyframes[0].easing = 'linear';
+                    }
+
+                    animations.push({
+                        source: element,
+                        attribute: property,
+                        css: true,
+                        keyframes,
+                        duration,
+                        delay,
+                        repeatCount,
+                        repeatMode: /alternate/.test(direction) ? 'reverse' : 'restart'
+                    });
+                }
+            });
+            return animations;
+        }
+
+        /**
+         * Times in milliseconds from CSS times ("2s", "150ms") and SMIL clock values
+         * ("1.5s", "2min", "00:01.5").
+         */
+        parseClock(value) {
+            const text = (value || '').trim();
+            const units = { ms: 1, s: 1000, min: 60000, h: 3600000 };
+            const match = text.match(/^([+-]?(?:\d+\.?\d*|\.\d+))(ms|s|min|h)?$/);
+            if (match) return parseFloat(match[1]) * units[match[2] || 's'];
+
+            const clock = text.match(/^(?:(\d+):)?(\d{2}):(\d{2}(?:\.\d+)?)$/);
+            if (clock) return ((Number(clock[1] || 0) * 60 + Number(clock[2])) * 60 + Number(clock[3])) * 1000;
+            return NaN;
+        }
+
+        parseTimingFunction(value, element, context) {
+            const text = (value || 'ease').trim().toLowerCase();
+            if (timingFunctions[text]) return timingFunctions[text];
+
+            const bezier = text.match(/^cubic-bezier\(([^)]*)\)$/);
+            const points = bezier ? bezier[1].split(',').map(Number) : [];
+            if (points.length === 4 && !points.some(isNaN)) return points;
+
+            const steps = text.match(/^steps\(\s*1\s*(?:,\s*([\w-]+)\s*)?\)$/);
+            if (steps) return /start/.test(steps[1] || '') ? 'step-start' : 'step-end';
+
+            this.converter.warn(context, element, `timing function ${value} not supported; using linear`, 'info');
+            return 'linear';
+        }
+
+        reverseEasing(easing) {
+            if (Array.isArray(easing)) {
+                const [x1, y1, x2, y2] = easing;
+                return [1 - x2, 1 - y2, 1 - x1, 1 - y1];
+            }
+            return { 'step-start': 'step-end', 'step-end': 'step-start' }[easing] || easing;
+        }
+
+        splitList(value) {
+            const items = [];
+            let depth = 0;
+            let current = '';
+            for (let char of value || '') {
+                if (char === '(') depth++;
+                if (char === ')') depth--;
+                if (char === ',' && depth === 0) {
+                    items.push(current.trim());
+                    current = '';
+                } else {
+                    current += char;
+                }
+            }
+            items.push(current.trim());
+            return items.filter(Boolean);
+        }
+
+        /**
+         * Whether the element's opacity is animated; the converter then leaves it
+         * out of its descendants' alphas so animators can scale them.
+         */
+        animatesOpacity(element, style, context) {
+            return this.animationsOf(element, style, context).some(animation => animation.attribute === 'opacity');
+        }
+
+        /**
+         * Whether the element's dashes are drawn with trimmed paths instead of being
+         * dropped: a dash offset animation with a single dash as long as the path.
+         */
+        trimsDashes(element, style, context) {
+            return this.animationsOf(element, style, context).some(animation => animation.attribute === 'stroke-dashoffset')
+                && !!this.dashTrim(element, style);
+        }
+
+        /**
+         * Attaches the element's animations to its converted node: transform
+         * animations wrap the node in animated groups, everything else animates the
+         * paths below it. Returns the node to emit in place of node.
+         */
+        animate(element, style, node, context) {
+            const animations = this.animationsOf(element, style, context);
+            if (animations.length === 0) return node;
+
+            // Markers draw their own content, which the element's properties do not reach
+            const paths = [];
+            const collect = item => item.type !== 'group' ? paths.push(item) : item.marker || item.children.forEach(collect);
+            collect(node);
+
+            const transforms = [];
+            for (let animation of animations) {
+                if (animation.attribute === 'transform') {
+                    transforms.push(animation);
+                } else if (paths.length > 0) {
+                    this.animateProperty(element, style, animation, paths, context);
+                }
+            }
+            return transforms.length > 0 ? this.animateTransforms(element, style, node, transforms, context) : node;
+        }
+
+        animateProperty(element, style, animation, paths, context) {
+            const converter = this.converter;
+            const { attribute, source } = animation;
+            const isShape = converter.supportedElements.includes(element.tagName.toLowerCase());
+            const warn = (message, severity) => converter.warn(context, source, message, severity);
+            const staticValue = attribute in converter.styleProperties ? style[attribute] : element.getAttribute(attribute);
+            const values = animation.keyframes.map(keyframe => keyframe.value ?? staticValue);
+            const scale = context.matrix ? Math.sqrt(Math.abs(context.matrix[0] * context.matrix[3] - context.matrix[1] * context.matrix[2])) : 1;
+
+            if (!isShape && !['fill', 'stroke', 'opacity'].includes(attribute)) {
+                return warn(`${attribute} animation on <${element.tagName}> not supported; dropped`);
+            }
+            if (paths.some(path => path.outlined) && (/^stroke/.test(attribute) || geometryAttributes.includes(attribute))) {
+                return warn(`${attribute} animation dropped; the stroke was outlined into a fill`);
+            }
+
+            switch (attribute) {
+                case 'fill':
+                case 'stroke': {
+                    const colors = values.map(value => converter.normalizeColor(value ?? context.defaultFill));
+                    if (colors.some(color => !color)) return warn(`${attribute} animation dropped; only plain colors can be animated`);
+
+                    // A group's color reaches the paths still painted with its static color,
+                    // a dashed shape's the one of its fill and dashes that has the paint
+                    const property = `${attribute}Color`;
+                    const current = converter.normalizeColor(style[attribute] ?? context.defaultFill);
+                    const targets = paths.filter(path => isShape ? paths.length === 1 || path[property] : path[property] === current);
+                    if (targets.length === 0) return warn(`${attribute} animation dropped; nothing is painted with the animated ${attribute}`, 'info');
+                    targets.forEach(path => this.addAnimator(path, element, animation, [{ propertyName: property, valueType: 'colorType', values: colors }], context));
+                    return;
+                }
+                case 'opacity':
+                case 'fill-opacity':
+                case 'stroke-opacity': {
+                    const opacities = values.map(value => converter.parseOpacity(value));
+                    const staticOpacity = converter.parseOpacity(staticValue);
+                    for (let path of paths) {
+                        const holders = [];
+                        for (let paint of ['fill', 'stroke']) {
+                            if (!path[`${paint}Color`] || (attribute !== 'opacity' && attribute !== `${paint}-opacity`)) continue;
+
+                            // Groups left their opacity out of the paths' alphas; shapes recompute theirs
+                            let base;
+                            if (!isShape) {
+                                base = parseFloat(path[`${paint}Alpha`] ?? 1);
+                                if (base * staticOpacity < 1) path[`${paint}Alpha`] = converter.formatNumber(base * staticOpacity);
+                            } else {
+                                const other = attribute === 'opacity' ? style[`${paint}-opacity`] : style.opacity;
+                                base = context.opacity * converter.parseOpacity(other);
+                            }
+                            holders.push({ propertyName: `${paint}Alpha`, valueType: 'floatType', values: opacities.map(value => converter.formatNumber(base * value)) });
+                        }
+                        if (holders.length > 0) this.addAnimator(path, element, animation, holders, context);
+                    }
+                    return;
+                }
+                case 'stroke-width': {
+                    const widths = values.map(value => parseFloat(value));
+                    if (widths.some(isNaN) || !paths[0].strokeColor) return warn('stroke-width animation dropped');
+                    this.addAnimator(paths[0], element, animation, [{ propertyName: 'strokeWidth', valueType: 'floatType', values: widths.map(width => converter.formatNumber(width * scale)) }], context);
+                    return;
+                }
+                case 'stroke-dashoffset': {
+                    const trim = this.dashTrim(element, style);
+                    if (!trim) return warn('stroke-dashoffset animation dropped; only a single dash as long as the path can be drawn on with trimmed paths');
+                    const ranges = values.map(value => trim(parseFloat(value) || 0));
+                    const [start, end] = trim(parseFloat(style['stroke-dashoffset']) || 0);
+                    if (start > 0) paths[0].trimPathStart = converter.formatNumber(start);
+                    if (end < 1) paths[0].trimPathEnd = converter.formatNumber(end);
+                    const holders = ['trimPathStart', 'trimPathEnd'].map((propertyName, i) => ({
+                        propertyName,
+                        valueType: 'floatType',
+                        values: ranges.map(range => converter.formatNumber(range[i]))
+                    })).filter(holder => new Set(holder.values).size > 1);
+                    if (holders.length > 0) this.addAnimator(paths[0], element, animation, holders, context);
+                    return;
+                }
+                default:
+                    if (geometryAttributes.includes(attribute)) return this.animateGeometry(element, animation, values, paths[0], context);
+                    return warn(`${attribute} animation not supported; dropped`);
+            }
+        }
+
+        /**
+         * Animated shape geometry becomes a pathData morph. Android only morphs
+         * between paths with the same commands, so every frame is written with
+         * absolute coordinates and checked against the others.
+         */
+        animateGeometry(element, animation, values, path, context) {
+            const converter = this.converter;
+            const format = { ...context, pathFormat: { ...context.pathFormat, mode: 'absolute' } };
+            const original = element.getAttribute(animation.attribute);
+            const frames = values.map(value => {
+                element.setAttribute(animation.attribute, value ?? '');
+                return converter.preparePathData(converter.shapeToPathData(element), context.matrix, format, animation.source);
+            });
+            if (original === null) element.removeAttribute(animation.attribute);
+            else element.setAttribute(animation.attribute, original);
+
+            const commands = d => (d.match(/[a-z]/gi) || []).join('');
+            const staticPath = converter.preparePathData(converter.shapeToPathData(element), context.matrix, format, element);
+            if (frames.some(frame => commands(frame) !== commands(staticPath))) {
+                return converter.warn(context, animation.source, `${animation.attribute} animation dropped; the shapes cannot morph into each other because their path commands differ`);
+            }
+            path.pathData = staticPath;
+            this.addAnimator(path, element, animation, [{ propertyName: 'pathData', valueType: 'pathType', values: frames }], context);
+        }
+
+        /**
+         * For a stroke dashed with one dash at least as long as the path, returns a
+         * function mapping a dash offset to the [start, end] fractions of the path
+         * that dash covers.
+         */
+        dashTrim(element, style) {
+            const dashes = (style['stroke-dasharray'] || '').split(/[\s,]+/).map(parseFloat).filter(value => !isNaN(value));
+            if (dashes.length === 0 || dashes.some(value => value < 0)) return null;
+
+            const converter = this.converter;
+            const length = parseFloat(element.getAttribute('pathLength')) || converter.polylineLength(converter.flattenPathData(converter.shapeToPathData(element)));
+            const [dash, gap = dash] = dashes;
+            if (!(length > 0) || dash < length * 0.99 || gap < length * 0.99) return null;
+
+            const clamp = value => Math.min(1, Math.max(0, value));
+            return offset => [clamp(-offset / length), clamp((dash - offset) / length)];
+        }
+
+        /**
+         * Wraps node in one named group per transform animation. The groups sit
+         * inside the element's static transform, around its clip.
+         */
+        animateTransforms(element, style, node, transforms, context) {
+            if (context.matrix) {
+                this.converter.warn(context, element, 'transform animation dropped; the element is below a transform that is baked into the path data');
+                return node;
+            }
+            if (element.getAttribute('transform') && transforms.some(animation => animation.css || animation.source.getAttribute('additive') !== 'sum')) {
+                this.converter.warn(context, element, 'animated transform is applied on top of the static transform instead of replacing it', 'info');
+            }
+
+            // A <use> is positioned by its x and y inside the animated transform
+            const isUse = element.tagName.toLowerCase() === 'use';
+            const staticTransform = node.type === 'group' && !isUse ? node.transform : null;
+            let children = node.type !== 'group' || isUse ? [node]
+                : node.clipPaths?.length > 0 ? [{ ...node, transform: null }]
+                : node.children;
+            for (let animation of [...transforms].reverse()) {
+                const group = this.transformGroup(element, style, animation, children, context);
+                if (group) children = [group];
+            }
+
+            if (staticTransform) return { type: 'group', transform: staticTransform, clipPaths: [], children };
+            return children.length === 1 ? children[0] : { type: 'group', transform: null, clipPaths: [], children };
+        }
+
+        transformGroup(element, style, animation, children, context) {
+            const warn = message => {
+                this.converter.warn(context, animation.source, message);
+                return null;
+            };
+            let frames;
+            let pivot = [0, 0];
+
+            if (animation.css) {
+                frames = animation.keyframes.map(keyframe => this.parseCssTransform(keyframe.value ?? 'none'));
+                if (frames.some(frame => !frame)) return warn('transform animation dropped; only translate, rotate and scale in that order can be animated');
+                pivot = this.transformOrigin(element, style, children, context);
+            } else {
+                const numbers = animation.keyframes.map(keyframe => (keyframe.value ?? '').trim().split(/[\s,]+/).filter(Boolean).map(Number));
+                if (numbers.some(list => list.some(isNaN))) return warn('transform animation with invalid values dropped');
+                switch (animation.type) {
+                    case 'translate':
+                        frames = numbers.map(([x = 0, y = 0]) => ({ translateX: x, translateY: y }));
+                        break;
+                    case 'scale':
+                        frames = numbers.map(([x = 1, y = x]) => ({ scaleX: x, scaleY: y }));
+                        break;
+                    case 'rotate':
+                        frames = numbers.map(([angle = 0]) => ({ rotation: angle }));
+                        pivot = [numbers[0][1] || 0, numbers[0][2] || 0];
+                        if (numbers.some(([, x = 0, y = 0]) => x !== pivot[0] || y !== pivot[1])) {
+                            this.converter.warn(context, animation.source, 'rotation center changes during the animation; the first one is used', 'info');
+                        }
+                        break;
+                    default:
+                        return warn(`animateTransform type "${animation.type}" not supported; dropped`);
+                }
+            }
+
+            const defaults = { translateX: 0, translateY: 0, rotation: 0, scaleX: 1, scaleY: 1 };
+            const holders = Object.entries(defaults)
+                .map(([propertyName, initial]) => ({
+                    propertyName,
+                    valueType: 'floatType',
+                    values: frames.map(frame => this.converter.formatNumber(frame[propertyName] ?? initial))
+                }))
+                .filter(holder => holder.values.some(value => Number(value) !== defaults[holder.propertyName]));
+            if (holders.length === 0) return null;
+
+            const group = { type: 'group', transform: { pivotX: pivot[0], pivotY: pivot[1] }, clipPaths: [], children };
+            this.addAnimator(group, element, animation, holders, context);
+            return group;
+        }
+
+        /**
+         * Parses a CSS transform into group properties. Returns null unless it is
+         * translations, a rotation and scales in that order, the order Android
+         * groups apply them in.
+         */
+        parseCssTransform(value) {
+            const frame = {};
+            if (value.trim() === 'none') return frame;
+
+            const angle = text => {
+                const match = text.match(/^([+-]?[\d.]+(?:e[+-]?\d+)?)(deg|rad|turn|grad)?$/i);
+                const units = { deg: 1, rad: 180 / Math.PI, turn: 360, grad: 0.9 };
+                return match ? parseFloat(match[1]) * units[(match[2] || 'deg').toLowerCase()] : NaN;
+            };
+            const length = text => this.converter.parseLength(text, 0);
+            const stages = { translate: 0, rotate: 1, scale: 2 };
+            let stage = 0;
+
+            const functions = [...value.matchAll(/([\w-]+)\(([^)]*)\)/g)];
+            if (functions.map(match => match[0]).join('').replace(/\s/g, '') !== value.replace(/\s/g, '')) return null;
+
+            for (let [, name, args] of functions) {
+                const values = args.split(/[\s,]+/).filter(Boolean);
+                const kind = name.replace(/[XY]$/, '');
+                if (!(kind in stages) || stages[kind] < stage) return null;
+                stage = stages[kind];
+
+                switch (name) {
+                    case 'translate':
+                        frame.translateX = (frame.translateX || 0) + length(values[0]);
+                        frame.translateY = (frame.translateY || 0) + (values[1] ? length(values[1]) : 0);
+                        break;
+                    case 'translateX':
+                        frame.translateX = (frame.translateX || 0) + length(values[0]);
+                        break;
+                    case 'translateY':
+                        frame.translateY = (frame.translateY || 0) + length(values[0]);
+                        break;
+                    case 'rotate':
+                        if (frame.rotation !== undefined) return null;
+                        frame.rotation = angle(values[0]);
+                        break;
+                    case 'scale':
+                        frame.scaleX = (frame.scaleX ?? 1) * Number(values[0]);
+                        frame.scaleY = (frame.scaleY ?? 1) * Number(values[1] ?? values[0]);
+                        break;
+                    case 'scaleX':
+                        frame.scaleX = (frame.scaleX ?? 1) * Number(values[0]);
+                        break;
+                    case 'scaleY':
+                        frame.scaleY = (frame.scaleY ?? 1) * Number(values[0]);
+                        break;
+                    default:
+                        return null;
+                }
+            }
+            return Object.values(frame).some(isNaN) ? null : frame;
+        }
+
+        /**
+         * Resolves transform-origin against the view box, or against the element's
+         * bounds with transform-box: fill-box.
+         */
+        transformOrigin(element, style, children, context) {
+            const converter = this.converter;
+            const box = style['transform-box'] === 'fill-box'
+                ? (converter.supportedElements.includes(element.tagName.toLowerCase())
+                    ? converter.pathBounds(converter.shapeToPathData(element))
+                    : converter.nodesBounds(children, null))
+                : null;
+            const { x = 0, y = 0, width, height } = box || context.viewport;
+
+            const keywords = { left: ['x', 0], right: ['x', 100], top: ['y', 0], bottom: ['y', 100], center: [null, 50] };
+            const tokens = (style['transform-origin'] || '').trim().split(/\s+/).slice(0, 2);
+            const origin = { x: '0', y: '0' };
+            if (tokens.length === 1 && keywords[tokens[0]]) {
+                const [axis, percent] = keywords[tokens[0]];
+                origin.x = origin.y = '50%';
+                origin[axis || 'x'] = `${percent}%`;
+            } else {
+                tokens.forEach((token, i) => {
+                    const keyword = keywords[token];
+                    const axis = keyword?.[0] || (i === 0 ? 'x' : 'y');
+                    origin[axis] = keyword ? `${keyword[1]}%` : token;
+                });
+            }
+            return [x + converter.parseLength(origin.x, width), y + converter.parseLength(origin.y, height)];
+        }
+
+        /**
+         * Registers an animator driving target, naming the target after the
+         * animated element on first use. holders are { propertyName, valueType,
+         * values } with one value per keyframe of animation.
+         */
+        addAnimator(target, element, animation, holders, context) {
+            if (!target.name) target.name = this.nameFor(element, context);
+            const { keyframes, duration, delay, repeatCount, repeatMode } = animation;
+            const animator = {
+                duration,
+                delay,
+                repeatCount,
+                repeatMode,
+                holders: holders.map(({ values, ...holder }) => ({
+                    ...holder,
+                    keyframes: keyframes.map((keyframe, i) => ({ offset: keyframe.offset, value: values[i], easing: keyframe.easing }))
+                }))
+            };
+
+            // Android cannot keyframe path morphs, so they play as a sequence that does not repeat
+            const morph = animator.holders.find(holder => holder.valueType === 'pathType');
+            if (morph && morph.keyframes.length > 2 && repeatCount !== 0) {
+                const [first, middle, last] = morph.keyframes;
+                if (morph.keyframes.length === 3 && first.value === last.value && middle.offset === 0.5 && [middle, last].every(keyframe => keyframe.easing === 'linear')) {
+                    // A there-and-back morph is one reversing animator
+                    Object.assign(animator, { duration: duration / 2, repeatMode: 'reverse', repeatCount: repeatCount < 0 ? -1 : (repeatCount + 1) * 2 - 1 });
+                    morph.keyframes = [{ ...first, offset: 0 }, { ...middle, offset: 1 }];
+                } else {
+                    this.converter.warn(context, animation.source, 'a path morph through more than two shapes plays once; Android cannot repeat it', 'info');
+                }
+            }
+
+            const animators = context.animationTargets.get(target.name) || [];
+            animators.push(animator);
+            context.animationTargets.set(target.name, animators);
+        }
+
+        nameFor(element, context) {
+            const id = (element.getAttribute('id') || '').replace(/[^\w]/g, '_');
+            const base = id && /^[A-Za-z_]/.test(id) ? id : element.tagName.toLowerCase();
+            let name = base;
+            for (let i = 2; context.animationNames.has(name); i++) name = `${base}_${i}`;
+            context.animationNames.add(name);
+            return name;
+        }
+
+        /**
+         * Writes the animated vector: the drawable and one target per animated
+         * group or path, all inline.
+         */
+        serialize(vector, nodes, targets, pretty) {
+            const converter = this.converter;
+            const drawable = converter.serializeVector(vector, nodes, pretty, 2);
+            const children = [
+                converter.serializeElement('aapt:attr', [['name', 'android:drawable']], [drawable], 1, pretty),
+                ...[...targets].map(([name, animators]) => {
+                    const animation = animators.length === 1
+                        ? this.serializeAnimator(animators[0], 3, pretty)
+                        : converter.serializeElement('set', [], animators.map(animator => this.serializeAnimator(animator, 4, pretty)), 3, pretty);
+                    return converter.serializeElement('target', [['android:name', name]], [
+                        converter.serializeElement('aapt:attr', [['name', 'android:animation']], [animation], 2, pretty)
+                    ], 1, pretty);
+                })
+            ];
+            return converter.serializeElement('animated-vector', [
+                ['xmlns:android', 'http://schemas.android.com/apk/res/android'],
+                ['xmlns:aapt', 'http://schemas.android.com/aapt']
+            ], children, 0, pretty).trimEnd();
+        }
+
+        serializeAnimator({ duration, delay, repeatCount, repeatMode, holders }, depth, pretty) {
+            const converter = this.converter;
+            const timing = [['android:duration', String(Math.round(duration))]];
+            if (delay > 0) timing.push(['android:startOffset', String(Math.round(delay))]);
+            if (repeatCount !== 0) timing.push(['android:repeatCount', String(repeatCount)]);
+            if (repeatMode === 'reverse') timing.push(['android:repeatMode', 'reverse']);
+
+            const [holder] = holders;
+            const { keyframes } = holder;
+            if (holders.length === 1 && keyframes.length === 2) {
+                const [interpolator, inline] = this.interpolator(keyframes[1].easing, depth + 1, pretty);
+                return converter.serializeElement('objectAnimator', [
+                    ['android:propertyName', holder.propertyName],
+                    ...timing,
+                    ['android:valueFrom', keyframes[0].value],
+                    ['android:valueTo', keyframes[1].value],
+                    ['android:valueType', holder.valueType],
+                    ...interpolator
+                ], inline, depth, pretty);
+            }
+
+            if (holder.valueType === 'pathType') {
+                // One animator per step, played in sequence
+                const steps = keyframes.slice(1).map((keyframe, i) => this.serializeAnimator({
+                    duration: (keyframe.offset - keyframes[i].offset) * duration,
+                    delay: i === 0 ? delay : 0,
+                    repeatCount: 0,
+                    holders: [{ ...holder, keyframes: [keyframes[i], keyframe] }]
+                }, depth + 1, pretty));
+                return converter.serializeElement('set', [['android:ordering', 'sequentially']], steps, depth, pretty);
+            }
+
+            const children = holders.map(({ propertyName, valueType, keyframes }) => converter.serializeElement('propertyValuesHolder', [
+                ['android:propertyName', propertyName],
+                ['android:valueType', valueType]
+            ], keyframes.map((keyframe, i) => {
+                const [interpolator, inline] = i > 0 ? this.interpolator(keyframe.easing, depth + 3, pretty) : [[], []];
+                return converter.serializeElement('keyframe', [
+                    ['android:fraction', converter.formatNumber(keyframe.offset)],
+                    ['android:value', keyframe.value],
+                    ...interpolator
+                ], inline, depth + 2, pretty);
+            }), depth + 1, pretty));
+            return converter.serializeElement('objectAnimator', [
+                ...timing,
+                ['android:interpolator', '@android:anim/linear_interpolator']
+            ], children, depth, pretty);
+        }
+
+        /**
+         * An easing as [attributes, children]: linear is the platform interpolator,
+         * curves and steps become inline path interpolators.
+         */
+        interpolator(easing, depth, pretty) {
+            if (easing === 'linear') return [[['android:interpolator', '@android:anim/linear_interpolator']], []];
+
+            const format = value => this.converter.formatNumber(value);
+            const pathData = Array.isArray(easing) ? `M 0,0 C ${format(easing[0])},${format(easing[1])} ${format(easing[2])},${format(easing[3])} 1,1`
+                : easing === 'step-start' ? 'M 0,0 L 0,1 L 1,1'
+                : 'M 0,0 L 1,0 L 1,1';
+            const inline = this.converter.serializeElement('aapt:attr', [['name', 'android:interpolator']], [
+                this.converter.serializeElement('pathInterpolator', [['android:pathData', pathData]], [], depth + 1, pretty)
+            ], depth, pretty);
+            return [[], [inline]];
+        }
+    }
+
+    Object.assign(exports, { VectorAnimator });
+})(
+    typeof module !== 'undefined' && module.exports ? module.exports : (globalThis.Svg2Vector = globalThis.Svg2Vector || {})
+);
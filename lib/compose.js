@@ -0,0 +1,402 @@
+// VectorDrawable to Jetpack Compose ImageVector
+//
+// Writes a drawable as Kotlin source that builds the same image with
+// ImageVector.Builder, the way the material-icons-extended icons are written,
+// so Compose screens can use it without going through resources.
+(function (exports, { parseXml, nodeLocation, VectorDrawableConverter }) {
+    const defaultOptions = {
+        packageName: 'com.example.icons',
+        receiver: 'Icons.Filled',
+        name: 'Icon',
+        colors: {},
+        defaultColor: '#000000'
+    };
+
+    const imports = {
+        Icons: 'androidx.compose.material.icons.Icons',
+        BlendMode: 'androidx.compose.ui.graphics.BlendMode',
+        Brush: 'androidx.compose.ui.graphics.Brush',
+        Color: 'androidx.compose.ui.graphics.Color',
+        Offset: 'androidx.compose.ui.geometry.Offset',
+        PathFillType: 'androidx.compose.ui.graphics.PathFillType',
+        SolidColor: 'androidx.compose.ui.graphics.SolidColor',
+        StrokeCap: 'androidx.compose.ui.graphics.StrokeCap',
+        StrokeJoin: 'androidx.compose.ui.graphics.StrokeJoin',
+        TileMode: 'androidx.compose.ui.graphics.TileMode',
+        ImageVector: 'androidx.compose.ui.graphics.vector.ImageVector',
+        PathData: 'androidx.compose.ui.graphics.vector.PathData',
+        addPath: 'androidx.compose.ui.graphics.vector.addPath',
+        group: 'androidx.compose.ui.graphics.vector.group',
+        path: 'androidx.compose.ui.graphics.vector.path',
+        dp: 'androidx.compose.ui.unit.dp'
+    };
+
+    const strokeCaps = { butt: 'Butt', round: 'Round', square: 'Square' };
+    const strokeJoins = { miter: 'Miter', round: 'Round', bevel: 'Bevel' };
+    const tileModes = { clamp: 'Clamp', repeat: 'Repeated', mirror: 'Mirror' };
+    const blendModes = { src_in: 'SrcIn', src_over: 'SrcOver', src_atop: 'SrcAtop', multiply: 'Modulate', screen: 'Screen', add: 'Plus' };
+
+    class ComposeExporter {
+        constructor() {
+            this.pathParser = new VectorDrawableConverter();
+        }
+
+        /**
+         * Converts VectorDrawable XML to a Kotlin file declaring
+         * `val <receiver>.<name>: ImageVector`, built lazily and cached the way the
+         * material icons are. Returns { code, warnings }; malformed XML throws.
+         * options.colors maps color references to concrete colors, as for SVG export.
+         */
+        convert(xml, options = {}) {
+            options = { ...defaultOptions, ...options };
+            const context = { options, warnings: [], imports: new Set(['ImageVector', 'dp']) };
+            let vector = parseXml(xml).documentElement;
+            if (vector.tagName === 'animated-vector') {
+                this.warn(context, vector, 'animations are not exported to Compose; the drawable is built before they start', 'info');
+                const attr = vector.children.find(child => child.tagName === 'aapt:attr' && child.getAttribute('name') === 'android:drawable');
+                vector = attr?.children[0] || vector;
+            }
+            if (vector.tagName !== 'vector') {
+                throw new Error('Invalid VectorDrawable: the root element must be <vector>');
+            }
+
+            const number = (name, fallback) => {
+                const value = parseFloat(vector.getAttribute(`android:${name}`));
+                return isNaN(value) ? fallback : value;
+            };
+            const width = number('width', 24);
+            const height = number('height', 24);
+
+            const receiver = String(options.receiver || '').trim();
+            if (receiver === 'Icons' || receiver.startsWith('Icons.')) context.imports.add('Icons');
+            const property = receiver ? `${receiver}.${options.name}` : options.name;
+            const builderName = receiver.startsWith('Icons.') ? `${receiver.slice(6)}.${options.name}` : options.name;
+            const cache = `_${options.name.charAt(0).toLowerCase()}${options.name.slice(1)}`;
+
+            const builderArguments = [
+                `name = ${this.string(builderName)}`,
+                `defaultWidth = ${this.formatNumber(width)}.dp`,
+                `defaultHeight = ${this.formatNumber(height)}.dp`,
+                `viewportWidth = ${this.float(number('viewportWidth', width))}`,
+                `viewportHeight = ${this.float(number('viewportHeight', height))}`
+            ];
+            if (vector.getAttribute('android:autoMirrored') === 'true') builderArguments.push('autoMirror = true');
+            const tint = vector.getAttribute('android:tint');
+            if (tint) {
+                builderArguments.push(`tintColor = ${this.color(tint, vector, context)}`);
+                const tintMode = vector.getAttribute('android:tintMode') || 'src_in';
+                builderArguments.push(`tintBlendMode = BlendMode.${blendModes[tintMode] || 'SrcIn'}`);
+                context.imports.add('Color').add('BlendMode');
+            }
+            if (number('alpha', 1) < 1) {
+                this.warn(context, vector, 'android:alpha on <vector> has no ImageVector equivalent; apply it with Modifier.alpha() where the icon is drawn');
+            }
+
+            const body = this.convertChildren(vector, 3, context);
+            const lines = [
+                `package ${options.packageName}`,
+                '',
+                ...[...context.imports].map(name => `import ${imports[name]}`).sort(),
+                '',
+                `val ${property}: ImageVector`,
+                '    get() {',
+                `        if (${cache} != null) {`,
+                `            return ${cache}!!`,
+                '        }',
+                `        ${cache} = ImageVector.Builder(`,
+                ...this.argumentLines(builderArguments, 3),
+                '        ).apply {',
+                ...body,
+                '        }.build()',
+                `        return ${cache}!!`,
+                '    }',
+                '',
+                `private var ${cache}: ImageVector? = null`,
+                ''
+            ];
+            if (!options.packageName) lines.splice(0, 2);
+
+            return { code: lines.join('\n'), warnings: context.warnings };
+        }
+
+        /**
+         * The builder calls for the children of a <vector> or <group>. A <clip-path>
+         * clips the siblings that follow it, so those go into a clipped group.
+         */
+        convertChildren(parent, depth, context) {
+            const lines = [];
+            const children = parent.children.filter(child => child.tagName !== 'aapt:attr');
+
+            for (let [index, child] of children.entries()) {
+                if (child.tagName === 'clip-path') {
+                    const pathData = child.getAttribute('android:pathData');
+                    if (!pathData) continue;
+                    const rest = { children: children.slice(index + 1) };
+                    lines.push(...this.block('group', [`clipPathData = ${this.pathData(pathData, child, depth + 2, context)}`], depth,
+                        this.convertChildren(rest, depth + 1, context)));
+                    context.imports.add('group').add('PathData');
+                    break;
+                } else if (child.tagName === 'group') {
+                    lines.push(...this.convertGroup(child, depth, context));
+                } else if (child.tagName === 'path') {
+                    lines.push(...this.convertPath(child, depth, context));
+                } else {
+                    this.warn(context, child, `<${child.tagName}> is not part of a VectorDrawable and was skipped`, 'error');
+                }
+            }
+
+            return lines;
+        }
+
+        convertGroup(group, depth, context) {
+            const value = name => group.getAttribute(`android:${name}`);
+            const args = [];
+            if (value('name')) args.push(`name = ${this.string(value('name'))}`);
+            const numbers = [
+                ['rotation', 'rotate', 0], ['pivotX', 'pivotX', 0], ['pivotY', 'pivotY', 0],
+                ['scaleX', 'scaleX', 1], ['scaleY', 'scaleY', 1],
+                ['translateX', 'translationX', 0], ['translateY', 'translationY', 0]
+            ];
+            for (let [attribute, parameter, fallback] of numbers) {
+                const number = parseFloat(value(attribute));
+                if (!isNaN(number) && number !== fallback) args.push(`${parameter} = ${this.float(number)}`);
+            }
+
+            context.imports.add('group');
+            return this.block('group', args, depth, this.convertChildren(group, depth + 1, context));
+        }
+
+        convertPath(path, depth, context) {
+            const pathData = path.getAttribute('android:pathData');
+            if (!pathData) return [];
+
+            const value = name => path.getAttribute(`android:${name}`);
+            const args = [];
+            if (value('name')) args.push(`name = ${this.string(value('name'))}`);
+
+            const fill = this.brush(path, 'fillColor', depth + 1, context);
+            if (fill) args.push(`fill = ${fill}`);
+            const fillAlpha = parseFloat(value('fillAlpha'));
+            if (fill && fillAlpha < 1) args.push(`fillAlpha = ${this.float(fillAlpha)}`);
+
+            const stroke = this.brush(path, 'strokeColor', depth + 1, context);
+            const strokeWidth = parseFloat(value('strokeWidth')) || 0;
+            if (stroke && strokeWidth > 0) {
+                args.push(`stroke = ${stroke}`);
+                const strokeAlpha = parseFloat(value('strokeAlpha'));
+                if (strokeAlpha < 1) args.push(`strokeAlpha = ${this.float(strokeAlpha)}`);
+                args.push(`strokeLineWidth = ${this.float(strokeWidth)}`);
+                if (strokeCaps[value('strokeLineCap')]) {
+                    args.push(`strokeLineCap = StrokeCap.${strokeCaps[value('strokeLineCap')]}`);
+                    context.imports.add('StrokeCap');
+                }
+                if (strokeJoins[value('strokeLineJoin')]) {
+                    args.push(`strokeLineJoin = StrokeJoin.${strokeJoins[value('strokeLineJoin')]}`);
+                    context.imports.add('StrokeJoin');
+                }
+                const miter = parseFloat(value('strokeMiterLimit'));
+                if (!isNaN(miter) && miter !== 4) args.push(`strokeLineMiter = ${this.float(miter)}`);
+            }
+            if (value('fillType') === 'evenOdd') {
+                args.push('pathFillType = PathFillType.EvenOdd');
+                context.imports.add('PathFillType');
+            }
+
+            // path {} has no trim parameters, so trimmed paths use addPath()
+            const trims = [['trimPathStart', 0], ['trimPathEnd', 1], ['trimPathOffset', 0]]
+                .map(([name, fallback]) => [name, parseFloat(value(name)), fallback])
+                .filter(([, number, fallback]) => !isNaN(number) && number !== fallback);
+            if (trims.length > 0) {
+                context.imports.add('addPath').add('PathData');
+                const trimArgs = trims.map(([name, number]) => `${name} = ${this.float(number)}`);
+                const data = `pathData = ${this.pathData(pathData, path, depth + 2, context)}`;
+                return this.block('addPath', [data, ...args, ...trimArgs], depth, null);
+            }
+
+            context.imports.add('path');
+            return this.block('path', args, depth, this.pathCommands(pathData, path, depth + 1, context));
+        }
+
+        /**
+         * A fill or stroke as a Brush expression: SolidColor for a color, or a
+         * gradient from an inline <aapt:attr>. Null when unpainted.
+         */
+        brush(path, name, depth, context) {
+            const attr = path.children.find(child => child.tagName === 'aapt:attr' && child.getAttribute('name') === `android:${name}`);
+            const gradient = attr && attr.children.find(child => child.tagName === 'gradient');
+            if (gradient) return this.gradient(gradient, depth, context);
+
+            const value = path.getAttribute(`android:${name}`);
+            if (!value) return null;
+            const color = this.color(value, path, context);
+            if (/^Color\(0x00/.test(color)) return null;
+            context.imports.add('SolidColor').add('Color');
+            return `SolidColor(${color})`;
+        }
+
+        gradient(gradient, depth, context) {
+            const value = name => gradient.getAttribute(`android:${name}`);
+            const offset = (x, y) => `Offset(${this.float(parseFloat(value(x)) || 0)}, ${this.float(parseFloat(value(y)) || 0)})`;
+            const type = value('type') || 'linear';
+
+            let stops = gradient.children
+                .filter(item => item.tagName === 'item')
+                .map(item => ({ offset: parseFloat(item.getAttribute('android:offset')) || 0, color: item.getAttribute('android:color') || '#000000' }));
+            if (stops.length === 0) {
+                stops = [
+                    { offset: 0, color: value('startColor') },
+                    { offset: 0.5, color: value('centerColor') },
+                    { offset: 1, color: value('endColor') }
+                ].filter(stop => stop.color);
+            }
+
+            const args = stops.map(stop => `${this.float(stop.offset)} to ${this.color(stop.color, gradient, context)}`);
+            if (type === 'radial') {
+                args.push(`center = ${offset('centerX', 'centerY')}`, `radius = ${this.float(parseFloat(value('gradientRadius')) || 0)}`);
+            } else if (type === 'sweep') {
+                args.push(`center = ${offset('centerX', 'centerY')}`);
+            } else {
+                args.push(`start = ${offset('startX', 'startY')}`, `end = ${offset('endX', 'endY')}`);
+            }
+            if (type !== 'sweep' && tileModes[value('tileMode')] && value('tileMode') !== 'clamp') {
+                args.push(`tileMode = TileMode.${tileModes[value('tileMode')]}`);
+                context.imports.add('TileMode');
+            }
+
+            context.imports.add('Brush').add('Color').add('Offset');
+            const method = { radial: 'radialGradient', sweep: 'sweepGradient' }[type] || 'linearGradient';
+            return [`Brush.${method}(`, ...this.argumentLines(args, depth + 1), `${'    '.repeat(depth)})`].join('\n');
+        }
+
+        /**
+         * An Android color (#RGB, #ARGB, #RRGGBB, #AARRGGBB or a resource reference)
+         * as a Color(0xAARRGGBB) literal.
+         */
+        color(value, element, context) {
+            let color = value.trim();
+            if (/^[?@]/.test(color)) {
+                const mapped = context.options.colors[color];
+                if (mapped) {
+                    color = mapped;
+                } else {
+                    this.warn(context, element, `Color ${color} cannot be resolved outside the app; exported as ${context.options.defaultColor}`);
+                    color = context.options.defaultColor;
+                }
+            }
+
+            let hex = /^#([0-9a-f]{3,4}|[0-9a-f]{6}|[0-9a-f]{8})$/i.exec(color)?.[1];
+            if (!hex) {
+                this.warn(context, element, `Invalid color "${value}"; exported as ${context.options.defaultColor}`);
+                hex = context.options.defaultColor.slice(1);
+            }
+
+            const full = hex.length <= 4 ? hex.replace(/./g, '$&$&') : hex;
+            context.imports.add('Color');
+            return `Color(0x${(full.length === 6 ? `ff${full}` : full).toUpperCase()})`;
+        }
+
+        pathData(pathData, element, depth, context) {
+            const commands = this.pathCommands(pathData, element, depth, context);
+            return ['PathData {', ...commands, `${'    '.repeat(depth - 1)}}`].join('\n');
+        }
+
+        /**
+         * PathBuilder calls for path data, one per segment, in absolute coordinates.
+         */
+        pathCommands(pathData, element, depth, context) {
+            const { segments, error } = this.pathParser.parsePathData(pathData);
+            if (error) this.warn(context, element, `Invalid path data: ${error}; the path was cut short there`);
+
+            const indent = '    '.repeat(depth);
+            return segments.map(({ command, values }) => {
+                const floats = values.map(value => this.float(value));
+                switch (command) {
+                    case 'M': return `${indent}moveTo(${floats.join(', ')})`;
+                    case 'L': return `${indent}lineTo(${floats.join(', ')})`;
+                    case 'H': return `${indent}horizontalLineTo(${floats[0]})`;
+                    case 'V': return `${indent}verticalLineTo(${floats[0]})`;
+                    case 'C': return `${indent}curveTo(${floats.join(', ')})`;
+                    case 'S': return `${indent}reflectiveCurveTo(${floats.join(', ')})`;
+                    case 'Q': return `${indent}quadTo(${floats.join(', ')})`;
+                    case 'T': return `${indent}reflectiveQuadTo(${floats.join(', ')})`;
+                    case 'A': {
+                        const [rx, ry, rotation, largeArc, sweep, x, y] = floats;
+                        const flag = number => values[number] ? 'true' : 'false';
+                        return `${indent}arcTo(${rx}, ${ry}, ${rotation}, ${flag(3)}, ${flag(4)}, ${x}, ${y})`;
+                    }
+                    default: return `${indent}close()`;
+                }
+            });
+        }
+
+        /**
+         * A builder call with named arguments, one per line, followed by a lambda
+         * with the given body lines (or none when body is null).
+         */
+        block(name, args, depth, body) {
+            const indent = '    '.repeat(depth);
+            const lambda = body === null ? '' : ' {';
+            const lines = args.length === 0
+                ? [`${indent}${name}${lambda || '()'}`]
+                : [`${indent}${name}(`, ...this.argumentLines(args, depth + 1), `${indent})${lambda}`];
+            if (body !== null) lines.push(...body, `${indent}}`);
+            return lines;
+        }
+
+        argumentLines(args, depth) {
+            const indent = '    '.repeat(depth);
+            return args.map((arg, index) => `${indent}${arg}${index < args.length - 1 ? ',' : ''}`);
+        }
+
+        string(value) {
+            return `"${String(value).replace(/[\\"$]/g, '\\$&')}"`;
+        }
+
+        float(value) {
+            return `${this.formatNumber(value)}f`;
+        }
+
+        warn(context, element, message, severity = 'warning') {
+            context.warnings.push({ severity, message, ...nodeLocation(element) });
+        }
+
+        formatNumber(value) {
+            return String(Math.round(value * 1000) / 1000);
+        }
+    }
+
+    let sharedExporter = null;
+
+    /**
+     * Converts VectorDrawable XML to Compose Kotlin: vectorToCompose(xml, options) -> { code, warnings }.
+     */
+    function vectorToCompose(xml, options) {
+        sharedExporter = sharedExporter || new ComposeExporter();
+        return sharedExporter.convert(xml, options);
+    }
+
+    /**
+     * Turns a resource name into a Kotlin property name: "ic_arrow_back" becomes
+     * "IcArrowBack", or "ArrowBack" when the prefix "ic_" is stripped.
+     */
+    function toComposeName(resourceName, stripPrefix = '') {
+        let name = String(resourceName);
+        const prefix = String(stripPrefix).toLowerCase();
+        if (prefix && name.startsWith(prefix) && name.length > prefix.length) name = name.slice(prefix.length);
+
+        name = name.split(/[^A-Za-z0-9]+/)
+            .filter(Boolean)
+            .map(part => part.charAt(0).toUpperCase() + part.slice(1))
+            .join('');
+        if (!name) name = 'Icon';
+        if (!/^[A-Za-z]/.test(name)) name = `Icon${name}`;
+        return name;
+    }
+
+    Object.assign(exports, { ComposeExporter, vectorToCompose, toComposeName });
+})(
+    typeof module !== 'undefined' && module.exports ? module.exports : (globalThis.Svg2Vector = globalThis.Svg2Vector || {}),
+    typeof module !== 'undefined' && module.exports
+        ? { ...require('./xml'), ...require('./converter') }
+        : globalThis.Svg2Vector
+);
@@ -0,0 +1,2777 @@
+// SVG to VectorDrawable Converter - Conversion Engine
+//
+// Everything needed to turn SVG markup into VectorDrawable XML, free of any DOM
+// or UI dependency so it can be used from the page, build scripts and tests alike.
+(function (exports, { parseXml, serializeXml, nodeLocation, escapeXml, VectorOptimizer, VectorAnimator, StrokeOutliner, TextOutliner }) {
+    const defaultOptions = {
+        width: 24,
+        height: 24,
+        autoSize: false,
+        defaultFill: '#000000',
+        pretty: true,
+        precision: 3,
+        pathFormat: 'absolute',
+        optimize: {},
+        colors: {},
+        tint: null,
+        tintMode: null,
+        animations: true,
+        outlineStrokes: false,
+        fonts: null,
+        fallbackFont: 'sans-serif'
+    };
+
+    const tintModes = ['src_over', 'src_in', 'src_atop', 'multiply', 'screen', 'add'];
+
+    class VectorDrawableConverter {
+        constructor() {
+            this.supportedElements = [
+                "path", "circle", "rect", "polygon", "polyline", "ellipse", "line"
+            ];
+            // Shapes that markers are drawn on
+            this.markerElements = ["path", "polygon", "polyline", "line"];
+
+            // Style properties resolved through the CSS cascade. A null initial fill
+            // means "not specified", which falls back to the default fill color.
+            this.styleProperties = {
+                "color": {inherited: true, initial: "#000000"},
+                "fill": {inherited: true, initial: null},
+                "stroke": {inherited: true, initial: "none"},
+                "stroke-width": {inherited: true, initial: "1"},
+                "fill-opacity": {inherited: true, initial: "1"},
+                "stroke-opacity": {inherited: true, initial: "1"},
+                "opacity": {inherited: false, initial: "1"},
+                "fill-rule": {inherited: true, initial: "nonzero"},
+                "stroke-linecap": {inherited: true, initial: "butt"},
+                "stroke-linejoin": {inherited: true, initial: "miter"},
+                "stroke-miterlimit": {inherited: true, initial: "4"},
+                "clip-rule": {inherited: true, initial: "nonzero"},
+                "clip-path": {inherited: false, initial: "none"},
+                "mask": {inherited: false, initial: "none"},
+                "stop-color": {inherited: false, initial: "#000000"},
+                "stop-opacity": {inherited: false, initial: "1"},
+                "display": {inherited: false, initial: "inline"},
+                "visibility": {inherited: true, initial: "visible"},
+                "stroke-dasharray": {inherited: true, initial: "none"},
+                "stroke-dashoffset": {inherited: true, initial: "0"},
+                "marker-start": {inherited: true, initial: "none"},
+                "marker-mid": {inherited: true, initial: "none"},
+                "marker-end": {inherited: true, initial: "none"},
+                "vector-effect": {inherited: false, initial: "none"},
+                // Read when text is outlined; sizes and weights are stored computed
+                "font-family": {inherited: true, initial: "sans-serif"},
+                "font-size": {inherited: true, initial: "16"},
+                "font-weight": {inherited: true, initial: "400"},
+                "font-style": {inherited: true, initial: "normal"},
+                "font-kerning": {inherited: true, initial: "auto"},
+                "text-anchor": {inherited: true, initial: "start"},
+                "letter-spacing": {inherited: true, initial: "normal"},
+                "word-spacing": {inherited: true, initial: "normal"},
+                // Not converted, only tracked so dropping them can be reported
+                "paint-order": {inherited: true, initial: "normal"},
+                "filter": {inherited: false, initial: "none"},
+                "mix-blend-mode": {inherited: false, initial: "normal"},
+                // Read by the animation support
+                "animation-name": {inherited: false, initial: "none"},
+                "animation-duration": {inherited: false, initial: "0s"},
+                "animation-delay": {inherited: false, initial: "0s"},
+                "animation-iteration-count": {inherited: false, initial: "1"},
+                "animation-direction": {inherited: false, initial: "normal"},
+                "animation-timing-function": {inherited: false, initial: "ease"},
+                "transform-origin": {inherited: false, initial: "0 0"},
+                "transform-box": {inherited: false, initial: "view-box"}
+            };
+
+            // Elements that are skipped during conversion, with the diagnostic for each.
+            // Definitions, metadata and editor namespaces are skipped silently.
+            this.unconvertedElements = {
+                image: ["error", "embedded image dropped; VectorDrawable cannot contain bitmaps"],
+                foreignobject: ["error", "foreignObject dropped; its HTML content cannot be converted"],
+                switch: ["warning", "switch not supported; its content was dropped"],
+                video: ["error", "video dropped"],
+                canvas: ["error", "canvas dropped"],
+                iframe: ["error", "iframe dropped"],
+                audio: ["info", "audio dropped"],
+                animate: ["info", "SMIL animation dropped"],
+                animatetransform: ["info", "SMIL animation dropped"],
+                animatemotion: ["info", "SMIL animation dropped"],
+                set: ["info", "SMIL animation dropped"]
+            };
+            this.silentElements = [
+                "defs", "style", "title", "desc", "metadata", "symbol", "clippath", "mask", "marker",
+                "lineargradient", "radialgradient", "pattern", "filter", "script", "font", "font-face",
+                "cursor", "view", "color-profile"
+            ];
+
+            // CSS absolute units in px; em and ex assume the default 16px font
+            this.lengthUnits = { '': 1, px: 1, pt: 4 / 3, pc: 16, mm: 96 / 25.4, cm: 96 / 2.54, in: 96, q: 96 / 101.6, em: 16, ex: 8 };
+
+            // CSS named colors, used to normalize colors to Android's #RRGGBB / #AARRGGBB
+
+            this.namedColors = {
+                aliceblue: "#f0f8ff", antiquewhite: "#faebd7", aqua: "#00ffff", aquamarine: "#7fffd4", azure: "#f0ffff",
+                beige: "#f5f5dc", bisque: "#ffe4c4", black: "#000000", blanchedalmond: "#ffebcd", blue: "#0000ff",
+                blueviolet: "#8a2be2", brown: "#a52a2a", burlywood: "#deb887", cadetblue: "#5f9ea0", chartreuse: "#7fff00",
+                chocolate: "#d2691e", coral: "#ff7f50", cornflowerblue: "#6495ed", cornsilk: "#fff8dc", crimson: "#dc143c",
+                cyan: "#00ffff", darkblue: "#00008b", darkcyan: "#008b8b", darkgoldenrod: "#b8860b", darkgray: "#a9a9a9",
+                darkgreen: "#006400", darkgrey: "#a9a9a9", darkkhaki: "#bdb76b", darkmagenta: "#8b008b", darkolivegreen: "#556b2f",
+                darkorange: "#ff8c00", darkorchid: "#9932cc", darkred: "#8b0000", darksalmon: "#e9967a", darkseagreen: "#8fbc8f",
+                darkslateblue: "#483d8b", darkslategray: "#2f4f4f", darkslategrey: "#2f4f4f", darkturquoise: "#00ced1", darkviolet: "#9400d3",
+                deeppink: "#ff1493", deepskyblue: "#00bfff", dimgray: "#696969", dimgrey: "#696969", dodgerblue: "#1e90ff",
+                firebrick: "#b22222", floralwhite: "#fffaf0", forestgreen: "#228b22", fuchsia: "#ff00ff", gainsboro: "#dcdcdc",
+                ghostwhite: "#f8f8ff", gold: "#ffd700", goldenrod: "#daa520", gray: "#808080", green: "#008000",
+                greenyellow: "#adff2f", grey: "#808080", honeydew: "#f0fff0", hotpink: "#ff69b4", indianred: "#cd5c5c",
+                indigo: "#4b0082", ivory: "#fffff0", khaki: "#f0e68c", lavender: "#e6e6fa", lavenderblush: "#fff0f5",
+                lawngreen: "#7cfc00", lemonchiffon: "#fffacd", lightblue: "#add8e6", lightcoral: "#f08080", lightcyan: "#e0ffff",
+                lightgoldenrodyellow: "#fafad2", lightgray: "#d3d3d3", lightgreen: "#90ee90", lightgrey: "#d3d3d3", lightpink: "#ffb6c1",
+                lightsalmon: "#ffa07a", lightseagreen: "#20b2aa", lightskyblue: "#87cefa", lightslategray: "#778899", lightslategrey: "#778899",
+                lightsteelblue: "#b0c4de", lightyellow: "#ffffe0", lime: "#00ff00", limegreen: "#32cd32", linen: "#faf0e6",
+                magenta: "#ff00ff", maroon: "#800000", mediumaquamarine: "#66cdaa", mediumblue: "#0000cd", mediumorchid: "#ba55d3",
+                mediumpurple: "#9370db", mediumseagreen: "#3cb371", mediumslateblue: "#7b68ee", mediumspringgreen: "#00fa9a", mediumturquoise: "#48d1cc",
+                mediumvioletred: "#c71585", midnightblue: "#191970", mintcream: "#f5fffa", mistyrose: "#ffe4e1", moccasin: "#ffe4b5",
+                navajowhite: "#ffdead", navy: "#000080", oldlace: "#fdf5e6", olive: "#808000", olivedrab: "#6b8e23",
+                orange: "#ffa500", orangered: "#ff4500", orchid: "#da70d6", palegoldenrod: "#eee8aa", palegreen: "#98fb98",
+                paleturquoise: "#afeeee", palevioletred: "#db7093", papayawhip: "#ffefd5", peachpuff: "#ffdab9", peru: "#cd853f",
+                pink: "#ffc0cb", plum: "#dda0dd", powderblue: "#b0e0e6", purple: "#800080", rebeccapurple: "#663399",
+                red: "#ff0000", rosybrown: "#bc8f8f", royalblue: "#4169e1", saddlebrown: "#8b4513", salmon: "#fa8072",
+                sandybrown: "#f4a460", seagreen: "#2e8b57", seashell: "#fff5ee", sienna: "#a0522d", silver: "#c0c0c0",
+                skyblue: "#87ceeb", slateblue: "#6a5acd", slategray: "#708090", slategrey: "#708090", snow: "#fffafa",
+                springgreen: "#00ff7f", steelblue: "#4682b4", tan: "#d2b48c", teal: "#008080", thistle: "#d8bfd8",
+                tomato: "#ff6347", turquoise: "#40e0d0", violet: "#ee82ee", wheat: "#f5deb3", white: "#ffffff",
+                whitesmoke: "#f5f5f5", yellow: "#ffff00", yellowgreen: "#9acd32"
+            };
+        }
+
+        /**
+         * Converts SVG markup to VectorDrawable XML. Returns the XML together with
+         * diagnostics ({ severity, message, path, nodePath, line, column }) for
+         * anything that could not be converted faithfully, the distinct #RRGGBB colors
+         * the drawable was painted with before mapping, and its size in bytes before
+         * and after optimization; input that is not well-formed SVG throws. With the
+         * animations option, SMIL and CSS animations turn the output into an
+         * <animated-vector>.
+         */
+        convert(svgContent, options = {}) {
+            const { autoSize, defaultFill, pretty, precision, pathFormat, optimize, colors, tint, tintMode, animations, outlineStrokes, fonts, fallbackFont, ...size } = { ...defaultOptions, ...options };
+            const svgElement = parseXml(svgContent).documentElement;
+
+            if (svgElement.tagName !== 'svg') {
+                throw new Error('Invalid SVG file');
+            }
+
+            // Output size in dp; autoSize uses the source's intrinsic size (1px = 1dp)
+            const intrinsic = this.intrinsicSize(svgElement);
+            const width = autoSize ? intrinsic.width : Number(size.width) || 24;
+            const height = autoSize ? intrinsic.height : Number(size.height) || 24;
+
+            // Without a viewBox the content is scaled from its intrinsic size, or drawn 1:1 when that is unknown
+            const viewBox = this.parseViewBox(svgElement.getAttribute('viewBox')) || {
+                x: 0,
+                y: 0,
+                width: intrinsic.known ? intrinsic.width : width,
+                height: intrinsic.known ? intrinsic.height : height
+            };
+
+            // Android stretches the viewport onto the drawable, so preserveAspectRatio is honored by
+            // sizing the viewport to the drawable's aspect ratio and offsetting the content inside it
+            const fit = this.viewBoxTransform(viewBox, width, height, svgElement.getAttribute('preserveAspectRatio'));
+            const viewportWidth = width / fit.scaleX;
+            const viewportHeight = height / fit.scaleY;
+            const offsetX = fit.translateX / fit.scaleX;
+            const offsetY = fit.translateY / fit.scaleY;
+
+            const warnings = [];
+            const context = {
+                defaultFill,
+                matrix: null,
+                ctm: [fit.scaleX, 0, 0, fit.scaleY, 0, 0],
+                ids: this.collectIds(svgElement),
+                stylesheet: [],
+                keyframes: {},
+                pathFormat: { precision, mode: pathFormat },
+                outlineStrokes,
+                fonts,
+                fallbackFont,
+                warnings,
+                viewport: { width: viewBox.width, height: viewBox.height }
+            };
+            context.stylesheet = this.parseStylesheets(svgElement, context);
+            context.style = this.computeStyle(svgElement, null, context);
+            context.opacity = this.parseOpacity(context.style.opacity);
+            if (animations) {
+                this.animator = this.animator || new VectorAnimator(this);
+                this.animator.collect(svgElement, context);
+            }
+
+            // Build the tree of groups and paths for all supported elements
+            let nodes = this.processElements(svgElement, context);
+            if (nodes.length > 0 && (Math.abs(offsetX) > 1e-9 || Math.abs(offsetY) > 1e-9)) {
+                nodes = [{ type: 'group', transform: { translateX: offsetX, translateY: offsetY }, clipPaths: [], children: nodes }];
+            }
+
+            const sourceColors = this.mapColors(nodes, colors, context, svgElement);
+            const vector = { width, height, viewportWidth, viewportHeight, ...this.resolveTint(tint, tintMode, sourceColors, context, svgElement) };
+            const serialize = list => context.animationTargets?.size > 0
+                ? this.animator.serialize(vector, list, context.animationTargets, pretty)
+                : this.serializeVector(vector, list, pretty);
+            const unoptimizedXml = serialize(nodes);
+            let xml = unoptimizedXml;
+            if (Object.values(optimize || {}).some(Boolean)) {
+                this.optimizer = this.optimizer || new VectorOptimizer(this);
+                const optimized = this.optimizer.optimize(nodes, optimize, {
+                    pathFormat: context.pathFormat,
+                    viewport: { width: viewportWidth, height: viewportHeight }
+                });
+                xml = serialize(optimized);
+            }
+
+            const byteLength = text => new TextEncoder().encode(text).length;
+            return { xml, warnings, colors: sourceColors, stats: { size: byteLength(xml), unoptimizedSize: byteLength(unoptimizedXml) } };
+        }
+
+        /**
+         * Replaces colors in the tree as colorMap says, e.g. { "#FF0000": "?attr/colorControlNormal" }.
+         * Keys are matched against the opaque #RRGGBB color; the alpha of a translucent
+         * color moves into fillAlpha or strokeAlpha so references keep it. Returns
+         * every distinct color found, mapped or not, in order of appearance.
+         */
+        mapColors(nodes, colorMap, context, element) {
+            const targets = new Map();
+            for (let [color, target] of Object.entries(colorMap || {})) {
+                const key = this.normalizeColor(color);
+                const value = String(target ?? '').trim();
+                if (!key || !value) continue;
+                if (!this.isAndroidColor(value)) {
+                    this.warn(context, element, `Color mapping for ${color} ignored: "${value}" is not a color, @color/ resource or ?attr/ reference`);
+                    continue;
+                }
+                targets.set(`#${key.slice(-6)}`, value);
+            }
+
+            const found = new Set();
+            const mapGradient = gradient => ({
+                ...gradient,
+                stops: gradient.stops.map(stop => {
+                    found.add(`#${stop.color.slice(-6)}`);
+                    const target = targets.get(`#${stop.color.slice(-6)}`);
+                    if (!target) return stop;
+                    // Gradient items have no alpha attribute to carry a translucent color's alpha
+                    if (stop.color.length === 9) {
+                        this.warn(context, element, `Gradient stop ${stop.color} was not mapped to ${target}; its alpha would be lost`, 'info');
+                        return stop;
+                    }
+                    return { ...stop, color: target };
+                })
+            });
+            const mapPaint = (path, colorName, alphaName) => {
+                const paint = path[colorName];
+                if (!paint) return;
+                if (typeof paint === 'object') {
+                    path[colorName] = mapGradient(paint);
+                    return;
+                }
+
+                const color = `#${paint.slice(-6)}`;
+                found.add(color);
+                if (!targets.has(color)) return;
+                if (paint.length === 9) {
+                    path[alphaName] = this.formatNumber(parseFloat(path[alphaName] ?? 1) * parseInt(paint.slice(1, 3), 16) / 255);
+                }
+                path[colorName] = targets.get(color);
+            };
+            const visit = list => list.forEach(node => {
+                if (node.type === 'group') {
+                    visit(node.children);
+                } else {
+                    mapPaint(node, 'fillColor', 'fillAlpha');
+                    mapPaint(node, 'strokeColor', 'strokeAlpha');
+                }
+            });
+
+            visit(nodes);
+            return [...found];
+        }
+
+        /**
+         * Whether value can be written as an Android color: #RGB, #ARGB, #RRGGBB,
+         * #AARRGGBB, a @color/ resource or a theme attribute reference.
+         */
+        isAndroidColor(value) {
+            return /^#([0-9a-f]{3,4}|[0-9a-f]{6}|[0-9a-f]{8})$/i.test(value) ||
+                /^@(android:)?color\/[A-Za-z_][\w.]*$/.test(value) ||
+                /^\?(android:)?(attr\/)?[A-Za-z_][\w.]*$/.test(value);
+        }
+
+        /**
+         * Validates the root tint options. Tinting recolors every path, so icons with
+         * more than one color are flagged.
+         */
+        resolveTint(tint, tintMode, colors, context, element) {
+            const result = {};
+            tint = String(tint ?? '').trim();
+            if (tint) {
+                if (this.isAndroidColor(tint)) {
+                    result.tint = tint;
+                    if (colors.length > 1) {
+                        this.warn(context, element, `android:tint recolors all ${colors.length} colors of this icon to ${tint}`, 'info');
+                    }
+                } else {
+                    this.warn(context, element, `Tint "${tint}" ignored: it is not a color, @color/ resource or ?attr/ reference`);
+                }
+            }
+            if (tintMode) {
+                if (tintModes.includes(tintMode)) {
+                    result.tintMode = tintMode;
+                } else {
+                    this.warn(context, element, `Tint mode "${tintMode}" ignored; use one of ${tintModes.join(', ')}`);
+                }
+            }
+            return result;
+        }
+
+        /**
+         * The size the SVG would render at on its own, in px. Missing or percentage
+         * dimensions are derived from the viewBox; "known" is false when neither helps.
+         */
+        intrinsicSize(svgElement) {
+            const viewBox = this.parseViewBox(svgElement.getAttribute('viewBox'));
+            const length = (name) => {
+                const value = svgElement.getAttribute(name);
+                if (!value || value.trim().endsWith('%')) return NaN;
+                return this.parseLength(value, NaN);
+            };
+            let width = length('width');
+            let height = length('height');
+
+            if (viewBox) {
+                if (isNaN(width) && isNaN(height)) {
+                    width = viewBox.width;
+                    height = viewBox.height;
+                } else if (isNaN(width)) {
+                    width = height * viewBox.width / viewBox.height;
+                } else if (isNaN(height)) {
+                    height = width * viewBox.height / viewBox.width;
+                }
+            }
+
+            const known = width > 0 && height > 0;
+            return { width: known ? width : 24, height: known ? height : 24, known };
+        }
+
+        /**
+         * Records a diagnostic against element. Severity is "error" when content is
+         * lost, "warning" when it is rendered differently and "info" otherwise.
+         */
+        warn(context, element, message, severity = 'warning') {
+            context.warnings.push({ severity, message, ...nodeLocation(element) });
+        }
+
+        processElements(parent, context, children = parent.children) {
+            const nodes = [];
+
+            for (let element of children) {
+                const tagName = element.tagName.toLowerCase();
+                if (!this.supportedElements.includes(tagName) && !['g', 'a', 'svg', 'use', 'text'].includes(tagName)) {
+                    this.reportSkippedElement(element, context);
+                    continue;
+                }
+
+                const style = this.computeStyle(element, context.style, context);
+                if (style.display === 'none') continue;
+                this.reportDroppedProperties(element, style, context);
+
+                if (this.supportedElements.includes(tagName)) {
+                    const { transform, context: elementContext } = this.resolveTransform(element.getAttribute('transform'), context);
+                    const path = this.convertElement(element, style, elementContext);
+                    const markers = this.convertMarkers(element, style, elementContext);
+                    if (!path && markers.length === 0) continue;
+
+                    // A shape with its own transform, clip or markers gets a group of its own
+                    const clipPaths = this.resolveClipPaths(element, style, elementContext,
+                        () => this.pathBounds(this.shapeToPathData(element)));
+                    const children = [...(path?.type === 'group' ? path.children : path ? [path] : []), ...markers];
+                    const node = transform || clipPaths.length > 0 || children.length > 1 ? { type: 'group', transform, clipPaths, children } : children[0];
+                    const animated = this.animateNode(element, style, node, elementContext);
+                    // A group that only holds the pieces of one shape is not written out
+                    const bare = animated.type === 'group' && !animated.transform && !animated.name && !animated.marker && animated.clipPaths.length === 0;
+                    nodes.push(...(bare ? animated.children : [animated]));
+                } else if (tagName === 'g' || tagName === 'a') {
+                    const { transform, context: groupContext } = this.resolveTransform(element.getAttribute('transform'), context);
+                    const opacity = context.opacity * this.elementOpacity(element, style, context);
+                    const groupChildren = this.processElements(element, { ...groupContext, style, opacity });
+                    if (groupChildren.length > 0) {
+                        const clipPaths = this.resolveClipPaths(element, style, groupContext,
+                            () => this.nodesBounds(groupChildren, groupContext.matrix && this.invertMatrix(groupContext.matrix)));
+                        nodes.push(this.animateNode(element, style, { type: 'group', transform, clipPaths, children: groupChildren }, groupContext));
+                    }
+                } else if (tagName === 'text') {
+                    const { transform, context: textContext } = this.resolveTransform(element.getAttribute('transform'), context);
+                    const paths = this.convertText(element, style, textContext);
+                    if (paths.length > 0) {
+                        const clipPaths = this.resolveClipPaths(element, style, textContext,
+                            () => this.nodesBounds(paths, textContext.matrix && this.invertMatrix(textContext.matrix)));
+                        const node = transform || clipPaths.length > 0 || paths.length > 1 ? { type: 'group', transform, clipPaths, children: paths } : paths[0];
+                        const animated = this.animateNode(element, style, node, textContext);
+                        const bare = animated.type === 'group' && !animated.transform && !animated.name && animated.clipPaths.length === 0;
+                        nodes.push(...(bare ? animated.children : [animated]));
+                    }
+                } else if (tagName === 'use') {
+                    const group = this.convertUse(element, style, context);
+                    if (group) nodes.push(this.animateNode(element, style, group, context));
+                } else {
+                    const group = this.convertNestedSvg(element, style, context);
+                    if (group) nodes.push(this.animateNode(element, style, group, context));
+                }
+            }
+
+            return nodes;
+        }
+
+        /**
+         * Opacity a container passes down to its content. An animated opacity is
+         * left out so its animators can scale the paths' alphas.
+         */
+        elementOpacity(element, style, context) {
+            return context.animations && this.animator.animatesOpacity(element, style, context) ? 1 : this.parseOpacity(style.opacity);
+        }
+
+        animateNode(element, style, node, context) {
+            return context.animations ? this.animator.animate(element, style, node, context) : node;
+        }
+
+        reportSkippedElement(element, context) {
+            const tagName = element.tagName.toLowerCase();
+            if (tagName.includes(':') || this.silentElements.includes(tagName)) return;
+            // Animation elements are reported when they are collected
+            if (context.animations && ['animate', 'animatetransform', 'animatemotion', 'animatecolor', 'set'].includes(tagName)) return;
+
+            const [severity, message] = this.unconvertedElements[tagName] || ['warning', `<${element.tagName}> is not supported and was skipped`];
+            this.warn(context, element, message, severity);
+        }
+
+        /**
+         * Reports style properties that affect rendering but have no VectorDrawable
+         * equivalent. Inherited ones are only reported on the shapes they reach.
+         */
+        reportDroppedProperties(element, style, context) {
+            const isShape = this.supportedElements.includes(element.tagName.toLowerCase());
+
+            if (style.filter !== 'none') {
+                const id = style.filter.match(/^url\(\s*['"]?#([^'")\s]+)['"]?\s*\)$/)?.[1];
+                const filter = id ? context.ids.get(id) : null;
+                const names = {
+                    fegaussianblur: 'blur', fedropshadow: 'drop shadow', feoffset: 'offset', fecolormatrix: 'color matrix',
+                    feblend: 'blend', feflood: 'flood', fecomposite: 'composite', femorphology: 'morphology',
+                    feturbulence: 'turbulence', feimage: 'image', fedisplacementmap: 'displacement map'
+                };
+                const primitives = filter
+                    ? [...new Set(filter.children.map(child => names[child.tagName.toLowerCase()] || child.tagName))]
+                    : [style.filter];
+                this.warn(context, element, `filter ${primitives.join(', ') || style.filter} dropped`);
+            }
+            if (style['mix-blend-mode'] !== 'normal') {
+                this.warn(context, element, `mix-blend-mode ${style['mix-blend-mode']} dropped; content is drawn with normal blending`);
+            }
+            if (!context.animations && style['animation-name'] !== 'none') {
+                this.warn(context, element, 'CSS animation dropped', 'info');
+            }
+            if (!isShape) return;
+
+            const stroked = style.stroke && style.stroke !== 'none';
+            if (stroked && /^stroke/.test(style['paint-order'].trim())) {
+                this.warn(context, element, 'paint-order dropped; Android always paints the fill before the stroke');
+            }
+        }
+
+        /**
+         * Instantiates the element a <use> points at as a group. The use element's
+         * transform and x/y offset apply first; a referenced <symbol> or <svg> also maps
+         * its viewBox onto the use's width and height. The referenced content inherits
+         * styles from the <use>, not from where it is defined.
+         */
+        convertUse(element, style, context) {
+            const href = element.getAttribute('href') || element.getAttribute('xlink:href');
+            const target = href?.startsWith('#') ? context.ids.get(href.slice(1)) : null;
+            if (!target) {
+                this.warn(context, element, `<use> reference "${href || ''}" not found; element skipped`, 'error');
+                return null;
+            }
+            if ((context.uses || []).includes(target)) return null;
+
+            const targetTag = target.tagName.toLowerCase();
+            const x = this.parseLength(element.getAttribute('x') || 0, context.viewport.width);
+            const y = this.parseLength(element.getAttribute('y') || 0, context.viewport.height);
+            const transform = `${element.getAttribute('transform') || ''} translate(${x} ${y})`;
+
+            const opacity = context.opacity * this.elementOpacity(element, style, context);
+            const { transform: groupTransform, context: groupContext } = this.resolveTransform(transform, context);
+            const useContext = { ...groupContext, style, opacity, uses: [...(context.uses || []), target] };
+            let children;
+
+            if (targetTag === 'symbol' || targetTag === 'svg') {
+                // The viewBox mapping gets an inner group so clips on the <use> stay in its own space
+                const viewBox = this.parseViewBox(target.getAttribute('viewBox'));
+                let fitTransform = null;
+                let fitContext = useContext;
+                if (viewBox) {
+                    const width = this.parseLength(element.getAttribute('width') ?? target.getAttribute('width') ?? '100%', context.viewport.width);
+                    const height = this.parseLength(element.getAttribute('height') ?? target.getAttribute('height') ?? '100%', context.viewport.height);
+                    const fit = this.viewBoxTransform(viewBox, width, height, target.getAttribute('preserveAspectRatio'));
+                    ({ transform: fitTransform, context: fitContext } = this.resolveTransform(
+                        `translate(${fit.translateX} ${fit.translateY}) scale(${fit.scaleX} ${fit.scaleY})`, useContext));
+                }
+
+                const targetStyle = this.computeStyle(target, style, context);
+                const symbolChildren = this.processElements(target, {
+                    ...fitContext,
+                    style: targetStyle,
+                    opacity: opacity * this.parseOpacity(targetStyle.opacity),
+                    viewport: viewBox ? { width: viewBox.width, height: viewBox.height } : context.viewport
+                });
+                children = fitTransform && symbolChildren.length > 0
+                    ? [{ type: 'group', transform: fitTransform, children: symbolChildren }]
+                    : symbolChildren;
+            } else {
+                children = this.processElements(null, useContext, [target]);
+            }
+
+            if (children.length === 0) return null;
+
+            const clipPaths = this.resolveClipPaths(element, style, groupContext,
+                () => this.nodesBounds(children, groupContext.matrix && this.invertMatrix(groupContext.matrix)));
+            return { type: 'group', transform: groupTransform, clipPaths, children };
+        }
+
+        /**
+         * A nested <svg> starts a new viewport at its x/y, maps its viewBox onto its
+         * width and height, and clips to that viewport unless overflow is visible.
+         */
+        convertNestedSvg(element, style, context) {
+            const x = this.parseLength(element.getAttribute('x') || 0, context.viewport.width);
+            const y = this.parseLength(element.getAttribute('y') || 0, context.viewport.height);
+            const width = this.parseLength(element.getAttribute('width') || '100%', context.viewport.width);
+            const height = this.parseLength(element.getAttribute('height') || '100%', context.viewport.height);
+            if (!(width > 0 && height > 0)) return null;
+
+            const viewBox = this.parseViewBox(element.getAttribute('viewBox'));
+            let transform = `translate(${x} ${y})`;
+            if (viewBox) {
+                const fit = this.viewBoxTransform(viewBox, width, height, element.getAttribute('preserveAspectRatio'));
+                transform += ` translate(${fit.translateX} ${fit.translateY}) scale(${fit.scaleX} ${fit.scaleY})`;
+            }
+
+            const opacity = context.opacity * this.elementOpacity(element, style, context);
+            const { transform: groupTransform, context: groupContext } = this.resolveTransform(transform, context);
+            const children = this.processElements(element, {
+                ...groupContext,
+                style,
+                opacity,
+                viewport: viewBox ? { width: viewBox.width, height: viewBox.height } : { width, height }
+            });
+            if (children.length === 0) return null;
+
+            // The viewport clip lives in the parent's space, outside the viewBox mapping
+            const clipPaths = this.resolveClipPaths(element, style, context,
+                () => ({ x, y, width, height }));
+            const overflow = (element.getAttribute('overflow') || '').trim();
+            if (overflow !== 'visible' && overflow !== 'auto') {
+                clipPaths.unshift(this.preparePathData(`M${x},${y}h${width}v${height}h${-width}z`, context.matrix, context, element));
+            }
+
+            const group = { type: 'group', transform: groupTransform, children };
+            return clipPaths.length > 0 ? { type: 'group', transform: null, clipPaths, children: [group] } : group;
+        }
+
+        parseViewBox(value) {
+            const numbers = (value || '').trim().split(/[\s,]+/).map(Number);
+            if (numbers.length !== 4 || numbers.some(isNaN) || numbers[2] <= 0 || numbers[3] <= 0) return null;
+
+            const [x, y, width, height] = numbers;
+            return { x, y, width, height };
+        }
+
+        /**
+         * Converts an SVG length to user units (px). Percentages are relative to
+         * reference, which is also returned for missing or unparsable values.
+         */
+        parseLength(value, reference) {
+            const match = /^([+-]?(?:\d+\.?\d*|\.\d+)(?:e[+-]?\d+)?)\s*(%|[a-z]*)$/i.exec(String(value ?? '').trim());
+            if (!match) return reference;
+
+            const length = parseFloat(match[1]);
+            const unit = match[2].toLowerCase();
+            if (unit === '%') return length / 100 * reference;
+            if (!(unit in this.lengthUnits)) return reference;
+            return length * this.lengthUnits[unit];
+        }
+
+        /**
+         * Resolves a font-size to px: keywords, lengths, and em, ex and
+         * percentages of the parent's size.
+         */
+        fontSize(value, parentSize) {
+            const keywords = { 'xx-small': 9, 'x-small': 10, small: 13, medium: 16, large: 18, 'x-large': 24, 'xx-large': 32, 'xxx-large': 48 };
+            const keyword = String(value).trim().toLowerCase();
+            if (keyword in keywords) return keywords[keyword];
+            if (keyword === 'larger') return parentSize * 1.2;
+            if (keyword === 'smaller') return parentSize / 1.2;
+
+            const relative = /^([+-]?(?:\d+\.?\d*|\.\d+))(em|ex|rem)$/.exec(keyword);
+            if (relative) return parseFloat(relative[1]) * { em: parentSize, ex: parentSize / 2, rem: 16 }[relative[2]];
+            const size = this.parseLength(keyword, parentSize);
+            return size >= 0 ? size : parentSize;
+        }
+
+        /**
+         * Resolves a font-weight to a number, with bolder and lighter stepping
+         * from the parent's weight as CSS does.
+         */
+        fontWeight(value, parentWeight) {
+            const keyword = String(value).trim().toLowerCase();
+            if (keyword === 'normal') return 400;
+            if (keyword === 'bold') return 700;
+            if (keyword === 'bolder') return parentWeight < 350 ? 400 : parentWeight < 550 ? 700 : Math.max(900, parentWeight);
+            if (keyword === 'lighter') return parentWeight < 100 ? parentWeight : parentWeight < 550 ? 100 : parentWeight < 750 ? 400 : 700;
+            const weight = Number(keyword);
+            return weight >= 1 && weight <= 1000 ? weight : parentWeight;
+        }
+
+        /**
+         * Maps a viewBox onto a width x height viewport following preserveAspectRatio
+         * (default "xMidYMid meet").
+         */
+        viewBoxTransform(viewBox, width, height, preserveAspectRatio) {
+            const [align = 'xMidYMid', meetOrSlice = 'meet'] = (preserveAspectRatio || '').trim().split(/\s+/).filter(Boolean);
+            let scaleX = width / viewBox.width;
+            let scaleY = height / viewBox.height;
+
+            if (align !== 'none') {
+                const scale = meetOrSlice === 'slice' ? Math.max(scaleX, scaleY) : Math.min(scaleX, scaleY);
+                scaleX = scaleY = scale;
+            }
+
+            const alignment = (axis) => {
+                if (align.includes(`${axis}Mid`)) return 0.5;
+                if (align.includes(`${axis}Max`)) return 1;
+                return 0;
+            };
+
+            const extraX = width - viewBox.width * scaleX;
+            const extraY = height - viewBox.height * scaleY;
+            return {
+                scaleX,
+                scaleY,
+                translateX: (align === 'none' ? 0 : extraX * alignment('x')) - viewBox.x * scaleX,
+                translateY: (align === 'none' ? 0 : extraY * alignment('Y')) - viewBox.y * scaleY
+            };
+        }
+
+        /**
+         * Splits an element's transform into group attributes where Android can express it.
+         * Skews, general matrices and everything below an already baked transform are
+         * accumulated in context.matrix instead and baked into the path coordinates.
+         * context.ctm follows the full transform from user space to dp.
+         */
+        resolveTransform(value, context) {
+            const transforms = this.parseTransformList(value);
+            if (transforms.length === 0) return { transform: null, context };
+
+            const matrix = transforms
+                .map(transform => this.transformToMatrix(transform))
+                .reduce((result, m) => this.multiplyMatrices(result, m));
+
+            const ctm = this.multiplyMatrices(context.ctm, matrix);
+            if (!context.matrix) {
+                const transform = this.decomposeTransform(transforms, matrix);
+                if (transform) return { transform, context: { ...context, ctm } };
+            }
+
+            const baked = context.matrix ? this.multiplyMatrices(context.matrix, matrix) : matrix;
+            return { transform: null, context: { ...context, matrix: baked, ctm } };
+        }
+
+        transformListToMatrix(value) {
+            return this.parseTransformList(value)
+                .map(transform => this.transformToMatrix(transform))
+                .reduce((result, m) => this.multiplyMatrices(result, m), [1, 0, 0, 1, 0, 0]);
+        }
+
+        invertMatrix([a, b, c, d, e, f]) {
+            const det = a * d - b * c;
+            if (det === 0) return [1, 0, 0, 1, 0, 0];
+            return [d / det, -b / det, -c / det, a / det, (c * f - d * e) / det, (b * e - a * f) / det];
+        }
+
+        parseTransformList(value) {
+            const transforms = [];
+            const pattern = /(matrix|translate|scale|rotate|skewX|skewY)\s*\(([^)]*)\)/g;
+            let match;
+
+            while ((match = pattern.exec(value || ''))) {
+                const values = match[2].trim().split(/[\s,]+/).filter(Boolean).map(Number);
+                if (values.length === 0 || values.some(isNaN)) continue;
+                if (match[1] === 'matrix' && values.length < 6) continue;
+                transforms.push({ type: match[1], values });
+            }
+
+            return transforms;
+        }
+
+        transformToMatrix({ type, values }) {
+            switch (type) {
+                case 'matrix':
+                    return values.slice(0, 6);
+                case 'translate':
+                    return [1, 0, 0, 1, values[0], values[1] || 0];
+                case 'scale':
+                    return [values[0], 0, 0, values.length > 1 ? values[1] : values[0], 0, 0];
+                case 'rotate': {
+                    const angle = values[0] * Math.PI / 180;
+                    const cos = Math.cos(angle);
+                    const sin = Math.sin(angle);
+                    const [, cx = 0, cy = 0] = values;
+                    return [cos, sin, -sin, cos, cx - cos * cx + sin * cy, cy - sin * cx - cos * cy];
+                }
+                case 'skewX':
+                    return [1, 0, Math.tan(values[0] * Math.PI / 180), 1, 0, 0];
+                case 'skewY':
+                    return [1, Math.tan(values[0] * Math.PI / 180), 0, 1, 0, 0];
+            }
+        }
+
+        multiplyMatrices(m1, m2) {
+            return [
+                m1[0] * m2[0] + m1[2] * m2[1],
+                m1[1] * m2[0] + m1[3] * m2[1],
+                m1[0] * m2[2] + m1[2] * m2[3],
+                m1[1] * m2[2] + m1[3] * m2[3],
+                m1[0] * m2[4] + m1[2] * m2[5] + m1[4],
+                m1[1] * m2[4] + m1[3] * m2[5] + m1[5]
+            ];
+        }
+
+        decomposeTransform(transforms, matrix) {
+            // A lone rotate around a point maps directly onto rotation + pivot
+            if (transforms.length === 1 && transforms[0].type === 'rotate' && transforms[0].values.length === 3) {
+                const [rotation, pivotX, pivotY] = transforms[0].values;
+                return { rotation, pivotX, pivotY };
+            }
+
+            // Android groups apply scale, then rotation, then translation - no skew
+            const [a, b, c, d, e, f] = matrix;
+            const scaleX = Math.hypot(a, b);
+            const scaleY = Math.hypot(c, d);
+            if (scaleX === 0 || scaleY === 0 || Math.abs(a * c + b * d) > 1e-9 * scaleX * scaleY) {
+                return null;
+            }
+
+            return {
+                translateX: e,
+                translateY: f,
+                rotation: Math.atan2(b, a) * 180 / Math.PI,
+                scaleX,
+                scaleY: a * d - b * c < 0 ? -scaleY : scaleY
+            };
+        }
+
+        convertElement(element, style, context, shapeData = this.shapeToPathData(element)) {
+            let fill = style.fill ?? context.defaultFill;
+            let stroke = style.stroke;
+            let strokeWidth = parseFloat(style['stroke-width']);
+
+            if (style.visibility === 'hidden' || style.visibility === 'collapse') return null;
+            if (isNaN(strokeWidth) || strokeWidth < 0) strokeWidth = 1;
+
+            // Bake transforms that no group can express into the coordinates
+            const pathData = this.preparePathData(shapeData, context.matrix, context, element);
+            if (!pathData) return null;
+
+            // Gradient references are resolved against the untransformed geometry
+            fill = this.resolvePaint(fill, shapeData, context, element);
+            stroke = this.resolvePaint(stroke, shapeData, context, element);
+
+            // A non-scaling stroke width is in dp; it is brought back to user space
+            // before the usual scaling by baked transforms
+            const nonScaling = style['vector-effect'] === 'non-scaling-stroke';
+            const userScale = nonScaling ? this.nonScalingFactor(element, stroke && strokeWidth > 0, context) : 1;
+            strokeWidth *= userScale;
+            if (context.matrix) {
+                const [a, b, c, d] = context.matrix;
+                strokeWidth *= Math.sqrt(Math.abs(a * d - b * c));
+            }
+
+            const path = { type: 'path', pathData };
+            let node = path;
+
+            // Element and group opacity have no group-level equivalent, so they are
+            // multiplied into the paint alphas
+            const opacity = context.opacity * this.parseOpacity(style.opacity);
+            const fillAlpha = opacity * this.parseOpacity(style['fill-opacity']);
+            const strokeAlpha = opacity * this.parseOpacity(style['stroke-opacity']);
+
+            if (fill) {
+                path.fillColor = fill;
+                if (fillAlpha < 1) path.fillAlpha = this.formatNumber(fillAlpha);
+                if (style['fill-rule'] === 'evenodd') path.fillType = 'evenOdd';
+            }
+
+            if (stroke && strokeWidth > 0) {
+                // Android defaults to a zero stroke width, SVG to one
+                path.strokeColor = stroke;
+                path.strokeWidth = this.formatNumber(strokeWidth);
+                if (strokeAlpha < 1) path.strokeAlpha = this.formatNumber(strokeAlpha);
+
+                const lineCap = style['stroke-linecap'];
+                const lineJoin = style['stroke-linejoin'];
+                const miterLimit = parseFloat(style['stroke-miterlimit']);
+                if (lineCap === 'round' || lineCap === 'square') path.strokeLineCap = lineCap;
+                if (lineJoin === 'round' || lineJoin === 'bevel') path.strokeLineJoin = lineJoin;
+                if (miterLimit >= 1 && miterLimit !== 4) path.strokeMiterLimit = this.formatNumber(miterLimit);
+
+                // Dashes become separate stroked pieces of the outline; a fill keeps the whole shape
+                const drawnOn = context.animations && !context.outlineStrokes && this.animator.trimsDashes(element, style, context);
+                const dashes = drawnOn ? null : this.dashPathData(element, shapeData, style, userScale, context);
+                if (dashes !== null) {
+                    const strokePath = { type: 'path', pathData: this.preparePathData(dashes, context.matrix, context, element) };
+                    for (let name of Object.keys(path)) {
+                        if (name.startsWith('stroke')) {
+                            strokePath[name] = path[name];
+                            delete path[name];
+                        }
+                    }
+                    if (!strokePath.pathData) return fill ? path : null;
+                    node = fill ? { type: 'group', transform: null, clipPaths: [], children: [path, strokePath] } : strokePath;
+                }
+            }
+
+            return context.outlineStrokes ? this.outlineStroke(node, element, style, context) : node;
+        }
+
+        /**
+         * Outlines a text element's glyphs with the fonts option and converts them
+         * like shapes, one path per element whose style the glyphs are drawn with.
+         * Glyphs are always filled with the nonzero rule, as browsers draw them.
+         */
+        convertText(element, style, context) {
+            const opacity = context.opacity * this.parseOpacity(style.opacity);
+            return this.layoutText(element, style, context)
+                .map(run => this.convertElement(run.element, { ...run.style, opacity: '1', 'fill-rule': 'nonzero' },
+                    { ...context, opacity: opacity * run.opacity }, run.pathData))
+                .filter(Boolean);
+        }
+
+        /**
+         * Lays a text element out into runs of glyph path data; see TextOutliner.
+         */
+        layoutText(element, style, context) {
+            this.textOutliner = this.textOutliner || new TextOutliner(this);
+            return this.textOutliner.layout(element, style, context);
+        }
+
+        /**
+         * Replaces the stroke of a converted shape, a path or a fill with its dashes,
+         * by a filled outline. A fill painted the same opaque color takes the outline
+         * into its own path; otherwise the outline is a path of its own drawn above,
+         * as it is when animations need the fill and stroke apart.
+         */
+        outlineStroke(node, element, style, context) {
+            const paths = node.type === 'group' ? node.children : [node];
+            const strokePath = paths.find(path => path.strokeColor);
+            if (!strokePath) return node;
+
+            const { strokeColor, strokeAlpha, strokeWidth, strokeLineCap, strokeLineJoin, strokeMiterLimit, ...unstroked } = strokePath;
+            const fillPath = unstroked.fillColor ? unstroked : paths.find(path => path !== strokePath) || null;
+            this.outliner = this.outliner || new StrokeOutliner(this);
+
+            const animated = context.animations && this.animator.animationsOf(element, style, context).length > 0;
+            const mergeable = fillPath && !animated && typeof strokeColor === 'string' && fillPath.fillColor === strokeColor &&
+                fillPath.fillAlpha === undefined && strokeAlpha === undefined && fillPath.fillType !== 'evenOdd';
+            const direction = mergeable ? this.outliner.fillDirection(fillPath.pathData) : 1;
+            const { segments, problems } = this.outliner.outline(strokePath.pathData, {
+                halfWidth: parseFloat(strokeWidth) / 2,
+                lineCap: strokeLineCap,
+                lineJoin: strokeLineJoin,
+                miterLimit: parseFloat(strokeMiterLimit ?? 4),
+                direction: direction || 1
+            });
+            for (let problem of problems) {
+                this.warn(context, element, `stroke outlined imprecisely: ${problem}`);
+            }
+
+            const outline = { type: 'path', pathData: this.serializePathData(segments, context.pathFormat), fillColor: strokeColor, outlined: true };
+            if (strokeAlpha !== undefined) outline.fillAlpha = strokeAlpha;
+            if (!fillPath) return outline;
+            if (mergeable && direction) return { ...fillPath, pathData: `${fillPath.pathData} ${outline.pathData}`, outlined: true };
+            return { type: 'group', transform: null, clipPaths: [], children: [fillPath, outline] };
+        }
+
+        /**
+         * Scale from dp to the element's user space, for non-scaling strokes. Under a
+         * skew or uneven scale the stroke cannot stay even, so the average is used.
+         */
+        nonScalingFactor(element, stroked, context) {
+            const [a, b, c, d] = context.ctm;
+            const scale = Math.sqrt(Math.abs(a * d - b * c));
+            if (!(scale > 0)) return 1;
+
+            if (stroked && (Math.abs(a * c + b * d) > 1e-9 * scale * scale || Math.abs(Math.hypot(a, b) - Math.hypot(c, d)) > 1e-9 * scale)) {
+                this.warn(context, element, 'vector-effect non-scaling-stroke under a skew or uneven scale; the stroke width is averaged', 'info');
+            }
+            return 1 / scale;
+        }
+
+        /**
+         * Cuts path data into the dashes of the element's stroke-dasharray, as path
+         * data made of line segments. Lengths are in user space times scale, and
+         * pathLength rescales them onto the measured length. Returns null when the
+         * stroke is solid.
+         */
+        dashPathData(element, pathData, style, scale, context) {
+            const diagonal = Math.hypot(context.viewport.width, context.viewport.height) / Math.SQRT2;
+            const pattern = this.parseDashArray(style['stroke-dasharray'], diagonal);
+            if (!pattern) return null;
+
+            const polylines = this.flattenPathData(pathData, 32);
+            const pathLength = parseFloat(element.getAttribute('pathLength'));
+            if (pathLength > 0) scale *= this.polylineLength(polylines) / pathLength;
+
+            // Zero-length dashes only show as dots through their caps
+            const dots = style['stroke-linecap'] === 'round' || style['stroke-linecap'] === 'square';
+            const offset = (this.parseLength(style['stroke-dashoffset'], diagonal) || 0) * scale;
+            return this.dashPolylines(polylines, pattern.map(length => length * scale), offset)
+                .filter(dash => dots || this.polylineLength([dash]) > 0)
+                .map(([start, ...points]) => `M${start.join(',')}L${points.map(point => point.join(',')).join(' ')}`)
+                .join('');
+        }
+
+        /**
+         * Parses a stroke-dasharray into an even-length list of user-space lengths,
+         * or null when it draws a solid stroke.
+         */
+        parseDashArray(value, diagonal) {
+            if (!value || value === 'none') return null;
+
+            let pattern = value.split(/[\s,]+/).filter(Boolean).map(length => this.parseLength(length, diagonal));
+            if (pattern.length % 2 === 1) pattern = [...pattern, ...pattern];
+            const total = pattern.reduce((sum, length) => sum + length, 0);
+            return pattern.length === 0 || pattern.some(length => !(length >= 0)) || !(total > 0) ? null : pattern;
+        }
+
+        /**
+         * Splits polylines into dashes. Each subpath starts the pattern afresh.
+         */
+        dashPolylines(polylines, pattern, dashOffset) {
+            const total = pattern.reduce((sum, value) => sum + value, 0);
+            const dashes = [];
+            for (let polyline of polylines) {
+                let index = 0;
+                let remaining = pattern[0];
+                let on = true;
+
+                let offset = ((dashOffset % total) + total) % total;
+                while (offset > 0) {
+                    if (offset < remaining) {
+                        remaining -= offset;
+                        break;
+                    }
+                    offset -= remaining;
+                    index = (index + 1) % pattern.length;
+                    remaining = pattern[index];
+                    on = !on;
+                }
+
+                let current = on ? [polyline[0]] : null;
+                for (let i = 1; i < polyline.length; i++) {
+                    const [ax, ay] = polyline[i - 1];
+                    const [bx, by] = polyline[i];
+                    const length = Math.hypot(bx - ax, by - ay);
+                    let position = 0;
+
+                    // A dash that starts exactly at the end of the subpath still counts
+                    while (length - position >= remaining) {
+                        position += remaining;
+                        const t = length > 0 ? position / length : 1;
+                        const point = [ax + (bx - ax) * t, ay + (by - ay) * t];
+                        if (on) {
+                            current.push(point);
+                            dashes.push(current);
+                            current = null;
+                        } else {
+                            current = [point];
+                        }
+                        on = !on;
+                        index = (index + 1) % pattern.length;
+                        remaining = pattern[index];
+                    }
+
+                    remaining -= length - position;
+                    if (on) current.push(polyline[i]);
+                }
+                // It is zero-length there, and left for the caller to drop or cap
+                if (on && polyline.length > 1) dashes.push(current.length > 1 ? current : [current[0], current[0]]);
+            }
+            return dashes;
+        }
+
+        polylineLength(polylines) {
+            return polylines.reduce((total, polyline) =>
+                total + polyline.slice(1).reduce((sum, [x, y], i) => sum + Math.hypot(x - polyline[i][0], y - polyline[i][1]), 0), 0);
+        }
+
+        /**
+         * Instantiates the element's markers as groups of real geometry at the
+         * vertices of its path: marker-start on the first, marker-end on the last
+         * and marker-mid on the others.
+         */
+        convertMarkers(element, style, context) {
+            if (!this.markerElements.includes(element.tagName.toLowerCase())) return [];
+            if (style.visibility === 'hidden' || style.visibility === 'collapse') return [];
+
+            const markers = {};
+            for (let property of ['marker-start', 'marker-mid', 'marker-end']) {
+                markers[property] = this.resolveMarker(element, property, style[property], context);
+            }
+            if (!markers['marker-start'] && !markers['marker-mid'] && !markers['marker-end']) return [];
+
+            const vertices = this.pathVertices(this.shapeToPathData(element));
+            let strokeWidth = parseFloat(style['stroke-width']);
+            if (isNaN(strokeWidth) || strokeWidth < 0) strokeWidth = 1;
+            const opacity = context.opacity * this.parseOpacity(style.opacity);
+
+            // Every instance of a marker has the same content, so its diagnostics are kept once
+            const instantiated = new Set();
+            const nodes = [];
+            vertices.forEach((vertex, index) => {
+                const properties = [];
+                if (index === 0) properties.push('marker-start');
+                if (index > 0 && index < vertices.length - 1) properties.push('marker-mid');
+                if (index === vertices.length - 1) properties.push('marker-end');
+
+                for (let property of properties) {
+                    const marker = markers[property];
+                    if (!marker) continue;
+
+                    const warningCount = context.warnings.length;
+                    const node = this.instantiateMarker(marker, vertex, property === 'marker-start', strokeWidth, opacity, context);
+                    if (instantiated.has(marker)) context.warnings.length = warningCount;
+                    instantiated.add(marker);
+                    if (node) nodes.push(node);
+                }
+            });
+            return nodes;
+        }
+
+        resolveMarker(element, property, value, context) {
+            if (!value || value === 'none') return null;
+
+            const id = value.match(/^url\(\s*['"]?#([^'")\s]+)['"]?\s*\)$/)?.[1];
+            const marker = id ? context.ids.get(id) : null;
+            if (!marker || marker.tagName.toLowerCase() !== 'marker') {
+                this.warn(context, element, `${property} reference "${value}" not found; marker dropped`, 'error');
+                return null;
+            }
+            return (context.markers || []).includes(marker) ? null : marker;
+        }
+
+        /**
+         * Places a marker's viewport at a vertex, rotated as its orient says and
+         * scaled by the stroke width unless markerUnits is userSpaceOnUse. Returns
+         * { placement, fit, width, height, viewBox } with the matrices from the
+         * marker's viewport to user space and from its viewBox to its viewport
+         * (null without a viewBox), or null for an empty viewport.
+         */
+        markerLayout(marker, vertex, isStart, strokeWidth, viewport) {
+            const width = this.parseLength(marker.getAttribute('markerWidth') || 3, viewport.width);
+            const height = this.parseLength(marker.getAttribute('markerHeight') || 3, viewport.height);
+            if (!(width > 0 && height > 0)) return null;
+
+            const viewBox = this.parseViewBox(marker.getAttribute('viewBox'));
+            const fit = viewBox
+                ? this.viewBoxTransform(viewBox, width, height, marker.getAttribute('preserveAspectRatio'))
+                : { scaleX: 1, scaleY: 1, translateX: 0, translateY: 0 };
+            const refX = fit.scaleX * (parseFloat(marker.getAttribute('refX')) || 0) + fit.translateX;
+            const refY = fit.scaleY * (parseFloat(marker.getAttribute('refY')) || 0) + fit.translateY;
+
+            const orient = (marker.getAttribute('orient') || '0').trim();
+            let angle = parseFloat(orient) || 0;
+            if (orient === 'auto' || orient === 'auto-start-reverse') {
+                angle = this.vertexAngle(vertex);
+                if (orient === 'auto-start-reverse' && isStart) angle += 180;
+            }
+
+            const scale = marker.getAttribute('markerUnits') === 'userSpaceOnUse' ? 1 : strokeWidth;
+            const radians = angle * Math.PI / 180;
+            const cos = Math.cos(radians) * scale;
+            const sin = Math.sin(radians) * scale;
+            return {
+                placement: [cos, sin, -sin, cos, vertex.x - cos * refX + sin * refY, vertex.y - sin * refX - cos * refY],
+                fit: viewBox ? [fit.scaleX, 0, 0, fit.scaleY, fit.translateX, fit.translateY] : null,
+                width,
+                height,
+                viewBox
+            };
+        }
+
+        instantiateMarker(marker, vertex, isStart, strokeWidth, opacity, context) {
+            const layout = this.markerLayout(marker, vertex, isStart, strokeWidth, context.viewport);
+            if (!layout) return null;
+
+            const { width, height, viewBox } = layout;
+            const { transform, context: markerContext } = this.resolveTransform(`matrix(${layout.placement.join(' ')})`, context);
+            let fitTransform = null;
+            let fitContext = markerContext;
+            if (layout.fit) {
+                ({ transform: fitTransform, context: fitContext } = this.resolveTransform(`matrix(${layout.fit.join(' ')})`, markerContext));
+            }
+
+            const markerStyle = this.computeStyleFromRoot(marker, context);
+            const children = this.processElements(marker, {
+                ...fitContext,
+                style: markerStyle,
+                opacity,
+                viewport: viewBox ? { width: viewBox.width, height: viewBox.height } : { width, height },
+                markers: [...(context.markers || []), marker]
+            });
+            if (children.length === 0) return null;
+
+            // Markers clip to their viewport unless overflow is visible
+            const overflow = (marker.getAttribute('overflow') || '').trim();
+            const clipPaths = overflow === 'visible' || overflow === 'auto'
+                ? []
+                : [this.preparePathData(`M0,0h${width}v${height}h${-width}z`, markerContext.matrix, context, marker)];
+            return {
+                type: 'group',
+                transform,
+                clipPaths,
+                marker: true,
+                children: fitTransform ? [{ type: 'group', transform: fitTransform, children }] : children
+            };
+        }
+
+        /**
+         * Direction of the path at a vertex in degrees: the bisector of the incoming
+         * and outgoing directions, or whichever of them exists.
+         */
+        vertexAngle({ incoming, outgoing }) {
+            if (incoming === null) return outgoing ?? 0;
+            if (outgoing === null) return incoming;
+
+            let difference = outgoing - incoming;
+            if (difference > 180) difference -= 360;
+            if (difference < -180) difference += 360;
+            return incoming + difference / 2;
+        }
+
+        /**
+         * The vertices of path data that markers are placed on, each with the
+         * direction in degrees the path arrives in and leaves in, null where there
+         * is none. A closed subpath joins its first and last directions.
+         */
+        pathVertices(d) {
+            const vertices = [];
+            const direction = (dx, dy) => Math.abs(dx) < 1e-9 && Math.abs(dy) < 1e-9 ? null : Math.atan2(dy, dx) * 180 / Math.PI;
+            // The first and last non-zero legs of a control polygon give the end tangents
+            const tangents = points => {
+                const legs = points.slice(1).map(([px, py], i) => direction(px - points[i][0], py - points[i][1])).filter(angle => angle !== null);
+                return legs.length > 0 ? [legs[0], legs[legs.length - 1]] : [null, null];
+            };
+
+            let x = 0, y = 0, start = 0;
+            let control = null, previous = null;
+            const segment = (ex, ey, [outgoing, incoming]) => {
+                const last = vertices[vertices.length - 1];
+                last.outgoing = outgoing ?? last.incoming;
+                vertices.push({ x: ex, y: ey, incoming: incoming ?? last.incoming, outgoing: null });
+                [x, y] = [ex, ey];
+            };
+
+            for (let { command, values } of this.parsePathData(d).segments) {
+                const reflected = control && /[CSQT]/.test(previous) ? [2 * x - control[0], 2 * y - control[1]] : [x, y];
+                let nextControl = null;
+
+                if (command !== 'M' && vertices.length === 0) {
+                    start = 0;
+                    vertices.push({ x, y, incoming: null, outgoing: null });
+                }
+
+                switch (command) {
+                    case 'M':
+                        start = vertices.length;
+                        vertices.push({ x: values[0], y: values[1], incoming: null, outgoing: null });
+                        [x, y] = values;
+                        break;
+                    case 'L':
+                    case 'T': {
+                        const points = command === 'T' && /[QT]/.test(previous) ? [[x, y], reflected, values] : [[x, y], values];
+                        nextControl = command === 'T' && /[QT]/.test(previous) ? reflected : [x, y];
+                        segment(values[0], values[1], tangents(points));
+                        break;
+                    }
+                    case 'H':
+                        segment(values[0], y, tangents([[x, y], [values[0], y]]));
+                        break;
+                    case 'V':
+                        segment(x, values[0], tangents([[x, y], [x, values[0]]]));
+                        break;
+                    case 'C':
+                    case 'S': {
+                        const [c1x, c1y, c2x, c2y, ex, ey] = command === 'C' ? values : [...(previous === 'C' || previous === 'S' ? reflected : [x, y]), ...values];
+                        nextControl = [c2x, c2y];
+                        segment(ex, ey, tangents([[x, y], [c1x, c1y], [c2x, c2y], [ex, ey]]));
+                        break;
+                    }
+                    case 'Q': {
+                        const [cx, cy, ex, ey] = values;
+                        nextControl = [cx, cy];
+                        segment(ex, ey, tangents([[x, y], [cx, cy], [ex, ey]]));
+                        break;
+                    }
+                    case 'A': {
+                        const arc = this.arcToCenter(x, y, ...values);
+                        if (!arc) {
+                            segment(values[5], values[6], tangents([[x, y], [values[5], values[6]]]));
+                            break;
+                        }
+                        const { rx, ry, phi, startAngle, deltaAngle } = arc;
+                        const tangent = theta => direction(
+                            Math.sign(deltaAngle) * (-rx * Math.sin(theta) * Math.cos(phi) - ry * Math.cos(theta) * Math.sin(phi)),
+                            Math.sign(deltaAngle) * (-rx * Math.sin(theta) * Math.sin(phi) + ry * Math.cos(theta) * Math.cos(phi)));
+                        segment(values[5], values[6], [tangent(startAngle), tangent(startAngle + deltaAngle)]);
+                        break;
+                    }
+                    case 'Z': {
+                        const first = vertices[start];
+                        segment(first.x, first.y, tangents([[x, y], [first.x, first.y]]));
+                        const last = vertices[vertices.length - 1];
+                        first.incoming = last.incoming;
+                        last.outgoing = first.outgoing;
+                        // A subpath continuing after Z starts from the same vertex
+                        start = vertices.length - 1;
+                        break;
+                    }
+                }
+
+                control = nextControl;
+                previous = command;
+            }
+
+            return vertices;
+        }
+
+        describeElement(element) {
+            const id = element.getAttribute('id');
+            return `<${element.tagName}${id ? ` id="${id}"` : ''}>`;
+        }
+
+        shapeToPathData(element) {
+            switch (element.tagName.toLowerCase()) {
+                case 'path':
+                    return element.getAttribute('d') || '';
+                case 'rect':
+                    return this.rectToPath(element);
+                case 'circle':
+                    return this.circleToPath(element);
+                case 'ellipse':
+                    return this.ellipseToPath(element);
+                case 'line':
+                    return this.lineToPath(element);
+                case 'polygon':
+                    return this.polygonToPath(element);
+                case 'polyline':
+                    return this.polylineToPath(element);
+                default:
+                    return '';
+            }
+        }
+
+        /**
+         * Resolves clip-path and mask references into clip path data in the element's
+         * user space (baked through context.matrix where needed). Masks are only
+         * reducible when they are solid white shapes; anything else is reported in
+         * the conversion warnings and left out.
+         */
+        resolveClipPaths(element, style, context, getBounds) {
+            const clipPaths = [];
+            const references = [['clip-path', 'clippath'], ['mask', 'mask']];
+
+            for (let [property, expectedTag] of references) {
+                const value = style[property];
+                if (!value || value === 'none') continue;
+
+                const id = value.match(/^url\(\s*['"]?#([^'")\s]+)['"]?\s*\)$/)?.[1];
+                const reference = id ? context.ids.get(id) : null;
+                const label = `${property} "${value}" on <${element.tagName}>`;
+
+                if (!reference || reference.tagName.toLowerCase() !== expectedTag) {
+                    this.warn(context, element, `${label} does not point to a <${property === 'mask' ? 'mask' : 'clipPath'}>; ignored`);
+                    continue;
+                }
+
+                const unitsAttribute = property === 'mask' ? 'maskContentUnits' : 'clipPathUnits';
+                const boundingBox = reference.getAttribute(unitsAttribute) === 'objectBoundingBox';
+                let matrix = this.transformListToMatrix(reference.getAttribute('transform'));
+
+                if (boundingBox) {
+                    const bounds = getBounds();
+                    if (!bounds || bounds.width === 0 || bounds.height === 0) {
+                        this.warn(context, element, `${label} uses objectBoundingBox units on an empty element; ignored`, 'info');
+                        continue;
+                    }
+                    matrix = this.multiplyMatrices(matrix, [bounds.width, 0, 0, bounds.height, bounds.x, bounds.y]);
+                }
+                if (context.matrix) {
+                    matrix = this.multiplyMatrices(context.matrix, matrix);
+                }
+
+                const paths = this.clipGeometry(reference, matrix, context, property === 'mask', label);
+                if (paths === null) {
+                    this.warn(context, element, `${label} is not a solid white shape and cannot be converted to a clip-path; the element is rendered unmasked`);
+                    continue;
+                }
+
+                if (this.computeStyleFromRoot(reference, context)['clip-path'] !== 'none') {
+                    this.warn(context, reference, `${label}: clip paths on a <${reference.tagName}> itself are not supported and were ignored`);
+                }
+
+                // An empty clip hides the element entirely, which an empty subpath reproduces
+                clipPaths.push(paths.length > 0 ? paths.join(' ') : 'M0,0');
+            }
+
+            return clipPaths;
+        }
+
+        /**
+         * Collects the path data of a clipPath's or mask's shapes, transformed by matrix.
+         * For masks, returns null as soon as a shape is not plain opaque white.
+         */
+        clipGeometry(container, matrix, context, isMask, label) {
+            const paths = [];
+
+            for (let child of container.children) {
+                const tagName = child.tagName.toLowerCase();
+                const style = this.computeStyleFromRoot(child, context);
+                if (style.display === 'none' || style.visibility === 'hidden') continue;
+
+                const childMatrix = this.multiplyMatrices(matrix, this.transformListToMatrix(child.getAttribute('transform')));
+                let shape = child;
+
+                if (tagName === 'use') {
+                    const href = child.getAttribute('href') || child.getAttribute('xlink:href');
+                    shape = href?.startsWith('#') ? context.ids.get(href.slice(1)) : null;
+                    if (!shape || !this.supportedElements.includes(shape.tagName.toLowerCase())) {
+                        this.warn(context, child, `${label}: only <use> references to basic shapes are supported inside clips`);
+                        continue;
+                    }
+                    const x = parseFloat(child.getAttribute('x')) || 0;
+                    const y = parseFloat(child.getAttribute('y')) || 0;
+                    const shapeMatrix = this.multiplyMatrices(childMatrix, [1, 0, 0, 1, x, y]);
+                    const shapeStyle = this.computeStyle(shape, style, context);
+                    if (isMask && !this.isOpaqueWhite(shapeStyle)) return null;
+                    const shapeData = this.preparePathData(this.shapeToPathData(shape),
+                        this.multiplyMatrices(shapeMatrix, this.transformListToMatrix(shape.getAttribute('transform'))), context, shape);
+                    if (shapeData) paths.push(shapeData);
+                    continue;
+                }
+
+                if (isMask && tagName === 'g') {
+                    const groupPaths = this.clipGeometry(child, childMatrix, context, isMask, label);
+                    if (groupPaths === null) return null;
+                    paths.push(...groupPaths);
+                    continue;
+                }
+
+                if (!this.supportedElements.includes(tagName)) {
+                    if (!['title', 'desc', 'metadata'].includes(tagName)) {
+                        this.warn(context, child, `${label}: <${child.tagName}> inside a clip cannot be converted and was dropped`);
+                    }
+                    continue;
+                }
+
+                if (isMask && !this.isOpaqueWhite(style)) return null;
+                if (!isMask && style['clip-rule'] === 'evenodd') {
+                    this.warn(context, child, `${label}: clip-rule="evenodd" is not supported by Android clip paths; nonzero is used`);
+                }
+
+                const pathData = this.preparePathData(this.shapeToPathData(child), childMatrix, context, child);
+                if (pathData) paths.push(pathData);
+            }
+
+            return paths;
+        }
+
+        isOpaqueWhite(style) {
+            return this.normalizeColor(style.fill || '#000000') === '#FFFFFF' &&
+                (!style.stroke || style.stroke === 'none') &&
+                this.parseOpacity(style['fill-opacity']) === 1 &&
+                this.parseOpacity(style.opacity) === 1;
+        }
+
+        nodesBounds(nodes, baseMatrix) {
+            // Bounds of converted nodes in the space they are emitted in, optionally
+            // mapped back through baseMatrix (the inverse of a baked transform)
+            const points = [];
+            const visit = (list, matrix) => {
+                for (let node of list) {
+                    if (node.type === 'group') {
+                        visit(node.children, node.transform ? this.multiplyMatrices(matrix, this.groupMatrix(node.transform)) : matrix);
+                    } else {
+                        this.flattenPathData(node.pathData).flat().forEach(([x, y]) => {
+                            points.push([matrix[0] * x + matrix[2] * y + matrix[4], matrix[1] * x + matrix[3] * y + matrix[5]]);
+                        });
+                    }
+                }
+            };
+            visit(nodes, baseMatrix || [1, 0, 0, 1, 0, 0]);
+            if (points.length === 0) return null;
+
+            const xs = points.map(point => point[0]);
+            const ys = points.map(point => point[1]);
+            const x = Math.min(...xs);
+            const y = Math.min(...ys);
+            return { x, y, width: Math.max(...xs) - x, height: Math.max(...ys) - y };
+        }
+
+        groupMatrix({ translateX = 0, translateY = 0, rotation = 0, scaleX = 1, scaleY = 1, pivotX = 0, pivotY = 0 }) {
+            // translate(pivot + translation) * rotate * scale * translate(-pivot)
+            const radians = rotation * Math.PI / 180;
+            const cos = Math.cos(radians);
+            const sin = Math.sin(radians);
+            return [
+                [1, 0, 0, 1, translateX + pivotX, translateY + pivotY],
+                [cos, sin, -sin, cos, 0, 0],
+                [scaleX, 0, 0, scaleY, 0, 0],
+                [1, 0, 0, 1, -pivotX, -pivotY]
+            ].reduce((result, m) => this.multiplyMatrices(result, m));
+        }
+
+        parseOpacity(value) {
+            let opacity = parseFloat(value);
+            if (isNaN(opacity)) return 1;
+            if (String(value).trim().endsWith('%')) opacity /= 100;
+            return Math.min(1, Math.max(0, opacity));
+        }
+
+        /**
+         * Parses any CSS color syntax SVG allows (hex with optional alpha, rgb(), rgba(),
+         * hsl(), hsla(), named colors, transparent) into 0-255 channels and 0-1 alpha.
+         */
+        parseColor(value) {
+            let color = String(value).trim().toLowerCase();
+            if (color === 'transparent') return { r: 0, g: 0, b: 0, a: 0 };
+            color = this.namedColors[color] || color;
+
+            const hex = color.match(/^#([0-9a-f]{3,4}|[0-9a-f]{6}|[0-9a-f]{8})$/)?.[1];
+            if (hex) {
+                const full = hex.length <= 4 ? hex.replace(/./g, '$&$&') : hex;
+                const channel = index => parseInt(full.slice(index * 2, index * 2 + 2), 16);
+                return { r: channel(0), g: channel(1), b: channel(2), a: full.length === 8 ? channel(3) / 255 : 1 };
+            }
+
+            const match = color.match(/^(rgba?|hsla?)\(([^)]*)\)$/);
+            if (!match) return null;
+
+            const parts = match[2].trim().split(/\s*[,/]\s*|\s+/).filter(Boolean);
+            if (parts.length < 3 || parts.length > 4) return null;
+
+            const alpha = parts.length === 4 ? this.parseOpacity(parts[3]) : 1;
+            const clamp = value => Math.min(255, Math.max(0, Math.round(value)));
+
+            if (match[1].startsWith('rgb')) {
+                const [r, g, b] = parts.slice(0, 3).map(part => clamp(part.endsWith('%') ? parseFloat(part) * 2.55 : parseFloat(part)));
+                return [r, g, b].some(isNaN) ? null : { r, g, b, a: alpha };
+            }
+
+            const units = { deg: 1, grad: 0.9, rad: 180 / Math.PI, turn: 360 };
+            const hueUnit = parts[0].match(/[a-z]+$/)?.[0];
+            const hue = ((parseFloat(parts[0]) * (units[hueUnit] || 1)) % 360 + 360) % 360 / 360;
+            const saturation = Math.min(1, Math.max(0, parseFloat(parts[1]) / 100));
+            const lightness = Math.min(1, Math.max(0, parseFloat(parts[2]) / 100));
+            if ([hue, saturation, lightness].some(isNaN)) return null;
+
+            const q = lightness < 0.5 ? lightness * (1 + saturation) : lightness + saturation - lightness * saturation;
+            const p = 2 * lightness - q;
+            const hueToChannel = (t) => {
+                t = (t + 1) % 1;
+                if (t < 1 / 6) return p + (q - p) * 6 * t;
+                if (t < 1 / 2) return q;
+                if (t < 2 / 3) return p + (q - p) * (2 / 3 - t) * 6;
+                return p;
+            };
+
+            return {
+                r: clamp(hueToChannel(hue + 1 / 3) * 255),
+                g: clamp(hueToChannel(hue) * 255),
+                b: clamp(hueToChannel(hue - 1 / 3) * 255),
+                a: alpha
+            };
+        }
+
+        /**
+         * Normalizes a CSS color to Android's #RRGGBB, or #AARRGGBB when it is not
+         * fully opaque. Returns null for colors that cannot be parsed.
+         */
+        normalizeColor(value, opacity = 1) {
+            const color = this.parseColor(value);
+            if (!color) return null;
+
+            const hex = channel => channel.toString(16).padStart(2, '0');
+            const alpha = Math.round(color.a * opacity * 255);
+            const rgb = hex(color.r) + hex(color.g) + hex(color.b);
+            return (alpha >= 255 ? `#${rgb}` : `#${hex(alpha)}${rgb}`).toUpperCase();
+        }
+
+        collectIds(root, ids = new Map()) {
+            for (let element of root.children) {
+                const id = element.getAttribute('id');
+                if (id && !ids.has(id)) ids.set(id, element);
+                this.collectIds(element, ids);
+            }
+            return ids;
+        }
+
+        parseStylesheets(root, context) {
+            const rules = [];
+            const visit = (parent) => {
+                for (let element of parent.children) {
+                    if (element.tagName.toLowerCase() === 'style') {
+                        const skipped = [];
+                        rules.push(...this.parseStylesheet(element.textContent, rules.length, skipped, context.keyframes));
+                        skipped.forEach(prelude => this.warn(context, element, `CSS "${prelude}" is not supported; the rule was ignored`, 'info'));
+                    } else {
+                        visit(element);
+                    }
+                }
+            };
+            visit(root);
+            return rules;
+        }
+
+        /**
+         * Parses CSS text into rules with one entry per selector. At-rules are skipped,
+         * as are selectors using pseudo-classes or other syntax we cannot match; their
+         * text is collected in skipped. @keyframes are collected by name in keyframes
+         * when it is given.
+         */
+        parseStylesheet(css, order = 0, skipped = [], keyframes = null) {
+            const rules = [];
+            const text = css.replace(/\/\*[\s\S]*?\*\//g, '');
+            let index = 0;
+
+            while (index < text.length) {
+                const open = text.indexOf('{', index);
+                if (open === -1) break;
+
+                // Statement at-rules such as @import end at their semicolon, not a block
+                const semicolon = text.indexOf(';', index);
+                if (text.slice(index).trimStart().startsWith('@') && semicolon !== -1 && semicolon < open) {
+                    skipped.push(text.slice(index, semicolon).trim());
+                    index = semicolon + 1;
+                    continue;
+                }
+
+                // Find the matching closing brace so nested at-rule blocks are skipped whole
+                let depth = 1;
+                let close = open + 1;
+                while (close < text.length && depth > 0) {
+                    if (text[close] === '{') depth++;
+                    if (text[close] === '}') depth--;
+                    close++;
+                }
+
+                const prelude = text.slice(index, open).trim();
+                const body = text.slice(open + 1, close - 1);
+                index = close;
+
+                const keyframesName = prelude.match(/^@(?:-webkit-)?keyframes\s+(\S+)$/)?.[1];
+                if (keyframes && keyframesName) {
+                    keyframes[keyframesName] = this.parseKeyframes(body);
+                    continue;
+                }
+                if (prelude.startsWith('@')) {
+                    skipped.push(prelude);
+                    continue;
+                }
+
+                const declarations = this.parseDeclarations(body);
+                for (let selectorText of prelude.split(',')) {
+                    const selector = this.parseSelector(selectorText.trim());
+                    if (selector) {
+                        rules.push({ selector, declarations, order: order + rules.length });
+                    } else {
+                        skipped.push(selectorText.trim());
+                    }
+                }
+            }
+
+            return rules;
+        }
+
+        /**
+         * Parses the keyframe blocks of an @keyframes rule into { offset, declarations }
+         * sorted by offset.
+         */
+        parseKeyframes(body) {
+            const frames = [];
+            const pattern = /([^{}]+)\{([^{}]*)\}/g;
+            let match;
+            while ((match = pattern.exec(body))) {
+                const declarations = this.parseDeclarations(match[2]);
+                for (let selector of match[1].split(',')) {
+                    const text = selector.trim().toLowerCase();
+                    const offset = text === 'from' ? 0 : text === 'to' ? 1 : parseFloat(text) / 100;
+                    if (offset >= 0 && offset <= 1) frames.push({ offset, declarations });
+                }
+            }
+            return frames.sort((a, b) => a.offset - b.offset);
+        }
+
+        parseDeclarations(text) {
+            return (text || '').split(';').map(declaration => {
+                const colon = declaration.indexOf(':');
+                if (colon === -1) return null;
+
+                let value = declaration.slice(colon + 1).trim();
+                const important = /!\s*important$/i.test(value);
+                if (important) value = value.replace(/!\s*important$/i, '').trim();
+
+                const property = declaration.slice(0, colon).trim().toLowerCase();
+                return property && value ? { property, value, important } : null;
+            }).filter(Boolean);
+        }
+
+        parseSelector(text) {
+            const compounds = [];
+            const specificity = [0, 0, 0];
+            const tokens = text.match(/\s*[>+~]\s*|\s+|(?:\[[^\]]*\]|[^\s>+~[])+/g) || [];
+            let combinator = null;
+
+            for (let token of tokens) {
+                if (!token.trim() || /^[>+~]$/.test(token.trim())) {
+                    // Whitespace is a descendant combinator unless an explicit one follows
+                    if (compounds.length === 0 && token.trim()) return null;
+                    combinator = token.trim() || combinator || ' ';
+                    continue;
+                }
+
+                const compound = { combinator: compounds.length ? combinator : null, tag: null, ids: [], classes: [], attributes: [] };
+                const parts = token.match(/^[a-zA-Z][\w-]*|^\*|#[\w-]+|\.[\w-]+|\[[^\]]+\]|:+[\w-]+(?:\([^)]*\))?/g) || [];
+                if (parts.join('') !== token) return null;
+
+                for (let part of parts) {
+                    if (part.startsWith('#')) {
+                        compound.ids.push(part.slice(1));
+                        specificity[0]++;
+                    } else if (part.startsWith('.')) {
+                        compound.classes.push(part.slice(1));
+                        specificity[1]++;
+                    } else if (part.startsWith('[')) {
+                        const match = part.match(/^\[\s*([\w:-]+)\s*(?:([~^$*|]?=)\s*(?:"([^"]*)"|'([^']*)'|([^\]\s]*)))?\s*\]$/);
+                        if (!match) return null;
+                        compound.attributes.push({ name: match[1], operator: match[2], value: match[3] ?? match[4] ?? match[5] });
+                        specificity[1]++;
+                    } else if (part.startsWith(':')) {
+                        return null;
+                    } else if (part !== '*') {
+                        compound.tag = part.toLowerCase();
+                        specificity[2]++;
+                    }
+                }
+
+                compounds.push(compound);
+                combinator = null;
+            }
+
+            return compounds.length ? { compounds, specificity } : null;
+        }
+
+        matchesSelector(element, { compounds }, index = compounds.length - 1) {
+            const compound = compounds[index];
+            if (!this.matchesCompound(element, compound)) return false;
+            if (index === 0) return true;
+
+            const parent = element.parentNode?.tagName ? element.parentNode : null;
+            switch (compound.combinator) {
+                case '>':
+                    return !!parent && this.matchesSelector(parent, { compounds }, index - 1);
+                case '+':
+                case '~': {
+                    const siblings = parent ? Array.from(parent.children) : [];
+                    const previous = siblings.slice(0, siblings.indexOf(element)).reverse();
+                    const candidates = compound.combinator === '+' ? previous.slice(0, 1) : previous;
+                    return candidates.some(sibling => this.matchesSelector(sibling, { compounds }, index - 1));
+                }
+                default:
+                    for (let ancestor = parent; ancestor; ancestor = ancestor.parentNode?.tagName ? ancestor.parentNode : null) {
+                        if (this.matchesSelector(ancestor, { compounds }, index - 1)) return true;
+                    }
+                    return false;
+            }
+        }
+
+        matchesCompound(element, compound) {
+            if (compound.tag && element.tagName.toLowerCase() !== compound.tag) return false;
+            if (compound.ids.some(id => element.getAttribute('id') !== id)) return false;
+
+            const classes = (element.getAttribute('class') || '').split(/\s+/);
+            if (compound.classes.some(name => !classes.includes(name))) return false;
+
+            return compound.attributes.every(({ name, operator, value }) => {
+                const actual = element.getAttribute(name);
+                if (actual === null) return false;
+                switch (operator) {
+                    case '=': return actual === value;
+                    case '~=': return actual.split(/\s+/).includes(value);
+                    case '|=': return actual === value || actual.startsWith(`${value}-`);
+                    case '^=': return !!value && actual.startsWith(value);
+                    case '$=': return !!value && actual.endsWith(value);
+                    case '*=': return !!value && actual.includes(value);
+                    default: return true;
+                }
+            });
+        }
+
+        /**
+         * Computes the style properties we convert for an element: presentation
+         * attributes, then stylesheet rules by specificity and source order, then the
+         * inline style attribute, with !important declarations on top. Unset inherited
+         * properties and "inherit" take the parent's value; currentColor resolves to color.
+         */
+        computeStyle(element, parentStyle, context) {
+            const declared = {};
+            const cascade = [];
+
+            for (let property of Object.keys(this.styleProperties)) {
+                if (element.hasAttribute(property)) {
+                    cascade.push({ property, value: element.getAttribute(property).trim(), weight: [0, 0, 0, 0, 0] });
+                }
+            }
+
+            for (let rule of context.stylesheet) {
+                if (!this.matchesSelector(element, rule.selector)) continue;
+                for (let { property, value, important } of rule.declarations) {
+                    cascade.push({ property, value, weight: [important ? 2 : 1, ...rule.selector.specificity, rule.order] });
+                }
+            }
+
+            for (let { property, value, important } of this.parseDeclarations(element.getAttribute('style'))) {
+                cascade.push({ property, value, weight: [important ? 3 : 1, Infinity, 0, 0, 0] });
+            }
+
+            cascade
+                .sort((a, b) => {
+                    const index = a.weight.findIndex((value, i) => value !== b.weight[i]);
+                    return index === -1 ? 0 : a.weight[index] - b.weight[index];
+                })
+                .forEach(({ property, value }) => {
+                    if (property === 'animation') {
+                        Object.assign(declared, this.expandAnimationShorthand(value));
+                    } else if (property === 'font') {
+                        Object.assign(declared, this.expandFontShorthand(value));
+                    } else if ((property === 'fill' || property === 'stroke') && !this.isPaint(value)) {
+                        // An invalid declaration is ignored, leaving the one it would have overridden
+                        const message = `${property} "${value}" is not a valid paint; the declaration was ignored`;
+                        const { path, line, column } = nodeLocation(element);
+                        if (!context.warnings.some(warning => warning.message === message && warning.path === path && warning.line === line && warning.column === column)) {
+                            this.warn(context, element, message);
+                        }
+                    } else {
+                        declared[property] = value;
+                    }
+                });
+
+            const style = {};
+            for (let [property, { inherited, initial }] of Object.entries(this.styleProperties)) {
+                let value = declared[property];
+                const keyword = value?.toLowerCase();
+
+                if (keyword === 'inherit' || ((value === undefined || keyword === 'unset') && inherited)) {
+                    value = parentStyle ? parentStyle[property] : initial;
+                } else if (value === undefined || keyword === 'initial' || keyword === 'unset') {
+                    value = initial;
+                }
+
+                if (typeof value === 'string' && value.toLowerCase() === 'currentcolor') {
+                    value = property === 'color' ? (parentStyle?.color ?? initial) : style.color;
+                }
+
+                style[property] = value;
+            }
+
+            // Relative font sizes and weights compute against the parent's
+            style['font-size'] = String(this.fontSize(style['font-size'], parentStyle ? parseFloat(parentStyle['font-size']) : 16));
+            style['font-weight'] = String(this.fontWeight(style['font-weight'], parentStyle ? parseFloat(parentStyle['font-weight']) : 400));
+            return style;
+        }
+
+        /**
+         * Whether a fill or stroke value is something a browser would accept: a
+         * color, a paint server reference or a keyword.
+         */
+        isPaint(value) {
+            const keywords = ['none', 'currentcolor', 'context-fill', 'context-stroke', 'inherit', 'initial', 'unset'];
+            return keywords.includes(value.toLowerCase()) || /^url\(/i.test(value) || this.parseColor(value) !== null;
+        }
+
+        /**
+         * Splits the animation shorthand into its longhands, one comma-separated
+         * entry per animation. Times are duration then delay; the remaining
+         * identifier is the name.
+         */
+        expandAnimationShorthand(value) {
+            const longhands = { name: [], duration: [], delay: [], 'iteration-count': [], direction: [], 'timing-function': [] };
+            const keywords = {
+                direction: ['normal', 'reverse', 'alternate', 'alternate-reverse'],
+                'timing-function': ['linear', 'ease', 'ease-in', 'ease-out', 'ease-in-out', 'step-start', 'step-end'],
+                ignored: ['none', 'forwards', 'backwards', 'both', 'running', 'paused']
+            };
+
+            for (let animation of value.split(/,(?![^(]*\))/)) {
+                const entry = { name: 'none', duration: '0s', delay: '0s', 'iteration-count': '1', direction: 'normal', 'timing-function': 'ease' };
+                const times = [];
+                for (let token of animation.trim().match(/[\w-]+\([^)]*\)|[^\s]+/g) || []) {
+                    if (/^[+-]?[\d.]+m?s$/.test(token)) times.push(token);
+                    else if (token === 'infinite' || /^[\d.]+$/.test(token)) entry['iteration-count'] = token;
+                    else if (keywords.direction.includes(token)) entry.direction = token;
+                    else if (keywords['timing-function'].includes(token) || token.includes('(')) entry['timing-function'] = token;
+                    else if (!keywords.ignored.includes(token)) entry.name = token;
+                }
+                [entry.duration = '0s', entry.delay = '0s'] = times;
+                Object.keys(longhands).forEach(key => longhands[key].push(entry[key]));
+            }
+            return Object.fromEntries(Object.entries(longhands).map(([key, list]) => [`animation-${key}`, list.join(', ')]));
+        }
+
+        /**
+         * Splits the font shorthand, "[style] [variant] [weight] size[/line-height]
+         * family", into the longhands text is outlined with. Values it cannot read,
+         * such as system font keywords, set nothing.
+         */
+        expandFontShorthand(value) {
+            const match = /^((?:[\w-]+\s+)*?)([+-]?(?:\d+\.?\d*|\.\d+)(?:[a-z]+|%)|(?:xx?-|xxx-)?(?:small|large)|medium|larger|smaller)(?:\s*\/\s*\S+)?\s+(.+)$/i.exec(value.trim());
+            if (!match) return {};
+
+            const longhands = { 'font-style': 'normal', 'font-weight': '400', 'font-size': match[2], 'font-family': match[3].trim() };
+            for (let token of match[1].trim().split(/\s+/).filter(Boolean)) {
+                if (token === 'italic' || token === 'oblique') longhands['font-style'] = token;
+                else if (/^(bold|bolder|lighter|\d+)$/.test(token)) longhands['font-weight'] = token;
+            }
+            return longhands;
+        }
+
+        computeStyleFromRoot(element, context) {
+            const parent = element.parentNode?.tagName ? element.parentNode : null;
+            const parentStyle = parent ? this.computeStyleFromRoot(parent, context) : null;
+            return this.computeStyle(element, parentStyle, context);
+        }
+
+        /**
+         * Turns a fill or stroke value into either a plain color string or a gradient
+         * description. Paint servers that cannot be resolved use the fallback color
+         * from "url(#id) fallback", or no paint at all.
+         */
+        resolvePaint(value, pathData, context, source = null) {
+            if (!value || value === 'none') return null;
+
+            const match = value.trim().match(/^url\(\s*['"]?#([^'")\s]+)['"]?\s*\)\s*(.*)$/);
+            if (!match) return this.visibleColor(value);
+
+            const [, id, fallback] = match;
+            const element = context.ids.get(id);
+            const tagName = element?.tagName.toLowerCase();
+
+            if (tagName === 'lineargradient' || tagName === 'radialgradient') {
+                const gradient = this.resolveGradient(element, pathData, context);
+                if (gradient) return gradient;
+            } else if (source) {
+                const replacement = fallback && fallback !== 'none' ? `its fallback ${fallback}` : 'nothing';
+                this.warn(context, source, element
+                    ? `<${element.tagName}> paint is not supported; replaced with ${replacement}`
+                    : `paint reference "#${id}" not found; replaced with ${replacement}`, element || fallback ? 'warning' : 'error');
+            }
+
+            return fallback && fallback !== 'none' ? this.visibleColor(fallback) : null;
+        }
+
+        visibleColor(value) {
+            const color = this.parseColor(value);
+            return color && color.a > 0 ? this.normalizeColor(value) : null;
+        }
+
+        resolveGradient(element, pathData, context) {
+            // Follow xlink:href chains; the referencing gradient's own attributes win
+            const chain = [];
+            for (let current = element; current && !chain.includes(current);) {
+                chain.push(current);
+                const href = current.getAttribute('href') || current.getAttribute('xlink:href');
+                current = href?.startsWith('#') ? context.ids.get(href.slice(1)) : null;
+            }
+
+            const attribute = name => {
+                for (let gradient of chain) {
+                    if (gradient.hasAttribute(name)) return gradient.getAttribute(name);
+                }
+                return null;
+            };
+
+            const stopSource = chain.find(gradient => Array.from(gradient.children).some(child => child.tagName.toLowerCase() === 'stop'));
+            const stops = stopSource ? this.gradientStops(stopSource, context) : [];
+
+            // No stops paints nothing, a single stop paints a solid color
+            if (stops.length === 0) return null;
+            if (stops.length === 1) return stops[0].color;
+
+            const isRadial = element.tagName.toLowerCase() === 'radialgradient';
+            const boundingBox = attribute('gradientUnits') !== 'userSpaceOnUse';
+            const bounds = boundingBox ? this.pathBounds(pathData) : null;
+            if (boundingBox && (!bounds || bounds.width === 0 || bounds.height === 0)) return null;
+
+            // Gradient space -> user space -> baked coordinates
+            let matrix = boundingBox ? [bounds.width, 0, 0, bounds.height, bounds.x, bounds.y] : [1, 0, 0, 1, 0, 0];
+            const gradientTransform = this.parseTransformList(attribute('gradientTransform'));
+            if (gradientTransform.length > 0) {
+                matrix = gradientTransform.reduce((result, transform) => this.multiplyMatrices(result, this.transformToMatrix(transform)), matrix);
+            }
+            if (context.matrix) {
+                matrix = this.multiplyMatrices(context.matrix, matrix);
+            }
+
+            const length = (name, fallback, axis) => this.parseGradientLength(attribute(name) ?? fallback, boundingBox, axis, context.viewport);
+            const apply = (x, y) => [matrix[0] * x + matrix[2] * y + matrix[4], matrix[1] * x + matrix[3] * y + matrix[5]];
+            const tileModes = { pad: 'clamp', reflect: 'mirror', repeat: 'repeat' };
+
+            const gradient = {
+                type: isRadial ? 'radial' : 'linear',
+                tileMode: tileModes[attribute('spreadMethod')] || 'clamp',
+                stops
+            };
+
+            const [a, b, c, d] = matrix;
+            if (isRadial) {
+                const cx = length('cx', '50%', 'x');
+                const cy = length('cy', '50%', 'y');
+                const [centerX, centerY] = apply(cx, cy);
+                const scale = Math.sqrt(Math.abs(a * d - b * c));
+                Object.assign(gradient, { centerX, centerY, gradientRadius: length('r', '50%', 'xy') * scale });
+
+                // Android's radial gradients are circles around their center
+                if (Math.abs(a * c + b * d) > 1e-9 * scale * scale || Math.abs(Math.hypot(a, b) - Math.hypot(c, d)) > 1e-9 * scale) {
+                    this.warn(context, element, 'elliptical radial gradient approximated by a circle of the same area');
+                }
+                const fx = attribute('fx') === null ? cx : length('fx', '50%', 'x');
+                const fy = attribute('fy') === null ? cy : length('fy', '50%', 'y');
+                if (fx !== cx || fy !== cy) {
+                    this.warn(context, element, 'radial gradient focal point (fx, fy) is not supported; the gradient is centered on (cx, cy)');
+                }
+            } else {
+                const x1 = length('x1', '0%', 'x');
+                const y1 = length('y1', '0%', 'y');
+                const [dx, dy] = [length('x2', '100%', 'x') - x1, length('y2', '0%', 'y') - y1];
+                const [startX, startY] = apply(x1, y1);
+
+                // Lines of equal color run across the gradient vector. A skew or uneven
+                // scale turns them, so the end point is taken along their new normal
+                // rather than transformed as a point.
+                const [nx, ny] = [-(b * -dy + d * dx), a * -dy + c * dx];
+                const [vx, vy] = [a * dx + c * dy, b * dx + d * dy];
+                const along = (vx * nx + vy * ny) / (nx * nx + ny * ny);
+                const [endX, endY] = Number.isFinite(along) ? [startX + nx * along, startY + ny * along] : [startX + vx, startY + vy];
+                Object.assign(gradient, { startX, startY, endX, endY });
+            }
+
+            return gradient;
+        }
+
+        gradientStops(gradient, context) {
+            const stops = [];
+            let lastOffset = 0;
+
+            for (let stop of gradient.children) {
+                if (stop.tagName.toLowerCase() !== 'stop') continue;
+
+                const style = this.computeStyleFromRoot(stop, context);
+                const color = style['stop-color'];
+                const opacity = style['stop-opacity'];
+                const offsetValue = (stop.getAttribute('offset') || '0').trim();
+
+                let offset = parseFloat(offsetValue) || 0;
+                if (offsetValue.endsWith('%')) offset /= 100;
+
+                // Offsets are clamped to [0, 1] and may never decrease
+                lastOffset = Math.max(lastOffset, Math.min(1, Math.max(0, offset)));
+                stops.push({ offset: lastOffset, color: this.normalizeColor(color, this.parseOpacity(opacity)) || '#000000' });
+            }
+
+            return stops;
+        }
+
+        parseGradientLength(value, boundingBox, axis, viewport) {
+            const number = parseFloat(value) || 0;
+            if (!String(value).trim().endsWith('%')) return number;
+            if (boundingBox) return number / 100;
+
+            const reference = axis === 'x' ? viewport.width
+                : axis === 'y' ? viewport.height
+                : Math.hypot(viewport.width, viewport.height) / Math.SQRT2;
+            return number / 100 * reference;
+        }
+
+        /**
+         * depth above 0 writes a drawable nested in an animated vector, which
+         * declares the namespaces itself.
+         */
+        serializeVector({ width, height, viewportWidth, viewportHeight, tint, tintMode }, nodes, pretty, depth = 0) {
+            const attributes = [
+                ...(depth > 0 ? [] : [['xmlns:android', 'http://schemas.android.com/apk/res/android']]),
+                ...(depth === 0 && this.hasGradients(nodes) ? [['xmlns:aapt', 'http://schemas.android.com/aapt']] : []),
+                ['android:width', `${this.formatNumber(width)}dp`],
+                ['android:height', `${this.formatNumber(height)}dp`],
+                ['android:viewportWidth', this.formatNumber(viewportWidth)],
+                ['android:viewportHeight', this.formatNumber(viewportHeight)]
+            ];
+            if (tint) attributes.push(['android:tint', tint]);
+            if (tintMode) attributes.push(['android:tintMode', tintMode]);
+
+            const children = nodes.map(node => this.serializeNode(node, depth + 1, pretty));
+            const xml = this.serializeElement('vector', attributes, children, depth, pretty);
+            return depth > 0 ? xml : xml.trimEnd();
+        }
+
+        serializeNode(node, depth, pretty) {
+            if (node.type === 'group') {
+                const attributes = node.name ? [['android:name', node.name]] : [];
+                const { translateX = 0, translateY = 0, rotation = 0, scaleX = 1, scaleY = 1, pivotX = 0, pivotY = 0 } = node.transform || {};
+
+                if (rotation) attributes.push(['android:rotation', this.formatNumber(rotation)]);
+                if (pivotX) attributes.push(['android:pivotX', this.formatNumber(pivotX)]);
+                if (pivotY) attributes.push(['android:pivotY', this.formatNumber(pivotY)]);
+                if (this.formatNumber(scaleX) !== '1') attributes.push(['android:scaleX', this.formatNumber(scaleX)]);
+                if (this.formatNumber(scaleY) !== '1') attributes.push(['android:scaleY', this.formatNumber(scaleY)]);
+                if (translateX) attributes.push(['android:translateX', this.formatNumber(translateX)]);
+                if (translateY) attributes.push(['android:translateY', this.formatNumber(translateY)]);
+
+                const clipPaths = (node.clipPaths || []).map(pathData =>
+                    this.serializeElement('clip-path', [['android:pathData', pathData]], [], depth + 1, pretty));
+                const children = node.children.map(child => this.serializeNode(child, depth + 1, pretty));
+                return this.serializeElement('group', attributes, [...clipPaths, ...children], depth, pretty);
+            }
+
+            const attributes = [...(node.name ? [['android:name', node.name]] : []), ['android:pathData', node.pathData]];
+            const gradients = [];
+
+            const names = [
+                'fillColor', 'fillAlpha', 'fillType',
+                'strokeColor', 'strokeAlpha', 'strokeWidth', 'strokeLineCap', 'strokeLineJoin', 'strokeMiterLimit',
+                'trimPathStart', 'trimPathEnd'
+            ];
+
+            for (let name of names) {
+                if (typeof node[name] === 'object') {
+                    // Gradients are inlined as <aapt:attr> children instead of color attributes
+                    gradients.push(this.serializeGradient(`android:${name}`, node[name], depth + 1, pretty));
+                } else if (node[name] !== undefined) {
+                    attributes.push([`android:${name}`, node[name]]);
+                }
+            }
+
+            return this.serializeElement('path', attributes, gradients, depth, pretty);
+        }
+
+        serializeGradient(name, gradient, depth, pretty) {
+            const keys = gradient.type === 'radial'
+                ? ['centerX', 'centerY', 'gradientRadius']
+                : ['startX', 'startY', 'endX', 'endY'];
+
+            const attributes = [['android:type', gradient.type]];
+            keys.forEach(key => attributes.push([`android:${key}`, this.formatNumber(gradient[key])]));
+            if (gradient.tileMode !== 'clamp') attributes.push(['android:tileMode', gradient.tileMode]);
+
+            const items = gradient.stops.map(stop => this.serializeElement('item', [
+                ['android:offset', this.formatNumber(stop.offset)],
+                ['android:color', stop.color]
+            ], [], depth + 2, pretty));
+
+            const gradientXml = this.serializeElement('gradient', attributes, items, depth + 1, pretty);
+            return this.serializeElement('aapt:attr', [['name', name]], [gradientXml], depth, pretty);
+        }
+
+        hasGradients(nodes) {
+            return nodes.some(node => node.type === 'group'
+                ? this.hasGradients(node.children)
+                : typeof node.fillColor === 'object' || typeof node.strokeColor === 'object');
+        }
+
+        serializeElement(name, attributes, children, depth, pretty) {
+            const indent = pretty ? '    '.repeat(depth) : '';
+            const newline = pretty ? '\n' : '';
+            const separator = pretty ? '\n' + '    '.repeat(depth + 1) : ' ';
+
+            let xml = `${indent}<${name}`;
+            attributes.forEach(([key, value], index) => {
+                xml += `${index === 0 ? ' ' : separator}${key}="${escapeXml(value)}"`;
+            });
+
+            if (children.length === 0) {
+                return `${xml}/>${newline}`;
+            }
+
+            return `${xml}>${newline}${children.join('')}${indent}</${name}>${newline}`;
+        }
+
+
+        formatNumber(value) {
+            return String(Math.round(value * 1000) / 1000);
+        }
+        rectToPath(rect) {
+            const x = parseFloat(rect.getAttribute('x') || '0');
+            const y = parseFloat(rect.getAttribute('y') || '0');
+            const width = parseFloat(rect.getAttribute('width') || '0');
+            const height = parseFloat(rect.getAttribute('height') || '0');
+            const rx = parseFloat(rect.getAttribute('rx') || '0');
+            const ry = parseFloat(rect.getAttribute('ry') || rx || '0');
+
+            if (rx === 0 && ry === 0) {
+                return `M${x},${y} L${x + width},${y} L${x + width},${y + height} L${x},${y + height} Z`;
+            } else {
+                // Rounded rectangle - simplified version
+                return `M${x + rx},${y} L${x + width - rx},${y} Q${x + width},${y} ${x + width},${y + ry} L${x + width},${y + height - ry} Q${x + width},${y + height} ${x + width - rx},${y + height} L${x + rx},${y + height} Q${x},${y + height} ${x},${y + height - ry} L${x},${y + ry} Q${x},${y} ${x + rx},${y} Z`;
+            }
+        }
+
+        circleToPath(circle) {
+            const cx = parseFloat(circle.getAttribute('cx') || '0');
+            const cy = parseFloat(circle.getAttribute('cy') || '0');
+            const r = parseFloat(circle.getAttribute('r') || '0');
+
+            return `M${cx - r},${cy} A${r},${r} 0 1,0 ${cx + r},${cy} A${r},${r} 0 1,0 ${cx - r},${cy}`;
+        }
+
+        ellipseToPath(ellipse) {
+            const cx = parseFloat(ellipse.getAttribute('cx') || '0');
+            const cy = parseFloat(ellipse.getAttribute('cy') || '0');
+            const rx = parseFloat(ellipse.getAttribute('rx') || '0');
+            const ry = parseFloat(ellipse.getAttribute('ry') || '0');
+
+            return `M${cx - rx},${cy} A${rx},${ry} 0 1,0 ${cx + rx},${cy} A${rx},${ry} 0 1,0 ${cx - rx},${cy}`;
+        }
+
+        lineToPath(line) {
+            const x1 = parseFloat(line.getAttribute('x1') || '0');
+            const y1 = parseFloat(line.getAttribute('y1') || '0');
+            const x2 = parseFloat(line.getAttribute('x2') || '0');
+            const y2 = parseFloat(line.getAttribute('y2') || '0');
+
+            return `M${x1},${y1} L${x2},${y2}`;
+        }
+
+        polygonToPath(polygon) {
+            const points = polygon.getAttribute('points')?.trim();
+            if (!points) return '';
+
+            const coords = points.split(/[\s,]+/).filter(Boolean);
+            if (coords.length < 4) return '';
+
+            let path = `M${coords[0]},${coords[1]}`;
+            for (let i = 2; i < coords.length; i += 2) {
+                path += ` L${coords[i]},${coords[i + 1]}`;
+            }
+            path += ' Z';
+
+            return path;
+        }
+
+        polylineToPath(polyline) {
+            const points = polyline.getAttribute('points')?.trim();
+            if (!points) return '';
+
+            const coords = points.split(/[\s,]+/).filter(Boolean);
+            if (coords.length < 4) return '';
+
+            let path = `M${coords[0]},${coords[1]}`;
+            for (let i = 2; i < coords.length; i += 2) {
+                path += ` L${coords[i]},${coords[i + 1]}`;
+            }
+
+            return path;
+        }
+
+        /**
+         * Parses SVG path data into absolute segments ({ command, values }) with the
+         * original command types preserved. Handles implicit repeated commands, compact
+         * numbers such as "1.5.5" or "1e-3" and unseparated arc flags. On malformed
+         * input the segments parsed so far are returned (which is what browsers render)
+         * along with an error message giving the position.
+         */
+        parsePathData(d) {
+            const paramCounts = { M: 2, L: 2, H: 1, V: 1, C: 6, S: 4, Q: 4, T: 2, A: 7, Z: 0 };
+            const numberPattern = /[+-]?(?:\d+\.?\d*|\.\d+)(?:[eE][+-]?\d+)?/y;
+            const segments = [];
+            let index = 0;
+            let command = null;
+            let x = 0, y = 0, startX = 0, startY = 0;
+
+            const fail = (message) => {
+                const excerpt = d.slice(Math.max(0, index - 10), index + 10).trim();
+                return { segments, error: `${message} at position ${index + 1} (near "${excerpt}")` };
+            };
+
+            const skipSeparators = () => {
+                while (/\s/.test(d[index])) index++;
+                if (d[index] === ',') index++;
+                while (/\s/.test(d[index])) index++;
+            };
+
+            const readNumber = () => {
+                numberPattern.lastIndex = index;
+                const match = numberPattern.exec(d);
+                if (!match) return null;
+                index += match[0].length;
+                return Number(match[0]);
+            };
+
+            const readFlag = () => {
+                if (d[index] !== '0' && d[index] !== '1') return null;
+                return Number(d[index++]);
+            };
+
+            while (/\s/.test(d[index])) index++;
+
+            while (index < d.length) {
+                const char = d[index];
+
+                if (/[MmZzLlHhVvCcSsQqTtAa]/.test(char)) {
+                    if (segments.length === 0 && char !== 'M' && char !== 'm') {
+                        return fail(`Path data must start with a moveto, found "${char}"`);
+                    }
+                    command = char;
+                    index++;
+                } else if (!command || command === 'Z' || command === 'z') {
+                    return fail(`Unexpected "${char}"`);
+                }
+
+                const type = command.toUpperCase();
+                const relative = command !== type;
+
+                if (type === 'Z') {
+                    segments.push({ command: 'Z', values: [] });
+                    x = startX;
+                    y = startY;
+                    while (/\s/.test(d[index])) index++;
+                    continue;
+                }
+
+                const values = [];
+                for (let i = 0; i < paramCounts[type]; i++) {
+                    if (i > 0) skipSeparators();
+                    else while (/\s/.test(d[index])) index++;
+
+                    const isFlag = type === 'A' && (i === 3 || i === 4);
+                    const value = isFlag ? readFlag() : readNumber();
+                    if (value === null) {
+                        return fail(`Expected ${isFlag ? 'an arc flag' : 'a number'} for "${command}"`);
+                    }
+                    values.push(value);
+                }
+                skipSeparators();
+
+                // Convert to absolute coordinates
+                if (relative) {
+                    if (type === 'H') {
+                        values[0] += x;
+                    } else if (type === 'V') {
+                        values[0] += y;
+                    } else if (type === 'A') {
+                        values[5] += x;
+                        values[6] += y;
+                    } else {
+                        for (let j = 0; j < values.length; j += 2) {
+                            values[j] += x;
+                            values[j + 1] += y;
+                        }
+                    }
+                }
+
+                if (type === 'H') {
+                    x = values[0];
+                } else if (type === 'V') {
+                    y = values[0];
+                } else {
+                    x = values[values.length - 2];
+                    y = values[values.length - 1];
+                }
+
+                if (type === 'M') {
+                    startX = x;
+                    startY = y;
+                    // Coordinates following a moveto are implicit linetos
+                    command = relative ? 'l' : 'L';
+                }
+
+                segments.push({ command: type, values });
+            }
+
+            return { segments, error: null };
+        }
+
+        /**
+         * Serializes absolute segments. precision is the number of decimals (0-6);
+         * mode is "absolute", "relative" or "shortest", which picks the shorter form per
+         * segment and drops redundant separators, leading zeros and repeated commands.
+         * Relative values are computed from the rounded previous point so rounding
+         * errors never accumulate.
+         */
+        serializePathData(segments, { precision = 3, mode = 'absolute' } = {}) {
+            const digits = Math.min(6, Math.max(0, Math.round(Number.isFinite(precision) ? precision : 3)));
+            const compact = mode === 'shortest';
+            const round = value => Number(value.toFixed(digits)) || 0;
+            const format = value => compact ? String(value).replace(/^(-?)0\./, '$1.') : String(value);
+
+            const isCoordinate = (command, i) => command !== 'A' || i >= 5;
+            const axisOf = (command, i) => {
+                if (command === 'H') return 'x';
+                if (command === 'V') return 'y';
+                if (command === 'A') return i === 5 ? 'x' : 'y';
+                return i % 2 === 0 ? 'x' : 'y';
+            };
+
+            const readable = (command, numbers) => {
+                switch (command.toUpperCase()) {
+                    case 'H':
+                    case 'V':
+                        return `${command}${numbers[0]}`;
+                    case 'A':
+                        return `${command}${numbers[0]},${numbers[1]} ${numbers[2]} ${numbers[3]},${numbers[4]} ${numbers[5]},${numbers[6]}`;
+                    default: {
+                        const pairs = [];
+                        for (let i = 0; i < numbers.length; i += 2) pairs.push(`${numbers[i]},${numbers[i + 1]}`);
+                        return `${command}${pairs.join(' ')}`;
+                    }
+                }
+            };
+
+            const joinCompact = (numbers, previous) => {
+                let text = '';
+                numbers.forEach(number => {
+                    const needsSeparator = previous !== null &&
+                        !number.startsWith('-') &&
+                        !(number.startsWith('.') && /[.e]/.test(previous));
+                    text += (needsSeparator ? ' ' : '') + number;
+                    previous = number;
+                });
+                return text;
+            };
+
+            let output = '';
+            let lastNumber = null;
+            let lastCommand = null;
+            let x = 0, y = 0, startX = 0, startY = 0;
+
+            for (let { command, values } of segments) {
+                if (command === 'Z') {
+                    output += compact ? 'z' : `${output ? ' ' : ''}Z`;
+                    lastCommand = 'z';
+                    lastNumber = null;
+                    x = startX;
+                    y = startY;
+                    continue;
+                }
+
+                const absolute = values.map(round);
+                const relative = values.map((value, i) => isCoordinate(command, i)
+                    ? round(value - (axisOf(command, i) === 'x' ? x : y))
+                    : round(value));
+
+                const candidates = [];
+                if (mode !== 'relative') candidates.push({ letter: command, numbers: absolute });
+                if (mode !== 'absolute') candidates.push({ letter: command.toLowerCase(), numbers: relative });
+
+                const rendered = candidates.map(({ letter, numbers }) => {
+                    const strings = numbers.map(format);
+                    if (!compact) return { letter, numbers, text: `${output ? ' ' : ''}${readable(letter, strings)}` };
+
+                    // A repeated command, or a lineto right after a moveto, can be implicit
+                    const implicit = (letter === lastCommand && !/[mMzZ]/.test(letter)) ||
+                        (lastCommand === 'M' && letter === 'L') || (lastCommand === 'm' && letter === 'l');
+                    const text = implicit ? joinCompact(strings, lastNumber) : letter + joinCompact(strings, null);
+                    return { letter, numbers, text, last: strings[strings.length - 1] };
+                });
+
+                const chosen = rendered.reduce((best, candidate) => candidate.text.length < best.text.length ? candidate : best);
+                output += chosen.text;
+                lastNumber = chosen.last ?? null;
+                lastCommand = chosen.letter;
+
+                // Track the point a parser will reconstruct from what was written
+                const isRelative = chosen.letter !== command;
+                const end = chosen.numbers;
+                if (command === 'H') {
+                    x = isRelative ? x + end[0] : end[0];
+                } else if (command === 'V') {
+                    y = isRelative ? y + end[0] : end[0];
+                } else {
+                    const endX = end[end.length - 2];
+                    const endY = end[end.length - 1];
+                    x = isRelative ? x + endX : endX;
+                    y = isRelative ? y + endY : endY;
+                }
+
+                if (command === 'M') {
+                    startX = x;
+                    startY = y;
+                }
+            }
+
+            return output;
+        }
+
+        /**
+         * Parses, optionally transforms and re-serializes path data with the current
+         * precision settings. Parse errors are reported in the conversion warnings.
+         */
+        preparePathData(d, matrix, context, element) {
+            const { segments, error } = this.parsePathData(d || '');
+            if (error) {
+                this.warn(context, element, `Invalid path data in ${this.describeElement(element)}: ${error}; the rest of the path was dropped`, 'error');
+            }
+            if (segments.length === 0) return '';
+
+            return this.serializePathData(matrix ? this.transformSegments(segments, matrix) : segments, context.pathFormat);
+        }
+
+        transformSegments(segments, matrix) {
+            const [a, b, c, d, e, f] = matrix;
+            const apply = (px, py) => [a * px + c * py + e, b * px + d * py + f];
+            let x = 0, y = 0, startX = 0, startY = 0;
+
+            return segments.map(({ command, values }) => {
+                switch (command) {
+                    case 'Z':
+                        x = startX;
+                        y = startY;
+                        return { command, values };
+                    case 'H':
+                        x = values[0];
+                        return { command: 'L', values: apply(x, y) };
+                    case 'V':
+                        y = values[0];
+                        return { command: 'L', values: apply(x, y) };
+                    case 'A': {
+                        const [rx, ry, angle, largeArc, sweep, endX, endY] = values;
+                        const ellipse = this.transformEllipse(rx, ry, angle, matrix);
+                        const flippedSweep = a * d - b * c < 0 ? 1 - sweep : sweep;
+                        x = endX;
+                        y = endY;
+                        return { command, values: [ellipse.rx, ellipse.ry, ellipse.angle, largeArc, flippedSweep, ...apply(endX, endY)] };
+                    }
+                    default: {
+                        const points = [];
+                        for (let i = 0; i < values.length; i += 2) {
+                            points.push(...apply(values[i], values[i + 1]));
+                        }
+                        x = values[values.length - 2];
+                        y = values[values.length - 1];
+                        if (command === 'M') {
+                            startX = x;
+                            startY = y;
+                        }
+                        return { command, values: points };
+                    }
+                }
+            });
+        }
+
+        transformEllipse(rx, ry, angle, matrix) {
+            // Push the ellipse axes through the matrix and recover the new radii and
+            // rotation from the eigen decomposition of the resulting quadratic form
+            const radians = angle * Math.PI / 180;
+            const cos = Math.cos(radians);
+            const sin = Math.sin(radians);
+            const [a, b, c, d] = matrix;
+
+            const m0 = rx * (a * cos + c * sin);
+            const m1 = rx * (b * cos + d * sin);
+            const m2 = ry * (-a * sin + c * cos);
+            const m3 = ry * (-b * sin + d * cos);
+
+            const j = m0 * m0 + m2 * m2;
+            const k = m1 * m1 + m3 * m3;
+            const jk = (j + k) / 2;
+            const discriminant = ((m0 - m3) * (m0 - m3) + (m2 + m1) * (m2 + m1)) *
+                ((m0 + m3) * (m0 + m3) + (m2 - m1) * (m2 - m1));
+
+            if (discriminant < 1e-10 * jk) {
+                // Still a circle
+                return { rx: Math.sqrt(jk), ry: Math.sqrt(jk), angle: 0 };
+            }
+
+            const l = m0 * m1 + m2 * m3;
+            const root = Math.sqrt(discriminant);
+            const l1 = jk + root / 2;
+            const l2 = jk - root / 2;
+
+            let newAngle = Math.abs(l) < 1e-10 && Math.abs(l1 - k) < 1e-10
+                ? 90
+                : Math.atan(Math.abs(l) > Math.abs(l1 - k) ? (l1 - j) / l : l / (l1 - k)) * 180 / Math.PI;
+
+            if (newAngle >= 0) {
+                return { rx: Math.sqrt(l1), ry: Math.sqrt(Math.max(0, l2)), angle: newAngle };
+            }
+
+            newAngle += 90;
+            return { rx: Math.sqrt(Math.max(0, l2)), ry: Math.sqrt(l1), angle: newAngle };
+        }
+
+        pathBounds(d) {
+            const points = this.flattenPathData(d).flat();
+            if (points.length === 0) return null;
+
+            const xs = points.map(point => point[0]);
+            const ys = points.map(point => point[1]);
+            const x = Math.min(...xs);
+            const y = Math.min(...ys);
+            return { x, y, width: Math.max(...xs) - x, height: Math.max(...ys) - y };
+        }
+
+        /**
+         * Approximates path data with polylines, one per subpath. Curves and arcs are
+         * sampled at a fixed number of steps.
+         */
+        flattenPathData(d, steps = 16) {
+            const polylines = [];
+            let polyline = null;
+            let x = 0, y = 0, startX = 0, startY = 0;
+            let control = null, previous = null;
+
+            const lineTo = (px, py) => {
+                if (!polyline) {
+                    polyline = [[x, y]];
+                    polylines.push(polyline);
+                }
+                polyline.push([px, py]);
+            };
+
+            const sample = (fn) => {
+                for (let i = 1; i <= steps; i++) {
+                    lineTo(...fn(i / steps));
+                }
+            };
+
+            for (let { command, values } of this.parsePathData(d).segments) {
+                const reflected = control && /[CSQT]/.test(previous) ? [2 * x - control[0], 2 * y - control[1]] : [x, y];
+                let nextControl = null;
+
+                switch (command) {
+                    case 'M':
+                        [x, y] = values;
+                        [startX, startY] = values;
+                        polyline = [[x, y]];
+                        polylines.push(polyline);
+                        break;
+                    case 'L':
+                    case 'T':
+                        if (command === 'T' && /[QT]/.test(previous)) {
+                            const [cx, cy] = reflected;
+                            const [x0, y0] = [x, y];
+                            sample(t => this.quadraticPoint(x0, y0, cx, cy, values[0], values[1], t));
+                            nextControl = reflected;
+                        } else {
+                            lineTo(values[0], values[1]);
+                            nextControl = [x, y];
+                        }
+                        [x, y] = values;
+                        break;
+                    case 'H':
+                        lineTo(values[0], y);
+                        x = values[0];
+                        break;
+                    case 'V':
+                        lineTo(x, values[0]);
+                        y = values[0];
+                        break;
+                    case 'C':
+                    case 'S': {
+                        const [c1x, c1y, c2x, c2y, ex, ey] = command === 'C' ? values : [...(previous === 'C' || previous === 'S' ? reflected : [x, y]), ...values];
+                        const [x0, y0] = [x, y];
+                        sample(t => this.cubicPoint(x0, y0, c1x, c1y, c2x, c2y, ex, ey, t));
+                        nextControl = [c2x, c2y];
+                        [x, y] = [ex, ey];
+                        break;
+                    }
+                    case 'Q': {
+                        const [cx, cy, ex, ey] = values;
+                        const [x0, y0] = [x, y];
+                        sample(t => this.quadraticPoint(x0, y0, cx, cy, ex, ey, t));
+                        nextControl = [cx, cy];
+                        [x, y] = [ex, ey];
+                        break;
+                    }
+                    case 'A': {
+                        const arc = this.arcToCenter(x, y, ...values);
+                        if (arc) {
+                            sample(t => this.arcPoint(arc, t));
+                        } else {
+                            lineTo(values[5], values[6]);
+                        }
+                        [x, y] = [values[5], values[6]];
+                        break;
+                    }
+                    case 'Z':
+                        lineTo(startX, startY);
+                        [x, y] = [startX, startY];
+                        polyline = null;
+                        break;
+                }
+
+                control = nextControl;
+                previous = command;
+            }
+
+            return polylines;
+        }
+
+        cubicPoint(x0, y0, x1, y1, x2, y2, x3, y3, t) {
+            const mt = 1 - t;
+            return [
+                mt * mt * mt * x0 + 3 * mt * mt * t * x1 + 3 * mt * t * t * x2 + t * t * t * x3,
+                mt * mt * mt * y0 + 3 * mt * mt * t * y1 + 3 * mt * t * t * y2 + t * t * t * y3
+            ];
+        }
+
+        quadraticPoint(x0, y0, x1, y1, x2, y2, t) {
+            const mt = 1 - t;
+            return [mt * mt * x0 + 2 * mt * t * x1 + t * t * x2, mt * mt * y0 + 2 * mt * t * y1 + t * t * y2];
+        }
+
+        /**
+         * Converts an endpoint-parameterized arc to center parameterization
+         * (SVG implementation notes, F.6.5). Returns null for degenerate arcs.
+         */
+        arcToCenter(x1, y1, rx, ry, angle, largeArc, sweep, x2, y2) {
+            rx = Math.abs(rx);
+            ry = Math.abs(ry);
+            if (rx === 0 || ry === 0 || (x1 === x2 && y1 === y2)) return null;
+
+            const phi = angle * Math.PI / 180;
+            const cos = Math.cos(phi);
+            const sin = Math.sin(phi);
+            const dx = (x1 - x2) / 2;
+            const dy = (y1 - y2) / 2;
+            const x1p = cos * dx + sin * dy;
+            const y1p = -sin * dx + cos * dy;
+
+            // Scale up radii that are too small to span the endpoints
+            const lambda = (x1p * x1p) / (rx * rx) + (y1p * y1p) / (ry * ry);
+            if (lambda > 1) {
+                rx *= Math.sqrt(lambda);
+                ry *= Math.sqrt(lambda);
+            }
+
+            const numerator = rx * rx * ry * ry - rx * rx * y1p * y1p - ry * ry * x1p * x1p;
+            const denominator = rx * rx * y1p * y1p + ry * ry * x1p * x1p;
+            let coefficient = Math.sqrt(Math.max(0, numerator / denominator));
+            if (Boolean(Number(largeArc)) === Boolean(Number(sweep))) coefficient = -coefficient;
+
+            const cxp = coefficient * rx * y1p / ry;
+            const cyp = -coefficient * ry * x1p / rx;
+
+            const vectorAngle = (ux, uy, vx, vy) => Math.atan2(ux * vy - uy * vx, ux * vx + uy * vy);
+            const startAngle = vectorAngle(1, 0, (x1p - cxp) / rx, (y1p - cyp) / ry);
+            let deltaAngle = vectorAngle((x1p - cxp) / rx, (y1p - cyp) / ry, (-x1p - cxp) / rx, (-y1p - cyp) / ry);
+
+            if (!Number(sweep) && deltaAngle > 0) deltaAngle -= 2 * Math.PI;
+            if (Number(sweep) && deltaAngle < 0) deltaAngle += 2 * Math.PI;
+
+            return {
+                cx: cos * cxp - sin * cyp + (x1 + x2) / 2,
+                cy: sin * cxp + cos * cyp + (y1 + y2) / 2,
+                rx, ry, phi, startAngle, deltaAngle
+            };
+        }
+
+        arcPoint({ cx, cy, rx, ry, phi, startAngle, deltaAngle }, t) {
+            const theta = startAngle + deltaAngle * t;
+            const cos = Math.cos(phi);
+            const sin = Math.sin(phi);
+            return [
+                cx + rx * Math.cos(theta) * cos - ry * Math.sin(theta) * sin,
+                cy + rx * Math.cos(theta) * sin + ry * Math.sin(theta) * cos
+            ];
+        }
+
+        /**
+         * Splits an SVG holding two or more <symbol> elements into standalone SVG
+         * documents, one per symbol. Each keeps the sheet's <defs>, <style> and symbols
+         * so references between them still resolve. Documents are named after the
+         * symbol ids, made safe for file names and unique. Returns null for regular SVGs.
+         */
+        splitSpriteSheet(svgContent) {
+            const svgElement = parseXml(svgContent).documentElement;
+            if (svgElement.tagName !== 'svg') return null;
+
+            // Only the first symbol with an id can be referenced, so repeats are left out
+            const symbols = [];
+            const ids = new Set();
+            const findSymbols = (parent, insideDefs) => {
+                for (let element of parent.children) {
+                    const tagName = element.tagName.toLowerCase();
+                    const id = element.getAttribute('id');
+                    if (tagName === 'symbol' && id && !ids.has(id)) {
+                        ids.add(id);
+                        symbols.push({ element, insideDefs });
+                    }
+                    findSymbols(element, insideDefs || tagName === 'defs');
+                }
+            };
+            findSymbols(svgElement, false);
+
+            if (symbols.length < 2) return null;
+
+            const shared = [
+                ...Array.from(svgElement.children).filter(child => ['defs', 'style'].includes(child.tagName.toLowerCase())),
+                ...symbols.filter(symbol => !symbol.insideDefs).map(symbol => symbol.element)
+            ].map(serializeXml).join('');
+
+            const fallbackViewBox = this.parseViewBox(svgElement.getAttribute('viewBox')) || { width: 24, height: 24 };
+            const names = new Set();
+
+            return symbols.map(({ element }) => {
+                const id = element.getAttribute('id');
+                const base = id.replace(/[^\w.-]+/g, '_').replace(/^\.+/, '') || 'symbol';
+                let name = base;
+                for (let suffix = 2; names.has(name.toLowerCase()); suffix++) name = `${base}_${suffix}`;
+                names.add(name.toLowerCase());
+
+                const { width, height } = this.parseViewBox(element.getAttribute('viewBox')) || fallbackViewBox;
+                const content = `<svg xmlns="http://www.w3.org/2000/svg" xmlns:xlink="http://www.w3.org/1999/xlink" viewBox="0 0 ${width} ${height}">` +
+                    `${shared}<use href="#${escapeXml(id)}" width="${width}" height="${height}"/></svg>`;
+                return { name: `${name}.svg`, content };
+            });
+        }
+    }
+
+    let sharedConverter = null;
+
+    /**
+     * Converts SVG markup to VectorDrawable XML: convert(svg, options) -> { xml, warnings, stats }.
+     * Options: width and height in dp, autoSize, defaultFill, pretty, precision,
+     * pathFormat ('absolute', 'relative' or 'shortest'), optimize, the optimizer
+     * steps to run ({ mergePaths: true, ... }, see optimizationSteps), colors, a map
+     * from source colors to Android colors or references, and tint and tintMode for
+     * the root <vector>.
+     */
+    function convert(svgContent, options) {
+        sharedConverter = sharedConverter || new VectorDrawableConverter();
+        return sharedConverter.convert(svgContent, options);
+    }
+
+    function splitSpriteSheet(svgContent) {
+        sharedConverter = sharedConverter || new VectorDrawableConverter();
+        return sharedConverter.splitSpriteSheet(svgContent);
+    }
+
+    Object.assign(exports, { defaultOptions, tintModes, VectorDrawableConverter, convert, splitSpriteSheet });
+})(
+    typeof module !== 'undefined' && module.exports ? module.exports : (globalThis.Svg2Vector = globalThis.Svg2Vector || {}),
+    typeof module !== 'undefined' && module.exports
+        ? { ...require('./xml'), ...require('./optimizer'), ...require('./animation'), ...require('./outline'), ...require('./text') }
+        : globalThis.Svg2Vector
+);
@@ -0,0 +1,112 @@
+// Pixel-diff fidelity check
+//
+// Compares renderings of the original SVG and of the converted drawable pixel by
+// pixel. Rendering itself is left to the caller: the page draws both onto
+// canvases, the command line uses lib/rasterizer.js.
+(function (exports, { parseXml, serializeXml, VectorDrawableConverter }) {
+    // Density buckets compared, as scales relative to mdpi (mdpi to xxxhdpi)
+    const densities = [1, 1.5, 2, 3, 4];
+
+    let sharedConverter = null;
+
+    /**
+     * The pixel sizes a drawable of dpWidth x dpHeight is compared at, one per
+     * density. Sizes are capped at maxSize pixels per side, and duplicates that
+     * the cap produces are dropped.
+     */
+    function fidelitySizes(dpWidth, dpHeight, scales = densities, maxSize = 1024) {
+        const sizes = [];
+        for (let density of scales) {
+            const scale = Math.min(density, maxSize / Math.max(dpWidth, dpHeight));
+            const width = Math.max(1, Math.round(dpWidth * scale));
+            const height = Math.max(1, Math.round(dpHeight * scale));
+            if (!sizes.some(size => size.width === width && size.height === height)) {
+                sizes.push({ density, width, height });
+            }
+        }
+        return sizes;
+    }
+
+    /**
+     * Reads a drawable's size in dp from its android:width and android:height,
+     * looking inside an animated vector for its drawable.
+     */
+    function drawableSize(xml) {
+        const root = parseXml(xml).documentElement;
+        const vector = root.children.find(child => child.tagName === 'aapt:attr')?.children.find(child => child.tagName === 'vector') || root;
+        const dimension = name => parseFloat(vector.getAttribute(`android:${name}`)) || 24;
+        return { width: dimension('width'), height: dimension('height') };
+    }
+
+    /**
+     * Prepares the original SVG for rendering at width x height pixels the way the
+     * converter maps it onto the drawable: a missing viewBox is derived the same
+     * way, and shapes without a fill get defaultFill instead of black.
+     */
+    function referenceSvg(svgContent, { width, height, dpWidth = width, dpHeight = height, defaultFill = '#000000' }) {
+        sharedConverter = sharedConverter || new VectorDrawableConverter();
+        const svg = parseXml(svgContent).documentElement;
+        if (svg.tagName !== 'svg') throw new Error('Invalid SVG file');
+
+        if (!sharedConverter.parseViewBox(svg.getAttribute('viewBox'))) {
+            const intrinsic = sharedConverter.intrinsicSize(svg);
+            const size = intrinsic.known ? intrinsic : { width: dpWidth, height: dpHeight };
+            svg.setAttribute('viewBox', `0 0 ${size.width} ${size.height}`);
+        }
+        svg.setAttribute('width', width);
+        svg.setAttribute('height', height);
+        if (!svg.hasAttribute('xmlns')) svg.setAttribute('xmlns', 'http://www.w3.org/2000/svg');
+        if (!svg.hasAttribute('fill')) svg.setAttribute('fill', defaultFill);
+        return serializeXml(svg);
+    }
+
+    /**
+     * Compares two same-sized RGBA images ({ width, height, data }, straight alpha).
+     * A pixel's difference is the largest change in any premultiplied channel;
+     * differences up to tolerance are anti-aliasing noise and count as a match.
+     * Similarity is 1 minus the remaining difference relative to the area either
+     * image covers. The heatmap marks differing pixels in red, stronger where
+     * they differ more.
+     */
+    function compareImages(original, converted, { tolerance = 0.1 } = {}) {
+        const { width, height } = original;
+        if (converted.width !== width || converted.height !== height) {
+            throw new Error('Images to compare must have the same size');
+        }
+
+        const heatmap = new Uint8ClampedArray(width * height * 4);
+        let covered = 0;
+        let difference = 0;
+        let mismatched = 0;
+
+        for (let i = 0; i < width * height * 4; i += 4) {
+            const alphaA = original.data[i + 3] / 255;
+            const alphaB = converted.data[i + 3] / 255;
+            let delta = Math.abs(alphaA - alphaB);
+            for (let channel = 0; channel < 3; channel++) {
+                delta = Math.max(delta, Math.abs(original.data[i + channel] * alphaA - converted.data[i + channel] * alphaB) / 255);
+            }
+
+            covered += Math.max(alphaA, alphaB);
+            if (delta <= tolerance) continue;
+
+            difference += delta;
+            mismatched++;
+            heatmap[i] = 255;
+            heatmap[i + 3] = 64 + delta * 191;
+        }
+
+        return {
+            similarity: covered > 0 ? Math.max(0, 1 - difference / covered) : 1,
+            mismatched,
+            heatmap: { width, height, data: heatmap }
+        };
+    }
+
+    Object.assign(exports, { densities, fidelitySizes, drawableSize, referenceSvg, compareImages });
+})(
+    typeof module !== 'undefined' && module.exports ? module.exports : (globalThis.Svg2Vector = globalThis.Svg2Vector || {}),
+    typeof module !== 'undefined' && module.exports
+        ? { ...require('./xml'), ...require('./converter') }
+        : globalThis.Svg2Vector
+);
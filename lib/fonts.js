@@ -0,0 +1,805 @@
+// Font parsing
+//
+// Reads TrueType and OpenType fonts, bare or in a WOFF wrapper, as far as laying
+// out text needs: the character map, advance widths, pair kerning from the kern
+// and GPOS tables, and glyph outlines from glyf or CFF as path segments.
+(function (exports) {
+    // The fonts shipped in fonts/, with the generic family each stands in for
+    const bundledFonts = [
+        { file: 'DejaVuSans.ttf', generic: 'sans-serif' },
+        { file: 'DejaVuSans-Bold.ttf', generic: 'sans-serif' },
+        { file: 'DejaVuSerif.ttf', generic: 'serif' },
+        { file: 'DejaVuSansMono.ttf', generic: 'monospace' }
+    ];
+
+    const tagAt = (view, offset) => String.fromCharCode(...[0, 1, 2, 3].map(i => view.getUint8(offset + i)));
+
+    class Font {
+        /**
+         * tables maps table tags to DataViews over their bytes.
+         */
+        constructor(tables) {
+            for (let tag of ['head', 'hhea', 'maxp', 'hmtx', 'cmap']) {
+                if (!tables[tag]) throw new Error(`The font has no ${tag} table`);
+            }
+            if (!tables.glyf && !tables['CFF ']) throw new Error('The font has no TrueType or CFF outlines');
+            this.tables = tables;
+
+            const { head, hhea, maxp } = tables;
+            this.unitsPerEm = head.getUint16(18);
+            this.ascender = hhea.getInt16(4);
+            this.descender = hhea.getInt16(6);
+            this.numGlyphs = maxp.getUint16(4);
+            this.numberOfHMetrics = hhea.getUint16(34);
+
+            const names = this.readNames();
+            this.family = names[16] || names[1] || 'Unnamed';
+            this.subfamily = names[17] || names[2] || 'Regular';
+
+            const os2 = tables['OS/2'];
+            const macStyle = head.getUint16(44);
+            this.weight = os2 ? os2.getUint16(4) : macStyle & 1 ? 700 : 400;
+            this.italic = os2 ? (os2.getUint16(62) & 0x201) !== 0 : (macStyle & 2) !== 0;
+
+            this.glyphIndex = this.readCmap();
+            this.kerningCache = new Map();
+            this.outlineCache = new Map();
+        }
+
+        get name() {
+            return `${this.family} ${this.subfamily}`;
+        }
+
+        readNames() {
+            const view = this.tables.name;
+            const names = {};
+            if (!view) return names;
+
+            const count = view.getUint16(2);
+            const storage = view.getUint16(4);
+            for (let i = 0; i < count; i++) {
+                const record = 6 + i * 12;
+                const platform = view.getUint16(record);
+                const language = view.getUint16(record + 4);
+                const id = view.getUint16(record + 6);
+                const length = view.getUint16(record + 8);
+                const offset = storage + view.getUint16(record + 10);
+
+                // Windows English names win over Macintosh ones
+                let text = '';
+                if (platform === 3 || platform === 0) {
+                    for (let j = 0; j < length; j += 2) text += String.fromCharCode(view.getUint16(offset + j));
+                    if (platform === 3 && language !== 0x409 && names[id]) continue;
+                } else if (platform === 1 && language === 0) {
+                    if (names[id]) continue;
+                    for (let j = 0; j < length; j++) text += String.fromCharCode(view.getUint8(offset + j));
+                } else {
+                    continue;
+                }
+                names[id] = text;
+            }
+            return names;
+        }
+
+        // A lookup from code point to glyph index, from the best Unicode subtable
+        readCmap() {
+            const view = this.tables.cmap;
+            const subtables = [];
+            for (let i = 0; i < view.getUint16(2); i++) {
+                const record = 4 + i * 8;
+                const platform = view.getUint16(record);
+                const encoding = view.getUint16(record + 2);
+                const offset = view.getUint32(record + 4);
+                const format = view.getUint16(offset);
+                const unicode = platform === 0 || (platform === 3 && (encoding === 1 || encoding === 10));
+                if (unicode && (format === 4 || format === 12)) subtables.push({ offset, format });
+            }
+            const subtable = subtables.find(({ format }) => format === 12) || subtables[0];
+            if (!subtable) return () => 0;
+
+            const { offset } = subtable;
+            if (subtable.format === 12) {
+                const count = view.getUint32(offset + 12);
+                return codePoint => {
+                    let low = 0, high = count - 1;
+                    while (low <= high) {
+                        const middle = (low + high) >> 1;
+                        const group = offset + 16 + middle * 12;
+                        if (codePoint < view.getUint32(group)) high = middle - 1;
+                        else if (codePoint > view.getUint32(group + 4)) low = middle + 1;
+                        else return view.getUint32(group + 8) + codePoint - view.getUint32(group);
+                    }
+                    return 0;
+                };
+            }
+
+            const segments = view.getUint16(offset + 6) / 2;
+            const ends = offset + 14;
+            const starts = ends + segments * 2 + 2;
+            const deltas = starts + segments * 2;
+            const rangeOffsets = deltas + segments * 2;
+            return codePoint => {
+                if (codePoint > 0xFFFF) return 0;
+                for (let i = 0; i < segments; i++) {
+                    if (codePoint > view.getUint16(ends + i * 2)) continue;
+                    const start = view.getUint16(starts + i * 2);
+                    if (codePoint < start) return 0;
+                    const rangeOffset = view.getUint16(rangeOffsets + i * 2);
+                    const delta = view.getInt16(deltas + i * 2);
+                    if (rangeOffset === 0) return (codePoint + delta) & 0xFFFF;
+                    const glyph = view.getUint16(rangeOffsets + i * 2 + rangeOffset + (codePoint - start) * 2);
+                    return glyph === 0 ? 0 : (glyph + delta) & 0xFFFF;
+                }
+                return 0;
+            };
+        }
+
+        advance(glyph) {
+            const index = Math.min(glyph, this.numberOfHMetrics - 1);
+            return this.tables.hmtx.getUint16(index * 4);
+        }
+
+        /**
+         * Horizontal adjustment between two glyphs in font units, from GPOS pair
+         * positioning under the kern feature or else the kern table.
+         */
+        kerning(left, right) {
+            const key = left * 65536 + right;
+            if (!this.kerningCache.has(key)) {
+                this.pairLookups = this.pairLookups || this.readPairLookups();
+                let value = null;
+                for (let subtable of this.pairLookups) {
+                    value = this.pairAdjustment(subtable, left, right);
+                    if (value !== null) break;
+                }
+                if (value === null) {
+                    this.kernPairs = this.kernPairs || this.readKernTable();
+                    value = this.kernPairs.get(key) || 0;
+                }
+                this.kerningCache.set(key, value);
+            }
+            return this.kerningCache.get(key);
+        }
+
+        readKernTable() {
+            const pairs = new Map();
+            const view = this.tables.kern;
+            if (!view || view.getUint16(0) !== 0) return pairs;
+
+            let offset = 4;
+            for (let i = 0; i < view.getUint16(2); i++) {
+                const length = view.getUint16(offset + 2);
+                const coverage = view.getUint16(offset + 4);
+                if (coverage >> 8 === 0 && (coverage & 1)) {
+                    const count = view.getUint16(offset + 6);
+                    for (let j = 0; j < count; j++) {
+                        const pair = offset + 14 + j * 6;
+                        const key = view.getUint16(pair) * 65536 + view.getUint16(pair + 2);
+                        if (!pairs.has(key)) pairs.set(key, view.getInt16(pair + 4));
+                    }
+                }
+                offset += length;
+            }
+            return pairs;
+        }
+
+        // The pair positioning subtables of the lookups behind any kern feature
+        readPairLookups() {
+            const view = this.tables.GPOS;
+            if (!view) return [];
+
+            const features = view.getUint16(6);
+            const lookupList = view.getUint16(8);
+            const lookups = new Set();
+            for (let i = 0; i < view.getUint16(features); i++) {
+                const record = features + 2 + i * 6;
+                if (tagAt(view, record) !== 'kern') continue;
+                const feature = features + view.getUint16(record + 4);
+                for (let j = 0; j < view.getUint16(feature + 2); j++) lookups.add(view.getUint16(feature + 4 + j * 2));
+            }
+
+            const subtables = [];
+            for (let index of [...lookups].sort((a, b) => a - b)) {
+                const lookup = lookupList + view.getUint16(lookupList + 2 + index * 2);
+                const type = view.getUint16(lookup);
+                for (let j = 0; j < view.getUint16(lookup + 4); j++) {
+                    let subtable = lookup + view.getUint16(lookup + 6 + j * 2);
+                    // Extension subtables point at the real one with a 32-bit offset
+                    if (type === 9) {
+                        if (view.getUint16(subtable + 2) !== 2) continue;
+                        subtable += view.getUint32(subtable + 4);
+                    } else if (type !== 2) {
+                        continue;
+                    }
+                    subtables.push(subtable);
+                }
+            }
+            return subtables;
+        }
+
+        pairAdjustment(subtable, left, right) {
+            const view = this.tables.GPOS;
+            const format = view.getUint16(subtable);
+            const coverageIndex = this.coverageIndex(subtable + view.getUint16(subtable + 2), left);
+            if (coverageIndex < 0) return null;
+
+            const valueFormat1 = view.getUint16(subtable + 4);
+            const valueFormat2 = view.getUint16(subtable + 6);
+            const size = format => 2 * [...format.toString(2)].filter(bit => bit === '1').length;
+            // XAdvance follows XPlacement and YPlacement when those are present
+            const xAdvance = offset => valueFormat1 & 4 ? view.getInt16(offset + size(valueFormat1 & 3)) : 0;
+            const recordSize = size(valueFormat1) + size(valueFormat2);
+
+            if (format === 1) {
+                const pairSet = subtable + view.getUint16(subtable + 10 + coverageIndex * 2);
+                let low = 0, high = view.getUint16(pairSet) - 1;
+                while (low <= high) {
+                    const middle = (low + high) >> 1;
+                    const record = pairSet + 2 + middle * (2 + recordSize);
+                    const second = view.getUint16(record);
+                    if (second < right) low = middle + 1;
+                    else if (second > right) high = middle - 1;
+                    else return xAdvance(record + 2);
+                }
+                return null;
+            }
+            if (format === 2) {
+                const class1 = this.glyphClass(subtable + view.getUint16(subtable + 8), left);
+                const class2 = this.glyphClass(subtable + view.getUint16(subtable + 10), right);
+                const class2Count = view.getUint16(subtable + 14);
+                if (class1 >= view.getUint16(subtable + 12) || class2 >= class2Count) return null;
+                return xAdvance(subtable + 16 + (class1 * class2Count + class2) * recordSize);
+            }
+            return null;
+        }
+
+        coverageIndex(coverage, glyph) {
+            const view = this.tables.GPOS;
+            const count = view.getUint16(coverage + 2);
+            if (view.getUint16(coverage) === 1) {
+                let low = 0, high = count - 1;
+                while (low <= high) {
+                    const middle = (low + high) >> 1;
+                    const value = view.getUint16(coverage + 4 + middle * 2);
+                    if (value < glyph) low = middle + 1;
+                    else if (value > glyph) high = middle - 1;
+                    else return middle;
+                }
+                return -1;
+            }
+            for (let i = 0; i < count; i++) {
+                const range = coverage + 4 + i * 6;
+                if (glyph >= view.getUint16(range) && glyph <= view.getUint16(range + 2)) {
+                    return view.getUint16(range + 4) + glyph - view.getUint16(range);
+                }
+            }
+            return -1;
+        }
+
+        glyphClass(classDef, glyph) {
+            const view = this.tables.GPOS;
+            if (view.getUint16(classDef) === 1) {
+                const start = view.getUint16(classDef + 2);
+                const count = view.getUint16(classDef + 4);
+                return glyph >= start && glyph < start + count ? view.getUint16(classDef + 6 + (glyph - start) * 2) : 0;
+            }
+            for (let i = 0; i < view.getUint16(classDef + 2); i++) {
+                const range = classDef + 4 + i * 6;
+                if (glyph >= view.getUint16(range) && glyph <= view.getUint16(range + 2)) return view.getUint16(range + 4);
+            }
+            return 0;
+        }
+
+        /**
+         * A glyph's outline as absolute M, L, Q, C and Z segments in font units,
+         * with y pointing up.
+         */
+        glyphOutline(glyph) {
+            if (!this.outlineCache.has(glyph)) {
+                this.outlineCache.set(glyph, this.tables.glyf ? this.trueTypeOutline(glyph, 0) : this.cffOutline(glyph));
+            }
+            return this.outlineCache.get(glyph);
+        }
+
+        trueTypeOutline(glyph, depth) {
+            const { head, loca, glyf } = this.tables;
+            if (glyph >= this.numGlyphs || depth > 8) return [];
+            const long = head.getInt16(50) === 1;
+            const offsetOf = index => long ? loca.getUint32(index * 4) : loca.getUint16(index * 2) * 2;
+            const start = offsetOf(glyph);
+            if (offsetOf(glyph + 1) <= start) return [];
+
+            const contours = glyf.getInt16(start);
+            if (contours < 0) return this.compositeOutline(start, depth);
+
+            const ends = Array.from({ length: contours }, (_, i) => glyf.getUint16(start + 10 + i * 2));
+            const count = contours > 0 ? ends[contours - 1] + 1 : 0;
+            let offset = start + 10 + contours * 2;
+            offset += 2 + glyf.getUint16(offset);
+
+            const flags = [];
+            while (flags.length < count) {
+                const flag = glyf.getUint8(offset++);
+                flags.push(flag);
+                if (flag & 8) {
+                    for (let repeat = glyf.getUint8(offset++); repeat > 0; repeat--) flags.push(flag);
+                }
+            }
+            const readCoordinates = (short, same) => {
+                let value = 0;
+                return flags.map(flag => {
+                    if (flag & short) {
+                        const delta = glyf.getUint8(offset++);
+                        value += flag & same ? delta : -delta;
+                    } else if (!(flag & same)) {
+                        value += glyf.getInt16(offset);
+                        offset += 2;
+                    }
+                    return value;
+                });
+            };
+            const xs = readCoordinates(2, 16);
+            const ys = readCoordinates(4, 32);
+
+            const segments = [];
+            let first = 0;
+            for (let end of ends) {
+                const points = [];
+                for (let i = first; i <= end; i++) points.push({ x: xs[i], y: ys[i], on: (flags[i] & 1) !== 0 });
+                first = end + 1;
+                segments.push(...this.quadraticContour(points));
+            }
+            return segments;
+        }
+
+        // A closed contour of on- and off-curve points, with the on-curve points
+        // implied between consecutive off-curve ones
+        quadraticContour(points) {
+            if (points.length === 0) return [];
+            const middle = (a, b) => ({ x: (a.x + b.x) / 2, y: (a.y + b.y) / 2, on: true });
+            const startIndex = points.findIndex(point => point.on);
+            const start = startIndex >= 0 ? points[startIndex] : middle(points[0], points[points.length - 1]);
+            const ordered = startIndex >= 0
+                ? [...points.slice(startIndex + 1), ...points.slice(0, startIndex)]
+                : points;
+
+            const segments = [{ command: 'M', values: [start.x, start.y] }];
+            let control = null;
+            for (let point of [...ordered, start]) {
+                if (point.on) {
+                    segments.push(control
+                        ? { command: 'Q', values: [control.x, control.y, point.x, point.y] }
+                        : { command: 'L', values: [point.x, point.y] });
+                    control = null;
+                } else {
+                    if (control) {
+                        const implied = middle(control, point);
+                        segments.push({ command: 'Q', values: [control.x, control.y, implied.x, implied.y] });
+                    }
+                    control = point;
+                }
+            }
+            segments.push({ command: 'Z', values: [] });
+            return segments;
+        }
+
+        compositeOutline(start, depth) {
+            const { glyf } = this.tables;
+            const segments = [];
+            let offset = start + 10;
+            let flags;
+            do {
+                flags = glyf.getUint16(offset);
+                const component = glyf.getUint16(offset + 2);
+                offset += 4;
+                let dx = 0, dy = 0;
+                if (flags & 1) {
+                    [dx, dy] = [glyf.getInt16(offset), glyf.getInt16(offset + 2)];
+                    offset += 4;
+                } else {
+                    [dx, dy] = [glyf.getInt8(offset), glyf.getInt8(offset + 1)];
+                    offset += 2;
+                }
+                // Components aligned by matching points are placed without an offset
+                if (!(flags & 2)) dx = dy = 0;
+
+                const f2dot14 = at => glyf.getInt16(at) / 16384;
+                let [a, b, c, d] = [1, 0, 0, 1];
+                if (flags & 8) {
+                    a = d = f2dot14(offset);
+                    offset += 2;
+                } else if (flags & 0x40) {
+                    [a, d] = [f2dot14(offset), f2dot14(offset + 2)];
+                    offset += 4;
+                } else if (flags & 0x80) {
+                    [a, b, c, d] = [f2dot14(offset), f2dot14(offset + 2), f2dot14(offset + 4), f2dot14(offset + 6)];
+                    offset += 8;
+                }
+
+                for (let { command, values } of this.trueTypeOutline(component, depth + 1)) {
+                    const moved = [];
+                    for (let i = 0; i < values.length; i += 2) {
+                        moved.push(a * values[i] + c * values[i + 1] + dx, b * values[i] + d * values[i + 1] + dy);
+                    }
+                    segments.push({ command, values: moved });
+                }
+            } while (flags & 0x20);
+            return segments;
+        }
+
+        cffOutline(glyph) {
+            this.cff = this.cff || this.readCff();
+            const { charStrings, globalSubrs, privateFor } = this.cff;
+            if (glyph >= charStrings.length) return [];
+            return this.runCharString(charStrings[glyph], privateFor(glyph).subrs, globalSubrs);
+        }
+
+        readCff() {
+            const view = this.tables['CFF '];
+            const readIndex = offset => {
+                const count = view.getUint16(offset);
+                if (count === 0) return { items: [], end: offset + 2 };
+                const size = view.getUint8(offset + 2);
+                const readOffset = at => {
+                    let value = 0;
+                    for (let i = 0; i < size; i++) value = value * 256 + view.getUint8(at + i);
+                    return value;
+                };
+                const data = offset + 3 + (count + 1) * size - 1;
+                const items = Array.from({ length: count }, (_, i) => [data + readOffset(offset + 3 + i * size), data + readOffset(offset + 3 + (i + 1) * size)]);
+                return { items, end: data + readOffset(offset + 3 + count * size) };
+            };
+            const readDict = ([start, end]) => {
+                const dict = {};
+                let operands = [];
+                for (let offset = start; offset < end;) {
+                    const b0 = view.getUint8(offset++);
+                    if (b0 <= 21) {
+                        const operator = b0 === 12 ? 1200 + view.getUint8(offset++) : b0;
+                        dict[operator] = operands;
+                        operands = [];
+                    } else if (b0 === 28) {
+                        operands.push(view.getInt16(offset));
+                        offset += 2;
+                    } else if (b0 === 29) {
+                        operands.push(view.getInt32(offset));
+                        offset += 4;
+                    } else if (b0 === 30) {
+                        // Real numbers are nibbles ending in 0xf; their value is not needed here
+                        while ((view.getUint8(offset++) & 0x0F) !== 0x0F);
+                        operands.push(0);
+                    } else if (b0 <= 246) {
+                        operands.push(b0 - 139);
+                    } else if (b0 <= 250) {
+                        operands.push((b0 - 247) * 256 + view.getUint8(offset++) + 108);
+                    } else if (b0 <= 254) {
+                        operands.push(-(b0 - 251) * 256 - view.getUint8(offset++) - 108);
+                    }
+                }
+                return dict;
+            };
+            const readPrivate = dict => {
+                const [size, offset] = dict[18] || [0, 0];
+                const privateDict = readDict([offset, offset + size]);
+                return { subrs: privateDict[19] ? readIndex(offset + privateDict[19][0]).items : [] };
+            };
+
+            const names = readIndex(view.getUint8(2));
+            const topDicts = readIndex(names.end);
+            const strings = readIndex(topDicts.end);
+            const globalSubrs = readIndex(strings.end).items;
+            const top = readDict(topDicts.items[0]);
+            const charStrings = readIndex(top[17][0]).items;
+
+            // CID-keyed fonts pick a private dictionary per glyph
+            if (top[1236] && top[1237]) {
+                const privates = readIndex(top[1236][0]).items.map(item => readPrivate(readDict(item)));
+                const select = top[1237][0];
+                const format = view.getUint8(select);
+                const fdOf = glyph => {
+                    if (format === 0) return view.getUint8(select + 1 + glyph);
+                    const ranges = view.getUint16(select + 1);
+                    for (let i = 0; i < ranges; i++) {
+                        const range = select + 3 + i * 3;
+                        if (glyph >= view.getUint16(range) && glyph < view.getUint16(range + 3)) return view.getUint8(range + 2);
+                    }
+                    return 0;
+                };
+                return { charStrings, globalSubrs, privateFor: glyph => privates[fdOf(glyph)] || privates[0] };
+            }
+            const privateDict = readPrivate(top);
+            return { charStrings, globalSubrs, privateFor: () => privateDict };
+        }
+
+        /**
+         * Runs a Type 2 charstring and returns its outline. Hints are skipped, and
+         * the advance width it may carry is left to hmtx.
+         */
+        runCharString(charString, localSubrs, globalSubrs) {
+            const view = this.tables['CFF '];
+            const bias = subrs => subrs.length < 1240 ? 107 : subrs.length < 33900 ? 1131 : 32768;
+            const segments = [];
+            let stack = [];
+            let x = 0, y = 0;
+            let stems = 0;
+            let open = false;
+            let widthRead = false;
+
+            const close = () => {
+                if (open) segments.push({ command: 'Z', values: [] });
+                open = false;
+            };
+            const moveTo = (dx, dy) => {
+                close();
+                x += dx;
+                y += dy;
+                segments.push({ command: 'M', values: [x, y] });
+                open = true;
+            };
+            const lineTo = (dx, dy) => {
+                x += dx;
+                y += dy;
+                segments.push({ command: 'L', values: [x, y] });
+            };
+            const curveTo = (dx1, dy1, dx2, dy2, dx3, dy3) => {
+                const [x1, y1] = [x + dx1, y + dy1];
+                const [x2, y2] = [x1 + dx2, y1 + dy2];
+                [x, y] = [x2 + dx3, y2 + dy3];
+                segments.push({ command: 'C', values: [x1, y1, x2, y2, x, y] });
+            };
+            // The first stack-clearing operator may carry the width ahead of its arguments
+            const dropWidth = hasWidth => {
+                if (!widthRead && hasWidth) stack.shift();
+                widthRead = true;
+            };
+
+            const run = ([start, end], depth) => {
+                if (depth > 10) return true;
+                for (let offset = start; offset < end;) {
+                    const b0 = view.getUint8(offset++);
+                    if (b0 >= 32 || b0 === 28) {
+                        if (b0 === 28) {
+                            stack.push(view.getInt16(offset));
+                            offset += 2;
+                        } else if (b0 <= 246) {
+                            stack.push(b0 - 139);
+                        } else if (b0 <= 250) {
+                            stack.push((b0 - 247) * 256 + view.getUint8(offset++) + 108);
+                        } else if (b0 <= 254) {
+                            stack.push(-(b0 - 251) * 256 - view.getUint8(offset++) - 108);
+                        } else {
+                            stack.push(view.getInt32(offset) / 65536);
+                            offset += 4;
+                        }
+                        continue;
+                    }
+
+                    switch (b0) {
+                        case 1: case 3: case 18: case 23:
+                            dropWidth(stack.length % 2 === 1);
+                            stems += stack.length >> 1;
+                            stack = [];
+                            break;
+                        case 19: case 20:
+                            dropWidth(stack.length % 2 === 1);
+                            stems += stack.length >> 1;
+                            stack = [];
+                            offset += (stems + 7) >> 3;
+                            break;
+                        case 21:
+                            dropWidth(stack.length > 2);
+                            moveTo(stack[0], stack[1]);
+                            stack = [];
+                            break;
+                        case 22:
+                            dropWidth(stack.length > 1);
+                            moveTo(stack[0], 0);
+                            stack = [];
+                            break;
+                        case 4:
+                            dropWidth(stack.length > 1);
+                            moveTo(0, stack[0]);
+                            stack = [];
+                            break;
+                        case 5:
+                            for (let i = 0; i + 1 < stack.length; i += 2) lineTo(stack[i], stack[i + 1]);
+                            stack = [];
+                            break;
+                        case 6: case 7:
+                            stack.forEach((delta, i) => (i % 2 === 0) === (b0 === 6) ? lineTo(delta, 0) : lineTo(0, delta));
+                            stack = [];
+                            break;
+                        case 8:
+                            for (let i = 0; i + 5 < stack.length; i += 6) curveTo(...stack.slice(i, i + 6));
+                            stack = [];
+                            break;
+                        case 24: {
+                            let i = 0;
+                            for (; i + 7 < stack.length; i += 6) curveTo(...stack.slice(i, i + 6));
+                            lineTo(stack[i], stack[i + 1]);
+                            stack = [];
+                            break;
+                        }
+                        case 25: {
+                            let i = 0;
+                            for (; i + 7 < stack.length; i += 2) lineTo(stack[i], stack[i + 1]);
+                            curveTo(...stack.slice(i, i + 6));
+                            stack = [];
+                            break;
+                        }
+                        case 26: case 27: {
+                            // vvcurveto and hhcurveto, with an optional leading cross-axis delta
+                            let i = stack.length % 4 === 1 ? 1 : 0;
+                            let cross = i ? stack[0] : 0;
+                            for (; i + 3 < stack.length; i += 4) {
+                                if (b0 === 26) curveTo(cross, stack[i], stack[i + 1], stack[i + 2], 0, stack[i + 3]);
+                                else curveTo(stack[i], cross, stack[i + 1], stack[i + 2], stack[i + 3], 0);
+                                cross = 0;
+                            }
+                            stack = [];
+                            break;
+                        }
+                        case 30: case 31: {
+                            // vhcurveto and hvcurveto alternate their start direction
+                            let horizontal = b0 === 31;
+                            for (let i = 0; i + 3 < stack.length; i += 4) {
+                                const last = i + 5 === stack.length ? stack[i + 4] : 0;
+                                if (horizontal) curveTo(stack[i], 0, stack[i + 1], stack[i + 2], last, stack[i + 3]);
+                                else curveTo(0, stack[i], stack[i + 1], stack[i + 2], stack[i + 3], last);
+                                horizontal = !horizontal;
+                            }
+                            stack = [];
+                            break;
+                        }
+                        case 10: case 29: {
+                            const subrs = b0 === 10 ? localSubrs : globalSubrs;
+                            const subr = subrs[stack.pop() + bias(subrs)];
+                            if (subr && run(subr, depth + 1)) return true;
+                            break;
+                        }
+                        case 11:
+                            return false;
+                        case 14:
+                            dropWidth(stack.length === 1 || stack.length === 5);
+                            close();
+                            return true;
+                        case 12: {
+                            const operator = view.getUint8(offset++);
+                            const s = stack;
+                            if (operator === 35) {
+                                curveTo(...s.slice(0, 6));
+                                curveTo(...s.slice(6, 12));
+                            } else if (operator === 34) {
+                                curveTo(s[0], 0, s[1], s[2], s[3], 0);
+                                curveTo(s[4], 0, s[5], -s[2], s[6], 0);
+                            } else if (operator === 36) {
+                                curveTo(s[0], s[1], s[2], s[3], s[4], 0);
+                                curveTo(s[5], 0, s[6], s[7], s[8], -(s[1] + s[3] + s[7]));
+                            } else if (operator === 37) {
+                                const dx = s[0] + s[2] + s[4] + s[6] + s[8];
+                                const dy = s[1] + s[3] + s[5] + s[7] + s[9];
+                                const [lastX, lastY] = Math.abs(dx) > Math.abs(dy) ? [s[10], -dy] : [-dx, s[10]];
+                                curveTo(...s.slice(0, 6));
+                                curveTo(s[6], s[7], s[8], s[9], lastX, lastY);
+                            }
+                            stack = [];
+                            break;
+                        }
+                        default:
+                            stack = [];
+                    }
+                }
+                return false;
+            };
+
+            run(charString, 0);
+            close();
+            return segments;
+        }
+    }
+
+    function sfntTables(bytes) {
+        const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+        const signature = tagAt(view, 0);
+        if (signature === 'wOF2') throw new Error('WOFF2 fonts are not supported; use a TTF, OTF or WOFF file');
+
+        // Collections are read for their first font
+        const base = signature === 'ttcf' ? view.getUint32(12) : 0;
+        if (!['\0\x01\0\0', 'OTTO', 'true'].includes(tagAt(view, base))) throw new Error('Not a TrueType or OpenType font');
+
+        const tables = {};
+        for (let i = 0; i < view.getUint16(base + 4); i++) {
+            const record = base + 12 + i * 16;
+            tables[tagAt(view, record)] = new DataView(bytes.buffer, bytes.byteOffset + view.getUint32(record + 8), view.getUint32(record + 12));
+        }
+        return tables;
+    }
+
+    // The tables of a WOFF file, with the zlib-compressed ones still to inflate
+    function woffEntries(bytes) {
+        const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+        return Array.from({ length: view.getUint16(12) }, (_, i) => {
+            const entry = 44 + i * 20;
+            const offset = view.getUint32(entry + 4);
+            const compressed = view.getUint32(entry + 8);
+            return { tag: tagAt(view, entry), data: bytes.subarray(offset, offset + compressed), compressed: compressed < view.getUint32(entry + 12) };
+        });
+    }
+
+    const isWoff = bytes => bytes.length >= 4 && String.fromCharCode(...bytes.subarray(0, 4)) === 'wOFF';
+    const tablesOf = entries => Object.fromEntries(entries.map(({ tag, data }) => [tag, new DataView(data.buffer, data.byteOffset, data.byteLength)]));
+
+    /**
+     * Parses a TrueType or OpenType font (.ttf, .otf, .ttc) from its bytes. WOFF
+     * needs inflate, a synchronous zlib decompressor such as Node's
+     * zlib.inflateSync; loadFont handles it without one. Anything else throws.
+     */
+    function parseFont(bytes, { inflate = null } = {}) {
+        if (!isWoff(bytes)) return new Font(sfntTables(bytes));
+        if (!inflate) throw new Error('WOFF fonts need an inflate function; use loadFont instead');
+        return new Font(tablesOf(woffEntries(bytes).map(entry => entry.compressed ? { ...entry, data: new Uint8Array(inflate(entry.data)) } : entry)));
+    }
+
+    /**
+     * Parses a font like parseFont, inflating WOFF tables with the platform's
+     * DecompressionStream.
+     */
+    async function loadFont(bytes) {
+        if (!isWoff(bytes)) return parseFont(bytes);
+
+        const inflate = async data => {
+            const stream = new Blob([data]).stream().pipeThrough(new DecompressionStream('deflate'));
+            return new Uint8Array(await new Response(stream).arrayBuffer());
+        };
+        return new Font(tablesOf(await Promise.all(woffEntries(bytes).map(async entry => entry.compressed ? { ...entry, data: await inflate(entry.data) } : entry))));
+    }
+
+    class FontLibrary {
+        constructor() {
+            this.faces = [];
+        }
+
+        /**
+         * Adds a font under its own family name and any aliases, such as the
+         * generic family it stands in for.
+         */
+        add(font, aliases = []) {
+            for (let family of [font.family, ...aliases]) {
+                this.faces.push({ family: family.toLowerCase(), font });
+            }
+            return font;
+        }
+
+        get fonts() {
+            return [...new Set(this.faces.map(face => face.font))];
+        }
+
+        families() {
+            return [...new Set(this.faces.map(face => face.font.family))];
+        }
+
+        /**
+         * Finds the face for the first family in the list that has one, the way
+         * CSS matches fonts: the right style first, then the nearest weight,
+         * looking heavier for bold requests and lighter for others. Returns null
+         * when no family is available.
+         */
+        match(families, weight = 400, italic = false) {
+            for (let family of families) {
+                const faces = this.faces.filter(face => face.family === family.toLowerCase()).map(face => face.font);
+                if (faces.length === 0) continue;
+
+                const styled = faces.filter(font => font.italic === italic);
+                const candidates = styled.length > 0 ? styled : faces;
+                const distance = font => {
+                    const delta = font.weight - weight;
+                    return Math.abs(delta) + ((weight > 400 ? delta < 0 : delta > 0) ? 0.5 : 0);
+                };
+                return candidates.reduce((best, font) => distance(font) < distance(best) ? font : best);
+            }
+            return null;
+        }
+    }
+
+    Object.assign(exports, { bundledFonts, Font, FontLibrary, parseFont, loadFont });
+})(typeof module !== 'undefined' && module.exports ? module.exports : (globalThis.Svg2Vector = globalThis.Svg2Vector || {}));
@@ -0,0 +1,546 @@
+// VectorDrawable optimizer
+//
+// Optional passes over the converter's tree of groups and paths that make the
+// generated XML smaller without visibly changing the drawing. Each pass is
+// switched on separately through the converter's optimize option.
+(function (exports) {
+    // In the order they run
+    const optimizationSteps = ['removeEmpty', 'straightenCurves', 'makeArcs', 'collapseGroups', 'mergePaths', 'shorterCommands'];
+
+    class VectorOptimizer {
+        /**
+         * converter supplies path parsing, serialization and the geometry helpers.
+         */
+        constructor(converter) {
+            this.converter = converter;
+        }
+
+        /**
+         * Runs the enabled steps ({ removeEmpty: true, ... }) over the converter's
+         * nodes and returns a new tree. tolerance is how far, in viewport units,
+         * straightened curves and fitted arcs may stray from the original geometry.
+         */
+        optimize(nodes, steps, { pathFormat, viewport, tolerance = Math.max(viewport.width, viewport.height) / 1000 }) {
+            const precision = Number.isFinite(pathFormat.precision) ? pathFormat.precision : 3;
+            const epsilon = Math.pow(10, -Math.min(6, Math.max(0, Math.round(precision)))) / 2;
+
+            let tree = this.parseTree(nodes);
+            if (steps.removeEmpty) tree = this.removeEmpty(tree, epsilon);
+            if (steps.straightenCurves) tree = this.mapPaths(tree, segments => this.straightenCurves(segments, tolerance));
+            if (steps.makeArcs) tree = this.mapPaths(tree, segments => this.makeArcs(segments, tolerance));
+            if (steps.collapseGroups) tree = this.collapseGroups(tree, pathFormat);
+            if (steps.mergePaths) tree = this.mergePaths(tree);
+
+            const format = steps.shorterCommands ? { ...pathFormat, mode: 'shortest' } : pathFormat;
+            return this.serializeTree(tree, format, !!steps.shorterCommands, epsilon);
+        }
+
+        /**
+         * Copies the tree with every path's data parsed into absolute M, L, C, Q, A and
+         * Z segments. The parsed array is remembered so untouched paths keep their
+         * original text. Clip paths are left alone until serialization.
+         */
+        parseTree(nodes) {
+            return nodes.map(node => {
+                if (node.type === 'group') {
+                    return { ...node, clipPaths: node.clipPaths || [], children: this.parseTree(node.children) };
+                }
+                const segments = this.normalize(node.pathData);
+                return { ...node, segments, parsed: segments };
+            });
+        }
+
+        serializeTree(nodes, format, shorten, epsilon) {
+            return nodes.map(node => {
+                if (node.type === 'group') {
+                    return {
+                        ...node,
+                        clipPaths: shorten ? node.clipPaths.map(pathData => this.serialize(this.normalize(pathData), format, shorten, epsilon)) : node.clipPaths,
+                        children: this.serializeTree(node.children, format, shorten, epsilon)
+                    };
+                }
+
+                // Named paths are animation targets whose path data has to keep matching its morphs
+                const { segments, parsed, ...path } = node;
+                if ((segments === parsed && !shorten) || node.name) return path;
+                return { ...path, pathData: this.serialize(segments, format, shorten, epsilon) };
+            });
+        }
+
+        serialize(segments, format, shorten, epsilon) {
+            const compact = this.compactCommands(shorten ? this.dropClosingLines(segments, epsilon) : segments, epsilon);
+            return this.converter.serializePathData(compact, format);
+        }
+
+        mapPaths(nodes, transform) {
+            return nodes.map(node => node.type === 'group'
+                ? { ...node, children: this.mapPaths(node.children, transform) }
+                : node.name ? node : { ...node, segments: transform(node.segments) });
+        }
+
+        /**
+         * Walks segments, calling visit(segment, x, y, index) with the current point
+         * before each one, and returns what visit returns (false drops the segment).
+         */
+        walk(segments, visit) {
+            const result = [];
+            let x = 0, y = 0, startX = 0, startY = 0;
+            let changed = false;
+
+            segments.forEach((segment, index) => {
+                const output = visit(segment, x, y, index);
+                if (output !== segment) changed = true;
+                if (output) result.push(output);
+
+                // Dropped segments still move the current point
+                const { command, values } = output || segment;
+                if (command === 'Z') {
+                    x = startX;
+                    y = startY;
+                } else if (command === 'H') {
+                    x = values[0];
+                } else if (command === 'V') {
+                    y = values[0];
+                } else {
+                    x = values[values.length - 2];
+                    y = values[values.length - 1];
+                    if (command === 'M') {
+                        startX = x;
+                        startY = y;
+                    }
+                }
+            });
+
+            // Unchanged paths keep their identity, and with it their original text
+            return changed ? result : segments;
+        }
+
+        normalize(pathData) {
+            let previous = null;
+            const segments = this.walk(this.converter.parsePathData(pathData).segments, ({ command, values }, x, y) => {
+                let segment = { command, values };
+                if (command === 'H') {
+                    segment = { command: 'L', values: [values[0], y] };
+                } else if (command === 'V') {
+                    segment = { command: 'L', values: [x, values[0]] };
+                } else if (command === 'S') {
+                    const control = previous?.command === 'C' ? [2 * x - previous.values[2], 2 * y - previous.values[3]] : [x, y];
+                    segment = { command: 'C', values: [...control, ...values] };
+                } else if (command === 'T') {
+                    const control = previous?.command === 'Q' ? [2 * x - previous.values[0], 2 * y - previous.values[1]] : [x, y];
+                    segment = { command: 'Q', values: [...control, ...values] };
+                }
+                previous = segment;
+                return segment;
+            });
+            return segments;
+        }
+
+        /**
+         * The inverse of normalize: writes lines as H and V and curves as S and T
+         * where the shorter form says the same.
+         */
+        compactCommands(segments, epsilon) {
+            const same = (a, b) => Math.abs(a - b) < epsilon;
+            let previous = null;
+
+            return this.walk(segments, (segment, x, y) => {
+                const { command, values } = segment;
+                let output = segment;
+
+                if (command === 'L' && same(values[1], y)) {
+                    output = { command: 'H', values: [values[0]] };
+                } else if (command === 'L' && same(values[0], x)) {
+                    output = { command: 'V', values: [values[1]] };
+                } else if (command === 'C') {
+                    const [rx, ry] = previous?.command === 'C' ? [2 * x - previous.values[2], 2 * y - previous.values[3]] : [x, y];
+                    if (same(values[0], rx) && same(values[1], ry)) output = { command: 'S', values: values.slice(2) };
+                } else if (command === 'Q' && previous?.command === 'Q') {
+                    if (same(values[0], 2 * x - previous.values[0]) && same(values[1], 2 * y - previous.values[1])) {
+                        output = { command: 'T', values: values.slice(2) };
+                    }
+                }
+
+                previous = segment;
+                return output;
+            });
+        }
+
+        /**
+         * Drops a line back to the subpath's start right before a closepath, which
+         * draws that line anyway.
+         */
+        dropClosingLines(segments, epsilon) {
+            let startX = 0, startY = 0;
+            return this.walk(segments, (segment, x, y, index) => {
+                if (segment.command === 'M') [startX, startY] = segment.values;
+                const closes = segments[index + 1]?.command === 'Z' && segment.command === 'L' &&
+                    Math.abs(segment.values[0] - startX) < epsilon && Math.abs(segment.values[1] - startY) < epsilon;
+                return closes && segments[index - 1]?.command !== 'M' ? false : segment;
+            });
+        }
+
+        /**
+         * Removes paths that paint nothing, zero-length segments and stray movetos,
+         * then groups left without children. Named nodes are animated and stay.
+         */
+        removeEmpty(nodes, epsilon) {
+            return nodes.flatMap(node => {
+                if (node.type === 'group') {
+                    const children = this.removeEmpty(node.children, epsilon);
+                    return children.length > 0 || node.name ? [{ ...node, children }] : [];
+                }
+                if (node.name) return [node];
+
+                const visible = (color, alpha) => !!color && !(parseFloat(alpha) <= 0);
+                const stroked = visible(node.strokeColor, node.strokeAlpha);
+                if (!visible(node.fillColor, node.fillAlpha) && !stroked) return [];
+
+                // With round or square caps a zero-length segment still draws a dot
+                const keepDots = stroked && !!node.strokeLineCap && node.strokeLineCap !== 'butt';
+                const segments = this.removeZeroLength(node.segments, epsilon, keepDots);
+                return segments.some(segment => segment.command !== 'M') ? [{ ...node, segments }] : [];
+            });
+        }
+
+        removeZeroLength(segments, epsilon, keepDots) {
+            const same = (x0, y0, x1, y1) => Math.abs(x0 - x1) < epsilon && Math.abs(y0 - y1) < epsilon;
+            let previous = null;
+
+            const result = this.walk(segments, (segment, x, y) => {
+                const { command, values } = segment;
+                let keep = true;
+
+                if (command === 'A') {
+                    // Arcs that end where they start are not drawn at all
+                    keep = !same(x, y, values[5], values[6]);
+                } else if (command === 'Z') {
+                    keep = keepDots || previous?.command !== 'M';
+                } else if (command !== 'M' && !keepDots) {
+                    keep = false;
+                    for (let i = 0; i < values.length; i += 2) {
+                        if (!same(x, y, values[i], values[i + 1])) keep = true;
+                    }
+                }
+
+                if (keep) previous = segment;
+                return keep ? segment : false;
+            });
+
+            // A moveto followed by another moveto, or by nothing, draws nothing
+            const cleaned = result.filter((segment, i) => segment.command !== 'M' || (result[i + 1] && result[i + 1].command !== 'M'));
+            return cleaned.length === segments.length ? segments : cleaned;
+        }
+
+        /**
+         * Replaces curves whose control points lie on the chord, and arcs that bulge
+         * less than tolerance, with lines.
+         */
+        straightenCurves(segments, tolerance) {
+            return this.walk(segments, (segment, x, y) => {
+                const { command, values } = segment;
+                const [endX, endY] = values.slice(-2);
+                const line = { command: 'L', values: [endX, endY] };
+
+                if (command === 'C' || command === 'Q') {
+                    const controls = command === 'C' ? [values.slice(0, 2), values.slice(2, 4)] : [values.slice(0, 2)];
+                    return controls.every(([cx, cy]) => this.onSegment(x, y, endX, endY, cx, cy, tolerance)) ? line : segment;
+                }
+                if (command === 'A') {
+                    const [rx, ry] = values;
+                    if (rx === 0 || ry === 0) return line;
+                    const arc = this.converter.arcToCenter(x, y, ...values);
+                    const bulge = arc ? Math.max(arc.rx, arc.ry) * (1 - Math.cos(arc.deltaAngle / 2)) : 0;
+                    return bulge <= tolerance && Math.abs(arc?.deltaAngle || 0) < Math.PI ? line : segment;
+                }
+                return segment;
+            });
+        }
+
+        onSegment(ax, ay, bx, by, px, py, tolerance) {
+            const dx = bx - ax;
+            const dy = by - ay;
+            const lengthSquared = dx * dx + dy * dy;
+            if (lengthSquared === 0) return Math.hypot(px - ax, py - ay) <= tolerance;
+
+            const t = ((px - ax) * dx + (py - ay) * dy) / lengthSquared;
+            if (t < 0 || t > 1) return false;
+            return Math.abs((px - ax) * dy - (py - ay) * dx) / Math.sqrt(lengthSquared) <= tolerance;
+        }
+
+        /**
+         * Replaces runs of two or more curves and arcs that trace the same ellipse
+         * (within tolerance) with a single arc command.
+         */
+        makeArcs(segments, tolerance) {
+            const result = [];
+            let run = null;
+            let changed = false;
+
+            const flush = () => {
+                if (!run) return;
+                if (run.segments.length < 2 && !run.continued) {
+                    result.push(...run.segments);
+                } else {
+                    const { rx, ry, rotation, delta, endX, endY } = run;
+                    result.push({ command: 'A', values: [rx, ry, rotation, Math.abs(delta) > Math.PI ? 1 : 0, delta > 0 ? 1 : 0, endX, endY] });
+                    changed = true;
+                }
+                run = null;
+            };
+
+            this.walk(segments, (segment, x, y) => {
+                const arc = segment.command === 'C' ? this.fitCircle(x, y, segment.values, tolerance)
+                    : segment.command === 'A' ? this.arcEllipse(x, y, segment.values)
+                    : null;
+
+                const sameArc = arc && run && this.sameEllipse(run, arc, tolerance) && Math.sign(arc.delta) === Math.sign(run.delta);
+                if (sameArc && Math.abs(run.delta + arc.delta) < 2 * Math.PI - 0.01) {
+                    run.delta += arc.delta;
+                    run.endX = arc.endX;
+                    run.endY = arc.endY;
+                    run.segments.push(segment);
+                } else {
+                    flush();
+                    if (arc) {
+                        // A full turn needs a second arc; even a single curve is worth replacing then
+                        run = { ...arc, segments: [segment], continued: !!sameArc };
+                    } else {
+                        result.push(segment);
+                    }
+                }
+                return segment;
+            });
+            flush();
+
+            return changed ? result : segments;
+        }
+
+        /**
+         * Fits a circle through a cubic's end points and midpoint, and returns it if
+         * the whole curve stays within tolerance of it, sweeping one way.
+         */
+        fitCircle(x0, y0, [x1, y1, x2, y2, x3, y3], tolerance) {
+            const point = t => this.converter.cubicPoint(x0, y0, x1, y1, x2, y2, x3, y3, t);
+            const [mx, my] = point(0.5);
+
+            const d = 2 * (x0 * (my - y3) + mx * (y3 - y0) + x3 * (y0 - my));
+            if (Math.abs(d) < 1e-12) return null;
+            const square = (x, y) => x * x + y * y;
+            const cx = (square(x0, y0) * (my - y3) + square(mx, my) * (y3 - y0) + square(x3, y3) * (y0 - my)) / d;
+            const cy = (square(x0, y0) * (x3 - mx) + square(mx, my) * (x0 - x3) + square(x3, y3) * (mx - x0)) / d;
+            const radius = Math.hypot(x0 - cx, y0 - cy);
+
+            const angle = ([x, y]) => Math.atan2(y - cy, x - cx);
+            const turn = (from, to) => {
+                const difference = to - from;
+                return difference - 2 * Math.PI * Math.round(difference / (2 * Math.PI));
+            };
+
+            const start = angle([x0, y0]);
+            let previousAngle = start;
+            let delta = 0;
+            for (let t of [0.125, 0.25, 0.375, 0.5, 0.625, 0.75, 0.875, 1]) {
+                const sample = t === 1 ? [x3, y3] : point(t);
+                if (Math.abs(Math.hypot(sample[0] - cx, sample[1] - cy) - radius) > tolerance) return null;
+
+                const step = turn(previousAngle, angle(sample));
+                if (delta !== 0 && Math.sign(step) !== Math.sign(delta)) return null;
+                delta += step;
+                previousAngle = angle(sample);
+            }
+
+            return { cx, cy, rx: radius, ry: radius, rotation: 0, delta, endX: x3, endY: y3 };
+        }
+
+        arcEllipse(x, y, values) {
+            const arc = this.converter.arcToCenter(x, y, ...values);
+            if (!arc) return null;
+            return { cx: arc.cx, cy: arc.cy, rx: arc.rx, ry: arc.ry, rotation: values[2], delta: arc.deltaAngle, endX: values[5], endY: values[6] };
+        }
+
+        sameEllipse(a, b, tolerance) {
+            const circles = Math.abs(a.rx - a.ry) <= tolerance && Math.abs(b.rx - b.ry) <= tolerance;
+            return Math.hypot(a.cx - b.cx, a.cy - b.cy) <= tolerance &&
+                Math.abs(a.rx - b.rx) <= tolerance && Math.abs(a.ry - b.ry) <= tolerance &&
+                (circles || Math.abs(((a.rotation - b.rotation) % 180 + 180) % 180) < 1e-6);
+        }
+
+        /**
+         * Removes groups that do nothing: groups without a transform or clip hand their
+         * children to the parent, translations are folded into a single child group,
+         * and rotations and uniform scales are baked into the paths when that makes
+         * the output shorter. Named groups are kept, as animations may target them.
+         */
+        collapseGroups(nodes, pathFormat) {
+            const result = [];
+
+            for (let node of nodes) {
+                if (node.type !== 'group') {
+                    result.push(node);
+                    continue;
+                }
+
+                const children = this.collapseGroups(node.children, pathFormat);
+                if (children.length === 0 && !node.name) continue;
+
+                // An identity transform only matters for its pivot, which animations of named groups use
+                const transform = this.isTranslation(node.transform) && !node.transform?.translateX && !node.transform?.translateY && !node.name ? null : node.transform;
+                if (node.clipPaths.length > 0 || node.name) {
+                    result.push({ ...node, transform, children });
+                    continue;
+                }
+
+                if (!transform) {
+                    result.push(...children);
+                    continue;
+                }
+
+                const merged = children.length === 1 && children[0].type === 'group' ? this.foldTranslation(transform, children[0]) : null;
+                if (merged) {
+                    result.push(...this.collapseGroups([merged], pathFormat));
+                    continue;
+                }
+
+                const baked = children.every(child => child.type === 'path' && !child.name) ? this.bakeTransform(transform, children, pathFormat) : null;
+                result.push(...(baked || [{ ...node, transform, children }]));
+            }
+
+            return result;
+        }
+
+        isTranslation(transform) {
+            return !transform || (!transform.rotation && (transform.scaleX ?? 1) === 1 && (transform.scaleY ?? 1) === 1);
+        }
+
+        /**
+         * Combines a group's transform with its only child group's, when one of the
+         * two is a plain translation.
+         */
+        foldTranslation(outer, inner) {
+            if (inner.name) return null;
+            const innerTransform = inner.transform || {};
+            const { translateX: outerX = 0, translateY: outerY = 0, pivotX = 0, pivotY = 0 } = outer;
+            const { translateX: innerX = 0, translateY: innerY = 0 } = innerTransform;
+
+            if (this.isTranslation(outer)) {
+                return { ...inner, transform: { ...innerTransform, translateX: innerX + outerX, translateY: innerY + outerY } };
+            }
+            if (this.isTranslation(inner.transform)) {
+                // outer * translate(t) equals outer with its pivot moved by -t and its translation by +t
+                return { ...inner, transform: { ...outer, pivotX: pivotX - innerX, pivotY: pivotY - innerY, translateX: outerX + innerX, translateY: outerY + innerY } };
+            }
+            return null;
+        }
+
+        bakeTransform(transform, paths, pathFormat) {
+            const converter = this.converter;
+            const scale = Math.abs(transform.scaleX ?? 1);
+            if (Math.abs(scale - Math.abs(transform.scaleY ?? 1)) > 1e-9) return null;
+
+            const matrix = converter.groupMatrix(transform);
+            const apply = (x, y) => [matrix[0] * x + matrix[2] * y + matrix[4], matrix[1] * x + matrix[3] * y + matrix[5]];
+            const bakeGradient = gradient => {
+                if (gradient.type === 'radial') {
+                    const [centerX, centerY] = apply(gradient.centerX, gradient.centerY);
+                    return { ...gradient, centerX, centerY, gradientRadius: gradient.gradientRadius * scale };
+                }
+                const [startX, startY] = apply(gradient.startX, gradient.startY);
+                const [endX, endY] = apply(gradient.endX, gradient.endY);
+                return { ...gradient, startX, startY, endX, endY };
+            };
+
+            const baked = paths.map(path => {
+                const result = { ...path, segments: converter.transformSegments(path.segments, matrix) };
+                if (path.strokeWidth !== undefined) result.strokeWidth = converter.formatNumber(parseFloat(path.strokeWidth) * scale);
+                if (typeof path.fillColor === 'object') result.fillColor = bakeGradient(path.fillColor);
+                if (typeof path.strokeColor === 'object') result.strokeColor = bakeGradient(path.strokeColor);
+                return result;
+            });
+
+            // Only worth it when the group's attributes cost more than the longer coordinates
+            const size = list => list.reduce((sum, path) => sum + converter.serializePathData(path.segments, pathFormat).length, 0);
+            const groupSize = converter.serializeNode({ type: 'group', transform, clipPaths: [], children: [] }, 0, false).length + '</group>'.length;
+            return size(baked) < size(paths) + groupSize ? baked : null;
+        }
+
+        /**
+         * Merges runs of sibling paths with identical attributes into one path, as
+         * long as their bounds do not overlap (overlaps could change the winding or
+         * the blending).
+         */
+        mergePaths(nodes) {
+            const result = [];
+
+            for (let node of nodes) {
+                if (node.type === 'group') {
+                    result.push({ ...node, children: this.mergePaths(node.children) });
+                    continue;
+                }
+
+                const bounds = this.segmentBounds(node);
+                const previous = result[result.length - 1];
+                if (bounds && previous?.type === 'path' && previous.bounds &&
+                    this.paintKey(previous) === this.paintKey(node) &&
+                    previous.bounds.every(other => !this.overlaps(bounds, other))) {
+                    previous.segments = [...previous.segments, ...node.segments];
+                    previous.bounds.push(bounds);
+                    continue;
+                }
+                result.push({ ...node, bounds: bounds && [bounds] });
+            }
+
+            return result.map(node => {
+                if (node.type === 'group') return node;
+                const { bounds, ...path } = node;
+                return path;
+            });
+        }
+
+        paintKey(path) {
+            return JSON.stringify(Object.keys(path)
+                .filter(key => !['segments', 'parsed', 'bounds', 'pathData'].includes(key))
+                .sort()
+                .map(key => [key, path[key]]));
+        }
+
+        /**
+         * Conservative bounds of a path: its points and control points, whole ellipses
+         * for arcs, grown by the stroke and the longest miter it could have.
+         */
+        segmentBounds(path) {
+            const points = [];
+            this.walk(path.segments, ({ command, values }, x, y) => {
+                if (command === 'A') {
+                    const arc = this.converter.arcToCenter(x, y, ...values);
+                    if (arc) {
+                        const radius = Math.max(arc.rx, arc.ry);
+                        points.push([arc.cx - radius, arc.cy - radius], [arc.cx + radius, arc.cy + radius]);
+                    }
+                    points.push(values.slice(5));
+                } else {
+                    for (let i = 0; i < values.length; i += 2) points.push([values[i], values[i + 1]]);
+                }
+                return false;
+            });
+            if (points.length === 0) return null;
+
+            const miter = path.strokeLineJoin ? 1.5 : Math.max(1.5, parseFloat(path.strokeMiterLimit ?? 4));
+            const grow = path.strokeColor ? parseFloat(path.strokeWidth) / 2 * miter : 0;
+            const xs = points.map(point => point[0]);
+            const ys = points.map(point => point[1]);
+            return {
+                x0: Math.min(...xs) - grow,
+                y0: Math.min(...ys) - grow,
+                x1: Math.max(...xs) + grow,
+                y1: Math.max(...ys) + grow
+            };
+        }
+
+        overlaps(a, b) {
+            return a.x0 < b.x1 && b.x0 < a.x1 && a.y0 < b.y1 && b.y0 < a.y1;
+        }
+    }
+
+    Object.assign(exports, { optimizationSteps, VectorOptimizer });
+})(typeof module !== 'undefined' && module.exports ? module.exports : (globalThis.Svg2Vector = globalThis.Svg2Vector || {}));
@@ -0,0 +1,470 @@
+// Stroke outlining
+//
+// Turns a stroke into the filled outline it paints, so a drawable can be drawn
+// with fills only. Lines are offset exactly and curves by fitting offset cubics,
+// subdivided until they stay within tolerance; joins, caps and miter limits
+// follow SVG. Outlines are meant to be filled with the nonZero rule.
+(function (exports) {
+    const epsilon = 1e-9;
+
+    const add = ([ax, ay], [bx, by]) => [ax + bx, ay + by];
+    const subtract = ([ax, ay], [bx, by]) => [ax - bx, ay - by];
+    const scale = ([x, y], factor) => [x * factor, y * factor];
+    const cross = ([ax, ay], [bx, by]) => ax * by - ay * bx;
+    const dot = ([ax, ay], [bx, by]) => ax * bx + ay * by;
+    const length = ([x, y]) => Math.hypot(x, y);
+    const unit = vector => scale(vector, 1 / length(vector));
+    const normal = ([x, y]) => [-y, x];
+    const same = (a, b, tolerance = epsilon) => length(subtract(a, b)) <= tolerance;
+
+    class StrokeOutliner {
+        /**
+         * converter supplies path parsing and the arc geometry.
+         */
+        constructor(converter) {
+            this.converter = converter;
+            this.maxDepth = 6;
+        }
+
+        /**
+         * Outlines path data stroked halfWidth to each side. direction (1 or -1)
+         * picks the orientation of the outline's contours: with 1 their signed area
+         * is negative in SVG's y-down coordinates. Returns { segments, problems },
+         * absolute M, L, C, A and Z segments and the reasons the outline is not
+         * exact, if any.
+         */
+        outline(pathData, { halfWidth, lineCap = 'butt', lineJoin = 'miter', miterLimit = 4, tolerance = halfWidth / 100, direction = 1 }) {
+            const problems = new Set();
+            const options = { offset: halfWidth * direction, lineCap, lineJoin, miterLimit: miterLimit >= 1 ? miterLimit : 4, tolerance, problems };
+            const segments = [];
+
+            for (let { pieces, closed, start, drawn } of this.subpaths(pathData)) {
+                if (pieces.length === 0) {
+                    // Zero-length subpaths only show their caps
+                    if (drawn && lineCap !== 'butt') segments.push(...this.dot(start, options));
+                } else if (closed) {
+                    segments.push(...this.side(pieces, true, options), { command: 'Z', values: [] });
+                    segments.push(...this.side(this.reverse(pieces), true, options), { command: 'Z', values: [] });
+                } else {
+                    const reversed = this.reverse(pieces);
+                    const forward = this.side(pieces, false, options);
+                    const backward = this.side(reversed, false, options);
+                    segments.push(
+                        ...forward,
+                        ...this.cap(pieces[pieces.length - 1], forward, backward, options),
+                        ...backward.slice(1),
+                        ...this.cap(reversed[reversed.length - 1], backward, forward, options),
+                        { command: 'Z', values: [] });
+                }
+            }
+            return { segments, problems: [...problems] };
+        }
+
+        /**
+         * The direction to outline a stroke in so that it can share one nonZero path
+         * with a fill of pathData: every region of the fill has to wind the same way
+         * as the outline, or the two would cancel out. Returns 0 when the fill winds
+         * both ways.
+         */
+        fillDirection(pathData) {
+            const polygons = this.converter.flattenPathData(pathData).filter(polygon => polygon.length > 2);
+            const signs = polygons.map(polygon => Math.sign(this.signedArea(polygon)));
+            const windings = new Set();
+            polygons.forEach((polygon, i) => {
+                const outside = polygons.reduce((sum, other, j) => j !== i && this.contains(other, polygon[0]) ? sum + signs[j] : sum, 0);
+                windings.add(Math.sign(outside)).add(Math.sign(outside + signs[i]));
+            });
+
+            // Outlines in direction 1 have a negative area
+            if (windings.has(1) && windings.has(-1)) return 0;
+            return windings.has(1) ? -1 : 1;
+        }
+
+        signedArea(polygon) {
+            return polygon.reduce((area, [x0, y0], i) => {
+                const [x1, y1] = polygon[(i + 1) % polygon.length];
+                return area + (x0 * y1 - x1 * y0) / 2;
+            }, 0);
+        }
+
+        contains(polygon, [x, y]) {
+            let inside = false;
+            polygon.forEach(([x0, y0], i) => {
+                const [x1, y1] = polygon[(i + 1) % polygon.length];
+                if ((y0 > y) !== (y1 > y) && x < x0 + (y - y0) * (x1 - x0) / (y1 - y0)) inside = !inside;
+            });
+            return inside;
+        }
+
+        /**
+         * Splits path data into subpaths of lines and cubics ({ points }), with
+         * quadratics raised to cubics, arcs approximated by cubics and zero-length
+         * pieces dropped.
+         */
+        subpaths(pathData) {
+            const subpaths = [];
+            let subpath = null;
+            let current = [0, 0];
+            let control = null, previous = null;
+
+            const begin = point => {
+                subpath = { pieces: [], closed: false, start: point, drawn: false };
+                subpaths.push(subpath);
+            };
+            const piece = points => {
+                if (!subpath) begin(current);
+                subpath.drawn = true;
+                if (points.some(point => !same(point, points[0]))) subpath.pieces.push({ points });
+                current = points[points.length - 1];
+            };
+
+            for (let { command, values } of this.converter.parsePathData(pathData).segments) {
+                const reflected = control && /[CSQT]/.test(previous) ? subtract(scale(current, 2), control) : current;
+                let nextControl = null;
+
+                switch (command) {
+                    case 'M':
+                        current = [values[0], values[1]];
+                        begin(current);
+                        break;
+                    case 'L':
+                        piece([current, [values[0], values[1]]]);
+                        break;
+                    case 'H':
+                        piece([current, [values[0], current[1]]]);
+                        break;
+                    case 'V':
+                        piece([current, [current[0], values[0]]]);
+                        break;
+                    case 'C':
+                    case 'S': {
+                        const [c1, c2, end] = command === 'C'
+                            ? [[values[0], values[1]], [values[2], values[3]], [values[4], values[5]]]
+                            : [/[CS]/.test(previous) ? reflected : current, [values[0], values[1]], [values[2], values[3]]];
+                        nextControl = c2;
+                        piece([current, c1, c2, end]);
+                        break;
+                    }
+                    case 'Q':
+                    case 'T': {
+                        const [c, end] = command === 'Q'
+                            ? [[values[0], values[1]], [values[2], values[3]]]
+                            : [/[QT]/.test(previous) ? reflected : current, [values[0], values[1]]];
+                        nextControl = c;
+                        piece([current, add(current, scale(subtract(c, current), 2 / 3)), add(end, scale(subtract(c, end), 2 / 3)), end]);
+                        break;
+                    }
+                    case 'A': {
+                        const end = [values[5], values[6]];
+                        const arc = this.converter.arcToCenter(current[0], current[1], ...values);
+                        if (arc) {
+                            this.arcToCubics(arc).forEach(points => piece([current, ...points.slice(1, 3), points[3]]));
+                        } else {
+                            piece([current, end]);
+                        }
+                        current = end;
+                        break;
+                    }
+                    case 'Z':
+                        if (subpath) {
+                            piece([current, subpath.start]);
+                            subpath.closed = true;
+                            current = subpath.start;
+                            subpath = null;
+                        }
+                        break;
+                }
+
+                control = nextControl;
+                previous = command;
+            }
+            return subpaths;
+        }
+
+        // Cubics for an arc in center parameterization, one per quarter turn at most
+        arcToCubics({ cx, cy, rx, ry, phi, startAngle, deltaAngle }) {
+            const count = Math.max(1, Math.ceil(Math.abs(deltaAngle) / (Math.PI / 2) - 1e-6));
+            const step = deltaAngle / count;
+            const k = 4 / 3 * Math.tan(step / 4);
+            const cos = Math.cos(phi);
+            const sin = Math.sin(phi);
+            const point = (x, y) => [cx + x * cos - y * sin, cy + x * sin + y * cos];
+
+            return Array.from({ length: count }, (_, i) => {
+                const a0 = startAngle + step * i;
+                const a1 = a0 + step;
+                const [c0, s0, c1, s1] = [Math.cos(a0), Math.sin(a0), Math.cos(a1), Math.sin(a1)];
+                return [
+                    point(rx * c0, ry * s0),
+                    point(rx * (c0 - k * s0), ry * (s0 + k * c0)),
+                    point(rx * (c1 + k * s1), ry * (s1 - k * c1)),
+                    point(rx * c1, ry * s1)
+                ];
+            });
+        }
+
+        reverse(pieces) {
+            return pieces.map(({ points }) => ({ points: [...points].reverse() })).reverse();
+        }
+
+        // Directions a piece leaves its start and arrives at its end in
+        startTangent({ points }) {
+            return unit(subtract(points.find(point => !same(point, points[0])), points[0]));
+        }
+
+        endTangent({ points }) {
+            const end = points[points.length - 1];
+            return unit(subtract(end, [...points].reverse().find(point => !same(point, end))));
+        }
+
+        /**
+         * One side of the stroke: the pieces offset to the left by options.offset,
+         * joined at their vertices. Starts with a move to the first offset point; a
+         * closed side ends back there.
+         */
+        side(pieces, closed, options) {
+            const { offset } = options;
+            const segments = [];
+            const first = add(pieces[0].points[0], scale(normal(this.startTangent(pieces[0])), offset));
+            segments.push({ command: 'M', values: first });
+
+            pieces.forEach((piece, index) => {
+                for (let points of this.offsetPiece(piece, options)) {
+                    segments.push(points.length === 2
+                        ? { command: 'L', values: points[1] }
+                        : { command: 'C', values: [...points[1], ...points[2], ...points[3]] });
+                }
+                const next = pieces[index + 1] || (closed ? pieces[0] : null);
+                if (!next) return;
+                const wraps = next === pieces[0];
+                const corner = this.innerCorner(piece, next, segments, wraps ? segments[1] : null, options);
+                if (!corner) {
+                    segments.push(...this.join(piece, next, options));
+                    return;
+                }
+                segments[segments.length - 1] = { command: 'L', values: corner };
+                if (wraps) segments[0] = { command: 'M', values: corner };
+            });
+            return segments;
+        }
+
+        /**
+         * Where the inner sides of two lines cross, when they do so within both
+         * lines; the outline can turn there instead of going round the vertex.
+         * segments is the side so far, which ends with piece; following is the
+         * side's own segment for next if it has been emitted already.
+         */
+        innerCorner(piece, next, segments, following, { offset }) {
+            if (piece.points.length !== 2 || next.points.length !== 2) return null;
+            const incoming = this.endTangent(piece);
+            const outgoing = this.startTangent(next);
+            if (cross(incoming, outgoing) * offset <= 0 || segments.length < 2) return null;
+
+            const start = segments[segments.length - 2].values.slice(-2);
+            const end = segments[segments.length - 1].values;
+            const shift = scale(normal(outgoing), offset);
+            const nextStart = add(next.points[0], shift);
+            const nextEnd = following ? following.values : add(next.points[1], shift);
+            const corner = this.intersect(start, subtract(end, start), nextStart, subtract(nextEnd, nextStart));
+            if (!corner) return null;
+            const within = (point, from, to) => {
+                const span = subtract(to, from);
+                const t = dot(subtract(point, from), span) / dot(span, span);
+                return t >= 0 && t <= 1;
+            };
+            return within(corner, start, end) && within(corner, nextStart, nextEnd) ? corner : null;
+        }
+
+        offsetPiece(piece, options) {
+            const { points } = piece;
+            const { offset } = options;
+            if (points.length === 2) {
+                const shift = scale(normal(this.startTangent(piece)), offset);
+                return [[add(points[0], shift), add(points[1], shift)]];
+            }
+            return this.offsetCubic(points, options, 0);
+        }
+
+        /**
+         * Offsets a cubic by moving its end points along their normals and scaling
+         * its handles by how the offset changes the radius of curvature there, which
+         * is exact for circular arcs. The curve is halved until the result is within
+         * tolerance at its quarter points.
+         */
+        offsetCubic(points, options, depth) {
+            const { offset, problems } = options;
+            const [p0, p1, p2, p3] = points;
+            const piece = { points };
+            const q0 = add(p0, scale(normal(this.startTangent(piece)), offset));
+            const q3 = add(p3, scale(normal(this.endTangent(piece)), offset));
+            // Curvature at an end, signed toward the normal when walked forward
+            const handle = (end, control, next, sign) => {
+                const first = subtract(control, end);
+                if (length(first) < epsilon) return 1;
+                const curvature = sign * cross(first, subtract(subtract(next, control), first)) * 2 / 3 / Math.pow(length(first), 3);
+                return Math.max(0, 1 - offset * curvature);
+            };
+            const q1 = add(q0, scale(subtract(p1, p0), handle(p0, p1, p2, 1)));
+            const q2 = add(q3, scale(subtract(p2, p3), handle(p3, p2, p1, -1)));
+            const result = [q0, q1, q2, q3];
+
+            // Halving cannot untangle an offset that loops where the curve bends
+            // tighter than the stroke, so that is only refined a little
+            if (depth === 0 && this.bendsTighter(points, offset)) {
+                problems.add('a curve bends tighter than half the stroke width');
+                options = { ...options, maxDepth: 2 };
+            }
+            if (this.offsetError(points, result, offset) <= options.tolerance) return [result];
+            if (depth >= (options.maxDepth ?? this.maxDepth)) {
+                problems.add('a curve could not be offset within tolerance');
+                return [result];
+            }
+
+            const [left, right] = this.splitCubic(points, 0.5);
+            return [...this.offsetCubic(left, options, depth + 1), ...this.offsetCubic(right, options, depth + 1)];
+        }
+
+        // Where the line through a along u meets the line through b along v
+        intersect(a, u, b, v) {
+            const denominator = cross(u, v);
+            if (Math.abs(denominator) < epsilon * length(u) * length(v)) return null;
+            return add(a, scale(u, cross(subtract(b, a), v) / denominator));
+        }
+
+        offsetError(points, offsetPoints, offset) {
+            let error = 0;
+            for (let t of [0.25, 0.5, 0.75]) {
+                const derivative = this.cubicDerivative(points, t);
+                if (length(derivative) < epsilon) return Infinity;
+                const expected = add(this.cubicPoint(points, t), scale(normal(unit(derivative)), offset));
+                error = Math.max(error, length(subtract(expected, this.cubicPoint(offsetPoints, t))));
+            }
+            return error;
+        }
+
+        // Whether the offset side of the curve turns back on itself: its curvature
+        // towards that side exceeds 1 / offset somewhere
+        bendsTighter(points, offset) {
+            const [p0, p1, p2, p3] = points;
+            const start = subtract(add(p2, p0), scale(p1, 2));
+            const end = subtract(add(p3, p1), scale(p2, 2));
+            for (let i = 0; i <= 16; i++) {
+                const t = i / 16;
+                const first = this.cubicDerivative(points, t);
+                const second = scale(add(scale(start, 1 - t), scale(end, t)), 6);
+                if (length(first) > epsilon && cross(first, second) / Math.pow(length(first), 3) * offset > 1) return true;
+            }
+            return false;
+        }
+
+        cubicPoint([p0, p1, p2, p3], t) {
+            const mt = 1 - t;
+            return add(add(scale(p0, mt * mt * mt), scale(p1, 3 * mt * mt * t)), add(scale(p2, 3 * mt * t * t), scale(p3, t * t * t)));
+        }
+
+        cubicDerivative([p0, p1, p2, p3], t) {
+            const mt = 1 - t;
+            return add(add(scale(subtract(p1, p0), 3 * mt * mt), scale(subtract(p2, p1), 6 * mt * t)), scale(subtract(p3, p2), 3 * t * t));
+        }
+
+        splitCubic([p0, p1, p2, p3], t) {
+            const lerp = (a, b) => add(a, scale(subtract(b, a), t));
+            const [a, b, c] = [lerp(p0, p1), lerp(p1, p2), lerp(p2, p3)];
+            const [d, e] = [lerp(a, b), lerp(b, c)];
+            const f = lerp(d, e);
+            return [[p0, a, d, f], [f, e, c, p3]];
+        }
+
+        /**
+         * Connects the offset end of piece to the offset start of next. The outer
+         * side of a corner gets the line join; the inner side passes through the
+         * vertex, which the nonZero fill covers.
+         */
+        join(piece, next, { offset, lineJoin, miterLimit }) {
+            const vertex = next.points[0];
+            const incoming = this.endTangent(piece);
+            const outgoing = this.startTangent(next);
+            const from = add(vertex, scale(normal(incoming), offset));
+            const to = add(vertex, scale(normal(outgoing), offset));
+            const turn = cross(incoming, outgoing);
+            const straight = dot(incoming, outgoing);
+
+            if (same(from, to, Math.abs(offset) * 1e-6)) return [];
+            if (Math.abs(turn) < epsilon && straight > 0) return [{ command: 'L', values: to }];
+            if (turn * offset > 0) return [{ command: 'L', values: vertex }, { command: 'L', values: to }];
+
+            if (lineJoin === 'round') return this.arc(vertex, from, to, Math.abs(offset), incoming);
+            if (lineJoin !== 'bevel') {
+                const ratio = 1 / Math.sqrt(Math.max(0, (1 + straight) / 2));
+                if (ratio <= miterLimit) {
+                    const tip = add(vertex, scale(unit(add(normal(incoming), normal(outgoing))), Math.abs(offset) * ratio * Math.sign(offset)));
+                    return [{ command: 'L', values: tip }, { command: 'L', values: to }];
+                }
+            }
+            return [{ command: 'L', values: to }];
+        }
+
+        /**
+         * The line cap at the end of piece, from the end of one side to the start
+         * of the other.
+         */
+        cap(piece, side, otherSide, { offset, lineCap }) {
+            const end = piece.points[piece.points.length - 1];
+            const tangent = this.endTangent(piece);
+            const from = side[side.length - 1].values.slice(-2);
+            const to = otherSide[0].values;
+
+            if (lineCap === 'round') return this.arc(end, from, to, Math.abs(offset), tangent);
+            if (lineCap === 'square') {
+                const extension = scale(tangent, Math.abs(offset));
+                return [{ command: 'L', values: add(from, extension) }, { command: 'L', values: add(to, extension) }, { command: 'L', values: to }];
+            }
+            return [{ command: 'L', values: to }];
+        }
+
+        /**
+         * Circular arc around center from one point to another, bulging towards
+         * direction. Turns of more than a quarter are split so the arc flags stay
+         * unambiguous.
+         */
+        arc(center, from, to, radius, direction) {
+            const [u, v] = [subtract(from, center), subtract(to, center)];
+            const start = Math.atan2(u[1], u[0]);
+            let turn = Math.atan2(cross(u, v), dot(u, v));
+            const middle = start + turn / 2;
+            if (dot([Math.cos(middle), Math.sin(middle)], direction) < 0) turn -= (turn > 0 ? 1 : -1) * 2 * Math.PI;
+
+            const count = Math.max(1, Math.ceil(Math.abs(turn) / (Math.PI / 2) - 1e-6));
+            const segments = [];
+            for (let i = 1; i <= count; i++) {
+                const angle = start + turn * i / count;
+                const point = i === count ? to : add(center, [radius * Math.cos(angle), radius * Math.sin(angle)]);
+                segments.push({ command: 'A', values: [radius, radius, 0, 0, turn > 0 ? 1 : 0, ...point] });
+            }
+            return segments;
+        }
+
+        // The cap drawn for a zero-length subpath, oriented like the outlines
+        dot([x, y], { offset, lineCap }) {
+            const radius = Math.abs(offset);
+            const sweep = offset > 0 ? 0 : 1;
+            if (lineCap === 'round') {
+                return [
+                    { command: 'M', values: [x + radius, y] },
+                    { command: 'A', values: [radius, radius, 0, 0, sweep, x - radius, y] },
+                    { command: 'A', values: [radius, radius, 0, 0, sweep, x + radius, y] },
+                    { command: 'Z', values: [] }
+                ];
+            }
+            const corners = [[x - radius, y - radius], [x - radius, y + radius], [x + radius, y + radius], [x + radius, y - radius]];
+            if (offset < 0) corners.reverse();
+            return [
+                { command: 'M', values: corners[0] },
+                ...corners.slice(1).map(values => ({ command: 'L', values })),
+                { command: 'Z', values: [] }
+            ];
+        }
+    }
+
+    Object.assign(exports, { StrokeOutliner });
+})(typeof module !== 'undefined' && module.exports ? module.exports : (globalThis.Svg2Vector = globalThis.Svg2Vector || {}));
@@ -0,0 +1,909 @@
+// Headless SVG rasterizer
+//
+// Renders SVG into an RGBA buffer without a DOM or canvas, so conversions can be
+// checked pixel by pixel from Node. It draws the static subset the converter deals
+// with: shapes, paths, groups, <use>, nested <svg>, clip paths, masks, opacity,
+// dashes, markers and gradients, and text laid out as the converter outlines it
+// with the fonts it is given. Images and filters are not drawn.
+//
+// Basic shapes are built here independently of the converter, so a fidelity
+// check catches mistakes in how it turns them into paths. The path parser,
+// dashing, style cascade, text layout and marker placement are the converter's
+// own, so regressions in those are invisible to it.
+(function (exports, { parseXml, VectorDrawableConverter, vectorToSvg, densities, fidelitySizes, drawableSize, referenceSvg, compareImages }) {
+    class SvgRasterizer {
+        constructor() {
+            // The style cascade, dashing and the color, length, transform and path
+            // parsers are shared with the converter; shapes and compositing are done here
+            this.converter = new VectorDrawableConverter();
+            this.containerElements = ["g", "a", "svg", "use", "switch"];
+
+            // Sub-scanlines per pixel row, and line segments per curve
+            this.samples = 4;
+            this.curveSteps = 32;
+            this.circleSteps = 24;
+        }
+
+        /**
+         * Renders SVG markup onto a width x height pixel image, mapping the root
+         * viewBox onto it. Returns { width, height, data } with straight-alpha RGBA
+         * bytes, like canvas ImageData. Text is drawn with options.fonts, a
+         * FontLibrary, and options.fallbackFont as in the conversion. Non-scaling
+         * strokes are sized in dp, options.density pixels each, as the converter
+         * sizes them.
+         */
+        render(svgContent, width, height, { fonts = null, fallbackFont = 'sans-serif', density = 1 } = {}) {
+            const converter = this.converter;
+            const root = parseXml(svgContent).documentElement;
+            if (root.tagName !== 'svg') {
+                throw new Error('Invalid SVG file');
+            }
+
+            const viewBox = converter.parseViewBox(root.getAttribute('viewBox')) || { x: 0, y: 0, width, height };
+            const fit = converter.viewBoxTransform(viewBox, width, height, root.getAttribute('preserveAspectRatio'));
+            const context = {
+                root,
+                width,
+                height,
+                ids: converter.collectIds(root),
+                stylesheet: [],
+                warnings: [],
+                viewport: { width: viewBox.width, height: viewBox.height },
+                uses: [],
+                fonts,
+                fallbackFont,
+                density
+            };
+            context.stylesheet = converter.parseStylesheets(root, context);
+
+            const layer = this.createLayer(context);
+            this.renderElement(root, [fit.scaleX, 0, 0, fit.scaleY, fit.translateX, fit.translateY], null, layer, null, context);
+            return this.toImageData(layer, context);
+        }
+
+        createLayer({ width, height }) {
+            return new Float32Array(width * height * 4);
+        }
+
+        /**
+         * Draws one element with its transform, clip path, mask and opacity. Content
+         * that is masked or partially transparent is drawn on a layer of its own and
+         * composited afterwards, so overlapping parts do not show through each other.
+         */
+        renderElement(element, matrix, parentStyle, layer, clip, context) {
+            const converter = this.converter;
+            const tagName = element.tagName.toLowerCase();
+            if (!converter.supportedElements.includes(tagName) && !this.containerElements.includes(tagName) && tagName !== 'text') return;
+
+            const style = converter.computeStyle(element, parentStyle, context);
+            const opacity = converter.parseOpacity(style.opacity);
+            if (style.display === 'none' || opacity === 0) return;
+
+            if (tagName !== 'svg') {
+                matrix = converter.multiplyMatrices(matrix, converter.transformListToMatrix(element.getAttribute('transform')));
+            }
+
+            const bounds = () => this.elementBounds(element, context);
+            clip = this.multiplyMasks(clip, this.clipPathMask(element, style, matrix, bounds, context));
+            const mask = this.resolveMask(element, style, matrix, bounds, context);
+
+            const isolated = opacity < 1 || mask;
+            const target = isolated ? this.createLayer(context) : layer;
+
+            if (tagName === 'g' || tagName === 'a' || element === context.root) {
+                this.renderChildren(element.children, matrix, style, target, clip, context);
+            } else if (tagName === 'switch') {
+                // Only the first child whose conditions hold is rendered
+                const child = element.children.find(candidate => !candidate.hasAttribute('requiredExtensions') &&
+                    (!candidate.hasAttribute('systemLanguage') || /(^|,)\s*en\b/.test(candidate.getAttribute('systemLanguage'))));
+                if (child) this.renderElement(child, matrix, style, target, clip, context);
+            } else if (tagName === 'use') {
+                this.renderUse(element, matrix, style, target, clip, context);
+            } else if (tagName === 'svg') {
+                const viewport = {
+                    x: converter.parseLength(element.getAttribute('x') || 0, context.viewport.width),
+                    y: converter.parseLength(element.getAttribute('y') || 0, context.viewport.height),
+                    width: converter.parseLength(element.getAttribute('width') || '100%', context.viewport.width),
+                    height: converter.parseLength(element.getAttribute('height') || '100%', context.viewport.height)
+                };
+                this.renderViewport(element, matrix, style, viewport, target, clip, context);
+            } else if (tagName === 'text') {
+                this.renderText(element, matrix, style, target, clip, context);
+            } else {
+                this.renderShape(element, matrix, style, target, clip, context);
+            }
+
+            if (isolated) this.composite(layer, target, opacity, mask);
+        }
+
+        renderChildren(children, matrix, style, layer, clip, context) {
+            for (let child of children) {
+                this.renderElement(child, matrix, style, layer, clip, context);
+            }
+        }
+
+        renderUse(element, matrix, style, layer, clip, context) {
+            const converter = this.converter;
+            const href = element.getAttribute('href') || element.getAttribute('xlink:href');
+            const target = href?.startsWith('#') ? context.ids.get(href.slice(1)) : null;
+            if (!target || context.uses.includes(target)) return;
+
+            const x = converter.parseLength(element.getAttribute('x') || 0, context.viewport.width);
+            const y = converter.parseLength(element.getAttribute('y') || 0, context.viewport.height);
+            const useMatrix = converter.multiplyMatrices(matrix, [1, 0, 0, 1, x, y]);
+            const useContext = { ...context, uses: [...context.uses, target] };
+            const targetTag = target.tagName.toLowerCase();
+
+            if (targetTag !== 'symbol' && targetTag !== 'svg') {
+                this.renderElement(target, useMatrix, style, layer, clip, useContext);
+                return;
+            }
+
+            // Symbols establish a viewport sized by the <use>
+            const targetStyle = converter.computeStyle(target, style, context);
+            if (targetStyle.display === 'none') return;
+            const viewport = {
+                x: 0,
+                y: 0,
+                width: converter.parseLength(element.getAttribute('width') ?? target.getAttribute('width') ?? '100%', context.viewport.width),
+                height: converter.parseLength(element.getAttribute('height') ?? target.getAttribute('height') ?? '100%', context.viewport.height)
+            };
+            this.renderViewport(target, useMatrix, targetStyle, viewport, layer, clip, useContext);
+        }
+
+        /**
+         * Renders the children of a nested <svg> or <symbol> in its viewport: the
+         * viewBox is mapped onto it and content outside is clipped unless overflow
+         * is visible.
+         */
+        renderViewport(element, matrix, style, { x, y, width, height }, layer, clip, context) {
+            const converter = this.converter;
+            if (!(width > 0 && height > 0)) return;
+
+            const viewBox = converter.parseViewBox(element.getAttribute('viewBox'));
+            let innerMatrix = converter.multiplyMatrices(matrix, [1, 0, 0, 1, x, y]);
+            if (viewBox) {
+                const fit = converter.viewBoxTransform(viewBox, width, height, element.getAttribute('preserveAspectRatio'));
+                innerMatrix = converter.multiplyMatrices(innerMatrix, [fit.scaleX, 0, 0, fit.scaleY, fit.translateX, fit.translateY]);
+            }
+
+            const overflow = (element.getAttribute('overflow') || '').trim();
+            if (overflow !== 'visible' && overflow !== 'auto') {
+                const corners = [[x, y], [x + width, y], [x + width, y + height], [x, y + height]];
+                clip = this.multiplyMasks(clip, this.coverageMask([this.transformPoints(corners, matrix)], 'nonzero', context));
+            }
+
+            const viewport = viewBox ? { width: viewBox.width, height: viewBox.height } : { width, height };
+            this.renderChildren(element.children, innerMatrix, style, layer, clip, { ...context, viewport });
+        }
+
+        renderShape(element, matrix, style, layer, clip, context, polylines = this.shapePolylines(element, context)) {
+            const converter = this.converter;
+            if (style.visibility === 'hidden' || style.visibility === 'collapse') return;
+
+            if (polylines.length === 0) return;
+            const bounds = () => this.polylineBounds(polylines);
+
+            // Shapes without a fill are black, as in a browser
+            const fill = this.resolvePaint(style.fill ?? '#000000', bounds, context);
+            if (fill) {
+                const coverage = this.coverage(polylines.map(polyline => this.transformPoints(polyline, matrix)), style['fill-rule'], context);
+                this.paint(layer, coverage, fill, converter.parseOpacity(style['fill-opacity']), clip, matrix, context);
+            }
+
+            const diagonal = Math.hypot(context.viewport.width, context.viewport.height) / Math.SQRT2;
+            const strokeWidth = converter.parseLength(style['stroke-width'], diagonal);
+            const stroke = strokeWidth > 0 ? this.resolvePaint(style.stroke, bounds, context) : null;
+            if (stroke) {
+                // Non-scaling strokes are outlined in device pixels, with their lengths in dp
+                const nonScaling = style['vector-effect'] === 'non-scaling-stroke';
+                const unit = nonScaling ? context.density : 1;
+                let lines = nonScaling ? polylines.map(polyline => this.transformPoints(polyline, matrix)) : polylines;
+                const pattern = converter.parseDashArray(style['stroke-dasharray'], diagonal);
+                if (pattern) {
+                    // pathLength rescales the pattern onto the measured length
+                    const pathLength = parseFloat(element.getAttribute('pathLength'));
+                    const scale = (pathLength > 0 ? converter.polylineLength(polylines) / pathLength : 1) * unit;
+                    const offset = (converter.parseLength(style['stroke-dashoffset'], diagonal) || 0) * scale;
+                    lines = converter.dashPolylines(lines, pattern.map(length => length * scale), offset);
+                }
+
+                const miterLimit = parseFloat(style['stroke-miterlimit']);
+                let outline = this.strokeOutline(lines, strokeWidth * unit / 2, style['stroke-linecap'], style['stroke-linejoin'], miterLimit >= 1 ? miterLimit : 4);
+                if (!nonScaling) outline = outline.map(polygon => this.transformPoints(polygon, matrix));
+                this.paint(layer, this.coverage(outline, 'nonzero', context), stroke, converter.parseOpacity(style['stroke-opacity']), clip, matrix, context);
+            }
+
+            this.renderMarkers(element, matrix, style, strokeWidth, layer, clip, context);
+        }
+
+        /**
+         * Draws a text element's glyphs run by run, each like a shape with the style
+         * of the element it is in. Glyphs are filled with the nonzero rule.
+         */
+        renderText(element, matrix, style, layer, clip, context) {
+            const converter = this.converter;
+            for (let run of converter.layoutText(element, style, context)) {
+                const target = run.opacity < 1 ? this.createLayer(context) : layer;
+                this.renderShape(run.element, matrix, { ...run.style, 'fill-rule': 'nonzero' }, target, clip, context, this.converter.flattenPathData(run.pathData, this.curveSteps));
+                if (run.opacity < 1) this.composite(layer, target, run.opacity, null);
+            }
+        }
+
+        /**
+         * Draws the element's markers at the vertices of its path, laid out as the
+         * converter places them.
+         */
+        renderMarkers(element, matrix, style, strokeWidth, layer, clip, context) {
+            const converter = this.converter;
+            if (!converter.markerElements.includes(element.tagName.toLowerCase())) return;
+
+            const markerOf = property => {
+                const id = style[property]?.match(/^url\(\s*['"]?#([^'")\s]+)['"]?\s*\)$/)?.[1];
+                const marker = id ? context.ids.get(id) : null;
+                return marker?.tagName.toLowerCase() === 'marker' && !context.markers?.includes(marker) ? marker : null;
+            };
+            const markers = { start: markerOf('marker-start'), mid: markerOf('marker-mid'), end: markerOf('marker-end') };
+            if (!markers.start && !markers.mid && !markers.end) return;
+
+            const vertices = converter.pathVertices(converter.shapeToPathData(element));
+            vertices.forEach((vertex, index) => {
+                const positions = [];
+                if (index === 0) positions.push('start');
+                if (index > 0 && index < vertices.length - 1) positions.push('mid');
+                if (index === vertices.length - 1) positions.push('end');
+
+                for (let position of positions) {
+                    const marker = markers[position];
+                    const layout = marker && converter.markerLayout(marker, vertex, position === 'start', strokeWidth, context.viewport);
+                    if (!layout) continue;
+
+                    const placement = converter.multiplyMatrices(matrix, layout.placement);
+                    let markerClip = clip;
+                    const overflow = (marker.getAttribute('overflow') || '').trim();
+                    if (overflow !== 'visible' && overflow !== 'auto') {
+                        const corners = [[0, 0], [layout.width, 0], [layout.width, layout.height], [0, layout.height]];
+                        markerClip = this.multiplyMasks(clip, this.coverageMask([this.transformPoints(corners, placement)], 'nonzero', context));
+                    }
+
+                    const innerMatrix = layout.fit ? converter.multiplyMatrices(placement, layout.fit) : placement;
+                    const viewport = layout.viewBox ? { width: layout.viewBox.width, height: layout.viewBox.height } : { width: layout.width, height: layout.height };
+                    this.renderChildren(marker.children, innerMatrix, converter.computeStyleFromRoot(marker, context), layer, markerClip, {
+                        ...context,
+                        viewport,
+                        markers: [...(context.markers || []), marker]
+                    });
+                }
+            });
+        }
+
+        transformPoints(points, [a, b, c, d, e, f]) {
+            return points.map(([x, y]) => [a * x + c * y + e, b * x + d * y + f]);
+        }
+
+        /**
+         * A shape's outline as polylines, one per subpath. Basic shapes are built
+         * from their attributes as the SVG specification defines them rather than
+         * through the converter's shape-to-path conversion, so that mistakes there
+         * show up as differences; path data goes through the shared parser.
+         */
+        shapePolylines(element, context) {
+            const { width, height } = context.viewport;
+            const attribute = (name, reference) => element.hasAttribute(name)
+                ? this.converter.parseLength(element.getAttribute(name), reference)
+                : null;
+
+            switch (element.tagName.toLowerCase()) {
+                case 'path':
+                    return this.converter.flattenPathData(element.getAttribute('d') || '', this.curveSteps);
+                case 'rect': {
+                    const x = attribute('x', width) ?? 0;
+                    const y = attribute('y', height) ?? 0;
+                    const w = attribute('width', width) ?? 0;
+                    const h = attribute('height', height) ?? 0;
+                    if (!(w > 0 && h > 0)) return [];
+
+                    // A missing radius takes the other's value, and both are capped at
+                    // half the side they round
+                    let rx = attribute('rx', width);
+                    let ry = attribute('ry', height);
+                    rx = Math.min(Math.max(0, rx ?? ry ?? 0), w / 2);
+                    ry = Math.min(Math.max(0, ry ?? rx), h / 2);
+                    if (rx === 0 || ry === 0) return [[[x, y], [x + w, y], [x + w, y + h], [x, y + h], [x, y]]];
+
+                    const steps = Math.ceil(this.curveSteps / 4);
+                    return [[
+                        [x + rx, y],
+                        [x + w - rx, y],
+                        ...this.ellipsePoints(x + w - rx, y + ry, rx, ry, -Math.PI / 2, Math.PI / 2, steps),
+                        ...this.ellipsePoints(x + w - rx, y + h - ry, rx, ry, 0, Math.PI / 2, steps),
+                        ...this.ellipsePoints(x + rx, y + h - ry, rx, ry, Math.PI / 2, Math.PI / 2, steps),
+                        ...this.ellipsePoints(x + rx, y + ry, rx, ry, Math.PI, Math.PI / 2, steps)
+                    ]];
+                }
+                case 'circle':
+                case 'ellipse': {
+                    const diagonal = Math.hypot(width, height) / Math.SQRT2;
+                    const cx = attribute('cx', width) ?? 0;
+                    const cy = attribute('cy', height) ?? 0;
+                    let rx = element.tagName.toLowerCase() === 'circle' ? attribute('r', diagonal) : attribute('rx', width);
+                    let ry = element.tagName.toLowerCase() === 'circle' ? rx : attribute('ry', height);
+                    rx = rx ?? ry;
+                    ry = ry ?? rx;
+                    if (!(rx > 0 && ry > 0)) return [];
+                    return [[[cx + rx, cy], ...this.ellipsePoints(cx, cy, rx, ry, 0, 2 * Math.PI, this.curveSteps * 2)]];
+                }
+                case 'line':
+                    return [[
+                        [attribute('x1', width) ?? 0, attribute('y1', height) ?? 0],
+                        [attribute('x2', width) ?? 0, attribute('y2', height) ?? 0]
+                    ]];
+                case 'polyline':
+                case 'polygon': {
+                    const numbers = (element.getAttribute('points') || '').trim().split(/[\s,]+/).filter(Boolean).map(Number);
+                    const points = [];
+                    for (let i = 0; i + 1 < numbers.length && Number.isFinite(numbers[i]) && Number.isFinite(numbers[i + 1]); i += 2) {
+                        points.push([numbers[i], numbers[i + 1]]);
+                    }
+                    if (points.length === 0) return [];
+                    if (element.tagName.toLowerCase() === 'polygon') points.push(points[0]);
+                    return [points];
+                }
+                default:
+                    return [];
+            }
+        }
+
+        /**
+         * Points on an ellipse from angle start over extent radians, excluding
+         * the first.
+         */
+        ellipsePoints(cx, cy, rx, ry, start, extent, steps) {
+            return Array.from({ length: steps }, (_, i) => {
+                const theta = start + extent * (i + 1) / steps;
+                return [cx + rx * Math.cos(theta), cy + ry * Math.sin(theta)];
+            });
+        }
+
+        polylineBounds(polylines) {
+            const points = polylines.flat();
+            if (points.length === 0) return null;
+
+            const xs = points.map(point => point[0]);
+            const ys = points.map(point => point[1]);
+            const x = Math.min(...xs);
+            const y = Math.min(...ys);
+            return { x, y, width: Math.max(...xs) - x, height: Math.max(...ys) - y };
+        }
+
+
+        /**
+         * Bounding box of an element's geometry in its own user space, for
+         * objectBoundingBox units.
+         */
+        elementBounds(element, context) {
+            const converter = this.converter;
+            const points = [];
+            const visit = (node, matrix) => {
+                const tagName = node.tagName.toLowerCase();
+                if (converter.supportedElements.includes(tagName)) {
+                    this.shapePolylines(node, context).forEach(polyline => {
+                        points.push(...this.transformPoints(polyline, matrix));
+                    });
+                } else if (tagName === 'g' || tagName === 'a') {
+                    node.children.forEach(child => visit(child, converter.multiplyMatrices(matrix, converter.transformListToMatrix(child.getAttribute('transform')))));
+                } else if (tagName === 'use') {
+                    const href = node.getAttribute('href') || node.getAttribute('xlink:href');
+                    const target = href?.startsWith('#') ? context.ids.get(href.slice(1)) : null;
+                    if (!target || ['symbol', 'svg'].includes(target.tagName.toLowerCase()) || target === element) return;
+                    const offset = [1, 0, 0, 1, parseFloat(node.getAttribute('x')) || 0, parseFloat(node.getAttribute('y')) || 0];
+                    visit(target, converter.multiplyMatrices(converter.multiplyMatrices(matrix, offset), converter.transformListToMatrix(target.getAttribute('transform'))));
+                }
+            };
+            visit(element, [1, 0, 0, 1, 0, 0]);
+            if (points.length === 0) return null;
+
+            const xs = points.map(point => point[0]);
+            const ys = points.map(point => point[1]);
+            const x = Math.min(...xs);
+            const y = Math.min(...ys);
+            return { x, y, width: Math.max(...xs) - x, height: Math.max(...ys) - y };
+        }
+
+        /**
+         * Turns a fill or stroke value into { color } or { gradient }, or null when
+         * nothing is painted. Unsupported paint servers use their fallback color.
+         */
+        resolvePaint(value, bounds, context) {
+            if (!value || value === 'none') return null;
+
+            const match = value.trim().match(/^url\(\s*['"]?#([^'")\s]+)['"]?\s*\)\s*(.*)$/);
+            if (!match) {
+                const color = this.converter.parseColor(value);
+                return color && color.a > 0 ? { color } : null;
+            }
+
+            const element = context.ids.get(match[1]);
+            const tagName = element?.tagName.toLowerCase();
+            if (tagName === 'lineargradient' || tagName === 'radialgradient') {
+                return this.resolveGradient(element, bounds, context);
+            }
+            return match[2] && match[2] !== 'none' ? this.resolvePaint(match[2], bounds, context) : null;
+        }
+
+        resolveGradient(element, bounds, context) {
+            const converter = this.converter;
+
+            // Follow href chains; the referencing gradient's own attributes win
+            const chain = [];
+            for (let current = element; current && !chain.includes(current);) {
+                chain.push(current);
+                const href = current.getAttribute('href') || current.getAttribute('xlink:href');
+                current = href?.startsWith('#') ? context.ids.get(href.slice(1)) : null;
+            }
+            const attribute = name => chain.find(gradient => gradient.hasAttribute(name))?.getAttribute(name) ?? null;
+
+            const stops = [];
+            const stopSource = chain.find(gradient => gradient.children.some(child => child.tagName.toLowerCase() === 'stop'));
+            for (let stop of stopSource ? stopSource.children : []) {
+                if (stop.tagName.toLowerCase() !== 'stop') continue;
+
+                const style = converter.computeStyleFromRoot(stop, context);
+                const color = converter.parseColor(style['stop-color']) || { r: 0, g: 0, b: 0, a: 1 };
+                const offsetValue = (stop.getAttribute('offset') || '0').trim();
+                const offset = (parseFloat(offsetValue) || 0) / (offsetValue.endsWith('%') ? 100 : 1);
+                stops.push({
+                    offset: Math.max(stops.length ? stops[stops.length - 1].offset : 0, Math.min(1, Math.max(0, offset))),
+                    color: { ...color, a: color.a * converter.parseOpacity(style['stop-opacity']) }
+                });
+            }
+
+            if (stops.length === 0) return null;
+            if (stops.length === 1) return { color: stops[0].color };
+
+            const boundingBox = attribute('gradientUnits') !== 'userSpaceOnUse';
+            let matrix = [1, 0, 0, 1, 0, 0];
+            if (boundingBox) {
+                const box = bounds();
+                if (!box || box.width === 0 || box.height === 0) return null;
+                matrix = [box.width, 0, 0, box.height, box.x, box.y];
+            }
+            matrix = converter.multiplyMatrices(matrix, converter.transformListToMatrix(attribute('gradientTransform')));
+
+            const length = (name, fallback, axis) => converter.parseGradientLength(attribute(name) ?? fallback, boundingBox, axis, context.viewport);
+            const gradient = { matrix, stops, spread: attribute('spreadMethod') || 'pad' };
+
+            if (element.tagName.toLowerCase() === 'radialgradient') {
+                gradient.type = 'radial';
+                gradient.cx = length('cx', '50%', 'x');
+                gradient.cy = length('cy', '50%', 'y');
+                gradient.r = length('r', '50%', 'xy');
+                gradient.fx = attribute('fx') === null ? gradient.cx : length('fx', '50%', 'x');
+                gradient.fy = attribute('fy') === null ? gradient.cy : length('fy', '50%', 'y');
+
+                // A focal point outside the circle is moved onto its edge
+                const distance = Math.hypot(gradient.fx - gradient.cx, gradient.fy - gradient.cy);
+                if (distance > gradient.r * 0.99 && distance > 0) {
+                    const scale = gradient.r * 0.99 / distance;
+                    gradient.fx = gradient.cx + (gradient.fx - gradient.cx) * scale;
+                    gradient.fy = gradient.cy + (gradient.fy - gradient.cy) * scale;
+                }
+                if (!(gradient.r > 0)) return { color: stops[stops.length - 1].color };
+            } else {
+                gradient.type = 'linear';
+                gradient.x1 = length('x1', '0%', 'x');
+                gradient.y1 = length('y1', '0%', 'y');
+                gradient.x2 = length('x2', '100%', 'x');
+                gradient.y2 = length('y2', '0%', 'y');
+            }
+
+            return { gradient };
+        }
+
+        /**
+         * The gradient color at (x, y) in gradient space.
+         */
+        gradientColor(gradient, x, y) {
+            let t;
+            if (gradient.type === 'linear') {
+                const dx = gradient.x2 - gradient.x1;
+                const dy = gradient.y2 - gradient.y1;
+                const lengthSquared = dx * dx + dy * dy;
+                t = lengthSquared > 0 ? ((x - gradient.x1) * dx + (y - gradient.y1) * dy) / lengthSquared : 1;
+            } else {
+                // Solve for the circle, interpolated from the focal point to the outer
+                // circle, that passes through the point
+                const ex = x - gradient.fx;
+                const ey = y - gradient.fy;
+                const dx = gradient.cx - gradient.fx;
+                const dy = gradient.cy - gradient.fy;
+                const a = dx * dx + dy * dy - gradient.r * gradient.r;
+                const b = ex * dx + ey * dy;
+                t = (b - Math.sqrt(Math.max(0, b * b - a * (ex * ex + ey * ey)))) / a;
+            }
+
+            if (gradient.spread === 'repeat') {
+                t -= Math.floor(t);
+            } else if (gradient.spread === 'reflect') {
+                t = Math.abs(t) % 2;
+                if (t > 1) t = 2 - t;
+            } else {
+                t = Math.min(1, Math.max(0, t));
+            }
+
+            const { stops } = gradient;
+            if (t <= stops[0].offset) return stops[0].color;
+            for (let i = 1; i < stops.length; i++) {
+                if (t > stops[i].offset) continue;
+
+                const from = stops[i - 1];
+                const to = stops[i];
+                const span = to.offset - from.offset;
+                const mix = span > 0 ? (t - from.offset) / span : 1;
+                const lerp = channel => from.color[channel] + (to.color[channel] - from.color[channel]) * mix;
+                return { r: lerp('r'), g: lerp('g'), b: lerp('b'), a: lerp('a') };
+            }
+            return stops[stops.length - 1].color;
+        }
+
+        /**
+         * Outlines stroked polylines as polygons: one quad per segment plus joins and
+         * caps, all wound the same way so a nonzero fill paints their union.
+         */
+        strokeOutline(polylines, halfWidth, lineCap, lineJoin, miterLimit) {
+            const polygons = [];
+
+            for (let polyline of polylines) {
+                const points = polyline.filter((point, i) => i === 0 ||
+                    Math.hypot(point[0] - polyline[i - 1][0], point[1] - polyline[i - 1][1]) > 1e-9);
+
+                // Zero-length subpaths only show their caps
+                if (points.length === 1) {
+                    const [x, y] = points[0];
+                    if (lineCap === 'round') polygons.push(this.circle(points[0], halfWidth));
+                    if (lineCap === 'square') {
+                        polygons.push([[x - halfWidth, y - halfWidth], [x + halfWidth, y - halfWidth], [x + halfWidth, y + halfWidth], [x - halfWidth, y + halfWidth]]);
+                    }
+                    continue;
+                }
+
+                const [firstX, firstY] = points[0];
+                const [lastX, lastY] = points[points.length - 1];
+                const closed = points.length > 2 && Math.hypot(lastX - firstX, lastY - firstY) < 1e-9;
+                if (closed) points.pop();
+
+                const segmentCount = closed ? points.length : points.length - 1;
+                const directions = [];
+                for (let i = 0; i < segmentCount; i++) {
+                    const [ax, ay] = points[i];
+                    const [bx, by] = points[(i + 1) % points.length];
+                    const length = Math.hypot(bx - ax, by - ay);
+                    const [dx, dy] = [(bx - ax) / length, (by - ay) / length];
+                    const [nx, ny] = [-dy * halfWidth, dx * halfWidth];
+                    directions.push([dx, dy]);
+                    polygons.push([[ax + nx, ay + ny], [bx + nx, by + ny], [bx - nx, by - ny], [ax - nx, ay - ny]]);
+                }
+
+                for (let i = closed ? 0 : 1; i < segmentCount; i++) {
+                    const incoming = directions[(i - 1 + segmentCount) % segmentCount];
+                    polygons.push(...this.strokeJoin(points[i], incoming, directions[i], halfWidth, lineJoin, miterLimit));
+                }
+
+                if (!closed) {
+                    const [dx, dy] = directions[0];
+                    polygons.push(...this.strokeCap(points[0], [-dx, -dy], halfWidth, lineCap));
+                    polygons.push(...this.strokeCap(points[points.length - 1], directions[segmentCount - 1], halfWidth, lineCap));
+                }
+            }
+
+            return polygons.map(polygon => this.signedArea(polygon) < 0 ? polygon.reverse() : polygon);
+        }
+
+        strokeJoin([x, y], [d0x, d0y], [d1x, d1y], halfWidth, lineJoin, miterLimit) {
+            const cross = d0x * d1y - d0y * d1x;
+            const dot = d0x * d1x + d0y * d1y;
+            if (Math.abs(cross) < 1e-9 && dot > 0) return [];
+            if (lineJoin === 'round') return [this.circle([x, y], halfWidth)];
+
+            // Only the outer side of the corner needs filling in
+            const side = cross > 0 ? -1 : 1;
+            const [n0x, n0y] = [-d0y * halfWidth * side, d0x * halfWidth * side];
+            const [n1x, n1y] = [-d1y * halfWidth * side, d1x * halfWidth * side];
+            const start = [x + n0x, y + n0y];
+            const end = [x + n1x, y + n1y];
+
+            if (lineJoin !== 'bevel') {
+                const ratio = 1 / Math.sqrt(Math.max(0, (1 + dot) / 2));
+                if (ratio <= miterLimit) {
+                    const length = Math.hypot(n0x + n1x, n0y + n1y);
+                    const tip = [x + (n0x + n1x) / length * halfWidth * ratio, y + (n0y + n1y) / length * halfWidth * ratio];
+                    return [[[x, y], start, tip, end]];
+                }
+            }
+            return [[[x, y], start, end]];
+        }
+
+        strokeCap([x, y], [dx, dy], halfWidth, lineCap) {
+            if (lineCap === 'round') return [this.circle([x, y], halfWidth)];
+            if (lineCap !== 'square') return [];
+
+            const [nx, ny] = [-dy * halfWidth, dx * halfWidth];
+            const [ex, ey] = [dx * halfWidth, dy * halfWidth];
+            return [[[x + nx, y + ny], [x + nx + ex, y + ny + ey], [x - nx + ex, y - ny + ey], [x - nx, y - ny]]];
+        }
+
+        circle([cx, cy], radius) {
+            return Array.from({ length: this.circleSteps }, (_, i) => {
+                const angle = 2 * Math.PI * i / this.circleSteps;
+                return [cx + radius * Math.cos(angle), cy + radius * Math.sin(angle)];
+            });
+        }
+
+        signedArea(polygon) {
+            let area = 0;
+            polygon.forEach(([x0, y0], i) => {
+                const [x1, y1] = polygon[(i + 1) % polygon.length];
+                area += x0 * y1 - x1 * y0;
+            });
+            return area / 2;
+        }
+
+        /**
+         * Computes anti-aliased coverage of polygons in pixel coordinates (each
+         * implicitly closed) under a fill rule. Every pixel row is sampled on a few
+         * sub-scanlines, and spans are measured exactly along each of them. Returns
+         * { data, x0, y0, x1, y1 } with data covering the whole image, or null when
+         * nothing is covered.
+         */
+        coverage(polygons, fillRule, { width, height }) {
+            const edges = [];
+            let minX = Infinity, minY = Infinity, maxX = -Infinity, maxY = -Infinity;
+
+            for (let polygon of polygons) {
+                polygon.forEach(([ax, ay], i) => {
+                    const [bx, by] = polygon[(i + 1) % polygon.length];
+                    minX = Math.min(minX, ax);
+                    maxX = Math.max(maxX, ax);
+                    minY = Math.min(minY, ay);
+                    maxY = Math.max(maxY, ay);
+                    if (ay === by || !isFinite(ax + ay + bx + by)) return;
+                    edges.push(ay < by
+                        ? { top: ay, bottom: by, x: ax, slope: (bx - ax) / (by - ay), direction: 1 }
+                        : { top: by, bottom: ay, x: bx, slope: (ax - bx) / (ay - by), direction: -1 });
+                });
+            }
+
+            const x0 = Math.max(0, Math.floor(minX));
+            const x1 = Math.min(width, Math.ceil(maxX));
+            const y0 = Math.max(0, Math.floor(minY));
+            const y1 = Math.min(height, Math.ceil(maxY));
+            if (edges.length === 0 || x0 >= x1 || y0 >= y1) return null;
+
+            edges.sort((a, b) => a.top - b.top);
+            const data = new Float32Array(width * height);
+            const weight = 1 / this.samples;
+            let active = [];
+            let next = 0;
+
+            for (let row = y0; row < y1; row++) {
+                for (let sample = 0; sample < this.samples; sample++) {
+                    const y = row + (sample + 0.5) / this.samples;
+                    while (next < edges.length && edges[next].top <= y) active.push(edges[next++]);
+                    active = active.filter(edge => edge.bottom > y);
+
+                    const crossings = active
+                        .map(edge => ({ x: edge.x + (y - edge.top) * edge.slope, direction: edge.direction }))
+                        .sort((a, b) => a.x - b.x);
+
+                    let winding = 0;
+                    for (let i = 0; i < crossings.length - 1; i++) {
+                        winding += crossings[i].direction;
+                        const inside = fillRule === 'evenodd' ? winding % 2 !== 0 : winding !== 0;
+                        if (inside) this.addSpan(data, row * width, width, crossings[i].x, crossings[i + 1].x, weight);
+                    }
+                }
+            }
+
+            return { data, x0, y0, x1, y1 };
+        }
+
+        addSpan(data, offset, width, start, end, weight) {
+            start = Math.max(0, start);
+            end = Math.min(width, end);
+            if (end <= start) return;
+
+            const first = Math.floor(start);
+            const last = Math.floor(end);
+            if (first === last) {
+                data[offset + first] += (end - start) * weight;
+                return;
+            }
+
+            data[offset + first] += (first + 1 - start) * weight;
+            for (let x = first + 1; x < last; x++) data[offset + x] += weight;
+            if (last < width) data[offset + last] += (end - last) * weight;
+        }
+
+        /**
+         * Coverage as a full-image mask, for clipping.
+         */
+        coverageMask(polygons, fillRule, context) {
+            return this.coverage(polygons, fillRule, context)?.data || new Float32Array(context.width * context.height);
+        }
+
+        multiplyMasks(a, b) {
+            if (!a || !b) return a || b;
+            return a.map((value, i) => value * b[i]);
+        }
+
+        /**
+         * Paints coverage onto a layer with a color or gradient (source-over,
+         * premultiplied). matrix maps the paint's user space to pixels.
+         */
+        paint(layer, coverage, paint, alpha, clip, matrix, { width }) {
+            if (!coverage || alpha <= 0) return;
+
+            const converter = this.converter;
+            const inverse = paint.gradient && converter.invertMatrix(converter.multiplyMatrices(matrix, paint.gradient.matrix));
+
+            for (let y = coverage.y0; y < coverage.y1; y++) {
+                for (let x = coverage.x0; x < coverage.x1; x++) {
+                    const i = y * width + x;
+                    let amount = Math.min(1, coverage.data[i]) * alpha;
+                    if (clip) amount *= clip[i];
+                    if (amount <= 0) continue;
+
+                    let color = paint.color;
+                    if (!color) {
+                        const [a, b, c, d, e, f] = inverse;
+                        color = this.gradientColor(paint.gradient, a * (x + 0.5) + c * (y + 0.5) + e, b * (x + 0.5) + d * (y + 0.5) + f);
+                    }
+
+                    const source = amount * color.a;
+                    const j = i * 4;
+                    layer[j] = color.r / 255 * source + layer[j] * (1 - source);
+                    layer[j + 1] = color.g / 255 * source + layer[j + 1] * (1 - source);
+                    layer[j + 2] = color.b / 255 * source + layer[j + 2] * (1 - source);
+                    layer[j + 3] = source + layer[j + 3] * (1 - source);
+                }
+            }
+        }
+
+        composite(layer, source, opacity, mask) {
+            for (let i = 0; i < source.length / 4; i++) {
+                const amount = opacity * (mask ? mask[i] : 1);
+                const j = i * 4;
+                const alpha = source[j + 3] * amount;
+                if (alpha <= 0) continue;
+
+                for (let channel = 0; channel < 3; channel++) {
+                    layer[j + channel] = source[j + channel] * amount + layer[j + channel] * (1 - alpha);
+                }
+                layer[j + 3] = alpha + layer[j + 3] * (1 - alpha);
+            }
+        }
+
+        /**
+         * Renders the clipPath an element references into a coverage mask. The union
+         * of the clip's shapes is taken, each with its own clip-rule.
+         */
+        clipPathMask(element, style, matrix, bounds, context) {
+            const converter = this.converter;
+            const id = style['clip-path']?.match(/^url\(\s*['"]?#([^'")\s]+)['"]?\s*\)$/)?.[1];
+            const reference = id ? context.ids.get(id) : null;
+            if (!reference || reference.tagName.toLowerCase() !== 'clippath') return null;
+
+            const mask = new Float32Array(context.width * context.height);
+            let clipMatrix = converter.multiplyMatrices(matrix, converter.transformListToMatrix(reference.getAttribute('transform')));
+            if (reference.getAttribute('clipPathUnits') === 'objectBoundingBox') {
+                const box = bounds();
+                if (!box || box.width === 0 || box.height === 0) return mask;
+                clipMatrix = converter.multiplyMatrices(clipMatrix, [box.width, 0, 0, box.height, box.x, box.y]);
+            }
+
+            for (let child of reference.children) {
+                let shape = child;
+                let shapeMatrix = converter.multiplyMatrices(clipMatrix, converter.transformListToMatrix(child.getAttribute('transform')));
+                let shapeStyle = converter.computeStyleFromRoot(child, context);
+
+                if (child.tagName.toLowerCase() === 'use') {
+                    const href = child.getAttribute('href') || child.getAttribute('xlink:href');
+                    shape = href?.startsWith('#') ? context.ids.get(href.slice(1)) : null;
+                    if (!shape) continue;
+                    const offset = [1, 0, 0, 1, parseFloat(child.getAttribute('x')) || 0, parseFloat(child.getAttribute('y')) || 0];
+                    shapeMatrix = converter.multiplyMatrices(converter.multiplyMatrices(shapeMatrix, offset),
+                        converter.transformListToMatrix(shape.getAttribute('transform')));
+                    shapeStyle = converter.computeStyle(shape, shapeStyle, context);
+                }
+
+                if (!converter.supportedElements.includes(shape.tagName.toLowerCase())) continue;
+                if (shapeStyle.display === 'none' || shapeStyle.visibility === 'hidden') continue;
+
+                const polygons = this.shapePolylines(shape, context).map(polyline => this.transformPoints(polyline, shapeMatrix));
+                const coverage = this.coverage(polygons, shapeStyle['clip-rule'], context);
+                if (!coverage) continue;
+                for (let i = 0; i < mask.length; i++) {
+                    if (coverage.data[i] > 0) mask[i] = Math.min(1, mask[i] + coverage.data[i]);
+                }
+            }
+
+            return mask;
+        }
+
+        /**
+         * Renders the mask an element references and turns it into a mask of
+         * luminance times alpha (or alpha alone for mask-type="alpha").
+         */
+        resolveMask(element, style, matrix, bounds, context) {
+            const converter = this.converter;
+            const id = style.mask?.match(/^url\(\s*['"]?#([^'")\s]+)['"]?\s*\)$/)?.[1];
+            const reference = id ? context.ids.get(id) : null;
+            if (!reference || reference.tagName.toLowerCase() !== 'mask' || context.uses.includes(reference)) return null;
+
+            const mask = new Float32Array(context.width * context.height);
+            let contentMatrix = matrix;
+            if (reference.getAttribute('maskContentUnits') === 'objectBoundingBox') {
+                const box = bounds();
+                if (!box || box.width === 0 || box.height === 0) return mask;
+                contentMatrix = converter.multiplyMatrices(matrix, [box.width, 0, 0, box.height, box.x, box.y]);
+            }
+
+            const layer = this.createLayer(context);
+            const maskStyle = converter.computeStyleFromRoot(reference, context);
+            this.renderChildren(reference.children, contentMatrix, maskStyle, layer, null, { ...context, uses: [...context.uses, reference] });
+
+            const alphaOnly = reference.getAttribute('mask-type') === 'alpha';
+            for (let i = 0; i < mask.length; i++) {
+                const j = i * 4;
+                mask[i] = alphaOnly ? layer[j + 3] : 0.2125 * layer[j] + 0.7154 * layer[j + 1] + 0.0721 * layer[j + 2];
+            }
+            return mask;
+        }
+
+        toImageData(layer, { width, height }) {
+            const data = new Uint8ClampedArray(width * height * 4);
+            for (let j = 0; j < data.length; j += 4) {
+                const alpha = layer[j + 3];
+                if (alpha <= 0) continue;
+                data[j] = layer[j] / alpha * 255;
+                data[j + 1] = layer[j + 1] / alpha * 255;
+                data[j + 2] = layer[j + 2] / alpha * 255;
+                data[j + 3] = alpha * 255;
+            }
+            return { width, height, data };
+        }
+    }
+
+    let sharedRasterizer = null;
+
+    /**
+     * Renders the original SVG and the converted drawable at each density and
+     * compares them: checkFidelity(svg, xml, options) -> { similarity, densities }.
+     * similarity is the lowest score of any density; densities lists
+     * { density, width, height, similarity, mismatched, heatmap } for each.
+     * Options: defaultFill, fonts and fallbackFont (as used for the conversion),
+     * densities and tolerance.
+     */
+    function checkFidelity(svgContent, xml, { defaultFill = '#000000', fonts = null, fallbackFont, densities: scales = densities, tolerance } = {}) {
+        sharedRasterizer = sharedRasterizer || new SvgRasterizer();
+        const { width: dpWidth, height: dpHeight } = drawableSize(xml);
+
+        // Like a browser, the reference always falls back to some font, so text the
+        // conversion drops for want of one counts against it
+        const referenceFont = fallbackFont || 'sans-serif';
+        const results = fidelitySizes(dpWidth, dpHeight, scales).map(({ density, width, height }) => {
+            const original = sharedRasterizer.render(referenceSvg(svgContent, { width, height, dpWidth, dpHeight, defaultFill }), width, height, { fonts, fallbackFont: referenceFont, density: width / dpWidth });
+            const converted = sharedRasterizer.render(vectorToSvg(xml, { width, height, pretty: false }).svg, width, height);
+            return { density, width, height, ...compareImages(original, converted, { tolerance }) };
+        });
+
+        return { similarity: Math.min(...results.map(result => result.similarity)), densities: results };
+    }
+
+    Object.assign(exports, { SvgRasterizer, checkFidelity });
+})(
+    typeof module !== 'undefined' && module.exports ? module.exports : (globalThis.Svg2Vector = globalThis.Svg2Vector || {}),
+    typeof module !== 'undefined' && module.exports
+        ? { ...require('./xml'), ...require('./converter'), ...require('./vector-to-svg'), ...require('./fidelity') }
+        : globalThis.Svg2Vector
+);
@@ -0,0 +1,99 @@
+// Android resource naming and value resources
+(function (exports, { VectorDrawableConverter }) {
+    const javaKeywords = new Set([
+        'abstract', 'assert', 'boolean', 'break', 'byte', 'case', 'catch', 'char', 'class', 'const',
+        'continue', 'default', 'do', 'double', 'else', 'enum', 'extends', 'false', 'final', 'finally',
+        'float', 'for', 'goto', 'if', 'implements', 'import', 'instanceof', 'int', 'interface', 'long',
+        'native', 'new', 'null', 'package', 'private', 'protected', 'public', 'return', 'short', 'static',
+        'strictfp', 'super', 'switch', 'synchronized', 'this', 'throw', 'throws', 'transient', 'true',
+        'try', 'void', 'volatile', 'while'
+    ]);
+
+    let colorParser = null;
+
+    /**
+     * Turns a file name into a valid Android resource name: lowercase [a-z0-9_],
+     * starting with a letter and not a Java keyword. "My Icon-2.svg" becomes "my_icon_2",
+     * or "ic_my_icon_2" with the prefix "ic_" (which is not added twice).
+     */
+    function toResourceName(fileName, prefix = '') {
+        let name = String(fileName)
+            .replace(/^.*[\\/]/, '')
+            .replace(/\.[^.]*$/, '')
+            .replace(/([a-z0-9])([A-Z])/g, '$1_$2')
+            .toLowerCase()
+            .replace(/[^a-z0-9]+/g, '_')
+            .replace(/^_+|_+$/g, '');
+
+        const cleanPrefix = String(prefix).toLowerCase().replace(/[^a-z0-9_]+/g, '_');
+        if (cleanPrefix && !name.startsWith(cleanPrefix)) name = cleanPrefix + name;
+
+        if (!name) name = 'drawable';
+        if (!/^[a-z]/.test(name)) name = `drawable_${name}`;
+        if (javaKeywords.has(name)) name += '_';
+        return name;
+    }
+
+    /**
+     * Names a batch of files, detecting names that collide once sanitized. Later
+     * duplicates get a numeric suffix ("icon_2") so every output is kept; the
+     * collisions are returned as [{ name, files }] so they can be reported.
+     */
+    function assignResourceNames(fileNames, prefix = '') {
+        const taken = new Map();
+        const names = fileNames.map(fileName => toResourceName(fileName, prefix));
+        names.forEach((name, index) => {
+            if (!taken.has(name)) taken.set(name, []);
+            taken.get(name).push(fileNames[index]);
+        });
+
+        const used = new Set(taken.keys());
+        const seen = new Set();
+        const unique = names.map(name => {
+            if (!seen.has(name)) {
+                seen.add(name);
+                return name;
+            }
+            let suffix = 2;
+            while (used.has(`${name}_${suffix}`)) suffix++;
+            used.add(`${name}_${suffix}`);
+            return `${name}_${suffix}`;
+        });
+
+        const collisions = [...taken].filter(([, files]) => files.length > 1).map(([name, files]) => ({ name, files }));
+        return { names: unique, collisions };
+    }
+
+    /**
+     * Builds the res/values/colors.xml that defines every @color/ resource a color
+     * map ({ "#FF0000": "@color/brand_red" }) points at, with the source color as
+     * its value. Source colors are normalized the way the converter matches them,
+     * so "red" and "#f00" both become #FF0000; keys that are not colors are left
+     * out. Returns null for xml when nothing maps to @color/. A name mapped from
+     * several colors keeps the first; the rest are returned as conflicts
+     * ([{ name, colors }]) so they can be reported.
+     */
+    function colorResources(colorMap) {
+        colorParser = colorParser || new VectorDrawableConverter();
+        const colors = new Map();
+        for (let [color, target] of Object.entries(colorMap)) {
+            const name = /^@color\/([A-Za-z_][\w.]*)$/.exec(String(target).trim())?.[1];
+            const value = colorParser.normalizeColor(color);
+            if (!name || !value) continue;
+            if (!colors.has(name)) colors.set(name, []);
+            if (!colors.get(name).includes(value)) colors.get(name).push(value);
+        }
+
+        const conflicts = [...colors].filter(([, values]) => values.length > 1).map(([name, values]) => ({ name, colors: values }));
+        if (colors.size === 0) return { xml: null, conflicts };
+
+        const items = [...colors].map(([name, values]) => `    <color name="${name}">${values[0]}</color>`);
+        const xml = ['<?xml version="1.0" encoding="utf-8"?>', '<resources>', ...items, '</resources>', ''].join('\n');
+        return { xml, conflicts };
+    }
+
+    Object.assign(exports, { toResourceName, assignResourceNames, colorResources });
+})(
+    typeof module !== 'undefined' && module.exports ? module.exports : (globalThis.Svg2Vector = globalThis.Svg2Vector || {}),
+    typeof module !== 'undefined' && module.exports ? require('./converter') : globalThis.Svg2Vector
+);
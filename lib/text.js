@@ -0,0 +1,280 @@
+// Text outlining
+//
+// Lays out <text> and its <tspan>s with the fonts of a FontLibrary and turns the
+// glyphs into path data, since a drawable has no text of its own. Positions follow
+// the x, y, dx and dy lists, text-anchor chunks, letter and word spacing and the
+// fonts' pair kerning; shaping, bidirectional text and textPath layout are not
+// attempted.
+(function (exports) {
+    // CSS synthesizes oblique faces by slanting the upright one 14 degrees
+    const obliqueSkew = Math.tan(14 * Math.PI / 180);
+
+    class TextOutliner {
+        /**
+         * converter supplies the style cascade, lengths and diagnostics.
+         */
+        constructor(converter) {
+            this.converter = converter;
+        }
+
+        /**
+         * Lays out a text element. Returns runs of glyphs that share the style of the
+         * element they are in: { element, style, opacity, pathData } in user units,
+         * where opacity combines the tspans around the run, its own included, but
+         * not the text element's.
+         * Missing fonts and glyphs are reported on context.
+         */
+        layout(text, style, context) {
+            const converter = this.converter;
+            const characters = this.collapseWhitespace(this.collect(text, style, context));
+            if (characters.length === 0) return [];
+
+            if (!context.fonts || context.fonts.fonts.length === 0) {
+                converter.warn(context, text, 'Text dropped: no fonts are loaded to outline it', 'error');
+                return [];
+            }
+
+            this.assignPositions(characters, context);
+            const glyphs = this.placeGlyphs(text, characters, context);
+
+            const runs = new Map();
+            for (let glyph of glyphs) {
+                const segments = glyph.font.glyphOutline(glyph.index);
+                if (segments.length === 0) continue;
+
+                const { element, style, opacity } = glyph.character;
+                if (!runs.has(element)) runs.set(element, { element, style, opacity, segments: [] });
+                const place = (gx, gy) => [glyph.x + (gx + glyph.skew * gy) * glyph.scale, glyph.y - gy * glyph.scale];
+                for (let { command, values } of segments) {
+                    const placed = [];
+                    for (let i = 0; i < values.length; i += 2) placed.push(...place(values[i], values[i + 1]));
+                    runs.get(element).segments.push({ command, values: placed });
+                }
+            }
+
+            return [...runs.values()].map(({ segments, ...run }) => ({
+                ...run,
+                pathData: converter.serializePathData(segments, { precision: 6 })
+            }));
+        }
+
+        /**
+         * The characters of a text element in document order, each with the
+         * innermost element it is in, that element's style and its ancestors
+         * within the text.
+         */
+        collect(text, style, context) {
+            const converter = this.converter;
+            const characters = [];
+            const visit = (element, style, owners, opacity, preserve) => {
+                if (element.hasAttribute('xml:space')) preserve = element.getAttribute('xml:space') === 'preserve';
+                for (let attribute of ['rotate', 'textLength']) {
+                    if (element.hasAttribute(attribute)) converter.warn(context, element, `${attribute} on ${element.tagName} ignored`, 'info');
+                }
+
+                for (let node of element.childNodes) {
+                    if (node.nodeType === 3) {
+                        for (let character of node.text) characters.push({ character, element, style, owners, opacity, preserve });
+                        continue;
+                    }
+                    if (node.nodeType !== 1) continue;
+
+                    const tagName = node.tagName.toLowerCase();
+                    if (!['tspan', 'a', 'textpath'].includes(tagName)) {
+                        converter.reportSkippedElement(node, context);
+                        continue;
+                    }
+                    const childStyle = converter.computeStyle(node, style, context);
+                    if (childStyle.display === 'none') continue;
+                    if (tagName === 'textpath') {
+                        converter.warn(context, node, 'textPath laid out on a straight line instead of its path');
+                    }
+                    visit(node, childStyle, [...owners, node], opacity * converter.parseOpacity(childStyle.opacity), preserve);
+                }
+            };
+            visit(text, style, [text], 1, false);
+            return characters;
+        }
+
+        /**
+         * SVG's default whitespace handling: newlines are removed, tabs become spaces,
+         * and runs of spaces collapse with leading and trailing ones stripped.
+         * xml:space="preserve" only turns newlines and tabs into spaces.
+         */
+        collapseWhitespace(characters) {
+            const result = [];
+            for (let character of characters) {
+                if (character.preserve) {
+                    result.push({ ...character, character: /[\n\r\t]/.test(character.character) ? ' ' : character.character });
+                    continue;
+                }
+                if (character.character === '\n' || character.character === '\r') continue;
+                const value = character.character === '\t' ? ' ' : character.character;
+                const last = result[result.length - 1];
+                if (value === ' ' && (!last || (last.character === ' ' && !last.preserve))) continue;
+                result.push({ ...character, character: value });
+            }
+            while (result.length > 0 && result[result.length - 1].character === ' ' && !result[result.length - 1].preserve) result.pop();
+            return result;
+        }
+
+        /**
+         * Gives characters their x, y, dx and dy from the attribute lists of the
+         * elements they are in, where the innermost element with a value wins.
+         */
+        assignPositions(characters, context) {
+            const converter = this.converter;
+            const lists = new Map();
+            const listsOf = element => {
+                if (!lists.has(element)) {
+                    const parse = (name, reference) => (element.getAttribute(name) || '').trim().split(/[\s,]+/).filter(Boolean)
+                        .map(value => converter.parseLength(value, reference));
+                    const { width, height } = context.viewport;
+                    lists.set(element, { index: 0, x: parse('x', width), y: parse('y', height), dx: parse('dx', width), dy: parse('dy', height) });
+                }
+                return lists.get(element);
+            };
+
+            for (let character of characters) {
+                for (let owner of character.owners) {
+                    const entry = listsOf(owner);
+                    const index = entry.index++;
+                    for (let name of ['x', 'y', 'dx', 'dy']) {
+                        if (index < entry[name].length && Number.isFinite(entry[name][index])) character[name] = entry[name][index];
+                    }
+                }
+            }
+        }
+
+        /**
+         * Places each character's glyph. An absolute x or y starts a new chunk,
+         * which is shifted afterwards to honor the text-anchor of its first
+         * character. Returns { character, font, index, x, y, scale, skew }.
+         */
+        placeGlyphs(text, characters, context) {
+            const converter = this.converter;
+            const glyphs = [];
+            const missing = new Set();
+            let chunk = null;
+            let previous = null;
+            let x = 0, y = 0;
+
+            const finishChunk = () => {
+                if (!chunk || chunk.glyphs.length === 0) return;
+                const width = x - chunk.start;
+                const shift = chunk.anchor === 'end' ? -width : chunk.anchor === 'middle' ? -width / 2 : 0;
+                chunk.glyphs.forEach(glyph => glyph.x += shift);
+            };
+
+            for (let character of characters) {
+                if (!chunk || character.x !== undefined || character.y !== undefined) {
+                    finishChunk();
+                    x = character.x ?? x;
+                    y = character.y ?? y;
+                    chunk = { start: x, anchor: character.style['text-anchor'], glyphs: [] };
+                    previous = null;
+                }
+                x += character.dx || 0;
+                y += character.dy || 0;
+
+                const face = this.face(text, character.style, context);
+                if (!face) continue;
+                const codePoint = character.character.codePointAt(0);
+                let font = face.font;
+                let index = font.glyphIndex(codePoint);
+                // Like browsers, characters the font lacks come from any font that has them
+                if (index === 0 && codePoint > 0x20) {
+                    font = context.fonts.fonts.find(candidate => candidate.glyphIndex(codePoint) !== 0) || face.font;
+                    index = font.glyphIndex(codePoint);
+                    if (index === 0) {
+                        missing.add(character.character);
+                        continue;
+                    }
+                }
+
+                const scale = face.size / font.unitsPerEm;
+                if (previous && previous.font === font && previous.scale === scale && character.style['font-kerning'] !== 'none') {
+                    x += font.kerning(previous.index, index) * scale;
+                }
+                const glyph = { character, font, index, x, y, scale, skew: face.skew };
+                glyphs.push(glyph);
+                chunk.glyphs.push(glyph);
+                previous = glyph;
+
+                x += font.advance(index) * scale + this.spacing(character.style['letter-spacing'], face.size);
+                if (character.character === ' ') x += this.spacing(character.style['word-spacing'], face.size);
+            }
+            finishChunk();
+
+            if (missing.size > 0) {
+                converter.warn(context, text, `No loaded font has a glyph for ${[...missing].map(character => `"${character}"`).join(', ')}; left out`);
+            }
+            return glyphs;
+        }
+
+        spacing(value, fontSize) {
+            const match = /^([+-]?(?:\d+\.?\d*|\.\d+))em$/i.exec(String(value).trim());
+            if (match) return parseFloat(match[1]) * fontSize;
+            const length = this.converter.parseLength(value, 0);
+            return Number.isFinite(length) ? length : 0;
+        }
+
+        /**
+         * The font, size and synthetic slant a style is drawn with. A family list
+         * that matches no loaded font falls back to context.fallbackFont, which is
+         * reported once per text element and missing family, however many of its
+         * tspans use it; without a fallback the text is dropped.
+         */
+        face(text, style, context) {
+            const converter = this.converter;
+            const families = this.parseFamilies(style['font-family']);
+            const weight = parseFloat(style['font-weight']) || 400;
+            const italic = style['font-style'] === 'italic' || style['font-style'] === 'oblique';
+            const key = `${families.join(',')}|${weight}|${italic}`;
+
+            context.textFaces = context.textFaces || new Map();
+            if (!context.textFaces.has(key)) {
+                const font = context.fonts.match(families, weight, italic);
+                const matched = font ? families.findIndex(family => context.fonts.match([family], weight, italic) === font) : families.length;
+                const fallback = font || (context.fallbackFont ? context.fonts.match([context.fallbackFont], weight, italic) : null);
+                context.textFaces.set(key, { font: fallback, missing: families.slice(0, matched) });
+            }
+            const { font, missing } = context.textFaces.get(key);
+
+            context.textReports = context.textReports || new Map();
+            if (!context.textReports.has(text)) context.textReports.set(text, new Set());
+            const reported = context.textReports.get(text);
+            const missingKey = `missing:${missing.join(',')}:${font ? font.name : ''}`;
+            if (missing.length > 0 && !reported.has(missingKey)) {
+                reported.add(missingKey);
+                const names = `${missing.length > 1 ? 'Fonts' : 'Font'} ${missing.map(family => `"${family}"`).join(', ')}`;
+                const loaded = missing.length > 1 ? 'are not loaded' : 'is not loaded';
+                if (font) {
+                    converter.warn(context, text, `${names} ${loaded}; the text was outlined with ${font.family} instead`);
+                } else {
+                    converter.warn(context, text, `Text dropped: ${names.charAt(0).toLowerCase()}${names.slice(1)} ${loaded} and no fallback font is available`, 'error');
+                }
+            }
+            if (!font) return null;
+
+            if (weight >= 600 && font.weight < 600 && !reported.has(`bold:${font.name}`)) {
+                reported.add(`bold:${font.name}`);
+                converter.warn(context, text, `No bold face of ${font.family} is loaded; the text was outlined in its regular weight`, 'info');
+            }
+            return {
+                font,
+                size: parseFloat(style['font-size']) || 16,
+                skew: italic && !font.italic ? obliqueSkew : 0
+            };
+        }
+
+        parseFamilies(value) {
+            const families = String(value || '').split(',')
+                .map(family => family.trim().replace(/^(['"])(.*)\1$/, '$2').trim())
+                .filter(Boolean);
+            return families.length > 0 ? families : ['sans-serif'];
+        }
+    }
+
+    Object.assign(exports, { TextOutliner });
+})(typeof module !== 'undefined' && module.exports ? module.exports : (globalThis.Svg2Vector = globalThis.Svg2Vector || {}));
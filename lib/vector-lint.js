@@ -0,0 +1,375 @@
+// Android lint for drawables
+//
+// Checks drawable XML against what Android accepts at a given minSdkVersion, in
+// the spirit of the platform's lint: path data long enough to slow drawing,
+// oversized icons, colors Android cannot read, and features newer than the
+// minimum API. Findings are shaped like the converter's diagnostics and name the
+// fixes that apply to them.
+(function (exports, { parseXml, nodeLocation, VectorDrawableConverter, VectorOptimizer, StrokeOutliner }) {
+    const maxPathLength = 800;
+    const maxSize = 200;
+    const penalties = { error: 20, warning: 8, info: 2 };
+    const colorAttributes = ['fillColor', 'strokeColor', 'tint', 'startColor', 'centerColor', 'endColor', 'color'];
+    const androidColor = /^#(?:[0-9a-f]{3,4}|[0-9a-f]{6}|[0-9a-f]{8})$/i;
+
+    // Fixes by name. pngFallbacks is not an edit of the XML; it is left to the caller.
+    const lintFixes = {
+        splitPaths: 'Split long paths',
+        resize: `Shrink to ${maxSize}dp`,
+        normalizeColors: 'Convert colors to hex',
+        flattenGradients: 'Flatten gradients to solid colors',
+        nonZeroFill: 'Rewrite evenOdd paths as nonZero',
+        pngFallbacks: 'Add PNG fallbacks'
+    };
+
+    let shared = null;
+    const helpers = () => {
+        if (!shared) {
+            const converter = new VectorDrawableConverter();
+            shared = { converter, optimizer: new VectorOptimizer(converter), outliner: new StrokeOutliner(converter) };
+        }
+        return shared;
+    };
+
+    const elementsOf = root => [root, ...root.children.flatMap(elementsOf)];
+    const dimension = value => {
+        const match = /^(\d+\.?\d*|\.\d+)dp$/.exec(value || '');
+        return match ? parseFloat(match[1]) : null;
+    };
+
+    /**
+     * Lints drawable or animated-vector XML for a minSdkVersion. Returns
+     * { score, apiLevel, issues }: a score out of 100, the API level the drawable
+     * needs to be drawn natively, and diagnostics ({ severity, message, path,
+     * nodePath, line, column, fixes }) where fixes lists names from lintFixes.
+     * XML that does not parse is left to validateVector and scores 0.
+     */
+    function lintVector(xml, { minSdkVersion = 21 } = {}) {
+        let root;
+        try {
+            root = parseXml(xml).documentElement;
+        } catch (error) {
+            return { score: 0, apiLevel: 21, issues: [] };
+        }
+
+        const { converter } = helpers();
+        const issues = [];
+        const report = (element, severity, message, fixes = []) => issues.push({ severity, message, ...nodeLocation(element), fixes });
+        const beforeNougat = minSdkVersion < 24;
+        let apiLevel = 21;
+
+        for (let element of elementsOf(root)) {
+            const { tagName } = element;
+
+            if ((tagName === 'vector' || tagName === 'animated-vector') && element === root && minSdkVersion < 21) {
+                report(element, 'warning', `<${tagName}> needs API 21; on API ${minSdkVersion}-20 it only loads through AppCompat (vectorDrawables.useSupportLibrary) or PNG fallbacks`, ['pngFallbacks']);
+            }
+            if (tagName === 'vector') {
+                const width = dimension(element.getAttribute('android:width'));
+                const height = dimension(element.getAttribute('android:height'));
+                if (Math.max(width, height) > maxSize) {
+                    report(element, 'warning', `The drawable is ${width}×${height}dp; lint limits vectors to ${maxSize}×${maxSize}dp because larger ones are slow to draw`, ['resize']);
+                }
+            }
+
+            if ((tagName === 'path' || tagName === 'clip-path') && element.hasAttribute('android:pathData')) {
+                const { length } = element.getAttribute('android:pathData');
+                if (length > maxPathLength) {
+                    report(element, 'warning', `android:pathData is ${length} characters long; lint flags paths over ${maxPathLength} as slow to draw`,
+                        splitPathData(element) ? ['splitPaths'] : []);
+                }
+            }
+
+            if (element.getAttribute('android:fillType') === 'evenOdd') {
+                apiLevel = 24;
+                if (beforeNougat) {
+                    report(element, 'warning', `android:fillType needs API 24; on API ${minSdkVersion}-23 evenOdd paths are filled as nonZero`,
+                        nonZeroPathData(element.getAttribute('android:pathData') || '') ? ['nonZeroFill', 'pngFallbacks'] : ['pngFallbacks']);
+                }
+            }
+
+            if (tagName === 'gradient') {
+                apiLevel = 24;
+                if (beforeNougat) {
+                    report(element, 'error', `Gradients need API 24; on API ${minSdkVersion}-23 the drawable fails to load`,
+                        gradientColor(element) ? ['flattenGradients', 'pngFallbacks'] : ['pngFallbacks']);
+                }
+            }
+
+            if (tagName === 'objectAnimator' && element.getAttribute('android:propertyName') === 'pathData' && minSdkVersion < 21) {
+                report(element, 'warning', `Morphing pathData needs API 21; AnimatedVectorDrawableCompat cannot morph paths on API ${minSdkVersion}-20`);
+            }
+
+            for (let attribute of colorAttributes) {
+                const value = element.getAttribute(`android:${attribute}`);
+                if (value === null || /^[@?]/.test(value) || androidColor.test(value.trim())) continue;
+                report(element, 'error', `android:${attribute}="${value}" is not a color Android can read; use #RGB, #ARGB, #RRGGBB or #AARRGGBB`,
+                    converter.normalizeColor(value) ? ['normalizeColors'] : []);
+            }
+        }
+
+        const score = Math.max(0, 100 - issues.reduce((total, { severity }) => total + penalties[severity], 0));
+        return { score, apiLevel, issues };
+    }
+
+    /**
+     * Applies one of the lintFixes to every element it concerns and returns the
+     * new XML, formatted if the input was. XML it cannot parse comes back as is.
+     */
+    function fixVector(xml, fix) {
+        let root;
+        try {
+            root = parseXml(xml).documentElement;
+        } catch (error) {
+            return xml;
+        }
+        const { converter } = helpers();
+
+        for (let element of elementsOf(root)) {
+            if (fix === 'resize' && element.tagName === 'vector') {
+                const width = dimension(element.getAttribute('android:width'));
+                const height = dimension(element.getAttribute('android:height'));
+                const factor = maxSize / Math.max(width, height);
+                if (factor < 1) {
+                    element.setAttribute('android:width', `${converter.formatNumber(width * factor)}dp`);
+                    element.setAttribute('android:height', `${converter.formatNumber(height * factor)}dp`);
+                }
+            } else if (fix === 'splitPaths' && element.tagName === 'path') {
+                const chunks = element.getAttribute('android:pathData')?.length > maxPathLength && splitPathData(element);
+                if (chunks) {
+                    const copies = chunks.map(pathData => {
+                        const copy = cloneElement(element, element.parentNode);
+                        copy.setAttribute('android:pathData', pathData);
+                        return copy;
+                    });
+                    replaceElement(element, copies);
+                }
+            } else if (fix === 'normalizeColors') {
+                for (let attribute of colorAttributes) {
+                    const value = element.getAttribute(`android:${attribute}`);
+                    const color = value !== null && !/^[@?]/.test(value) && !androidColor.test(value.trim()) && converter.normalizeColor(value);
+                    if (color) element.setAttribute(`android:${attribute}`, color);
+                }
+            } else if (fix === 'flattenGradients' && element.tagName === 'aapt:attr' && element.children[0]?.tagName === 'gradient') {
+                const color = gradientColor(element.children[0]);
+                if (color) {
+                    element.parentNode.setAttribute(element.getAttribute('name'), color);
+                    replaceElement(element, []);
+                }
+            } else if (fix === 'nonZeroFill' && element.getAttribute('android:fillType') === 'evenOdd') {
+                const pathData = nonZeroPathData(element.getAttribute('android:pathData') || '');
+                if (pathData !== null) {
+                    element.setAttribute('android:pathData', pathData);
+                    element.removeAttribute('android:fillType');
+                }
+            }
+        }
+
+        const pretty = xml.includes('\n');
+        return serializeElement(root, 0, pretty).trimEnd();
+    }
+
+    function serializeElement(element, depth, pretty) {
+        const children = element.children.map(child => serializeElement(child, depth + 1, pretty));
+        return helpers().converter.serializeElement(element.tagName, element.attributes.map(({ name, value }) => [name, value]), children, depth, pretty);
+    }
+
+    function cloneElement(element, parentNode) {
+        const copy = Object.assign(Object.create(Object.getPrototypeOf(element)), element, {
+            attributes: element.attributes.map(attribute => ({ ...attribute })),
+            parentNode,
+            children: [],
+            childNodes: []
+        });
+        element.children.forEach(child => copy.appendChild(cloneElement(child, copy)));
+        return copy;
+    }
+
+    function replaceElement(element, replacements) {
+        const parent = element.parentNode;
+        const swap = nodes => nodes.flatMap(node => node === element ? replacements : [node]);
+        parent.children = swap(parent.children);
+        parent.childNodes = swap(parent.childNodes);
+    }
+
+    // Decimal places used in path data, so rewritten paths round the same way
+    function precisionOf(pathData) {
+        return Math.min(6, Math.max(0, ...(pathData.match(/\.\d+/g) || []).map(digits => digits.length - 1)));
+    }
+
+    function subpathsOf(segments) {
+        const subpaths = [];
+        segments.forEach(segment => {
+            if (segment.command === 'M' || subpaths.length === 0) subpaths.push([]);
+            subpaths[subpaths.length - 1].push(segment);
+        });
+        return subpaths;
+    }
+
+    /**
+     * Splits a path's data at subpaths into pieces of at most maxPathLength
+     * characters where it can. Subpaths whose bounds overlap stay together, since
+     * a hole only cuts its outline within the same path. Animated, trimmed and
+     * unsplittable paths give null.
+     */
+    function splitPathData(element) {
+        if (element.tagName !== 'path' || element.hasAttribute('android:name') ||
+            ['trimPathStart', 'trimPathEnd', 'trimPathOffset'].some(name => element.hasAttribute(`android:${name}`))) return null;
+
+        const { converter, optimizer } = helpers();
+        const pathData = element.getAttribute('android:pathData');
+        if (converter.parsePathData(pathData).error) return null;
+
+        const stroke = {
+            strokeColor: element.getAttribute('android:strokeColor') || element.children.some(child => child.getAttribute('name') === 'android:strokeColor'),
+            strokeWidth: element.getAttribute('android:strokeWidth') || '0',
+            strokeLineJoin: [null, 'miter'].includes(element.getAttribute('android:strokeLineJoin')) ? undefined : 'other',
+            strokeMiterLimit: element.getAttribute('android:strokeMiterLimit') || undefined
+        };
+        // Bounds need absolute coordinates, so H, V and relative commands are resolved first
+        const subpaths = subpathsOf(optimizer.normalize(pathData));
+        const bounds = subpaths.map(subpath => optimizer.segmentBounds({ segments: subpath, ...stroke }));
+
+        // Clusters of overlapping subpaths, by the index of their first subpath
+        const cluster = subpaths.map((_, i) => i);
+        const find = i => cluster[i] === i ? i : (cluster[i] = find(cluster[i]));
+        bounds.forEach((a, i) => bounds.slice(i + 1).forEach((b, offset) => {
+            if (a && b && optimizer.overlaps(a, b)) cluster[find(i + 1 + offset)] = find(i);
+        }));
+        const clusters = new Map();
+        subpaths.forEach((subpath, i) => {
+            const key = find(i);
+            clusters.set(key, [...(clusters.get(key) || []), ...subpath]);
+        });
+        if (clusters.size < 2) return null;
+
+        const format = { precision: precisionOf(pathData), mode: 'absolute' };
+        const chunks = [];
+        let chunk = [];
+        for (let group of clusters.values()) {
+            const joined = [...chunk, ...group];
+            if (chunk.length > 0 && converter.serializePathData(joined, format).length > maxPathLength) {
+                chunks.push(chunk);
+                chunk = group;
+            } else {
+                chunk = joined;
+            }
+        }
+        chunks.push(chunk);
+        return chunks.length > 1 ? chunks.map(part => converter.serializePathData(part, format)) : null;
+    }
+
+    /**
+     * Path data that fills under nonZero what pathData fills under evenOdd:
+     * subpaths are turned to wind one way at even nesting depths and the other
+     * way at odd ones. That holds only when no outline crosses another or
+     * itself, so for those, or paths too large to check, it gives null.
+     */
+    function nonZeroPathData(pathData) {
+        const { converter, optimizer, outliner } = helpers();
+        if (converter.parsePathData(pathData).error) return null;
+
+        const subpaths = subpathsOf(optimizer.normalize(pathData));
+        const format = { precision: precisionOf(pathData), mode: 'absolute' };
+        const polygons = [];
+        for (let subpath of subpaths) {
+            const polylines = converter.flattenPathData(converter.serializePathData(subpath, format));
+            if (polylines.length > 1 || (polylines[0]?.length || 0) > 1000) return null;
+            polygons.push(polylines[0] || []);
+        }
+        if (polygons.some(crossesItself)) return null;
+
+        const depths = polygons.map(() => 0);
+        for (let i = 0; i < polygons.length; i++) {
+            for (let j = 0; j < polygons.length; j++) {
+                if (i === j || polygons[i].length < 3) continue;
+                const inside = polygons[j].filter(point => outliner.contains(polygons[i], point)).length;
+                if (inside > 0 && inside < polygons[j].length) return null;
+                if (inside > 0) depths[j]++;
+            }
+        }
+
+        const oriented = subpaths.flatMap((subpath, i) => {
+            const area = outliner.signedArea(polygons[i]);
+            const wanted = depths[i] % 2 === 0 ? 1 : -1;
+            return area !== 0 && Math.sign(area) !== wanted ? reverseSubpath(subpath) : subpath;
+        });
+        return converter.serializePathData(oriented, format);
+    }
+
+    function crossesItself(polygon) {
+        const orientation = (a, b, c) => Math.sign((b[0] - a[0]) * (c[1] - a[1]) - (b[1] - a[1]) * (c[0] - a[0]));
+        const count = polygon.length;
+        for (let i = 0; i < count; i++) {
+            const [a, b] = [polygon[i], polygon[(i + 1) % count]];
+            for (let j = i + 2; j < count; j++) {
+                if (i === 0 && j === count - 1) continue;
+                const [c, d] = [polygon[j], polygon[(j + 1) % count]];
+                if (orientation(a, b, c) * orientation(a, b, d) < 0 && orientation(c, d, a) * orientation(c, d, b) < 0) return true;
+            }
+        }
+        return false;
+    }
+
+    // Reverses a normalized subpath (M, L, C, Q, A and Z) without changing its shape
+    function reverseSubpath(subpath) {
+        const closed = subpath[subpath.length - 1].command === 'Z';
+        const drawn = subpath.filter(({ command }) => command !== 'M' && command !== 'Z');
+        const points = [subpath[0].values.slice(-2), ...drawn.map(({ values }) => values.slice(-2))];
+        const end = points[points.length - 1];
+
+        const reversed = drawn.map(({ command, values }, i) => {
+            const [x, y] = points[i];
+            switch (command) {
+                case 'C': return { command, values: [values[2], values[3], values[0], values[1], x, y] };
+                case 'Q': return { command, values: [values[0], values[1], x, y] };
+                case 'A': return { command, values: [...values.slice(0, 4), values[4] ? 0 : 1, x, y] };
+                default: return { command: 'L', values: [x, y] };
+            }
+        }).reverse();
+
+        if (!closed) return [{ command: 'M', values: end }, ...reversed];
+        const [start] = points;
+        const closing = end[0] !== start[0] || end[1] !== start[1] ? [{ command: 'L', values: end }] : [];
+        return [{ command: 'M', values: start }, ...closing, ...reversed, { command: 'Z', values: [] }];
+    }
+
+    /**
+     * The average color of a gradient's stops, weighted by the stretch each
+     * covers, as #RRGGBB or #AARRGGBB; null when a stop is not a plain color.
+     */
+    function gradientColor(gradient) {
+        const items = gradient.children.filter(child => child.tagName === 'item');
+        const stops = items.length > 0
+            ? items.map(item => [parseFloat(item.getAttribute('android:offset')), item.getAttribute('android:color')])
+            : [[0, gradient.getAttribute('android:startColor')], [0.5, gradient.getAttribute('android:centerColor')], [1, gradient.getAttribute('android:endColor')]]
+                .filter(([, color]) => color !== null);
+        if (stops.length === 0 || stops.some(([offset, color]) => isNaN(offset) || !androidColor.test(color || ''))) return null;
+
+        const channels = stops
+            .map(([offset, color]) => {
+                const hex = color.slice(1).length <= 4 ? color.slice(1).replace(/./g, '$&$&') : color.slice(1);
+                const argb = (hex.length === 6 ? `ff${hex}` : hex).match(/../g).map(pair => parseInt(pair, 16));
+                return { offset: Math.min(1, Math.max(0, offset)), argb };
+            })
+            .sort((a, b) => a.offset - b.offset);
+
+        // Each stop holds its color out to the ends, and neighbours blend linearly
+        const edges = [{ ...channels[0], offset: 0 }, ...channels, { ...channels[channels.length - 1], offset: 1 }];
+        const average = [0, 0, 0, 0];
+        for (let i = 1; i < edges.length; i++) {
+            const width = edges[i].offset - edges[i - 1].offset;
+            average.forEach((_, c) => { average[c] += width * (edges[i - 1].argb[c] + edges[i].argb[c]) / 2; });
+        }
+
+        const [a, ...rgb] = average.map(value => Math.round(value).toString(16).padStart(2, '0'));
+        return `#${a === 'ff' ? '' : a}${rgb.join('')}`.toUpperCase();
+    }
+
+    Object.assign(exports, { lintFixes, lintVector, fixVector });
+})(
+    typeof module !== 'undefined' && module.exports ? module.exports : (globalThis.Svg2Vector = globalThis.Svg2Vector || {}),
+    typeof module !== 'undefined' && module.exports
+        ? { ...require('./xml'), ...require('./converter'), ...require('./optimizer'), ...require('./outline') }
+        : globalThis.Svg2Vector
+);
@@ -0,0 +1,243 @@
+// VectorDrawable schema validation
+//
+// Checks drawable XML, typically edited by hand, against what the framework
+// inflates: the elements it knows, where each may appear, their attributes and
+// the values those accept. Findings are shaped like the converter's diagnostics.
+(function (exports, { parseXml, nodeLocation, VectorDrawableConverter }) {
+    const interpolators = [
+        'pathInterpolator', 'linearInterpolator', 'accelerateInterpolator', 'decelerateInterpolator',
+        'accelerateDecelerateInterpolator', 'anticipateInterpolator', 'overshootInterpolator',
+        'anticipateOvershootInterpolator', 'bounceInterpolator', 'cycleInterpolator'
+    ];
+    const animatorAttributes = {
+        propertyName: 'string', propertyXName: 'string', propertyYName: 'string', pathData: 'pathData',
+        valueFrom: 'string', valueTo: 'string', valueType: ['floatType', 'intType', 'colorType', 'pathType'],
+        duration: 'integer', startOffset: 'integer', repeatCount: 'repeatCount', repeatMode: ['restart', 'reverse'],
+        interpolator: 'reference'
+    };
+
+    // Elements by tag: the parents they may appear in (null for the root), their
+    // android: attributes with their value types, and the attributes they require
+    const schema = {
+        'vector': {
+            parents: [null, 'aapt:attr'],
+            required: ['width', 'height', 'viewportWidth', 'viewportHeight'],
+            attributes: {
+                name: 'string', width: 'dimension', height: 'dimension', viewportWidth: 'positive', viewportHeight: 'positive',
+                tint: 'color', tintMode: ['src_over', 'src_in', 'src_atop', 'multiply', 'screen', 'add'],
+                autoMirrored: 'boolean', alpha: 'fraction', opticalInsetLeft: 'dimension', opticalInsetTop: 'dimension',
+                opticalInsetRight: 'dimension', opticalInsetBottom: 'dimension'
+            }
+        },
+        'group': {
+            parents: ['vector', 'group'],
+            attributes: {
+                name: 'string', rotation: 'float', pivotX: 'float', pivotY: 'float', scaleX: 'float', scaleY: 'float',
+                translateX: 'float', translateY: 'float'
+            }
+        },
+        'path': {
+            parents: ['vector', 'group'],
+            required: ['pathData'],
+            attributes: {
+                name: 'string', pathData: 'pathData', fillColor: 'color', fillAlpha: 'fraction', strokeColor: 'color',
+                strokeAlpha: 'fraction', strokeWidth: 'nonNegative', strokeLineCap: ['butt', 'round', 'square'],
+                strokeLineJoin: ['miter', 'round', 'bevel'], strokeMiterLimit: 'nonNegative', fillType: ['nonZero', 'evenOdd'],
+                trimPathStart: 'fraction', trimPathEnd: 'fraction', trimPathOffset: 'float'
+            }
+        },
+        'clip-path': {
+            parents: ['vector', 'group'],
+            required: ['pathData'],
+            attributes: { name: 'string', pathData: 'pathData', fillType: ['nonZero', 'evenOdd'] }
+        },
+        'gradient': {
+            parents: ['aapt:attr'],
+            attributes: {
+                type: ['linear', 'radial', 'sweep'], startX: 'float', startY: 'float', endX: 'float', endY: 'float',
+                centerX: 'float', centerY: 'float', gradientRadius: 'positive', startColor: 'color', centerColor: 'color',
+                endColor: 'color', tileMode: ['clamp', 'repeat', 'mirror']
+            }
+        },
+        'item': {
+            parents: ['gradient'],
+            required: ['offset', 'color'],
+            attributes: { offset: 'fraction', color: 'color' }
+        },
+        'animated-vector': {
+            parents: [null],
+            attributes: { drawable: 'reference' }
+        },
+        'target': {
+            parents: ['animated-vector'],
+            required: ['name'],
+            attributes: { name: 'string', animation: 'reference' }
+        },
+        'set': {
+            parents: ['aapt:attr', 'set'],
+            attributes: { ordering: ['together', 'sequentially'] }
+        },
+        'objectAnimator': {
+            parents: ['aapt:attr', 'set'],
+            attributes: animatorAttributes
+        },
+        'propertyValuesHolder': {
+            parents: ['objectAnimator'],
+            attributes: { propertyName: 'string', valueFrom: 'string', valueTo: 'string', valueType: animatorAttributes.valueType }
+        },
+        'keyframe': {
+            parents: ['propertyValuesHolder'],
+            attributes: { fraction: 'fraction', value: 'string', valueType: animatorAttributes.valueType, interpolator: 'reference' }
+        },
+        ...Object.fromEntries(interpolators.map(tag => [tag, {
+            parents: ['aapt:attr'],
+            attributes: tag === 'pathInterpolator'
+                ? { controlX1: 'float', controlY1: 'float', controlX2: 'float', controlY2: 'float', pathData: 'pathData' }
+                : { factor: 'float', tension: 'float', extraTension: 'float', cycles: 'float' }
+        }]))
+    };
+
+    // What an <aapt:attr> may define, by the attribute it names
+    const inlineResources = {
+        'android:drawable': ['vector'],
+        'android:animation': ['set', 'objectAnimator'],
+        'android:fillColor': ['gradient'],
+        'android:strokeColor': ['gradient'],
+        'android:interpolator': interpolators
+    };
+
+    const number = /^[+-]?(?:\d+\.?\d*|\.\d+)(?:[eE][+-]?\d+)?$/;
+    const valueTypes = {
+        string: () => true,
+        reference: value => /^[@?]/.test(value),
+        boolean: value => value === 'true' || value === 'false',
+        integer: value => /^[+-]?\d+$/.test(value),
+        repeatCount: value => /^[+-]?\d+$/.test(value) || value === 'infinite',
+        float: value => number.test(value),
+        positive: value => number.test(value) && parseFloat(value) > 0,
+        nonNegative: value => number.test(value) && parseFloat(value) >= 0,
+        fraction: value => number.test(value) && parseFloat(value) >= 0 && parseFloat(value) <= 1,
+        dimension: value => /^(?:\d+\.?\d*|\.\d+)(?:dp|dip|px|sp|pt|in|mm)$/.test(value),
+        color: value => /^#(?:[0-9a-f]{3,4}|[0-9a-f]{6}|[0-9a-f]{8})$/i.test(value),
+        pathData: () => true
+    };
+    const typeNames = {
+        boolean: 'true or false', integer: 'an integer', repeatCount: 'an integer or "infinite"', float: 'a number',
+        positive: 'a positive number', nonNegative: 'a number of at least 0', fraction: 'a number from 0 to 1',
+        dimension: 'a dimension such as "24dp"', color: 'a color (#RGB, #ARGB, #RRGGBB or #AARRGGBB)', reference: 'a resource reference'
+    };
+
+    let pathParser = null;
+
+    /**
+     * Validates VectorDrawable or animated-vector XML. Returns diagnostics
+     * ({ severity, message, path, nodePath, line, column }); malformed XML gives a
+     * single error at the parser's position instead of throwing.
+     */
+    function validateVector(xml) {
+        pathParser = pathParser || new VectorDrawableConverter();
+        let root;
+        try {
+            root = parseXml(xml).documentElement;
+        } catch (error) {
+            const message = error.message.replace(/ at line \d+, column \d+$/, '');
+            return [{ severity: 'error', message, path: '', nodePath: [], line: error.line ?? null, column: error.column ?? null }];
+        }
+
+        const issues = [];
+        const report = (element, message, severity = 'error') => issues.push({ severity, message, ...nodeLocation(element) });
+
+        if (root.tagName !== 'vector' && root.tagName !== 'animated-vector') {
+            report(root, `The root element must be <vector> or <animated-vector>, not <${root.tagName}>`);
+            return issues;
+        }
+        if (!root.hasAttribute('xmlns:android')) {
+            report(root, 'xmlns:android="http://schemas.android.com/apk/res/android" is missing, so no android: attribute is read');
+        }
+
+        let aaptDeclared = root.hasAttribute('xmlns:aapt');
+        const visit = (element, parent) => {
+            if (element.tagName === 'aapt:attr') {
+                if (!aaptDeclared) {
+                    report(element, 'xmlns:aapt="http://schemas.android.com/aapt" must be declared on the root element to use <aapt:attr>');
+                    aaptDeclared = true;
+                }
+                validateInlineResource(element, parent, report);
+            } else {
+                validateElement(element, parent, report);
+            }
+            element.children.forEach(child => visit(child, element));
+        };
+        visit(root, null);
+        return issues;
+    }
+
+    function validateInlineResource(element, parent, report) {
+        const name = element.getAttribute('name');
+        const allowed = inlineResources[name];
+        if (!allowed) {
+            report(element, name ? `<aapt:attr name="${name}"> cannot be inlined` : '<aapt:attr> needs a name attribute');
+            return;
+        }
+        if (!parent || !schema[parent.tagName]?.attributes[name.slice(8)]) {
+            report(element, `<aapt:attr name="${name}"> cannot be inside <${parent ? parent.tagName : 'nothing'}>`);
+        } else if (parent.hasAttribute(name)) {
+            report(element, `${name} is set both as an attribute and as an <aapt:attr>; the <aapt:attr> wins`, 'warning');
+        }
+        if (element.children.length !== 1) {
+            report(element, `<aapt:attr name="${name}"> must contain exactly one element`);
+        } else if (!allowed.includes(element.children[0].tagName)) {
+            report(element.children[0], `<${element.children[0].tagName}> cannot be used as ${name}`);
+        }
+    }
+
+    function validateElement(element, parent, report) {
+        const definition = schema[element.tagName];
+        if (!definition) {
+            report(element, `<${element.tagName}> is not part of a VectorDrawable`);
+            return;
+        }
+        const parentTag = parent ? parent.tagName : null;
+        if (!definition.parents.includes(parentTag)) {
+            report(element, parent ? `<${element.tagName}> cannot be inside <${parentTag}>` : `<${element.tagName}> cannot be the root element`);
+        }
+
+        for (let { name, value } of element.attributes) {
+            if (!name.startsWith('android:')) {
+                if (!name.includes(':') && name !== 'xmlns') {
+                    report(element, `${name} has no namespace and is ignored; Android attributes need the android: prefix`, 'warning');
+                }
+                continue;
+            }
+
+            const attribute = name.slice(8);
+            const type = definition.attributes[attribute];
+            if (!type) {
+                report(element, `${name} is not an attribute of <${element.tagName}> and is ignored`, 'warning');
+            } else if (Array.isArray(type)) {
+                if (!type.includes(value)) report(element, `${name}="${value}" must be one of ${type.join(', ')}`);
+            } else if (/^[@?]/.test(value)) {
+                if (!/^[@?](?:[\w.]+:)?(?:\w+\/)?[\w.]+$/.test(value)) report(element, `${name}="${value}" is not a valid resource reference`);
+            } else if (type === 'pathData') {
+                const { error } = pathParser.parsePathData(value);
+                if (error) report(element, `${name}: ${error}`);
+            } else if (!valueTypes[type](value.trim())) {
+                report(element, `${name}="${value}" must be ${typeNames[type]}`);
+            }
+        }
+
+        for (let attribute of definition.required || []) {
+            const inline = element.children.some(child => child.tagName === 'aapt:attr' && child.getAttribute('name') === `android:${attribute}`);
+            if (!element.hasAttribute(`android:${attribute}`) && !inline) {
+                report(element, `<${element.tagName}> requires android:${attribute}`);
+            }
+        }
+    }
+
+    Object.assign(exports, { validateVector });
+})(
+    typeof module !== 'undefined' && module.exports ? module.exports : (globalThis.Svg2Vector = globalThis.Svg2Vector || {}),
+    typeof module !== 'undefined' && module.exports
+        ? { ...require('./xml'), ...require('./converter') }
+        : globalThis.Svg2Vector
+);
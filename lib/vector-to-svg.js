@@ -0,0 +1,570 @@
+// VectorDrawable to SVG Converter
+//
+// The reverse direction: reads Android VectorDrawable XML and writes an
+// equivalent standalone SVG, so drawables that only exist in an app can be
+// brought back into design tools. Animated vectors are read as their drawable,
+// optionally with the animations played up to a point in time.
+(function (exports, { parseXml, nodeLocation, escapeXml, VectorDrawableConverter }) {
+    const defaultOptions = {
+        colors: {},
+        defaultColor: '#000000',
+        pretty: true,
+        idPrefix: '',
+        includeSize: true,
+        width: null,
+        height: null,
+        time: null
+    };
+
+    // Platform interpolators by resource name, and the inline elements that match them
+    const cubicBezier = (x1, y1, x2, y2) => x => {
+        const point = (t, a, b) => 3 * a * t * (1 - t) ** 2 + 3 * b * t * t * (1 - t) + t ** 3;
+        let low = 0, high = 1;
+        for (let i = 0; i < 30; i++) {
+            const middle = (low + high) / 2;
+            if (point(middle, x1, x2) < x) low = middle;
+            else high = middle;
+        }
+        return point((low + high) / 2, y1, y2);
+    };
+    const interpolators = {
+        linear: t => t,
+        accelerate: t => t * t,
+        decelerate: t => 1 - (1 - t) * (1 - t),
+        accelerate_decelerate: t => Math.cos((t + 1) * Math.PI) / 2 + 0.5,
+        fast_out_slow_in: cubicBezier(0.4, 0, 0.2, 1),
+        fast_out_linear_in: cubicBezier(0.4, 0, 1, 1),
+        linear_out_slow_in: cubicBezier(0, 0, 0.2, 1)
+    };
+    const interpolatorElements = {
+        linearInterpolator: 'linear',
+        accelerateInterpolator: 'accelerate',
+        decelerateInterpolator: 'decelerate',
+        accelerateDecelerateInterpolator: 'accelerate_decelerate'
+    };
+
+    class VectorToSvgConverter {
+        /**
+         * Converts VectorDrawable XML to SVG markup. Returns the SVG together with
+         * diagnostics, shaped like the forward converter's, for anything SVG cannot
+         * express; malformed XML throws.
+         * options.colors maps color references such as "?attr/colorPrimary" or
+         * "@color/brand" to concrete colors; unmapped ones use defaultColor. For an
+         * <animated-vector>, options.time (ms) plays its animations up to that point.
+         */
+        convert(xml, options = {}) {
+            options = { ...defaultOptions, ...options };
+            const context = { options, warnings: [], defs: [], ids: new Set() };
+            let vector = parseXml(xml).documentElement;
+            if (vector.tagName === 'animated-vector') {
+                vector = this.animatedDrawable(vector, options.time, context);
+            }
+            if (vector.tagName !== 'vector') {
+                throw new Error('Invalid VectorDrawable: the root element must be <vector>');
+            }
+
+            const number = (name, fallback) => {
+                const value = parseFloat(vector.getAttribute(`android:${name}`));
+                return isNaN(value) ? fallback : value;
+            };
+            const viewportWidth = number('viewportWidth', number('width', 24));
+            const viewportHeight = number('viewportHeight', number('height', 24));
+
+            let children = this.convertChildren(vector, context);
+            const alpha = number('alpha', 1);
+            if (alpha < 1 && children.length > 0) {
+                children = [this.element('g', [['opacity', this.formatNumber(alpha)]], children)];
+            }
+            if (vector.hasAttribute('android:tint')) {
+                this.warn(context, vector, 'android:tint is not supported in SVG; the untinted colors were kept');
+            }
+
+            // Without a size (includeSize: false) the SVG scales to whatever contains it
+            const attributes = [['xmlns', 'http://www.w3.org/2000/svg']];
+            if (options.includeSize) {
+                attributes.push(
+                    ['width', this.formatNumber(options.width ?? number('width', viewportWidth))],
+                    ['height', this.formatNumber(options.height ?? number('height', viewportHeight))]
+                );
+            }
+            // A drawable stretches its viewport over its size, whatever the aspect ratio
+            attributes.push(
+                ['viewBox', `0 0 ${this.formatNumber(viewportWidth)} ${this.formatNumber(viewportHeight)}`],
+                ['preserveAspectRatio', 'none']
+            );
+            if (context.defs.length > 0) children.unshift(this.element('defs', [], context.defs));
+
+            const svg = this.serialize(this.element('svg', attributes, children), 0, options.pretty).trimEnd();
+            return { svg, warnings: context.warnings };
+        }
+
+        /**
+         * Converts the children of a <vector> or <group>. A <clip-path> clips the
+         * siblings that follow it, so everything after one is wrapped in a clipped <g>.
+         */
+        convertChildren(parent, context) {
+            const nodes = [];
+            let target = nodes;
+
+            for (let child of parent.children) {
+                if (child.tagName === 'clip-path') {
+                    const pathData = child.getAttribute('android:pathData');
+                    if (!pathData) continue;
+
+                    const id = this.uniqueId(child.getAttribute('android:name') || 'clip', context);
+                    const clipAttributes = [['d', pathData]];
+                    if (child.getAttribute('android:fillType') === 'evenOdd') clipAttributes.push(['clip-rule', 'evenodd']);
+                    context.defs.push(this.element('clipPath', [['id', id]], [this.element('path', clipAttributes)]));
+
+                    const clipped = this.element('g', [['clip-path', `url(#${id})`]], []);
+                    target.push(clipped);
+                    target = clipped.children;
+                } else if (child.tagName === 'group') {
+                    const attributes = [];
+                    const name = child.getAttribute('android:name');
+                    if (name) attributes.push(['id', this.uniqueId(name, context)]);
+                    const transform = this.groupTransform(child);
+                    if (transform) attributes.push(['transform', transform]);
+                    target.push(this.element('g', attributes, this.convertChildren(child, context)));
+                } else if (child.tagName === 'path') {
+                    const path = this.convertPath(child, context);
+                    if (path) target.push(path);
+                } else if (child.tagName !== 'aapt:attr') {
+                    this.warn(context, child, `<${child.tagName}> is not part of a VectorDrawable and was skipped`, 'error');
+                }
+            }
+
+            return nodes;
+        }
+
+        /**
+         * The inline drawable of an animated vector, with every animated property set
+         * to its value at time when one is given.
+         */
+        animatedDrawable(root, time, context) {
+            const drawable = this.inlineAttribute(root, 'android:drawable');
+            if (drawable?.tagName !== 'vector') {
+                throw new Error('Invalid animated vector: the drawable must be an inline <vector> in <aapt:attr name="android:drawable">');
+            }
+            if (time === null || time === undefined) {
+                this.warn(context, root, 'animations are not exported to SVG; the drawable is shown before they start', 'info');
+                return drawable;
+            }
+
+            const named = new Map();
+            const visit = element => element.children.forEach(child => {
+                const name = child.getAttribute('android:name');
+                if (name && !named.has(name)) named.set(name, child);
+                visit(child);
+            });
+            visit(drawable);
+
+            for (let target of root.children.filter(child => child.tagName === 'target')) {
+                const element = named.get(target.getAttribute('android:name'));
+                const animation = this.inlineAttribute(target, 'android:animation');
+                if (element && animation) this.runAnimator(animation, element, time, 0);
+            }
+            return drawable;
+        }
+
+        inlineAttribute(element, name) {
+            const attr = element.children.find(child => child.tagName === 'aapt:attr' && child.getAttribute('name') === name);
+            return attr?.children[0] || null;
+        }
+
+        animatorTiming(animator) {
+            const number = (name, fallback) => {
+                const value = parseFloat(animator.getAttribute(`android:${name}`));
+                return isNaN(value) ? fallback : value;
+            };
+            return {
+                duration: number('duration', 300),
+                startOffset: number('startOffset', 0),
+                repeatCount: number('repeatCount', 0),
+                reverse: animator.getAttribute('android:repeatMode') === 'reverse'
+            };
+        }
+
+        /**
+         * Length of an animator or set in ms. Endless repeats are Infinity, or one
+         * cycle (there and back when reversing) with cycle set.
+         */
+        animatorLength(animator, cycle = false) {
+            if (animator.tagName === 'set') {
+                const lengths = animator.children
+                    .filter(child => child.tagName !== 'aapt:attr')
+                    .map(child => this.animatorLength(child, cycle));
+                return animator.getAttribute('android:ordering') === 'sequentially'
+                    ? lengths.reduce((total, length) => total + length, 0)
+                    : Math.max(0, ...lengths);
+            }
+
+            const { duration, startOffset, repeatCount, reverse } = this.animatorTiming(animator);
+            if (repeatCount < 0) return cycle ? startOffset + duration * (reverse ? 2 : 1) : Infinity;
+            return startOffset + duration * (repeatCount + 1);
+        }
+
+        /**
+         * Applies an animator, or every animator of a set, to element as it stands
+         * time ms after start.
+         */
+        runAnimator(animator, element, time, start) {
+            if (animator.tagName === 'set') {
+                const sequential = animator.getAttribute('android:ordering') === 'sequentially';
+                let offset = start;
+                for (let child of animator.children.filter(child => child.tagName !== 'aapt:attr')) {
+                    this.runAnimator(child, element, time, offset);
+                    if (sequential) offset += this.animatorLength(child);
+                }
+                return;
+            }
+            if (animator.tagName !== 'objectAnimator') return;
+
+            const { duration, startOffset, repeatCount, reverse } = this.animatorTiming(animator);
+            const elapsed = time - start - startOffset;
+            if (elapsed < 0) return;
+
+            let iteration = 0;
+            let fraction = 1;
+            if (duration > 0) {
+                iteration = Math.floor(elapsed / duration);
+                fraction = elapsed / duration - iteration;
+                if (repeatCount >= 0 && iteration > repeatCount) {
+                    iteration = repeatCount;
+                    fraction = 1;
+                }
+            }
+            if (reverse && iteration % 2 === 1) fraction = 1 - fraction;
+            fraction = this.interpolator(animator, 'accelerate_decelerate')(fraction);
+
+            const holders = animator.hasAttribute('android:propertyName')
+                ? [animator]
+                : animator.children.filter(child => child.tagName === 'propertyValuesHolder');
+            for (let holder of holders) {
+                const property = `android:${holder.getAttribute('android:propertyName')}`;
+                const type = holder.getAttribute('android:valueType');
+                const keyframes = holder.children.filter(child => child.tagName === 'keyframe');
+                let value;
+
+                if (keyframes.length > 1) {
+                    const fractions = keyframes.map((keyframe, i) => {
+                        const value = parseFloat(keyframe.getAttribute('android:fraction'));
+                        return isNaN(value) ? i / (keyframes.length - 1) : value;
+                    });
+                    let k = 1;
+                    while (k < keyframes.length - 1 && fraction > fractions[k]) k++;
+                    const span = fractions[k] - fractions[k - 1];
+                    const t = span > 0 ? Math.min(1, Math.max(0, (fraction - fractions[k - 1]) / span)) : 1;
+                    value = this.mixValues(keyframes[k - 1].getAttribute('android:value'), keyframes[k].getAttribute('android:value'),
+                        this.interpolator(keyframes[k], 'linear')(t), type, property, element);
+                } else if (keyframes.length === 1) {
+                    value = keyframes[0].getAttribute('android:value');
+                } else {
+                    value = this.mixValues(holder.getAttribute('android:valueFrom'), holder.getAttribute('android:valueTo'),
+                        fraction, type, property, element);
+                }
+                if (value !== null) element.setAttribute(property, value);
+            }
+        }
+
+        /**
+         * The timing curve of an animator or keyframe, from its android:interpolator
+         * reference or an inline interpolator element.
+         */
+        interpolator(element, fallback) {
+            const inline = this.inlineAttribute(element, 'android:interpolator');
+            if (inline?.tagName === 'pathInterpolator') {
+                const control = name => parseFloat(inline.getAttribute(`android:${name}`));
+                const pathData = inline.getAttribute('android:pathData');
+                if (!pathData) {
+                    return cubicBezier(control('controlX1') || 0, control('controlY1') || 0,
+                        isNaN(control('controlX2')) ? 1 : control('controlX2'), isNaN(control('controlY2')) ? 1 : control('controlY2'));
+                }
+
+                this.pathConverter = this.pathConverter || new VectorDrawableConverter();
+                const points = this.pathConverter.flattenPathData(pathData).flat();
+                return t => {
+                    if (t >= 1) return 1;
+                    for (let i = 1; i < points.length; i++) {
+                        const [x0, y0] = points[i - 1];
+                        const [x1, y1] = points[i];
+                        if (x1 >= t) return x1 > x0 ? y0 + (y1 - y0) * (t - x0) / (x1 - x0) : y1;
+                    }
+                    return 1;
+                };
+            }
+
+            const reference = element.getAttribute('android:interpolator');
+            const name = inline ? interpolatorElements[inline.tagName]
+                : reference?.replace(/^@android:(anim|interpolator)\//, '').replace(/_interpolator$/, '');
+            return interpolators[name] || interpolators[fallback];
+        }
+
+        /**
+         * The value fraction of the way from one animated value to another. A
+         * missing start value is the element's current one.
+         */
+        mixValues(from, to, fraction, type, property, element) {
+            if (to === null) return null;
+            const defaults = { 'android:scaleX': '1', 'android:scaleY': '1', 'android:fillAlpha': '1', 'android:strokeAlpha': '1', 'android:trimPathEnd': '1' };
+            from = from ?? element.getAttribute(property) ?? defaults[property] ?? (/^#/.test(to) ? '#00000000' : '0');
+            const kind = type || (property === 'android:pathData' ? 'pathType' : /^#/.test(to) ? 'colorType' : 'floatType');
+
+            if (kind === 'colorType') {
+                const channels = value => {
+                    const hex = value.trim().replace(/^#/, '');
+                    if (!/^[0-9a-f]+$/i.test(hex) || ![3, 4, 6, 8].includes(hex.length)) return null;
+                    const full = hex.length <= 4 ? hex.split('').map(digit => digit + digit).join('') : hex;
+                    const argb = full.length === 6 ? `ff${full}` : full;
+                    return [0, 2, 4, 6].map(i => parseInt(argb.slice(i, i + 2), 16));
+                };
+                const a = channels(from);
+                const b = channels(to);
+                if (!a || !b) return fraction < 1 ? from : to;
+                return '#' + a.map((channel, i) => Math.round(Math.min(255, Math.max(0, channel + (b[i] - channel) * fraction)))
+                    .toString(16).padStart(2, '0')).join('').toUpperCase();
+            }
+
+            if (kind === 'pathType') {
+                // Paths morph value by value, which needs matching commands
+                this.pathConverter = this.pathConverter || new VectorDrawableConverter();
+                const a = this.pathConverter.parsePathData(from).segments;
+                const b = this.pathConverter.parsePathData(to).segments;
+                if (a.length !== b.length || a.some((segment, i) => segment.command !== b[i].command)) return fraction < 1 ? from : to;
+                const segments = a.map((segment, i) => ({
+                    command: segment.command,
+                    values: segment.values.map((value, j) => {
+                        const mixed = value + (b[i].values[j] - value) * fraction;
+                        return segment.command === 'A' && (j === 3 || j === 4) ? Math.round(mixed) : mixed;
+                    })
+                }));
+                return this.pathConverter.serializePathData(segments);
+            }
+
+            const start = parseFloat(from);
+            const end = parseFloat(to);
+            if (isNaN(start) || isNaN(end)) return fraction < 1 ? from : to;
+            return this.formatNumber(start + (end - start) * fraction);
+        }
+
+        convertPath(path, context) {
+            const pathData = path.getAttribute('android:pathData');
+            if (!pathData) return null;
+
+            const value = name => path.getAttribute(`android:${name}`);
+            const attributes = [];
+            const name = value('name');
+            if (name) attributes.push(['id', this.uniqueId(name, context)]);
+            attributes.push(['d', pathData]);
+
+            const fill = this.convertPaint(path, 'fillColor', value('fillAlpha'), context);
+            attributes.push(['fill', fill ? fill.paint : 'none']);
+            if (fill && fill.opacity < 1) attributes.push(['fill-opacity', this.formatNumber(fill.opacity)]);
+            if (value('fillType') === 'evenOdd') attributes.push(['fill-rule', 'evenodd']);
+
+            const stroke = this.convertPaint(path, 'strokeColor', value('strokeAlpha'), context);
+            const strokeWidth = parseFloat(value('strokeWidth')) || 0;
+            if (stroke && strokeWidth > 0) {
+                attributes.push(['stroke', stroke.paint]);
+                if (stroke.opacity < 1) attributes.push(['stroke-opacity', this.formatNumber(stroke.opacity)]);
+                attributes.push(['stroke-width', this.formatNumber(strokeWidth)]);
+                if (value('strokeLineCap')) attributes.push(['stroke-linecap', value('strokeLineCap')]);
+                if (value('strokeLineJoin')) attributes.push(['stroke-linejoin', value('strokeLineJoin')]);
+                if (value('strokeMiterLimit')) attributes.push(['stroke-miterlimit', value('strokeMiterLimit')]);
+
+                // Trimming maps onto a dash over the normalized path length
+                const trimStart = parseFloat(value('trimPathStart')) || 0;
+                const trimEnd = value('trimPathEnd') === null ? 1 : parseFloat(value('trimPathEnd'));
+                const trimOffset = parseFloat(value('trimPathOffset')) || 0;
+                if (trimStart > 0 || trimEnd < 1 || trimOffset) {
+                    attributes.push(
+                        ['pathLength', '1'],
+                        ['stroke-dasharray', `${this.formatNumber(Math.max(0, trimEnd - trimStart))} 1`],
+                        ['stroke-dashoffset', this.formatNumber(-(trimStart + trimOffset))]
+                    );
+                }
+            }
+
+            return this.element('path', attributes);
+        }
+
+        /**
+         * Resolves a path's fill or stroke, from its attribute or an inline
+         * <aapt:attr> gradient, to { paint, opacity }; null when unpainted.
+         */
+        convertPaint(path, name, alphaValue, context) {
+            const alpha = alphaValue === null ? 1 : Math.min(1, Math.max(0, parseFloat(alphaValue) || 0));
+            const attr = path.children.find(child => child.tagName === 'aapt:attr' && child.getAttribute('name') === `android:${name}`);
+            const gradient = attr && attr.children.find(child => child.tagName === 'gradient');
+            if (gradient) {
+                return { paint: `url(#${this.convertGradient(gradient, context)})`, opacity: alpha };
+            }
+
+            const value = path.getAttribute(`android:${name}`);
+            if (!value) return null;
+            const color = this.resolveColor(value, path, context);
+            if (color.alpha === 0) return null;
+            return { paint: color.hex, opacity: color.alpha * alpha };
+        }
+
+        convertGradient(gradient, context) {
+            const value = name => gradient.getAttribute(`android:${name}`);
+            const number = name => this.formatNumber(parseFloat(value(name)) || 0);
+            const type = value('type') || 'linear';
+            const id = this.uniqueId('gradient', context);
+
+            let stops = gradient.children
+                .filter(item => item.tagName === 'item')
+                .map(item => ({ offset: parseFloat(item.getAttribute('android:offset')) || 0, color: item.getAttribute('android:color') || '#000000' }));
+            if (stops.length === 0) {
+                stops = [
+                    { offset: 0, color: value('startColor') },
+                    { offset: 0.5, color: value('centerColor') },
+                    { offset: 1, color: value('endColor') }
+                ].filter(stop => stop.color);
+            }
+
+            const stopElements = stops.map(({ offset, color }) => {
+                const resolved = this.resolveColor(color, gradient, context);
+                const attributes = [['offset', this.formatNumber(offset)], ['stop-color', resolved.hex]];
+                if (resolved.alpha < 1) attributes.push(['stop-opacity', this.formatNumber(resolved.alpha)]);
+                return this.element('stop', attributes);
+            });
+
+            const spreadMethods = { mirror: 'reflect', repeat: 'repeat' };
+            const attributes = [
+                ['id', id],
+                ['gradientUnits', 'userSpaceOnUse'],
+                ['spreadMethod', spreadMethods[value('tileMode')] || 'pad']
+            ];
+
+            if (type === 'radial') {
+                attributes.push(['cx', number('centerX')], ['cy', number('centerY')], ['r', number('gradientRadius')]);
+                context.defs.push(this.element('radialGradient', attributes, stopElements));
+            } else {
+                if (type === 'sweep') {
+                    this.warn(context, gradient, 'Sweep gradients have no SVG equivalent; exported as a linear gradient');
+                    const centerX = parseFloat(value('centerX')) || 0;
+                    const centerY = parseFloat(value('centerY')) || 0;
+                    attributes.push(['x1', this.formatNumber(centerX - 1)], ['y1', this.formatNumber(centerY)],
+                        ['x2', this.formatNumber(centerX + 1)], ['y2', this.formatNumber(centerY)]);
+                } else {
+                    attributes.push(['x1', number('startX')], ['y1', number('startY')], ['x2', number('endX')], ['y2', number('endY')]);
+                }
+                context.defs.push(this.element('linearGradient', attributes, stopElements));
+            }
+
+            return id;
+        }
+
+        /**
+         * Resolves an Android color (#RGB, #ARGB, #RRGGBB, #AARRGGBB or a resource
+         * reference) to an SVG #rrggbb color plus a separate alpha.
+         */
+        resolveColor(value, element, context) {
+            let color = value.trim();
+            if (/^[?@]/.test(color)) {
+                const mapped = context.options.colors[color];
+                if (mapped) {
+                    color = mapped;
+                } else {
+                    this.warn(context, element, `Color ${color} cannot be resolved outside the app; exported as ${context.options.defaultColor}`);
+                    color = context.options.defaultColor;
+                }
+            }
+
+            const hex = /^#([0-9a-f]{3,4}|[0-9a-f]{6}|[0-9a-f]{8})$/i.exec(color)?.[1];
+            if (!hex) {
+                this.warn(context, element, `Invalid color "${value}"; exported as ${context.options.defaultColor}`);
+                return { hex: context.options.defaultColor, alpha: 1 };
+            }
+
+            const full = hex.length <= 4 ? hex.replace(/./g, '$&$&') : hex;
+            const argb = full.length === 6 ? `ff${full}` : full;
+            return { hex: `#${argb.slice(2).toUpperCase()}`, alpha: parseInt(argb.slice(0, 2), 16) / 255 };
+        }
+
+        warn(context, element, message, severity = 'warning') {
+            context.warnings.push({ severity, message, ...nodeLocation(element) });
+        }
+
+        groupTransform(group) {
+            // Android applies: translate(-pivot), scale, rotate, translate(pivot + translation)
+            const value = name => parseFloat(group.getAttribute(`android:${name}`));
+            const translateX = value('translateX') || 0;
+            const translateY = value('translateY') || 0;
+            const rotation = value('rotation') || 0;
+            const scaleX = isNaN(value('scaleX')) ? 1 : value('scaleX');
+            const scaleY = isNaN(value('scaleY')) ? 1 : value('scaleY');
+            const pivotX = value('pivotX') || 0;
+            const pivotY = value('pivotY') || 0;
+            const format = (...numbers) => numbers.map(number => this.formatNumber(number)).join(' ');
+
+            const transforms = [];
+            if (translateX + pivotX || translateY + pivotY) transforms.push(`translate(${format(translateX + pivotX, translateY + pivotY)})`);
+            if (rotation) transforms.push(`rotate(${format(rotation)})`);
+            if (scaleX !== 1 || scaleY !== 1) transforms.push(`scale(${format(scaleX, scaleY)})`);
+            if (pivotX || pivotY) transforms.push(`translate(${format(-pivotX, -pivotY)})`);
+            return transforms.join(' ');
+        }
+
+        uniqueId(name, context) {
+            const base = context.options.idPrefix + String(name).replace(/[^\w.-]+/g, '_');
+            let id = base;
+            for (let suffix = 2; context.ids.has(id); suffix++) id = `${base}-${suffix}`;
+            context.ids.add(id);
+            return id;
+        }
+
+        element(name, attributes = [], children = []) {
+            return { name, attributes, children };
+        }
+
+        serialize({ name, attributes, children }, depth, pretty) {
+            const indent = pretty ? '    '.repeat(depth) : '';
+            const newline = pretty ? '\n' : '';
+            const attributeText = attributes.map(([key, value]) => ` ${key}="${escapeXml(value)}"`).join('');
+
+            if (children.length === 0) return `${indent}<${name}${attributeText}/>${newline}`;
+            const content = children.map(child => this.serialize(child, depth + 1, pretty)).join('');
+            return `${indent}<${name}${attributeText}>${newline}${content}${indent}</${name}>${newline}`;
+        }
+
+        formatNumber(value) {
+            return String(Math.round(value * 1000) / 1000);
+        }
+    }
+
+    let sharedConverter = null;
+
+    /**
+     * Converts VectorDrawable XML to SVG: vectorToSvg(xml, options) -> { svg, warnings }.
+     */
+    function vectorToSvg(xml, options) {
+        sharedConverter = sharedConverter || new VectorToSvgConverter();
+        return sharedConverter.convert(xml, options);
+    }
+
+    /**
+     * How long an animated vector's animations run in ms, counting one cycle of
+     * those that repeat forever; 0 for a plain vector.
+     */
+    function animationDuration(xml) {
+        sharedConverter = sharedConverter || new VectorToSvgConverter();
+        const root = parseXml(xml).documentElement;
+        if (root.tagName !== 'animated-vector') return 0;
+
+        return Math.max(0, ...root.children
+            .filter(child => child.tagName === 'target')
+            .map(target => sharedConverter.inlineAttribute(target, 'android:animation'))
+            .filter(Boolean)
+            .map(animation => sharedConverter.animatorLength(animation, true)));
+    }
+
+    Object.assign(exports, { VectorToSvgConverter, vectorToSvg, animationDuration });
+})(
+    typeof module !== 'undefined' && module.exports ? module.exports : (globalThis.Svg2Vector = globalThis.Svg2Vector || {}),
+    typeof module !== 'undefined' && module.exports
+        ? { ...require('./xml'), ...require('./converter') }
+        : globalThis.Svg2Vector
+);
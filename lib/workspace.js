@@ -0,0 +1,138 @@
+// Project workspace
+//
+// Keeps named projects in IndexedDB: their files with each file's conversion
+// options, color mapping, hand edits and conversion history. Projects move in
+// and out of JSON bundles so they can be shared.
+(function (exports) {
+    const bundleFormat = 'svg2vector-project';
+    const bundleVersion = 1;
+
+    const promised = request => new Promise((resolve, reject) => {
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+    });
+    const completed = transaction => new Promise((resolve, reject) => {
+        transaction.oncomplete = () => resolve();
+        transaction.onerror = () => reject(transaction.error);
+        transaction.onabort = () => reject(transaction.error);
+    });
+
+    class Workspace {
+        constructor(indexedDB = globalThis.indexedDB, databaseName = 'svg2vector-workspace') {
+            this.indexedDB = indexedDB;
+            this.databaseName = databaseName;
+            this.database = null;
+        }
+
+        async open() {
+            if (this.database) return this.database;
+            if (!this.indexedDB) throw new Error('IndexedDB is not available');
+
+            const request = this.indexedDB.open(this.databaseName, 1);
+            request.onupgradeneeded = () => {
+                request.result.createObjectStore('projects', { keyPath: 'id' });
+            };
+            this.database = await promised(request);
+            return this.database;
+        }
+
+        async store(mode) {
+            const database = await this.open();
+            return database.transaction('projects', mode).objectStore('projects');
+        }
+
+        /**
+         * Every project, most recently updated first.
+         */
+        async list() {
+            const projects = await promised((await this.store('readonly')).getAll());
+            return projects.sort((a, b) => b.updated.localeCompare(a.updated));
+        }
+
+        async get(id) {
+            return await promised((await this.store('readonly')).get(id)) || null;
+        }
+
+        async save(project) {
+            const saved = { ...project, updated: new Date().toISOString() };
+            const store = await this.store('readwrite');
+            store.put(saved);
+            await completed(store.transaction);
+            return saved;
+        }
+
+        async delete(id) {
+            const store = await this.store('readwrite');
+            store.delete(id);
+            await completed(store.transaction);
+        }
+    }
+
+    function createProjectId() {
+        return `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`;
+    }
+
+    /**
+     * Serializes a project to a JSON bundle.
+     */
+    function exportProject(project) {
+        return JSON.stringify({ format: bundleFormat, version: bundleVersion, exported: new Date().toISOString(), project }, null, 2);
+    }
+
+    /**
+     * Reads a JSON bundle back into a project under a new id, so importing the
+     * same bundle twice keeps both copies. Anything else throws.
+     */
+    function importProject(json) {
+        let bundle;
+        try {
+            bundle = JSON.parse(json);
+        } catch (error) {
+            throw new Error('The file is not valid JSON');
+        }
+        if (bundle?.format !== bundleFormat || !bundle.project) throw new Error('The file is not a project bundle');
+        if (bundle.version > bundleVersion) throw new Error('The bundle was made by a newer version of the converter');
+
+        const { project } = bundle;
+        const files = Array.isArray(project.files) ? project.files : [];
+        if (files.some(file => typeof file?.name !== 'string' || typeof file.content !== 'string')) {
+            throw new Error('The bundle has files without a name or content');
+        }
+        const now = new Date().toISOString();
+        return {
+            ...project,
+            id: createProjectId(),
+            name: String(project.name || 'Imported project'),
+            created: project.created || now,
+            updated: now,
+            files
+        };
+    }
+
+    /**
+     * Filters projects by a search query, matched against project and file names,
+     * and by the kind of file ("svg", "vector" or "edited"; anything else keeps
+     * all). Returns [{ project, files }] with the files that match; a project whose
+     * name matches lists all of its files that pass the filter.
+     */
+    function searchProjects(projects, query = '', filter = 'all') {
+        const needle = query.trim().toLowerCase();
+        const kinds = {
+            svg: file => file.kind !== 'vector',
+            vector: file => file.kind === 'vector',
+            edited: file => file.override !== undefined && file.override !== null
+        };
+        const passes = kinds[filter] || (() => true);
+
+        return projects
+            .map(project => {
+                const candidates = project.files.filter(passes);
+                const nameMatches = !needle || project.name.toLowerCase().includes(needle);
+                const files = nameMatches ? candidates : candidates.filter(file => file.name.toLowerCase().includes(needle));
+                return { project, files };
+            })
+            .filter(({ files }) => files.length > 0);
+    }
+
+    Object.assign(exports, { Workspace, createProjectId, exportProject, importProject, searchProjects });
+})(typeof module !== 'undefined' && module.exports ? module.exports : (globalThis.Svg2Vector = globalThis.Svg2Vector || {}));
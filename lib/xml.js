@@ -0,0 +1,318 @@
+// Minimal XML parser and serializer
+//
+// A small non-validating parser that builds the subset of the DOM the converter
+// relies on (tagName, attributes, children, parentNode, textContent), so the same
+// code runs in the browser and in Node without DOMParser.
+(function (exports) {
+    const predefinedEntities = { lt: '<', gt: '>', amp: '&', quot: '"', apos: "'" };
+
+    // The prefixes names in these namespaces are given, whatever the document calls them
+    const canonicalPrefixes = {
+        'http://www.w3.org/2000/svg': '',
+        'http://www.w3.org/1999/xlink': 'xlink'
+    };
+
+    class XmlParseError extends Error {
+        constructor(message, line, column) {
+            super(`${message} at line ${line}, column ${column}`);
+            this.name = 'XmlParseError';
+            this.line = line;
+            this.column = column;
+        }
+    }
+
+    class XmlText {
+        constructor(text, cdata = false) {
+            this.nodeType = 3;
+            this.text = text;
+            this.cdata = cdata;
+        }
+
+        get textContent() {
+            return this.text;
+        }
+    }
+
+    class XmlElement {
+        constructor(tagName, attributes = [], parentNode = null) {
+            this.nodeType = 1;
+            this.tagName = tagName;
+            this.nodeName = tagName;
+            this.attributes = attributes;
+            this.parentNode = parentNode;
+            this.children = [];
+            this.childNodes = [];
+            this.line = 0;
+            this.column = 0;
+        }
+
+        getAttribute(name) {
+            const attribute = this.attributes.find(item => item.name === name);
+            return attribute ? attribute.value : null;
+        }
+
+        hasAttribute(name) {
+            return this.attributes.some(item => item.name === name);
+        }
+
+        setAttribute(name, value) {
+            const attribute = this.attributes.find(item => item.name === name);
+            if (attribute) {
+                attribute.value = String(value);
+            } else {
+                this.attributes.push({ name, value: String(value) });
+            }
+        }
+
+        removeAttribute(name) {
+            this.attributes = this.attributes.filter(item => item.name !== name);
+        }
+
+        appendChild(node) {
+            node.parentNode = this;
+            this.childNodes.push(node);
+            if (node.nodeType === 1) this.children.push(node);
+            return node;
+        }
+
+        get textContent() {
+            return this.childNodes.map(node => node.textContent).join('');
+        }
+    }
+
+    class XmlDocument {
+        constructor() {
+            this.nodeType = 9;
+            this.documentElement = null;
+            this.children = [];
+        }
+    }
+
+    /**
+     * Parses an XML string into an XmlDocument. Comments, processing instructions
+     * and the DOCTYPE are skipped, though entities declared in the DOCTYPE's internal
+     * subset are expanded. Elements in the SVG namespace lose their prefix and
+     * XLink attributes are named xlink:, so "svg:rect" reads as "rect". Malformed
+     * input throws an XmlParseError with its position.
+     */
+    function parseXml(text) {
+        const source = String(text).replace(/^\uFEFF/, '');
+        const lineStarts = [0];
+        for (let i = 0; i < source.length; i++) {
+            if (source[i] === '\n') lineStarts.push(i + 1);
+        }
+
+        const positionOf = (index) => {
+            let low = 0;
+            let high = lineStarts.length - 1;
+            while (low < high) {
+                const middle = (low + high + 1) >> 1;
+                if (lineStarts[middle] <= index) low = middle;
+                else high = middle - 1;
+            }
+            return { line: low + 1, column: index - lineStarts[low] + 1 };
+        };
+        const fail = (message, index) => {
+            const { line, column } = positionOf(index);
+            throw new XmlParseError(message, line, column);
+        };
+
+        const entities = { ...predefinedEntities };
+        const decode = (value, index) => value.replace(/&([^;\s&]*);?/g, (match, name) => {
+            if (!match.endsWith(';')) fail('Unescaped "&"', index);
+            if (/^#x[0-9a-f]+$/i.test(name)) return String.fromCodePoint(parseInt(name.slice(2), 16));
+            if (/^#[0-9]+$/.test(name)) return String.fromCodePoint(parseInt(name.slice(1), 10));
+            if (!(name in entities)) fail(`Unknown entity "&${name};"`, index);
+            return entities[name];
+        });
+
+        const namePattern = /[A-Za-z_:][-\w:.]*/y;
+        const readName = (index) => {
+            namePattern.lastIndex = index;
+            const match = namePattern.exec(source);
+            return match ? match[0] : null;
+        };
+        const skipTo = (terminator, index, what) => {
+            const end = source.indexOf(terminator, index);
+            if (end === -1) fail(`Unterminated ${what}`, index);
+            return end + terminator.length;
+        };
+
+        const document = new XmlDocument();
+        const openNames = [];
+        const scopes = new Map([[null, {}]]);
+        let current = null;
+        let pos = 0;
+
+        while (pos < source.length) {
+            if (source.startsWith('<!--', pos)) {
+                pos = skipTo('-->', pos + 4, 'comment');
+            } else if (source.startsWith('<![CDATA[', pos)) {
+                if (!current) fail('CDATA section outside the root element', pos);
+                const end = skipTo(']]>', pos + 9, 'CDATA section');
+                current.appendChild(new XmlText(source.slice(pos + 9, end - 3), true));
+                pos = end;
+            } else if (source.startsWith('<?', pos)) {
+                pos = skipTo('?>', pos + 2, 'processing instruction');
+            } else if (source.startsWith('<!DOCTYPE', pos)) {
+                if (current || document.documentElement) fail('Unexpected DOCTYPE', pos);
+                const subsetStart = source.indexOf('[', pos);
+                const declarationEnd = source.indexOf('>', pos);
+                if (subsetStart !== -1 && (declarationEnd === -1 || subsetStart < declarationEnd)) {
+                    const subsetEnd = source.indexOf(']', subsetStart);
+                    if (subsetEnd === -1) fail('Unterminated DOCTYPE', pos);
+                    const subset = source.slice(subsetStart + 1, subsetEnd);
+                    for (const [, name, , value] of subset.matchAll(/<!ENTITY\s+([\w.:-]+)\s+(["'])([\s\S]*?)\2\s*>/g)) {
+                        if (!(name in entities)) entities[name] = decode(value, pos);
+                    }
+                    pos = skipTo('>', subsetEnd, 'DOCTYPE');
+                } else {
+                    pos = skipTo('>', pos, 'DOCTYPE');
+                }
+            } else if (source.startsWith('</', pos)) {
+                const name = readName(pos + 2);
+                if (!name) fail('Expected a tag name', pos + 2);
+                if (!current) fail(`Unexpected closing tag </${name}>`, pos);
+                const openName = openNames[openNames.length - 1];
+                if (openName !== name) fail(`Mismatched closing tag </${name}>; expected </${openName}>`, pos);
+                const end = /\s*>/y;
+                end.lastIndex = pos + 2 + name.length;
+                if (!end.exec(source)) fail(`Expected ">" to close </${name}>`, pos);
+                pos = end.lastIndex;
+                openNames.pop();
+                scopes.delete(current);
+                current = current.parentNode === document ? null : current.parentNode;
+            } else if (source[pos] === '<') {
+                const start = pos;
+                const tagName = readName(pos + 1);
+                if (!tagName) fail('Expected a tag name', pos + 1);
+                if (!current && document.documentElement) fail('Only one root element is allowed', pos);
+
+                const element = new XmlElement(tagName);
+                Object.assign(element, positionOf(start));
+                pos += 1 + tagName.length;
+
+                let selfClosing = false;
+                for (;;) {
+                    const whitespace = /\s*/y;
+                    whitespace.lastIndex = pos;
+                    whitespace.exec(source);
+                    const hadWhitespace = whitespace.lastIndex > pos;
+                    pos = whitespace.lastIndex;
+
+                    if (pos >= source.length) fail(`Unterminated start tag <${tagName}>`, start);
+                    if (source.startsWith('/>', pos)) {
+                        selfClosing = true;
+                        pos += 2;
+                        break;
+                    }
+                    if (source[pos] === '>') {
+                        pos += 1;
+                        break;
+                    }
+
+                    const name = readName(pos);
+                    if (!name || !hadWhitespace) fail(`Expected an attribute name in <${tagName}>`, pos);
+                    const equals = /\s*=\s*/y;
+                    equals.lastIndex = pos + name.length;
+                    if (!equals.exec(source)) fail(`Expected "=" after attribute "${name}"`, pos + name.length);
+                    pos = equals.lastIndex;
+
+                    const quote = source[pos];
+                    if (quote !== '"' && quote !== "'") fail(`Expected a quoted value for attribute "${name}"`, pos);
+                    const end = source.indexOf(quote, pos + 1);
+                    if (end === -1) fail(`Unterminated value for attribute "${name}"`, pos);
+                    const raw = source.slice(pos + 1, end);
+                    if (raw.includes('<')) fail(`Unexpected "<" in attribute "${name}"`, pos);
+                    if (element.hasAttribute(name)) fail(`Duplicate attribute "${name}"`, pos - name.length);
+
+                    element.attributes.push({ name, value: decode(raw.replace(/[\t\n\r]/g, ' '), pos) });
+                    pos = end + 1;
+                }
+
+                // Resolve prefixes against the namespaces declared here and above
+                const scope = { ...scopes.get(current) };
+                for (const { name, value } of element.attributes) {
+                    if (name === 'xmlns') scope[''] = value;
+                    else if (name.startsWith('xmlns:')) scope[name.slice(6)] = value;
+                }
+                const canonicalName = (name, forElement) => {
+                    const colon = name.indexOf(':');
+                    if (colon === -1 || name.startsWith('xmlns:')) return name;
+                    const prefix = canonicalPrefixes[scope[name.slice(0, colon)]];
+                    if (prefix === undefined || (prefix === '' && !forElement)) return name;
+                    return prefix ? `${prefix}:${name.slice(colon + 1)}` : name.slice(colon + 1);
+                };
+                element.tagName = element.nodeName = canonicalName(tagName, true);
+                element.attributes.forEach(attribute => attribute.name = canonicalName(attribute.name, false));
+
+                if (current) {
+                    current.appendChild(element);
+                } else {
+                    element.parentNode = document;
+                    document.documentElement = element;
+                    document.children.push(element);
+                }
+                if (!selfClosing) {
+                    openNames.push(tagName);
+                    scopes.set(element, scope);
+                    current = element;
+                }
+            } else {
+                const end = source.indexOf('<', pos) === -1 ? source.length : source.indexOf('<', pos);
+                const raw = source.slice(pos, end);
+                if (current) {
+                    current.appendChild(new XmlText(decode(raw, pos)));
+                } else if (raw.trim()) {
+                    fail('Unexpected text outside the root element', pos + raw.search(/\S/));
+                }
+                pos = end;
+            }
+        }
+
+        if (current) {
+            fail(`Unclosed element <${current.tagName}>`, lineStarts[current.line - 1] + current.column - 1);
+        }
+        if (!document.documentElement) fail('No root element found', source.length);
+        return document;
+    }
+
+    /**
+     * Locates an element for diagnostics: a readable path such as
+     * "svg > g#icons > text", the child indices from the root element (so a
+     * rendered copy of the document can find the same node) and its source position.
+     */
+    function nodeLocation(element) {
+        const names = [];
+        const nodePath = [];
+        for (let node = element; node && node.nodeType === 1; node = node.parentNode) {
+            const id = node.getAttribute('id');
+            names.unshift(`${node.tagName}${id ? `#${id}` : ''}`);
+            if (node.parentNode && node.parentNode.nodeType === 1) nodePath.unshift(node.parentNode.children.indexOf(node));
+        }
+        return { path: names.join(' > '), nodePath, line: element ? element.line : null, column: element ? element.column : null };
+    }
+
+    function escapeXml(value) {
+        return String(value)
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;')
+            .replace(/'/g, '&apos;');
+    }
+
+    /**
+     * Serializes an XmlElement (or text node) back to a compact XML string.
+     */
+    function serializeXml(node) {
+        if (node.nodeType === 3) {
+            return node.cdata ? `<![CDATA[${node.text}]]>` : escapeXml(node.text);
+        }
+        const attributes = node.attributes.map(({ name, value }) => ` ${name}="${escapeXml(value)}"`).join('');
+        if (node.childNodes.length === 0) return `<${node.tagName}${attributes}/>`;
+        return `<${node.tagName}${attributes}>${node.childNodes.map(serializeXml).join('')}</${node.tagName}>`;
+    }
+
+    Object.assign(exports, { XmlParseError, XmlText, XmlElement, XmlDocument, parseXml, serializeXml, nodeLocation, escapeXml });
+})(typeof module !== 'undefined' && module.exports ? module.exports : (globalThis.Svg2Vector = globalThis.Svg2Vector || {}));
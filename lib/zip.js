@@ -0,0 +1,101 @@
+// ZIP archive writer
+//
+// Writes uncompressed (stored) ZIP archives. Drawables are small and mostly
+// compressed by the app packager anyway, so skipping deflate keeps this short
+// and dependency-free.
+(function (exports) {
+    let crcTable = null;
+
+    function crc32(bytes) {
+        if (!crcTable) {
+            crcTable = new Uint32Array(256);
+            for (let n = 0; n < 256; n++) {
+                let c = n;
+                for (let k = 0; k < 8; k++) {
+                    c = c & 1 ? 0xEDB88320 ^ (c >>> 1) : c >>> 1;
+                }
+                crcTable[n] = c >>> 0;
+            }
+        }
+
+        let crc = 0xFFFFFFFF;
+        for (let i = 0; i < bytes.length; i++) {
+            crc = crcTable[(crc ^ bytes[i]) & 0xFF] ^ (crc >>> 8);
+        }
+        return (crc ^ 0xFFFFFFFF) >>> 0;
+    }
+
+    function dosDateTime(date) {
+        const year = Math.max(date.getFullYear(), 1980);
+        return {
+            time: (date.getHours() << 11) | (date.getMinutes() << 5) | (date.getSeconds() >> 1),
+            date: ((year - 1980) << 9) | ((date.getMonth() + 1) << 5) | date.getDate()
+        };
+    }
+
+    /**
+     * Builds a ZIP archive from [{ name, data }] entries, where data is a string
+     * (written as UTF-8) or a Uint8Array. Returns the archive as a Uint8Array.
+     */
+    function createZip(entries, modified = new Date()) {
+        const encoder = new TextEncoder();
+        const { time, date } = dosDateTime(modified);
+        const files = entries.map(({ name, data }) => {
+            const bytes = typeof data === 'string' ? encoder.encode(data) : data;
+            return { name: encoder.encode(name), bytes, crc: crc32(bytes) };
+        });
+
+        const localSize = files.reduce((sum, file) => sum + 30 + file.name.length + file.bytes.length, 0);
+        const centralSize = files.reduce((sum, file) => sum + 46 + file.name.length, 0);
+        const archive = new Uint8Array(localSize + centralSize + 22);
+        const view = new DataView(archive.buffer);
+        let offset = 0;
+
+        const header = (signature, { name, bytes, crc }, central, localOffset) => {
+            view.setUint32(offset, signature, true);
+            offset += 4;
+            if (central) {
+                view.setUint16(offset, 20, true); // version made by
+                offset += 2;
+            }
+            view.setUint16(offset, 20, true); // version needed
+            view.setUint16(offset + 2, 0x0800, true); // UTF-8 names
+            view.setUint16(offset + 4, 0, true); // stored
+            view.setUint16(offset + 6, time, true);
+            view.setUint16(offset + 8, date, true);
+            view.setUint32(offset + 10, crc, true);
+            view.setUint32(offset + 14, bytes.length, true);
+            view.setUint32(offset + 18, bytes.length, true);
+            view.setUint16(offset + 22, name.length, true);
+            view.setUint16(offset + 24, 0, true); // extra field length
+            offset += 26;
+            if (central) {
+                // Comment length, disk number, attributes, then the local header's offset
+                view.setUint32(offset + 10, localOffset, true);
+                offset += 14;
+            }
+            archive.set(name, offset);
+            offset += name.length;
+        };
+
+        const localOffsets = files.map(file => {
+            const localOffset = offset;
+            header(0x04034B50, file, false);
+            archive.set(file.bytes, offset);
+            offset += file.bytes.length;
+            return localOffset;
+        });
+
+        const centralOffset = offset;
+        files.forEach((file, index) => header(0x02014B50, file, true, localOffsets[index]));
+
+        view.setUint32(offset, 0x06054B50, true);
+        view.setUint16(offset + 8, files.length, true);
+        view.setUint16(offset + 10, files.length, true);
+        view.setUint32(offset + 12, centralSize, true);
+        view.setUint32(offset + 16, centralOffset, true);
+        return archive;
+    }
+
+    Object.assign(exports, { crc32, createZip });
+})(typeof module !== 'undefined' && module.exports ? module.exports : (globalThis.Svg2Vector = globalThis.Svg2Vector || {}));